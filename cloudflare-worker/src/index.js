@@ -6,6 +6,7 @@
  *
  * Endpoints:
  *   POST /device/code  - Request a device code for user authorization
+ *                        Optional body: { "scope": "gist" | "gist repo" }
  *   POST /device/token - Poll for access token after user authorizes
  *   GET  /health       - Health check endpoint
  *
@@ -17,6 +18,11 @@
 const GITHUB_DEVICE_CODE_URL = 'https://github.com/login/device/code';
 const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
 
+// OAuth scopes the app may request: gists for sharing, plus repo for
+// committing documents back to GitHub repositories
+const DEFAULT_SCOPE = 'gist';
+const ALLOWED_SCOPES = new Set(['gist', 'gist repo']);
+
 // Device code validation constants
 const DEVICE_CODE_MIN_LENGTH = 10;
 const DEVICE_CODE_MAX_LENGTH = 500;
@@ -233,9 +239,30 @@ function handleHealthCheck(env, origin) {
   }, origin, env);
 }
 
+/**
+ * Read the requested OAuth scope from a device code request body
+ * An empty body requests the default (gist) scope.
+ * @param {Request} request - The incoming request
+ * @returns {Promise<string|null>} Scope, or null if the body or scope is invalid
+ */
+async function readRequestedScope(request) {
+  const text = await request.text();
+  if (!text) return DEFAULT_SCOPE;
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const scope = body?.scope ?? DEFAULT_SCOPE;
+  return ALLOWED_SCOPES.has(scope) ? scope : null;
+}
+
 /**
  * Handle device code request - initiates GitHub Device Flow OAuth
  * POST /device/code
+ * Body (optional): { "scope": "..." } - one of ALLOWED_SCOPES, defaults to gist
  *
  * Proxies to GitHub's device code endpoint with the configured client_id
  * @param {Request} request - The incoming request
@@ -248,10 +275,16 @@ async function handleDeviceCode(request, env, origin) {
   const validationError = validateRequest(request, env, origin, '/device/code');
   if (validationError) return validationError;
 
+  // Only scopes from the allowlist can be requested
+  const scope = await readRequestedScope(request);
+  if (!scope) {
+    return createErrorResponse(400, 'Invalid scope', origin, env);
+  }
+
   // Build request to GitHub
   const params = new URLSearchParams({
     client_id: env.GITHUB_CLIENT_ID,
-    scope: 'gist', // Only request gist scope for creating gists
+    scope,
   });
 
   try {
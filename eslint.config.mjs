@@ -17,6 +17,7 @@ export default [
         DOMPurify: "readonly",
         CodeMirror: "readonly",
         hljs: "readonly",
+        katex: "readonly",
         // App globals
         expandMermaid: "readonly",
       },
@@ -0,0 +1,222 @@
+/**
+ * asset-store.js - Images stored alongside sessions
+ *
+ * Images pasted or dropped into the editor are saved in IndexedDB and
+ * referenced from markdown as merview-asset:<id> URLs:
+ *
+ *   ![screenshot](merview-asset:550e8400-e29b-41d4-a716-446655440000)
+ *
+ * The renderer emits <img data-asset-id> for these references and
+ * resolveAssetImages() fills in blob: URLs after each render. Exports replace
+ * the references with data: URLs so the files stand on their own.
+ */
+
+import { state } from './state.js';
+import { STORES, withTransaction } from './database.js';
+
+/** URL scheme for stored images */
+export const ASSET_URL_PREFIX = 'merview-asset:';
+
+/** Largest image that can be stored (10 MB) */
+export const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+/** Image types browsers can display in <img> */
+const ASSET_MIME_TYPES = new Set([
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml', 'image/avif', 'image/bmp'
+]);
+
+const ASSET_ID_PATTERN = /^[\w-]+$/;
+const ASSET_REFERENCE_PATTERN = /merview-asset:([\w-]+)/g;
+
+// Object URLs for assets shown in the preview, reused across renders
+const objectURLs = new Map();
+
+/**
+ * Check whether a file can be stored as an image asset
+ * @param {File} file - Pasted or dropped file
+ * @returns {boolean} True for supported image types
+ */
+export function isImageAssetFile(file) {
+    return ASSET_MIME_TYPES.has(file.type);
+}
+
+/**
+ * Get the asset ID from a merview-asset: URL
+ * @param {string} href - Image URL from markdown
+ * @returns {string|null} Asset ID, or null if href isn't an asset URL
+ */
+export function parseAssetURL(href) {
+    if (!href?.startsWith(ASSET_URL_PREFIX)) {
+        return null;
+    }
+    const id = href.slice(ASSET_URL_PREFIX.length);
+    return ASSET_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Find the assets a document references
+ * @param {string} markdown - Document content
+ * @returns {string[]} Unique asset IDs
+ */
+export function findAssetIds(markdown) {
+    return [...new Set([...markdown.matchAll(ASSET_REFERENCE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Store an image for a session
+ * Every asset belongs to a session, so it's deleted along with it.
+ * @param {File|Blob} file - Image to store
+ * @param {string} [sessionId] - Owning session (default: the active session)
+ * @returns {Promise<string>} Asset ID
+ * @throws {Error} If there is no session, the type is unsupported or the image is too large
+ */
+export async function saveAsset(file, sessionId = state.activeSessionId) {
+    if (!sessionId) {
+        throw new Error('Images can only be added to a saved session');
+    }
+    if (!isImageAssetFile(file)) {
+        throw new Error(`Unsupported image type: ${file.type || 'unknown'}`);
+    }
+    if (file.size > MAX_ASSET_BYTES) {
+        throw new Error(`Image is larger than ${MAX_ASSET_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const asset = {
+        id: crypto.randomUUID(),
+        sessionId,
+        name: file.name || 'image',
+        type: file.type,
+        size: file.size,
+        blob: file,
+        createdAt: Date.now()
+    };
+    await withTransaction(STORES.ASSETS, 'readwrite', tx => tx.objectStore(STORES.ASSETS).put(asset));
+    return asset.id;
+}
+
+/**
+ * Load a stored image
+ * @param {string} id - Asset ID
+ * @returns {Promise<Object|null>} Asset record ({ id, sessionId, name, type, size, blob, createdAt }) or null
+ */
+export async function getAsset(id) {
+    const asset = await withTransaction(STORES.ASSETS, 'readonly', tx => tx.objectStore(STORES.ASSETS).get(id));
+    return asset || null;
+}
+
+/**
+ * Delete the images stored for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionAssets(sessionId) {
+    const ids = await withTransaction(STORES.ASSETS, 'readwrite', tx => {
+        const deleted = [];
+        const request = tx.objectStore(STORES.ASSETS).index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                deleted.push(cursor.primaryKey);
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        return deleted;
+    });
+
+    ids.forEach(id => {
+        if (objectURLs.has(id)) {
+            URL.revokeObjectURL(objectURLs.get(id));
+            objectURLs.delete(id);
+        }
+    });
+}
+
+/**
+ * Release the object URLs of images shown in the preview
+ * Called when another document is opened; images are loaded again as needed.
+ */
+export function revokeAssetURLs() {
+    objectURLs.forEach(url => URL.revokeObjectURL(url));
+    objectURLs.clear();
+}
+
+/**
+ * Read a Blob as a data: URL
+ * @param {Blob} blob - Data to encode
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Point asset images in rendered content at their stored data
+ * Missing assets keep their alt text and get the 'missing-asset' class.
+ * @param {HTMLElement} root - Rendered preview content
+ * @returns {Promise<void>}
+ */
+export async function resolveAssetImages(root) {
+    const images = [...root.querySelectorAll('img[data-asset-id]')];
+    await Promise.all(images.map(async img => {
+        const id = img.dataset.assetId;
+        try {
+            if (!objectURLs.has(id)) {
+                const asset = await getAsset(id);
+                if (!asset) {
+                    img.classList.add('missing-asset');
+                    img.title ||= 'Image not found in this browser';
+                    return;
+                }
+                objectURLs.set(id, URL.createObjectURL(asset.blob));
+            }
+            img.src = objectURLs.get(id);
+        } catch (error) {
+            console.error(`Failed to load image asset ${id}:`, error);
+            img.classList.add('missing-asset');
+        }
+    }));
+}
+
+/**
+ * Replace merview-asset: references in markdown with data: URLs
+ * References to missing assets are left unchanged.
+ * @param {string} markdown - Document content
+ * @returns {Promise<string>} Self-contained markdown
+ */
+export async function inlineAssets(markdown) {
+    const ids = findAssetIds(markdown);
+    if (ids.length === 0) {
+        return markdown;
+    }
+
+    const dataURLs = new Map();
+    for (const id of ids) {
+        const asset = await getAsset(id);
+        if (asset) {
+            dataURLs.set(id, await blobToDataURL(asset.blob));
+        }
+    }
+    return markdown.replaceAll(ASSET_REFERENCE_PATTERN, (reference, id) => dataURLs.get(id) ?? reference);
+}
+
+/**
+ * Replace asset images in exported HTML with data: URLs
+ * @param {HTMLElement} root - Copy of the rendered content
+ * @returns {Promise<void>}
+ */
+export async function inlineAssetImages(root) {
+    for (const img of root.querySelectorAll('img[data-asset-id]')) {
+        const asset = await getAsset(img.dataset.assetId);
+        if (asset) {
+            img.src = await blobToDataURL(asset.blob);
+        }
+        img.removeAttribute('data-asset-id');
+        img.classList.remove('missing-asset');
+    }
+}
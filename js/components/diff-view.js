@@ -0,0 +1,59 @@
+/**
+ * Diff View Component
+ *
+ * Renders a line diff (see text-diff.js) as +/- lines, collapsing long runs of
+ * unchanged lines. Used by the version history and source sync modals.
+ */
+
+// Unchanged lines shown around each change
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Create a diff line element
+ * @param {string} className - Line class
+ * @param {string} text - Line text (rendered as text, never HTML)
+ * @returns {HTMLElement} Line element
+ */
+function createDiffLine(className, text) {
+    const line = document.createElement('div');
+    line.className = `diff-line ${className}`;
+    line.textContent = text;
+    return line;
+}
+
+/**
+ * Render a diff into a container (replacing its content)
+ * @param {HTMLElement} container - Element to render into
+ * @param {import('../text-diff.js').DiffLine[]} diff - Result of diffLines()
+ */
+export function renderDiff(container, diff) {
+    container.innerHTML = '';
+
+    // Keep lines within DIFF_CONTEXT_LINES of a change
+    const visible = diff.map(() => false);
+    diff.forEach((line, index) => {
+        if (line.type !== 'equal') {
+            const from = Math.max(0, index - DIFF_CONTEXT_LINES);
+            const to = Math.min(diff.length - 1, index + DIFF_CONTEXT_LINES);
+            for (let i = from; i <= to; i++) visible[i] = true;
+        }
+    });
+
+    const prefixes = { equal: '  ', insert: '+ ', delete: '- ' };
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped > 0) {
+            container.appendChild(createDiffLine('diff-skip', `⋯ ${skipped} unchanged line${skipped === 1 ? '' : 's'}`));
+            skipped = 0;
+        }
+    };
+    diff.forEach((line, index) => {
+        if (!visible[index]) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+        container.appendChild(createDiffLine(`diff-${line.type}`, prefixes[line.type] + line.text));
+    });
+    flushSkipped();
+}
@@ -0,0 +1,336 @@
+/**
+ * GitHub Commit Modal Component
+ *
+ * "Commit to GitHub" for documents loaded from a GitHub repository (see github-commit.js):
+ * - Asks for a commit message, and whether to commit directly to the branch the
+ *   file was loaded from or to a new branch with a pull request
+ * - Authorizes Merview for repository access first if needed (device flow, gist.js)
+ * - If the file changed on GitHub since it was loaded, offers to merge those
+ *   changes in (source sync modal) before committing again
+ */
+
+import { state } from '../state.js';
+import { showStatus } from '../utils.js';
+import { authorizeGitHub, hideGistModal } from '../gist.js';
+import { parseGitHubFileUrl, hasCommitAccess, commitToGitHub, COMMIT_SCOPE } from '../github-commit.js';
+import { checkSourceUpdates } from './source-sync-modal.js';
+
+// Modal state
+let triggerElement = null;
+let initialized = false;
+let committing = false;
+// Commit even though what was loaded isn't known (after the user was warned)
+let force = false;
+// File as it is on GitHub, when it changed since it was loaded
+let conflictFile = null;
+
+/**
+ * Get the GitHub commit modal element
+ * @returns {HTMLDialogElement|null}
+ */
+function getModal() {
+    return document.getElementById('githubCommitModal');
+}
+
+/**
+ * Show a message in the modal's status line
+ * @param {string} message - Message text
+ * @param {''|'success'|'error'} [type] - Message style
+ * @param {{href: string, text: string}} [link] - Link to append (e.g. the new commit)
+ */
+function setCommitStatus(message, type = '', link) {
+    const status = document.getElementById('githubCommitStatus');
+    if (!status) return;
+    status.className = type ? `status-text ${type}` : 'status-text';
+    status.textContent = message;
+    if (link) {
+        const anchor = document.createElement('a');
+        anchor.href = link.href;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.textContent = link.text;
+        status.append(' ', anchor);
+    }
+}
+
+/**
+ * Switch the buttons between the form and the finished state
+ * @param {boolean} done - True once the commit was made
+ */
+function setDone(done) {
+    const submit = document.getElementById('githubCommitSubmit');
+    const cancel = document.getElementById('githubCommitCancel');
+    if (submit) submit.hidden = done;
+    if (cancel) cancel.textContent = done ? 'Close' : 'Cancel';
+}
+
+/**
+ * Offer to merge the changes made on GitHub
+ */
+function showMergeButton() {
+    const mergeBtn = document.getElementById('githubCommitMergeBtn');
+    if (mergeBtn) mergeBtn.hidden = false;
+}
+
+/**
+ * Show or hide the new branch field for the selected commit mode
+ */
+function updateModeFields() {
+    const usePullRequest = document.querySelector('input[name="githubCommitMode"]:checked')?.value === 'pull-request';
+    const branchInput = document.getElementById('githubCommitNewBranch');
+    if (branchInput) {
+        branchInput.hidden = !usePullRequest;
+    }
+}
+
+/**
+ * Get a default name for a new branch
+ * @param {string} path - File path
+ * @returns {string} Branch name (e.g. "merview/update-readme")
+ */
+function getDefaultBranchName(path) {
+    const name = path.split('/').pop().replace(/\.[^.]+$/, '');
+    const slug = name.toLowerCase().replaceAll(/[^a-z0-9]+/g, '-').replaceAll(/(^-|-$)/g, '');
+    return `merview/update-${slug || 'document'}`;
+}
+
+/**
+ * Fill in the modal for the active document
+ * @param {import('../github-commit.js').GitHubFileLocation} location - File location
+ */
+function resetForm(location) {
+    const filename = location.path.split('/').pop();
+
+    const target = document.getElementById('githubCommitTarget');
+    if (target) {
+        target.textContent = `${location.owner}/${location.repo}: ${location.path}`;
+    }
+    const branchName = document.getElementById('githubCommitBranchName');
+    if (branchName) {
+        branchName.textContent = location.ref;
+    }
+    const message = document.getElementById('githubCommitMessage');
+    if (message) {
+        message.value = `Update ${filename}`;
+    }
+    const direct = document.querySelector('input[name="githubCommitMode"][value="direct"]');
+    if (direct) {
+        direct.checked = true;
+    }
+    const branchInput = document.getElementById('githubCommitNewBranch');
+    if (branchInput) {
+        branchInput.value = getDefaultBranchName(location.path);
+    }
+
+    updateModeFields();
+    resetOutcome();
+}
+
+/**
+ * Clear the result of a previous attempt (warning, conflict, or commit)
+ */
+function resetOutcome() {
+    force = false;
+    conflictFile = null;
+    const submit = document.getElementById('githubCommitSubmit');
+    if (submit) submit.textContent = 'Commit';
+    const mergeBtn = document.getElementById('githubCommitMergeBtn');
+    if (mergeBtn) mergeBtn.hidden = true;
+    setDone(false);
+    setCommitStatus('');
+}
+
+/**
+ * Show the Commit to GitHub modal for the active document
+ */
+export function showGitHubCommitModal() {
+    const modal = getModal();
+    if (!modal) {
+        console.error('GitHub commit modal not found in DOM');
+        return;
+    }
+    const location = parseGitHubFileUrl(state.loadedFromURL);
+    if (!location) {
+        showStatus('This document was not loaded from a GitHub repository', 'warning');
+        return;
+    }
+
+    resetForm(location);
+    triggerElement = document.activeElement;
+    modal.showModal();
+    document.getElementById('githubCommitMessage')?.focus();
+}
+
+/**
+ * Hide the GitHub commit modal
+ */
+export function hideGitHubCommitModal() {
+    const modal = getModal();
+    if (modal?.open) {
+        modal.close();
+    }
+}
+
+/**
+ * Read and check the form
+ * @returns {{message: string, branch: string|null}|null} Commit options, or null if invalid
+ */
+function readForm() {
+    const message = document.getElementById('githubCommitMessage')?.value.trim() || '';
+    if (!message) {
+        setCommitStatus('Enter a commit message', 'error');
+        return null;
+    }
+
+    const usePullRequest = document.querySelector('input[name="githubCommitMode"]:checked')?.value === 'pull-request';
+    if (!usePullRequest) {
+        return { message, branch: null };
+    }
+    const branch = document.getElementById('githubCommitNewBranch')?.value.trim() || '';
+    if (!branch) {
+        setCommitStatus('Enter a name for the new branch', 'error');
+        return null;
+    }
+    return { message, branch };
+}
+
+/**
+ * Authorize repository access, then come back to the modal and commit
+ * The form is kept as filled in while the authorization steps are shown.
+ * @returns {Promise<void>}
+ */
+async function authorizeAndCommit() {
+    const modal = getModal();
+    // Close without restoring focus: the modal reopens after authorizing
+    const savedTrigger = triggerElement;
+    triggerElement = null;
+    modal?.close();
+
+    await authorizeGitHub(COMMIT_SCOPE, async () => {
+        hideGistModal();
+        triggerElement = savedTrigger;
+        modal?.showModal();
+        await submitCommit();
+    });
+}
+
+/**
+ * Commit the document with the options from the form
+ * @returns {Promise<void>}
+ */
+async function submitCommit() {
+    if (committing) return;
+    const options = readForm();
+    if (!options) return;
+
+    if (!hasCommitAccess()) {
+        await authorizeAndCommit();
+        return;
+    }
+
+    const submit = document.getElementById('githubCommitSubmit');
+    committing = true;
+    if (submit) submit.disabled = true;
+    setCommitStatus('Committing to GitHub...');
+
+    try {
+        const result = await commitToGitHub({ ...options, force });
+        conflictFile = null;
+        switch (result.status) {
+            case 'committed':
+                setDone(true);
+                setCommitStatus('Committed to GitHub.', 'success', { href: result.url, text: 'View commit' });
+                showStatus('Committed to GitHub');
+                break;
+            case 'pull-request':
+                setDone(true);
+                setCommitStatus(`Committed to ${options.branch} and opened a pull request.`, 'success', { href: result.url, text: 'View pull request' });
+                showStatus('Pull request opened on GitHub');
+                break;
+            case 'unchanged':
+                setCommitStatus('No changes to commit: the file on GitHub already has this text.', 'error');
+                break;
+            case 'conflict':
+                conflictFile = result.file;
+                showMergeButton();
+                setCommitStatus('The file was changed on GitHub since it was loaded here. Merge those changes first, then commit again.', 'error');
+                break;
+            case 'unknown':
+                force = true;
+                if (submit) submit.textContent = 'Commit Anyway';
+                setCommitStatus('There is no record of the version this document was loaded from, so changes made on GitHub since then cannot be detected. Committing replaces the file on GitHub.', 'error');
+                break;
+            default:
+                break;
+        }
+    } catch (error) {
+        console.error('Error committing to GitHub:', error);
+        setCommitStatus('Error committing to GitHub: ' + error.message, 'error');
+    } finally {
+        committing = false;
+        if (submit) submit.disabled = false;
+    }
+}
+
+/**
+ * Merge the changes made on GitHub into the document
+ * @returns {Promise<void>}
+ */
+async function mergeRemoteChanges() {
+    const file = conflictFile;
+    if (!file) return;
+
+    hideGitHubCommitModal();
+    // Same as checking the source for updates, with the text read through the API
+    // (raw.githubusercontent.com may still serve the old version for a few minutes)
+    await checkSourceUpdates({ markdown: file.text, etag: null, lastModified: null });
+}
+
+/**
+ * Initialize GitHub commit modal event handlers
+ * Should be called once during app initialization
+ */
+export function initGitHubCommitModalHandlers() {
+    if (initialized) {
+        console.warn('GitHub commit modal already initialized');
+        return;
+    }
+
+    const modal = getModal();
+    if (!modal) {
+        console.warn('GitHub commit modal not found in DOM');
+        return;
+    }
+
+    document.querySelectorAll('input[name="githubCommitMode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            updateModeFields();
+            resetOutcome();
+        });
+    });
+
+    document.getElementById('githubCommitNewBranch')?.addEventListener('input', () => {
+        resetOutcome();
+    });
+
+    document.getElementById('githubCommitSubmit')?.addEventListener('click', () => {
+        submitCommit();
+    });
+
+    document.getElementById('githubCommitMergeBtn')?.addEventListener('click', () => {
+        mergeRemoteChanges();
+    });
+
+    document.getElementById('githubCommitCancel')?.addEventListener('click', () => {
+        hideGitHubCommitModal();
+    });
+
+    // Handle close event (Escape key, backdrop click, or .close() call)
+    modal.addEventListener('close', () => {
+        // Restore focus to trigger element
+        triggerElement?.focus?.();
+        triggerElement = null;
+    });
+
+    initialized = true;
+}
@@ -0,0 +1,161 @@
+/**
+ * PDF Page Setup Modal Component
+ *
+ * Lets the user choose how "Save as PDF" lays out pages:
+ * - Page size, orientation and margins
+ * - Running header (document title) and footer (Page X of Y)
+ * - Cover page from YAML front matter
+ *
+ * Options are saved to localStorage and applied by pdf-setup.js when printing.
+ */
+
+import { state } from '../state.js';
+import { showStatus } from '../utils.js';
+import { pdfPageSizes, pdfMargins } from '../config.js';
+import { savePDFOptions } from '../storage.js';
+import { getPDFPageSetup } from '../pdf-setup.js';
+import { exportToPDF } from '../file-ops.js';
+
+// Modal state
+let triggerElement = null;
+let initialized = false;
+
+/**
+ * Get the PDF options modal element
+ * @returns {HTMLDialogElement|null}
+ */
+function getModal() {
+    return document.getElementById('pdfOptionsModal');
+}
+
+/**
+ * Fill a select element with options from config
+ * @param {HTMLSelectElement|null} select - Select element to fill
+ * @param {Array<{name: string, value: string}>} choices - Options to add
+ */
+function populateSelect(select, choices) {
+    if (!select) return;
+    choices.forEach(({ name, value }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Show the saved options in the form
+ * @param {HTMLFormElement} form - The PDF options form
+ */
+function fillForm(form) {
+    const options = getPDFPageSetup();
+    form.elements.pageSize.value = options.pageSize;
+    form.elements.orientation.value = options.orientation;
+    form.elements.margin.value = options.margin;
+    form.elements.header.checked = options.header;
+    form.elements.footer.checked = options.footer;
+    form.elements.coverPage.checked = options.coverPage;
+
+    const hrNote = document.getElementById('pdfOptionsHrNote');
+    if (hrNote) {
+        hrNote.textContent = state.hrAsPageBreak
+            ? 'Horizontal rules start a new page (HR as Page Break is on in the style menu).'
+            : 'Horizontal rules print as separators (turn on HR as Page Break in the style menu to start new pages).';
+    }
+}
+
+/**
+ * Read the form into an options object
+ * @param {HTMLFormElement} form - The PDF options form
+ * @returns {Object} PDF Page Setup options
+ */
+function readForm(form) {
+    return {
+        pageSize: form.elements.pageSize.value,
+        orientation: form.elements.orientation.value,
+        margin: form.elements.margin.value,
+        header: form.elements.header.checked,
+        footer: form.elements.footer.checked,
+        coverPage: form.elements.coverPage.checked
+    };
+}
+
+/**
+ * Show the PDF Page Setup modal
+ */
+export function showPDFOptionsModal() {
+    const modal = getModal();
+    const form = document.getElementById('pdfOptionsForm');
+    if (!modal || !form) {
+        console.error('PDF options modal not found in DOM');
+        return;
+    }
+
+    triggerElement = document.activeElement;
+    fillForm(form);
+    modal.showModal();
+    form.elements.pageSize.focus();
+}
+
+/**
+ * Hide the PDF Page Setup modal
+ */
+export function hidePDFOptionsModal() {
+    const modal = getModal();
+    if (modal?.open) {
+        modal.close();
+    }
+}
+
+/**
+ * Save the form and close the modal
+ * @param {HTMLFormElement} form - The PDF options form
+ */
+function saveAndClose(form) {
+    savePDFOptions(readForm(form));
+    hidePDFOptionsModal();
+}
+
+/**
+ * Initialize PDF options modal event handlers
+ * Should be called once during app initialization
+ */
+export function initPDFOptionsModalHandlers() {
+    if (initialized) {
+        console.warn('PDF options modal already initialized');
+        return;
+    }
+
+    const modal = getModal();
+    const form = document.getElementById('pdfOptionsForm');
+    if (!modal || !form) {
+        console.warn('PDF options modal not found in DOM');
+        return;
+    }
+
+    populateSelect(form.elements.pageSize, pdfPageSizes);
+    populateSelect(form.elements.margin, pdfMargins);
+
+    document.getElementById('pdfOptionsCancel')?.addEventListener('click', () => {
+        hidePDFOptionsModal();
+    });
+
+    document.getElementById('pdfOptionsSave')?.addEventListener('click', () => {
+        saveAndClose(form);
+        showStatus('PDF page setup saved');
+    });
+
+    document.getElementById('pdfOptionsExport')?.addEventListener('click', () => {
+        saveAndClose(form);
+        exportToPDF();
+    });
+
+    // Handle close event (Escape key, backdrop click, or .close() call)
+    modal.addEventListener('close', () => {
+        // Restore focus to trigger element
+        triggerElement?.focus?.();
+        triggerElement = null;
+    });
+
+    initialized = true;
+}
@@ -3,9 +3,14 @@
  *
  * Provides a modal for viewing and managing document sessions:
  * - List all saved sessions with metadata
+ * - Search the content of all sessions and jump to a matching line
+ * - Pin sessions, tag them and file them in folders; filter and group the list by these
  * - Switch between sessions
  * - Delete individual sessions
+ * - Open a session's version history
+ * - Check a URL-loaded session's source for updates
  * - Clear all sessions
+ * - Export all sessions to a .zip backup and import them back
  * - View storage usage stats
  *
  * Features keyboard accessibility (Escape to close, Tab for focus trap)
@@ -16,8 +21,13 @@ import { state, resetEditorState } from '../state.js';
 import { showStatus } from '../utils.js';
 import { renderMarkdown } from '../renderer.js';
 import { updateDocumentSelector } from '../documents.js';
+import { jumpToLine } from '../editor.js';
+import { searchSessions } from '../session-search.js';
 import {
     getAllSessions,
+    getAllTags,
+    getAllFolders,
+    updateSessionOrganization,
     getActiveSessionMeta,
     getStorageStats,
     switchSession,
@@ -29,10 +39,19 @@ import {
     formatRelativeTime,
     formatFileSize
 } from '../sessions.js';
+import { exportSessionsArchive, importSessionsArchive } from '../session-archive.js';
+import { showVersionHistoryModal } from './version-history-modal.js';
+import { checkSourceUpdates } from './source-sync-modal.js';
+
+// Delay before searching while the user types
+const SEARCH_DEBOUNCE_MS = 200;
 
 // Modal state
 let triggerElement = null;
 let initialized = false;
+let searchTimeout = null;
+let searchGeneration = 0;
+let searchResults = [];
 
 /**
  * Get the sessions modal element
@@ -54,6 +73,28 @@ function renderStorageStats() {
     return `${stats.totalSessions} session${stats.totalSessions === 1 ? '' : 's'} (${sizeDisplay} of ${maxDisplay})`;
 }
 
+/**
+ * Create a session action button (handled by the list's click delegation)
+ * @param {Object} session - Session metadata
+ * @param {Object} options - Button options
+ * @param {string} options.action - Action name (data-action)
+ * @param {string} options.text - Button text
+ * @param {string} options.title - Tooltip
+ * @param {string} options.label - Accessible name
+ * @param {string} [options.className='btn btn-sm'] - Button classes
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(session, { action, text, title, label, className = 'btn btn-sm' }) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('aria-label', label);
+    button.dataset.action = action;
+    button.dataset.sessionId = session.id;
+    return button;
+}
+
 /**
  * Render a single session item
  * @param {Object} session - Session metadata
@@ -84,9 +125,22 @@ function createSessionItem(session, isActive) {
 
     const metaDiv = document.createElement('div');
     metaDiv.className = 'session-meta';
-    metaDiv.textContent = `${formatRelativeTime(session.lastModified)} | ${formatFileSize(session.contentSize || 0)}`;
+    const folder = session.folder ? `📁 ${session.folder} | ` : '';
+    metaDiv.textContent = `${folder}${formatRelativeTime(session.lastModified)} | ${formatFileSize(session.contentSize || 0)}`;
     info.appendChild(metaDiv);
 
+    if (session.tags?.length) {
+        const tagsDiv = document.createElement('div');
+        tagsDiv.className = 'session-tags';
+        session.tags.forEach(tag => {
+            const tagSpan = document.createElement('span');
+            tagSpan.className = 'session-tag';
+            tagSpan.textContent = tag;
+            tagsDiv.appendChild(tagSpan);
+        });
+        info.appendChild(tagsDiv);
+    }
+
     item.appendChild(info);
 
     const actions = document.createElement('div');
@@ -94,39 +148,182 @@ function createSessionItem(session, isActive) {
 
     // Open button (only for non-active sessions)
     if (!isActive) {
-        const openBtn = document.createElement('button');
-        openBtn.className = 'btn btn-sm';
-        openBtn.textContent = 'Open';
-        openBtn.title = 'Switch to this document';
-        openBtn.setAttribute('aria-label', `Open ${session.name}`);
-        openBtn.dataset.action = 'switch';
-        openBtn.dataset.sessionId = session.id;
-        actions.appendChild(openBtn);
+        actions.appendChild(createActionButton(session, {
+            action: 'switch',
+            text: 'Open',
+            title: 'Switch to this document',
+            label: `Open ${session.name}`
+        }));
+    }
+
+    // Pin toggle: pinned sessions are listed first and never auto-cleaned
+    const pinBtn = createActionButton(session, {
+        action: 'pin',
+        text: '📌',
+        title: session.pinned ? 'Unpin' : 'Pin (keep at the top and never clean up automatically)',
+        label: `${session.pinned ? 'Unpin' : 'Pin'} ${session.name}`,
+        className: session.pinned ? 'btn btn-sm session-pin-active' : 'btn btn-sm'
+    });
+    pinBtn.setAttribute('aria-pressed', String(Boolean(session.pinned)));
+    actions.appendChild(pinBtn);
+
+    // Tags and folder
+    actions.appendChild(createActionButton(session, {
+        action: 'tags',
+        text: '🏷️',
+        title: 'Edit tags',
+        label: `Edit tags of ${session.name}`
+    }));
+    actions.appendChild(createActionButton(session, {
+        action: 'folder',
+        text: '📁',
+        title: 'Move to folder',
+        label: `Move ${session.name} to a folder`
+    }));
+
+    // Source check button (only for sessions loaded from a URL)
+    if (session.sourceUrl) {
+        actions.appendChild(createActionButton(session, {
+            action: 'sync',
+            text: '🔄',
+            title: `Check ${session.sourceUrl} for updates`,
+            label: `Check source of ${session.name} for updates`
+        }));
     }
 
+    // Version history button
+    actions.appendChild(createActionButton(session, {
+        action: 'history',
+        text: '🕘',
+        title: 'Show version history',
+        label: `Version history of ${session.name}`
+    }));
+
     // Delete button with trash icon
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'btn btn-sm btn-danger';
-    deleteBtn.textContent = '🗑️';
-    deleteBtn.title = 'Delete this session';
-    deleteBtn.setAttribute('aria-label', `Delete ${session.name}`);
-    deleteBtn.dataset.action = 'delete';
-    deleteBtn.dataset.sessionId = session.id;
-    actions.appendChild(deleteBtn);
+    actions.appendChild(createActionButton(session, {
+        action: 'delete',
+        text: '🗑️',
+        title: 'Delete this session',
+        label: `Delete ${session.name}`,
+        className: 'btn btn-sm btn-danger'
+    }));
 
     item.appendChild(actions);
 
     return item;
 }
 
+/**
+ * Get the selected list filter
+ * @returns {string} '' (all), 'pinned', 'folder:<name>' or 'tag:<name>'
+ */
+function getFilter() {
+    return document.getElementById('sessionsFilter')?.value ?? '';
+}
+
+/**
+ * Check whether a session passes the selected filter
+ * @param {Object} session - Session metadata
+ * @param {string} filter - Value from getFilter()
+ * @returns {boolean} True if the session should be listed
+ */
+function matchesFilter(session, filter) {
+    if (!filter) return true;
+    if (filter === 'pinned') return Boolean(session.pinned);
+    if (filter.startsWith('folder:')) return session.folder === filter.slice('folder:'.length);
+    if (filter.startsWith('tag:')) {
+        const tag = filter.slice('tag:'.length).toLowerCase();
+        return (session.tags || []).some(t => t.toLowerCase() === tag);
+    }
+    return true;
+}
+
+/**
+ * Rebuild the filter options from the folders and tags in use
+ * Keeps the current selection if it still exists.
+ */
+function updateFilterOptions() {
+    const select = document.getElementById('sessionsFilter');
+    if (!select) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+
+    const addOption = (parent, value, text) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        parent.appendChild(option);
+    };
+    const addGroup = (label, values, prefix, icon) => {
+        if (values.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        values.forEach(value => addOption(group, `${prefix}${value}`, `${icon} ${value}`));
+        select.appendChild(group);
+    };
+
+    addOption(select, '', 'All sessions');
+    addOption(select, 'pinned', '📌 Pinned');
+    addGroup('Folders', getAllFolders(), 'folder:', '📁');
+    addGroup('Tags', getAllTags(), 'tag:', '🏷️');
+
+    select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+}
+
+/**
+ * Append a group heading to the sessions list
+ * @param {HTMLElement} listContainer - Sessions list
+ * @param {string} label - Heading text
+ */
+function appendGroupHeader(listContainer, label) {
+    const header = document.createElement('div');
+    header.className = 'sessions-group-header';
+    header.textContent = label;
+    listContainer.appendChild(header);
+}
+
+/**
+ * Split sessions into pinned, per-folder and remaining groups
+ * @param {Array} sessions - Session metadata (sorted)
+ * @returns {Array<{label: string, sessions: Array}>} Non-empty groups, or one unlabeled
+ *     group when nothing is pinned or filed
+ */
+function groupSessions(sessions) {
+    const pinned = sessions.filter(s => s.pinned);
+    const folders = [...new Set(sessions.filter(s => !s.pinned && s.folder).map(s => s.folder))]
+        .sort((a, b) => a.localeCompare(b));
+    const rest = sessions.filter(s => !s.pinned && !s.folder);
+
+    if (pinned.length === 0 && folders.length === 0) {
+        return [{ label: '', sessions: rest }];
+    }
+
+    return [
+        { label: '📌 Pinned', sessions: pinned },
+        ...folders.map(folder => ({
+            label: `📁 ${folder}`,
+            sessions: sessions.filter(s => !s.pinned && s.folder === folder)
+        })),
+        { label: 'Other sessions', sessions: rest }
+    ].filter(group => group.sessions.length > 0);
+}
+
 /**
  * Render the sessions list
+ * Without a filter, sessions are grouped: pinned first, then by folder.
  */
 function renderSessionsList() {
     const listContainer = document.getElementById('sessionsList');
     if (!listContainer) return;
 
-    const sessions = getAllSessions();
+    if (getSearchQuery()) {
+        runSearch();
+        return;
+    }
+
+    const filter = getFilter();
+    const sessions = getAllSessions().filter(session => matchesFilter(session, filter));
     const activeSession = getActiveSessionMeta();
 
     listContainer.innerHTML = '';
@@ -134,18 +331,166 @@ function renderSessionsList() {
     if (sessions.length === 0) {
         const emptyMsg = document.createElement('div');
         emptyMsg.className = 'sessions-empty';
-        emptyMsg.textContent = 'No saved sessions';
+        emptyMsg.textContent = filter ? 'No sessions match this filter' : 'No saved sessions';
         listContainer.appendChild(emptyMsg);
         return;
     }
 
-    sessions.forEach(session => {
-        const isActive = activeSession && session.id === activeSession.id;
-        const item = createSessionItem(session, isActive);
-        listContainer.appendChild(item);
+    const groups = filter ? [{ label: '', sessions }] : groupSessions(sessions);
+    groups.forEach(group => {
+        if (group.label) {
+            appendGroupHeader(listContainer, group.label);
+        }
+        group.sessions.forEach(session => {
+            const isActive = activeSession && session.id === activeSession.id;
+            const item = createSessionItem(session, isActive);
+            listContainer.appendChild(item);
+        });
     });
 }
 
+/**
+ * Get the text in the search box
+ * @returns {string} Trimmed query
+ */
+function getSearchQuery() {
+    return document.getElementById('sessionsSearchInput')?.value.trim() ?? '';
+}
+
+/**
+ * Append text to an element, wrapping the given ranges in <mark>
+ * @param {HTMLElement} parent - Element to fill
+ * @param {string} text - Text to show
+ * @param {Array<[number, number]>} ranges - Sorted [start, end) ranges to highlight
+ */
+function appendHighlightedText(parent, text, ranges) {
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        parent.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        parent.appendChild(mark);
+        position = end;
+    });
+    parent.appendChild(document.createTextNode(text.slice(position)));
+}
+
+/**
+ * Create a button for a matching line that opens the session at that line
+ * @param {string} sessionId - Session ID
+ * @param {Object} snippet - Snippet from searchSessions()
+ * @returns {HTMLButtonElement} Snippet button
+ */
+function createSnippetButton(sessionId, snippet) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'session-snippet';
+    button.title = `Open at line ${snippet.line + 1}`;
+    button.dataset.action = 'open-match';
+    button.dataset.sessionId = sessionId;
+    button.dataset.line = String(snippet.line);
+    button.dataset.from = String(snippet.matchStart);
+    button.dataset.to = String(snippet.matchEnd);
+
+    const lineNumber = document.createElement('span');
+    lineNumber.className = 'session-snippet-line';
+    lineNumber.textContent = String(snippet.line + 1);
+    button.appendChild(lineNumber);
+
+    const text = document.createElement('span');
+    text.className = 'session-snippet-text';
+    appendHighlightedText(text, snippet.text, snippet.ranges);
+    button.appendChild(text);
+
+    return button;
+}
+
+/**
+ * Render a search result: the session with its matching lines
+ * @param {Object} result - Result from searchSessions()
+ * @param {boolean} isActive - Whether this is the active session
+ * @returns {HTMLElement} Result element
+ */
+function createSearchResultItem(result, isActive) {
+    const item = createSessionItem(result.session, isActive);
+    item.classList.add('session-search-result');
+
+    const meta = item.querySelector('.session-meta');
+    if (meta) {
+        const lines = result.matchCount === 1 ? '1 matching line' : `${result.matchCount} matching lines`;
+        meta.textContent = `${lines} | ${formatRelativeTime(result.session.lastModified)}`;
+    }
+
+    if (result.snippets.length > 0) {
+        const snippets = document.createElement('div');
+        snippets.className = 'session-snippets';
+        result.snippets.forEach(snippet => snippets.appendChild(createSnippetButton(result.session.id, snippet)));
+        item.querySelector('.session-info')?.appendChild(snippets);
+    }
+
+    return item;
+}
+
+/**
+ * Render search results in place of the sessions list
+ * @param {Array} results - Results from searchSessions()
+ */
+function renderSearchResults(results) {
+    const listContainer = document.getElementById('sessionsList');
+    if (!listContainer) return;
+
+    const activeSession = getActiveSessionMeta();
+    listContainer.innerHTML = '';
+
+    if (results.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'sessions-empty';
+        emptyMsg.textContent = 'No sessions match your search';
+        listContainer.appendChild(emptyMsg);
+        return;
+    }
+
+    results.forEach(result => {
+        const isActive = activeSession && result.session.id === activeSession.id;
+        listContainer.appendChild(createSearchResultItem(result, isActive));
+    });
+}
+
+/**
+ * Search all sessions for the text in the search box and show the results
+ * Results of an older search that finishes late are discarded.
+ * @returns {Promise<void>}
+ */
+async function runSearch() {
+    const generation = ++searchGeneration;
+    const query = getSearchQuery();
+    if (!query) {
+        searchResults = [];
+        renderSessionsList();
+        return;
+    }
+
+    try {
+        const filter = getFilter();
+        const results = (await searchSessions(query)).filter(result => matchesFilter(result.session, filter));
+        if (generation === searchGeneration) {
+            searchResults = results;
+            renderSearchResults(results);
+        }
+    } catch (error) {
+        console.error('Session search failed:', error);
+        showStatus('Error searching sessions: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Search after the user stops typing
+ */
+function scheduleSearch() {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+}
+
 /**
  * Update the storage stats display
  */
@@ -158,8 +503,10 @@ function updateStorageDisplay() {
 
 /**
  * Show the sessions management modal
+ * @param {Object} [options]
+ * @param {boolean} [options.focusSearch=false] - Put the cursor in the search box
  */
-export function showSessionsModal() {
+export function showSessionsModal({ focusSearch = false } = {}) {
     const modal = getModal();
     if (!modal) {
         console.error('Sessions modal not found in DOM');
@@ -167,14 +514,33 @@ export function showSessionsModal() {
     }
 
     // Store the element that triggered the modal for focus restoration
-    triggerElement = document.activeElement;
+    if (!modal.open) {
+        triggerElement = document.activeElement;
+    }
+
+    // Start with the full list
+    const searchInput = document.getElementById('sessionsSearchInput');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    searchResults = [];
+    updateFilterOptions();
+    const filterSelect = document.getElementById('sessionsFilter');
+    if (filterSelect) {
+        filterSelect.value = '';
+    }
 
     // Update modal content
     updateStorageDisplay();
     renderSessionsList();
 
-    // Show modal
-    modal.showModal();
+    // Show modal (the search shortcut can fire while it is already open)
+    if (!modal.open) {
+        modal.showModal();
+    }
+    if (focusSearch) {
+        searchInput?.focus();
+    }
 }
 
 /**
@@ -219,28 +585,58 @@ function clearEditor() {
 /**
  * Handle switching to a different session
  * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session was opened
  */
-function handleSwitchSession(sessionId) {
-    const session = switchSession(sessionId);
+async function handleSwitchSession(sessionId) {
+    const session = await switchSession(sessionId);
     if (session) {
         loadSessionIntoEditor(session);
         updateDocumentSelector();
         showStatus(`Opened: ${session.name}`);
         hideSessionsModal();
-    } else {
-        showStatus('Failed to switch session', 'error');
+        return true;
+    }
+    showStatus('Failed to switch session', 'error');
+    return false;
+}
+
+/**
+ * Open a search result at its matching line
+ * @param {string} sessionId - Session ID
+ * @param {Object} match - Match position
+ * @param {number} match.line - Zero-based line number
+ * @param {number} match.from - Column where the match starts
+ * @param {number} match.to - Column where the match ends
+ */
+async function handleOpenMatch(sessionId, { line, from, to }) {
+    if (sessionId !== state.activeSessionId && !(await handleSwitchSession(sessionId))) {
+        return;
     }
+    hideSessionsModal();
+    jumpToLine(line, from, to);
+}
+
+/**
+ * Open a session and check its source for updates
+ * @param {string} sessionId - Session ID
+ */
+async function handleCheckSource(sessionId) {
+    if (sessionId !== state.activeSessionId && !(await handleSwitchSession(sessionId))) {
+        return;
+    }
+    hideSessionsModal();
+    await checkSourceUpdates();
 }
 
 /**
  * Handle reloading after active session deletion
  * @param {boolean} isActive - Whether deleted session was active
  */
-function handlePostDeletion(isActive) {
+async function handlePostDeletion(isActive) {
     if (isActive) {
         const newActive = getActiveSessionMeta();
         if (newActive) {
-            const newSession = switchSession(newActive.id);
+            const newSession = await switchSession(newActive.id);
             if (newSession) {
                 loadSessionIntoEditor(newSession);
             }
@@ -251,6 +647,7 @@ function handlePostDeletion(isActive) {
 
     updateDocumentSelector();
     updateStorageDisplay();
+    updateFilterOptions();
     renderSessionsList();
     showStatus('Session deleted');
 }
@@ -259,7 +656,7 @@ function handlePostDeletion(isActive) {
  * Handle deleting a session
  * @param {string} sessionId - Session ID
  */
-function handleDeleteSession(sessionId) {
+async function handleDeleteSession(sessionId) {
     const activeSession = getActiveSessionMeta();
     const isActive = activeSession?.id === sessionId;
 
@@ -276,7 +673,7 @@ function handleDeleteSession(sessionId) {
     if (confirm(`Delete "${sessionName}"?`)) {
         const success = deleteSession(sessionId);
         if (success) {
-            handlePostDeletion(isActive);
+            await handlePostDeletion(isActive);
         } else {
             showStatus('Failed to delete session', 'error');
         }
@@ -284,15 +681,96 @@ function handleDeleteSession(sessionId) {
 }
 
 /**
- * Handle session action (switch, delete)
+ * Refresh everything that lists sessions after their metadata changed
+ */
+function refreshSessionLists() {
+    updateDocumentSelector();
+    updateFilterOptions();
+    renderSessionsList();
+}
+
+/**
+ * Handle pinning or unpinning a session
+ * @param {Object} session - Session metadata
+ */
+function handleTogglePin(session) {
+    const pinned = !session.pinned;
+    if (updateSessionOrganization(session.id, { pinned })) {
+        refreshSessionLists();
+        showStatus(`${pinned ? 'Pinned' : 'Unpinned'}: ${session.name}`);
+    } else {
+        showStatus('Failed to update session', 'error');
+    }
+}
+
+/**
+ * Handle editing a session's tags
+ * @param {Object} session - Session metadata
+ */
+function handleEditTags(session) {
+    const input = prompt(`Tags for "${session.name}" (comma-separated):`, (session.tags || []).join(', '));
+    if (input === null) return;
+
+    if (updateSessionOrganization(session.id, { tags: input.split(',') })) {
+        refreshSessionLists();
+        showStatus('Tags updated');
+    } else {
+        showStatus('Failed to update session', 'error');
+    }
+}
+
+/**
+ * Handle moving a session to a folder
+ * @param {Object} session - Session metadata
+ */
+function handleMoveToFolder(session) {
+    const folders = getAllFolders();
+    const hint = folders.length > 0 ? ` Existing folders: ${folders.join(', ')}.` : '';
+    const input = prompt(`Folder for "${session.name}" (leave empty for none).${hint}`, session.folder || '');
+    if (input === null) return;
+
+    if (updateSessionOrganization(session.id, { folder: input })) {
+        refreshSessionLists();
+        const folder = getAllSessions().find(s => s.id === session.id)?.folder;
+        showStatus(folder ? `Moved to folder: ${folder}` : 'Removed from folder');
+    } else {
+        showStatus('Failed to update session', 'error');
+    }
+}
+
+/**
+ * Handle session action (switch, open-match, pin, tags, folder, sync, history, delete)
  * @param {string} sessionId - Session ID
- * @param {string} action - Action type ('switch' or 'delete')
+ * @param {string} action - Action type ('switch', 'open-match', 'pin', 'tags', 'folder',
+ *     'sync', 'history' or 'delete')
+ * @param {DOMStringMap} [data] - Data attributes of the clicked button
  */
-function handleSessionAction(sessionId, action) {
+async function handleSessionAction(sessionId, action, data = {}) {
     if (action === 'switch') {
-        handleSwitchSession(sessionId);
+        await handleSwitchSession(sessionId);
+    } else if (action === 'open-match') {
+        await handleOpenMatch(sessionId, {
+            line: Number(data.line) || 0,
+            from: Number(data.from) || 0,
+            to: Number(data.to) || 0
+        });
+    } else if (action === 'pin' || action === 'tags' || action === 'folder') {
+        const session = getAllSessions().find(s => s.id === sessionId);
+        if (!session) {
+            showStatus('Session not found', 'warning');
+        } else if (action === 'pin') {
+            handleTogglePin(session);
+        } else if (action === 'tags') {
+            handleEditTags(session);
+        } else {
+            handleMoveToFolder(session);
+        }
+    } else if (action === 'sync') {
+        await handleCheckSource(sessionId);
+    } else if (action === 'history') {
+        await showVersionHistoryModal(sessionId);
     } else if (action === 'delete') {
-        handleDeleteSession(sessionId);
+        await handleDeleteSession(sessionId);
     }
 }
 
@@ -332,11 +810,32 @@ function handleClearAll() {
         // Update displays
         updateDocumentSelector();
         updateStorageDisplay();
+        updateFilterOptions();
         renderSessionsList();
         showStatus('All sessions cleared');
     }
 }
 
+/**
+ * Handle a backup archive chosen for import
+ * @param {HTMLInputElement} input - File input
+ * @returns {Promise<void>}
+ */
+async function handleImportArchive(input) {
+    const file = input.files?.[0];
+    // Reset so choosing the same file again fires another change event
+    input.value = '';
+    if (!file) return;
+
+    const count = await importSessionsArchive(file);
+    if (count > 0) {
+        updateDocumentSelector();
+        updateStorageDisplay();
+        updateFilterOptions();
+        renderSessionsList();
+    }
+}
+
 /**
  * Initialize sessions modal event handlers
  * Should be called once during app initialization
@@ -356,6 +855,11 @@ export function initSessionsModalHandlers() {
     const closeBtn = document.getElementById('closeSessionsModalBtn');
     const clearAllBtn = document.getElementById('clearAllSessionsBtn');
     const sessionsList = document.getElementById('sessionsList');
+    const exportBtn = document.getElementById('exportSessionsBtn');
+    const importBtn = document.getElementById('importSessionsBtn');
+    const importInput = document.getElementById('importSessionsInput');
+    const searchInput = document.getElementById('sessionsSearchInput');
+    const filterSelect = document.getElementById('sessionsFilter');
 
     // Handle Close button click
     if (closeBtn) {
@@ -371,15 +875,64 @@ export function initSessionsModalHandlers() {
         });
     }
 
+    // Handle Export All button click
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            exportSessionsArchive();
+        });
+    }
+
+    // Handle Import button click (opens the file picker)
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            handleImportArchive(importInput);
+        });
+    }
+
+    // Search as the user types; Enter opens the best match
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            scheduleSearch();
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && searchResults.length > 0) {
+                e.preventDefault();
+                const [best] = searchResults;
+                const snippet = best.snippets[0];
+                const action = snippet
+                    ? handleOpenMatch(best.session.id, { line: snippet.line, from: snippet.matchStart, to: snippet.matchEnd })
+                    : handleSwitchSession(best.session.id);
+                action.catch(error => {
+                    console.error('Session action failed:', error);
+                    showStatus('Failed to load session', 'error');
+                });
+            }
+        });
+    }
+
+    // Filter by pinned, folder or tag
+    if (filterSelect) {
+        filterSelect.addEventListener('change', () => {
+            renderSessionsList();
+        });
+    }
+
     // Handle session item actions via event delegation
     if (sessionsList) {
         sessionsList.addEventListener('click', (e) => {
-            const target = e.target;
-            if (target.tagName === 'BUTTON' && target.dataset.action) {
+            // Snippet buttons contain highlighted text, so the click may land on a child
+            const target = e.target.closest('button[data-action]');
+            if (target) {
                 const action = target.dataset.action;
                 const sessionId = target.dataset.sessionId;
                 if (sessionId) {
-                    handleSessionAction(sessionId, action);
+                    handleSessionAction(sessionId, action, target.dataset).catch(error => {
+                        console.error('Session action failed:', error);
+                        showStatus('Failed to load session', 'error');
+                    });
                 }
             }
         });
@@ -396,7 +949,7 @@ export function initSessionsModalHandlers() {
     modal.addEventListener('keydown', (e) => {
         if (e.key === 'Tab') {
             const focusableElements = modal.querySelectorAll(
-                'button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+                'input:not([hidden]), button:not([disabled]), [tabindex]:not([tabindex="-1"])'
             );
             const firstElement = focusableElements[0];
             const lastElement = focusableElements[focusableElements.length - 1];
@@ -0,0 +1,285 @@
+/**
+ * Source Sync Modal Component
+ *
+ * "Check source for updates" for documents loaded from a URL:
+ * - Source unchanged, or only the source changed: handled with a status message
+ *   (an updated source is reloaded straight away)
+ * - Both the source and the document changed: shows the three-way merge as a diff
+ *   against the document, with the choice to apply the merge, use the source
+ *   version, or keep the document as is
+ * Replaced text is saved to version history first, so every choice can be undone.
+ */
+
+import { state } from '../state.js';
+import { showStatus } from '../utils.js';
+import { getFetchErrorMessage } from '../file-ops.js';
+import { updateDocumentSelector } from '../documents.js';
+import { jumpToLine } from '../editor.js';
+import { formatSessionName, getActiveSessionMeta } from '../sessions.js';
+import { compareWithSource, acceptSource, applySourceText, getSourceURL } from '../source-sync.js';
+import { diffLines, countChanges } from '../text-diff.js';
+import { renderDiff } from './diff-view.js';
+
+// Modal state
+let triggerElement = null;
+let initialized = false;
+let comparison = null;
+let checking = false;
+
+/**
+ * Get the source sync modal element
+ * @returns {HTMLDialogElement|null}
+ */
+function getModal() {
+    return document.getElementById('sourceSyncModal');
+}
+
+/**
+ * Format a line count ("1 line", "3 lines")
+ * @param {number} count - Number of lines
+ * @returns {string} Formatted count
+ */
+function formatLines(count) {
+    return `${count} line${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Get the text the selected view would put in the editor
+ * @returns {string} Merge result or source text
+ */
+function getProposedText() {
+    const view = document.getElementById('sourceSyncView')?.value;
+    return view === 'merge' && comparison.merge ? comparison.merge.text : comparison.remote.markdown;
+}
+
+/**
+ * Render the diff of the document against the selected view
+ */
+function renderSyncDiff() {
+    const container = document.getElementById('sourceSyncDiff');
+    const summary = document.getElementById('sourceSyncDiffSummary');
+    if (!container || !summary || !comparison) return;
+
+    const diff = diffLines(comparison.localText, getProposedText());
+    const { added, removed } = countChanges(diff);
+    summary.textContent = `Adds ${formatLines(added)} and removes ${formatLines(removed)}`;
+    renderDiff(container, diff);
+}
+
+/**
+ * Fill in the modal for a comparison that needs a decision
+ */
+function renderComparison() {
+    const { merge } = comparison;
+    const title = document.getElementById('sourceSyncModalTitle');
+    const meta = getActiveSessionMeta();
+    if (title) {
+        title.textContent = meta ? `Source Updates - ${formatSessionName(meta)}` : 'Source Updates';
+    }
+
+    const message = document.getElementById('sourceSyncMessage');
+    if (message) {
+        if (!merge) {
+            message.textContent = 'This document differs from its source, but there is no record of the version it was loaded from, so changes cannot be merged.';
+        } else if (merge.conflicts > 0) {
+            message.textContent = `The source changed since it was loaded, and so did this document. ${merge.conflicts} section${merge.conflicts === 1 ? ' was' : 's were'} changed on both sides; the merge keeps both versions between conflict markers.`;
+        } else {
+            message.textContent = 'The source changed since it was loaded, and so did this document. The changes do not overlap and can be merged.';
+        }
+    }
+
+    const view = document.getElementById('sourceSyncView');
+    const mergeOption = view?.querySelector('option[value="merge"]');
+    if (view && mergeOption) {
+        mergeOption.disabled = !merge;
+        view.value = merge ? 'merge' : 'source';
+    }
+
+    const applyMergeBtn = document.getElementById('applyMergeBtn');
+    if (applyMergeBtn) {
+        applyMergeBtn.hidden = !merge;
+    }
+
+    renderSyncDiff();
+}
+
+/**
+ * Check the active document's source for updates
+ * Reloads the source if only it changed; opens the modal if the document was edited too.
+ * @param {import('../source-sync.js').RemoteText} [remote] - Current source text, if already known
+ * @returns {Promise<void>}
+ */
+export async function checkSourceUpdates(remote) {
+    const modal = getModal();
+    if (!modal) {
+        console.error('Source sync modal not found in DOM');
+        return;
+    }
+    if (!state.loadedFromURL) {
+        showStatus('This document was not loaded from a URL', 'warning');
+        return;
+    }
+    if (checking) {
+        return;
+    }
+
+    let url;
+    try {
+        url = getSourceURL();
+    } catch (error) {
+        showStatus(error.message);
+        return;
+    }
+    let result;
+    checking = true;
+    try {
+        showStatus('Checking source for updates...');
+        result = await compareWithSource(remote);
+    } catch (error) {
+        console.error('Error checking source:', error);
+        showStatus(getFetchErrorMessage(error, url));
+        return;
+    } finally {
+        checking = false;
+    }
+
+    // Another document was opened while fetching
+    if (result.sessionId !== state.activeSessionId) {
+        return;
+    }
+
+    try {
+        switch (result.status) {
+            case 'current':
+                await acceptSource(result);
+                showStatus('Up to date with source');
+                return;
+            case 'unchanged':
+                showStatus('Source has not changed since it was loaded');
+                return;
+            case 'updated':
+                await applySourceText(result, result.remote.markdown);
+                updateDocumentSelector();
+                showStatus('Reloaded from source');
+                return;
+            default:
+                break;
+        }
+    } catch (error) {
+        console.error('Error updating from source:', error);
+        showStatus('Error updating from source: ' + error.message, 'error');
+        return;
+    }
+
+    comparison = result;
+    triggerElement = document.activeElement;
+    renderComparison();
+    modal.showModal();
+}
+
+/**
+ * Hide the source sync modal
+ */
+export function hideSourceSyncModal() {
+    const modal = getModal();
+    if (modal?.open) {
+        modal.close();
+    }
+}
+
+/**
+ * Put the merge result or the source text in the editor
+ * @param {boolean} useMerge - True to apply the merge, false to use the source version
+ * @returns {Promise<void>}
+ */
+async function applyChoice(useMerge) {
+    const current = comparison;
+    if (!current) return;
+    const text = useMerge && current.merge ? current.merge.text : current.remote.markdown;
+    const conflicts = useMerge && current.merge ? current.merge.conflicts : 0;
+
+    try {
+        await applySourceText(current, text);
+        updateDocumentSelector();
+        hideSourceSyncModal();
+
+        if (conflicts > 0) {
+            // Take the user to the first conflict marker
+            const line = text.split('\n').findIndex(l => l.startsWith('<<<<<<< '));
+            jumpToLine(line, 0, 7);
+            showStatus(`Merged with ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve`, 'warning');
+        } else {
+            showStatus(useMerge ? 'Merged source changes' : 'Replaced with source version');
+        }
+    } catch (error) {
+        console.error('Error updating from source:', error);
+        showStatus('Error updating from source: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Keep the document as is, and only look for newer source changes from now on
+ * @returns {Promise<void>}
+ */
+async function keepLocalVersion() {
+    const current = comparison;
+    if (!current) return;
+
+    try {
+        await acceptSource(current);
+        hideSourceSyncModal();
+        showStatus('Kept your version');
+    } catch (error) {
+        console.error('Error saving source:', error);
+        showStatus('Error saving source: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Initialize source sync modal event handlers
+ * Should be called once during app initialization
+ */
+export function initSourceSyncModalHandlers() {
+    if (initialized) {
+        console.warn('Source sync modal already initialized');
+        return;
+    }
+
+    const modal = getModal();
+    if (!modal) {
+        console.warn('Source sync modal not found in DOM');
+        return;
+    }
+
+    document.getElementById('sourceSyncView')?.addEventListener('change', () => {
+        renderSyncDiff();
+    });
+
+    document.getElementById('applyMergeBtn')?.addEventListener('click', () => {
+        applyChoice(true);
+    });
+
+    document.getElementById('useSourceVersionBtn')?.addEventListener('click', () => {
+        applyChoice(false);
+    });
+
+    document.getElementById('keepLocalVersionBtn')?.addEventListener('click', () => {
+        keepLocalVersion();
+    });
+
+    document.getElementById('closeSourceSyncBtn')?.addEventListener('click', () => {
+        hideSourceSyncModal();
+    });
+
+    // Handle close event (Escape key, backdrop click, or .close() call)
+    modal.addEventListener('close', () => {
+        // Restore focus to trigger element (unless focus was moved to a merge conflict)
+        if (!state.cmEditor?.hasFocus()) {
+            triggerElement?.focus?.();
+        }
+        triggerElement = null;
+        comparison = null;
+    });
+
+    initialized = true;
+}
@@ -0,0 +1,259 @@
+/**
+ * Tab Conflict Modal Component
+ *
+ * Shown when another tab saves the document open in this tab (see sessions.js).
+ * Saving in this tab is paused until the user picks what to keep:
+ * - Reload the other tab's version
+ * - Merge both tabs' changes (three-way, overlapping edits get conflict markers)
+ * - Keep this tab's version, replacing the other tab's
+ * Replaced text is saved to version history first, so every choice can be undone.
+ */
+
+import { state } from '../state.js';
+import { showStatus } from '../utils.js';
+import { renderMarkdown } from '../renderer.js';
+import { updateDocumentSelector } from '../documents.js';
+import { jumpToLine } from '../editor.js';
+import {
+    getSessionConflict,
+    resolveSessionConflict,
+    updateSessionContent,
+    getActiveSessionMeta,
+    formatSessionName
+} from '../sessions.js';
+import { saveVersionNow } from '../version-history.js';
+import { diffLines, countChanges, mergeLines } from '../text-diff.js';
+import { renderDiff } from './diff-view.js';
+
+// Names shown on conflict markers in merged text
+const MERGE_LABELS = { local: 'This tab', remote: 'Other tab' };
+
+// Modal state
+let triggerElement = null;
+let initialized = false;
+let localText = '';
+let merge = null;
+
+/**
+ * Get the tab conflict modal element
+ * @returns {HTMLDialogElement|null}
+ */
+function getModal() {
+    return document.getElementById('tabConflictModal');
+}
+
+/**
+ * Format a line count ("1 line", "3 lines")
+ * @param {number} count - Number of lines
+ * @returns {string} Formatted count
+ */
+function formatLines(count) {
+    return `${count} line${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the diff of this tab's text against the selected view
+ */
+function renderConflictDiff() {
+    const container = document.getElementById('tabConflictDiff');
+    const summary = document.getElementById('tabConflictDiffSummary');
+    const conflict = getSessionConflict();
+    if (!container || !summary || !conflict) return;
+
+    const view = document.getElementById('tabConflictView')?.value;
+    const proposed = view === 'merge' && merge ? merge.text : conflict.content;
+    const diff = diffLines(localText, proposed);
+    const { added, removed } = countChanges(diff);
+    summary.textContent = `Adds ${formatLines(added)} and removes ${formatLines(removed)}`;
+    renderDiff(container, diff);
+}
+
+/**
+ * Fill in the modal for the current conflict
+ * @param {Object} conflict - Result of getSessionConflict()
+ */
+function renderConflict(conflict) {
+    localText = state.cmEditor ? state.cmEditor.getValue() : conflict.base;
+    // Nothing to merge if this tab has no changes of its own
+    const editedHere = localText !== conflict.base;
+    merge = editedHere ? mergeLines(conflict.base, localText, conflict.content, MERGE_LABELS) : null;
+
+    const title = document.getElementById('tabConflictModalTitle');
+    const meta = getActiveSessionMeta();
+    if (title) {
+        title.textContent = meta ? `Changed in Another Tab - ${formatSessionName(meta)}` : 'Changed in Another Tab';
+    }
+
+    const message = document.getElementById('tabConflictMessage');
+    if (message) {
+        if (!merge) {
+            message.textContent = 'This document was changed in another tab. You have no changes here, so reloading loses nothing.';
+        } else if (merge.conflicts > 0) {
+            message.textContent = `This document was changed in another tab while you edited it here. ${merge.conflicts} section${merge.conflicts === 1 ? ' was' : 's were'} changed in both tabs; the merge keeps both versions between conflict markers. Changes in this tab are not saved until you choose.`;
+        } else {
+            message.textContent = 'This document was changed in another tab while you edited it here. The changes do not overlap and can be merged. Changes in this tab are not saved until you choose.';
+        }
+    }
+
+    const view = document.getElementById('tabConflictView');
+    const mergeOption = view?.querySelector('option[value="merge"]');
+    if (view && mergeOption) {
+        mergeOption.disabled = !merge;
+        view.value = merge ? 'merge' : 'other';
+    }
+
+    const mergeBtn = document.getElementById('mergeTabsBtn');
+    if (mergeBtn) {
+        mergeBtn.hidden = !merge;
+    }
+
+    renderConflictDiff();
+}
+
+/**
+ * Show the conflict with another tab, or close the modal if it was resolved
+ * (e.g. the other tab reloaded this tab's version)
+ */
+export function showTabConflictModal() {
+    const modal = getModal();
+    if (!modal) {
+        console.error('Tab conflict modal not found in DOM');
+        return;
+    }
+    const conflict = getSessionConflict();
+    if (!conflict) {
+        hideTabConflictModal();
+        return;
+    }
+
+    renderConflict(conflict);
+    if (!modal.open) {
+        triggerElement = document.activeElement;
+        modal.showModal();
+    }
+}
+
+/**
+ * Hide the tab conflict modal
+ */
+export function hideTabConflictModal() {
+    const modal = getModal();
+    if (modal?.open) {
+        modal.close();
+    }
+}
+
+/**
+ * Resolve the conflict with the chosen text
+ * @param {'reload'|'merge'|'keep'} choice - Which text to keep
+ * @returns {Promise<void>}
+ */
+async function applyChoice(choice) {
+    const conflict = getSessionConflict();
+    if (!conflict) {
+        hideTabConflictModal();
+        return;
+    }
+
+    // Closing the modal clears its state
+    const merged = choice === 'merge' ? merge : null;
+    const { cmEditor } = state;
+    const current = cmEditor ? cmEditor.getValue() : localText;
+    let text = current;
+    if (choice === 'reload') {
+        text = conflict.content;
+    } else if (merged) {
+        text = merged.text;
+    }
+
+    try {
+        if (text !== current) {
+            // Keep this tab's text so the choice can be undone
+            await saveVersionNow(conflict.sessionId, current);
+        }
+        resolveSessionConflict();
+        hideTabConflictModal();
+
+        if (text !== current && cmEditor) {
+            cmEditor.setValue(text);
+            await renderMarkdown();
+        } else {
+            // Same text as before: save it over the other tab's version
+            updateSessionContent(current);
+        }
+        updateDocumentSelector();
+
+        const conflicts = merged ? merged.conflicts : 0;
+        if (conflicts > 0) {
+            // Take the user to the first conflict marker
+            const line = text.split('\n').findIndex(l => l.startsWith('<<<<<<< '));
+            jumpToLine(line, 0, 7);
+            showStatus(`Merged with ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve`, 'warning');
+        } else if (choice === 'merge') {
+            showStatus('Merged changes from the other tab');
+        } else if (choice === 'reload') {
+            showStatus('Reloaded the version from the other tab');
+        } else {
+            showStatus('Kept the version from this tab');
+        }
+    } catch (error) {
+        console.error('Error resolving tab conflict:', error);
+        showStatus('Error resolving tab conflict: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Initialize tab conflict modal event handlers
+ * Should be called once during app initialization
+ */
+export function initTabConflictModalHandlers() {
+    if (initialized) {
+        console.warn('Tab conflict modal already initialized');
+        return;
+    }
+
+    const modal = getModal();
+    if (!modal) {
+        console.warn('Tab conflict modal not found in DOM');
+        return;
+    }
+
+    // Dispatched by sessions.js when another tab saves the active session
+    globalThis.addEventListener('session-conflict', () => {
+        showTabConflictModal();
+    });
+
+    document.getElementById('tabConflictView')?.addEventListener('change', () => {
+        renderConflictDiff();
+    });
+
+    document.getElementById('mergeTabsBtn')?.addEventListener('click', () => {
+        applyChoice('merge');
+    });
+
+    document.getElementById('reloadFromTabBtn')?.addEventListener('click', () => {
+        applyChoice('reload');
+    });
+
+    document.getElementById('keepThisTabBtn')?.addEventListener('click', () => {
+        applyChoice('keep');
+    });
+
+    // Handle close event (Escape key, backdrop click, or .close() call)
+    modal.addEventListener('close', () => {
+        // Restore focus to trigger element (unless focus was moved to a merge conflict)
+        if (!state.cmEditor?.hasFocus()) {
+            triggerElement?.focus?.();
+        }
+        triggerElement = null;
+        merge = null;
+        localText = '';
+
+        // Closed without a choice: saving stays paused, and the next edit asks again
+        if (getSessionConflict()) {
+            showStatus('Not saved: this document was changed in another tab', 'warning');
+        }
+    });
+
+    initialized = true;
+}
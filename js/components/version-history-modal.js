@@ -0,0 +1,254 @@
+/**
+ * Version History Modal Component
+ *
+ * Shows the saved snapshots of a session (opened from the sessions modal):
+ * - Snapshot list with time and size
+ * - Inline diff of the selected snapshot against the current text
+ * - One-click restore (the current text is snapshotted first, so a restore can be undone)
+ */
+
+import { state } from '../state.js';
+import { showStatus } from '../utils.js';
+import { renderMarkdown } from '../renderer.js';
+import { updateDocumentSelector } from '../documents.js';
+import {
+    getAllSessions,
+    getSession,
+    switchSession,
+    formatSessionName,
+    formatRelativeTime,
+    formatFileSize
+} from '../sessions.js';
+import { getVersions, saveVersionNow } from '../version-history.js';
+import { diffLines, countChanges } from '../text-diff.js';
+import { hideSessionsModal } from './sessions-modal.js';
+import { renderDiff } from './diff-view.js';
+
+// Modal state
+let triggerElement = null;
+let initialized = false;
+let currentSessionId = null;
+let currentText = '';
+let versions = [];
+let selectedVersion = null;
+
+/**
+ * Get the version history modal element
+ * @returns {HTMLDialogElement|null}
+ */
+function getModal() {
+    return document.getElementById('versionHistoryModal');
+}
+
+/**
+ * Render the diff of the selected version against the current text
+ * Long runs of unchanged lines are collapsed.
+ */
+function renderVersionDiff() {
+    const container = document.getElementById('versionDiff');
+    const summary = document.getElementById('versionDiffSummary');
+    if (!container || !summary) return;
+
+    container.innerHTML = '';
+    if (!selectedVersion) {
+        summary.textContent = '';
+        return;
+    }
+
+    // Diff from the current text to the selected version: shows what restoring would change
+    const diff = diffLines(currentText, selectedVersion.content);
+    const { added, removed } = countChanges(diff);
+    summary.textContent = added === 0 && removed === 0
+        ? 'Identical to the current text'
+        : `Restoring adds ${added} line${added === 1 ? '' : 's'} and removes ${removed} line${removed === 1 ? '' : 's'}`;
+
+    renderDiff(container, diff);
+}
+
+/**
+ * Select a version in the list and show its diff
+ * @param {number} versionId - Version ID
+ */
+function selectVersion(versionId) {
+    selectedVersion = versions.find(v => v.id === versionId) || null;
+    document.querySelectorAll('#versionList .version-item').forEach(item => {
+        const isSelected = Number(item.dataset.versionId) === versionId;
+        item.classList.toggle('version-item-selected', isSelected);
+        item.setAttribute('aria-selected', String(isSelected));
+    });
+
+    const restoreBtn = document.getElementById('restoreVersionBtn');
+    if (restoreBtn) {
+        restoreBtn.disabled = !selectedVersion;
+    }
+    renderVersionDiff();
+}
+
+/**
+ * Render the version list
+ */
+function renderVersionList() {
+    const list = document.getElementById('versionList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (versions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'sessions-empty';
+        empty.textContent = 'No saved versions yet. Versions are saved every few minutes while you edit.';
+        list.appendChild(empty);
+        return;
+    }
+
+    versions.forEach(version => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'version-item';
+        item.dataset.versionId = String(version.id);
+        item.setAttribute('role', 'option');
+        item.title = new Date(version.createdAt).toLocaleString();
+
+        const time = document.createElement('span');
+        time.className = 'version-time';
+        time.textContent = formatRelativeTime(version.createdAt);
+
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        meta.textContent = `${new Date(version.createdAt).toLocaleString()} | ${formatFileSize(version.size)}`;
+
+        item.append(time, meta);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Show the version history of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function showVersionHistoryModal(sessionId) {
+    const modal = getModal();
+    if (!modal) {
+        console.error('Version history modal not found in DOM');
+        return;
+    }
+
+    try {
+        const isActive = sessionId === state.activeSessionId;
+        const session = isActive ? null : await getSession(sessionId);
+        if (!isActive && !session) {
+            showStatus('Session not found', 'warning');
+            return;
+        }
+
+        currentSessionId = sessionId;
+        currentText = isActive ? (state.cmEditor?.getValue() ?? '') : session.content;
+        versions = await getVersions(sessionId);
+    } catch (error) {
+        console.error('Error loading version history:', error);
+        showStatus('Error loading version history: ' + error.message, 'error');
+        return;
+    }
+
+    const title = document.getElementById('versionHistoryModalTitle');
+    const meta = getAllSessions().find(s => s.id === sessionId);
+    if (title) {
+        title.textContent = meta ? `Version History - ${formatSessionName(meta)}` : 'Version History';
+    }
+
+    triggerElement = document.activeElement;
+    renderVersionList();
+    selectVersion(versions[0]?.id ?? null);
+    modal.showModal();
+}
+
+/**
+ * Hide the version history modal
+ */
+export function hideVersionHistoryModal() {
+    const modal = getModal();
+    if (modal?.open) {
+        modal.close();
+    }
+}
+
+/**
+ * Restore the selected version into the editor
+ * Switches to the session first if it isn't the active one.
+ * @returns {Promise<void>}
+ */
+async function restoreSelectedVersion() {
+    const version = selectedVersion;
+    if (!version) return;
+
+    try {
+        if (currentSessionId !== state.activeSessionId) {
+            const session = await switchSession(currentSessionId);
+            if (!session) {
+                showStatus('Session not found', 'warning');
+                return;
+            }
+        }
+
+        // Keep the text being replaced so the restore can be undone
+        const { cmEditor } = state;
+        await saveVersionNow(currentSessionId, cmEditor ? cmEditor.getValue() : currentText);
+
+        if (cmEditor) {
+            cmEditor.setValue(version.content);
+        }
+        await renderMarkdown();
+        updateDocumentSelector();
+
+        hideVersionHistoryModal();
+        hideSessionsModal();
+        showStatus(`Restored version from ${new Date(version.createdAt).toLocaleString()}`);
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        showStatus('Error restoring version: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Initialize version history modal event handlers
+ * Should be called once during app initialization
+ */
+export function initVersionHistoryModalHandlers() {
+    if (initialized) {
+        console.warn('Version history modal already initialized');
+        return;
+    }
+
+    const modal = getModal();
+    if (!modal) {
+        console.warn('Version history modal not found in DOM');
+        return;
+    }
+
+    document.getElementById('versionList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.version-item');
+        if (item) {
+            selectVersion(Number(item.dataset.versionId));
+        }
+    });
+
+    document.getElementById('restoreVersionBtn')?.addEventListener('click', () => {
+        restoreSelectedVersion();
+    });
+
+    document.getElementById('closeVersionHistoryBtn')?.addEventListener('click', () => {
+        hideVersionHistoryModal();
+    });
+
+    // Handle close event (Escape key, backdrop click, or .close() call)
+    modal.addEventListener('close', () => {
+        // Restore focus to trigger element
+        triggerElement?.focus?.();
+        triggerElement = null;
+        selectedVersion = null;
+        versions = [];
+        currentText = '';
+    });
+
+    initialized = true;
+}
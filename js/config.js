@@ -107,6 +107,7 @@ export const availableStyles = [
     { name: 'Newspaper', file: 'styles/newspaper.css', source: 'local', group: 'Preview Style' },
     { name: 'Respect Style Layout', file: '', source: 'toggle', group: 'Options' },
     { name: 'HR as Page Break', file: '', source: 'toggle', group: 'Options' },
+    { name: 'Sync Scrolling', file: '', source: 'toggle', group: 'Options' },
     { name: 'Load from file...', file: '', source: 'file', group: 'Import' },
     { name: 'Load from URL...', file: '', source: 'url', group: 'Import' },
     { name: 'MarkedCustomStyles (external)', file: '', source: 'repository',
@@ -114,6 +115,102 @@ export const availableStyles = [
       note: 'Third-party styles (license unclear)', group: 'Import' }
 ];
 
+// ==========================================
+// EXPORT (PDF Page Setup, Word)
+// ==========================================
+
+/**
+ * Page sizes offered in PDF Page Setup (values are CSS @page size keywords)
+ */
+export const pdfPageSizes = [
+    { name: 'A4', value: 'A4' },
+    { name: 'US Letter', value: 'letter' },
+    { name: 'US Legal', value: 'legal' },
+    { name: 'A5', value: 'A5' }
+];
+
+/**
+ * Page margin presets offered in PDF Page Setup
+ */
+export const pdfMargins = [
+    { name: 'Narrow (12 mm)', value: 'narrow', size: '12mm' },
+    { name: 'Normal (20 mm)', value: 'normal', size: '20mm' },
+    { name: 'Wide (30 mm)', value: 'wide', size: '30mm' }
+];
+
+/**
+ * Default PDF Page Setup options (used for anything not saved by the user)
+ */
+export const DEFAULT_PDF_OPTIONS = Object.freeze({
+    pageSize: 'A4',
+    orientation: 'portrait',
+    margin: 'normal',
+    header: true,                        // Document title at the top of each page
+    footer: true,                        // "Page X of Y" at the bottom of each page
+    coverPage: false                     // Title page built from YAML front matter
+});
+
+/**
+ * docx library used by "Save as .docx", loaded on demand with SRI verification
+ * the first time a document is exported. Exposed as globalThis.docx.
+ */
+export const docxScript = {
+    url: 'https://cdn.jsdelivr.net/npm/docx@9.8.1/dist/index.iife.js',
+    integrity: 'sha384-VG7nNHhMlezbK+XRucsDQymGisKRncnWqwFcAe+MAHxdR+d/6Brmvux2OlSb8je3'
+};
+
+/**
+ * JSZip library used to export and import session backups, loaded on demand with
+ * SRI verification the first time a backup is made or restored. Exposed as globalThis.JSZip.
+ */
+export const zipScript = {
+    url: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+    integrity: 'sha384-+mbV2IY1Zk/X1p/nWllGySJSUN8uMs+gUAN10Or95UBH0fpj6GfKgPmgC5EXieXG'
+};
+
+// ==========================================
+// IMPORT (HTML, Word)
+// ==========================================
+
+/**
+ * Converters used to import HTML and Word documents as markdown, loaded on demand
+ * with SRI verification the first time something is imported or rich text is pasted.
+ * - turndown: HTML to markdown, exposed as globalThis.TurndownService
+ * - mammoth: .docx to HTML, exposed as globalThis.mammoth
+ */
+export const importScripts = {
+    turndown: {
+        url: 'https://cdn.jsdelivr.net/npm/turndown@7.2.4/dist/turndown.js',
+        integrity: 'sha384-VRHmZZ8b5mH5yknWcg48OJS6RmXZmlgvsqhOXJqY0rwvwirs1M12xd+49c3NpW6a'
+    },
+    mammoth: {
+        url: 'https://cdn.jsdelivr.net/npm/mammoth@1.13.0/mammoth.browser.min.js',
+        integrity: 'sha384-8NWE3bZDrmRI4IePMoQaEoLhAQ1MmRMJkdNgnGiHRFanTqsFKr0TmK6aSZvFJ/PO'
+    }
+};
+
+// ==========================================
+// CODE VALIDATION (Lint Panel)
+// ==========================================
+
+/**
+ * Parsers used to syntax-check code blocks, loaded on demand with SRI verification
+ * the first time the lint panel finds a block that needs them.
+ * - javascript: Babel's parser (JS/TS). It only builds an AST and never executes
+ *   the code. The bundle is large (~650KB gzipped), hence the lazy loading.
+ * - yaml: js-yaml, exposed as globalThis.jsyaml
+ */
+export const parserScripts = {
+    javascript: {
+        url: 'https://cdn.jsdelivr.net/npm/@babel/standalone@7.28.4/babel.min.js',
+        integrity: 'sha384-tL0JdJBWAk5nHKZhc/dtWf7bZRpYP13x4HjH85NrwCr/JkBnrZ7RNBOAdDzJlpof'
+    },
+    yaml: {
+        url: 'https://cdn.jsdelivr.net/npm/js-yaml@4.1.0/dist/js-yaml.min.js',
+        integrity: 'sha384-+pxiN6T7yvpryuJmE1gM9PX7yQit15auDb+ZwwvJOd/4be2Cie5/IuVXgQb/S9du'
+    }
+};
+
 // ==========================================
 // DOCUMENTATION URL CONFIGURATION
 // ==========================================
@@ -0,0 +1,111 @@
+/**
+ * database.js - IndexedDB access for Merview
+ *
+ * One database ('merview') holds data too large for localStorage's ~5MB budget.
+ *
+ * Object stores:
+ * - 'assets': images pasted or dropped into the editor (see asset-store.js),
+ *   keyed by id with a 'sessionId' index
+ * - 'sessions': session content ({ id, content }, see sessions.js)
+ * - 'versions': snapshots of session content (see version-history.js),
+ *   keyed by an auto-incremented id with a 'sessionId' index
+ * - 'sources': what was last fetched for sessions loaded from a URL
+ *   (see session-sources.js), keyed by session id
+ */
+
+const DB_NAME = 'merview';
+const DB_VERSION = 4;
+
+/**
+ * Object store names
+ */
+export const STORES = Object.freeze({
+    ASSETS: 'assets',
+    SESSIONS: 'sessions',
+    VERSIONS: 'versions',
+    SOURCES: 'sources'
+});
+
+// Shared connection (opened on first use)
+let dbPromise = null;
+
+/**
+ * Create or upgrade object stores
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+        const assets = db.createObjectStore(STORES.ASSETS, { keyPath: 'id' });
+        assets.createIndex('sessionId', 'sessionId');
+    }
+    if (oldVersion < 2) {
+        db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+    }
+    if (oldVersion < 3) {
+        const versions = db.createObjectStore(STORES.VERSIONS, { keyPath: 'id', autoIncrement: true });
+        versions.createIndex('sessionId', 'sessionId');
+    }
+    if (oldVersion < 4) {
+        db.createObjectStore(STORES.SOURCES, { keyPath: 'id' });
+    }
+}
+
+/**
+ * Open the database (once per page)
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!globalThis.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let another tab upgrade the database; reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDB upgrade blocked by another Merview tab');
+        }).catch(error => {
+            // Allow a retry on the next call
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run work in a transaction and wait for it to commit
+ * @param {string|string[]} storeNames - Object store(s) to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): *} callback - Issues requests; its return value
+ *     (or the result of a returned IDBRequest) resolves the promise
+ * @returns {Promise<*>} Resolves once the transaction completes
+ */
+export async function withTransaction(storeNames, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        try {
+            result = callback(transaction);
+        } catch (error) {
+            transaction.abort();
+            reject(error);
+            return;
+        }
+        transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * Document Import Module
+ *
+ * Converts HTML and Word documents to GitHub Flavored Markdown:
+ * - HTML files (e.g. Confluence page exports) and rich text pasted into the editor
+ * - Word (.docx) files, converted to HTML with Mammoth first
+ *
+ * HTML is sanitized with DOMPurify before conversion. The converters are loaded
+ * from CDN on first use (see importScripts in config.js).
+ */
+
+import { importScripts } from './config.js';
+import { loadExternalScript } from './utils.js';
+
+/**
+ * File types that can be imported, recognized by MIME type or extension
+ */
+const IMPORT_FORMATS = [
+    { format: 'html', mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: /\.(html?|xhtml)$/i },
+    {
+        format: 'docx',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: /\.docx$/i
+    }
+];
+
+/**
+ * Elements that make pasted HTML worth converting
+ * HTML with none of these (e.g. colored code copied from an IDE) pastes as plain text.
+ */
+const RICH_TEXT_SELECTOR = 'h1, h2, h3, h4, h5, h6, ul, ol, table, pre, blockquote, hr, a[href], img, strong, b, em, i, del, s, code';
+
+/**
+ * Where the page content lives in exported HTML (Confluence, CMS and blog pages)
+ */
+const MAIN_CONTENT_SELECTOR = '#main-content, main, article, [role="main"]';
+
+/**
+ * Word paragraph styles Mammoth doesn't map by default
+ */
+const WORD_STYLE_MAP = [
+    "p[style-name='Code'] => pre:separator('\\n')",
+    "p[style-name='Source Code'] => pre:separator('\\n')",
+    "p[style-name='HTML Preformatted'] => pre:separator('\\n')",
+    "p[style-name='Quote'] => blockquote > p:fresh",
+    "p[style-name='Intense Quote'] => blockquote > p:fresh"
+];
+
+/**
+ * Pending converter script loads, keyed by importScripts name
+ */
+const scriptLoads = new Map();
+
+/**
+ * Shared Turndown instance (created once the library has loaded)
+ */
+let turndownService = null;
+
+/**
+ * Load a converter script from CDN on first use
+ * @param {string} name - Key in importScripts
+ * @returns {Promise<void>} Resolves when the script has loaded
+ */
+function loadImportScript(name) {
+    if (!scriptLoads.has(name)) {
+        const loading = loadExternalScript(importScripts[name]).catch(error => {
+            // Allow a retry on the next import
+            scriptLoads.delete(name);
+            throw error;
+        });
+        scriptLoads.set(name, loading);
+    }
+    return scriptLoads.get(name);
+}
+
+/**
+ * Detect whether a file can be imported, and as what
+ * @param {File} file - The file to check
+ * @returns {('html'|'docx'|null)} Import format, or null if the file isn't importable
+ */
+export function getImportFormat(file) {
+    const match = IMPORT_FORMATS.find(({ mimeTypes, extensions }) =>
+        (file.type && mimeTypes.includes(file.type)) || extensions.test(file.name));
+    return match?.format ?? null;
+}
+
+/**
+ * Check whether clipboard HTML has structure worth converting to markdown
+ * @param {string} html - HTML from the clipboard
+ * @returns {boolean} True if the HTML contains headings, lists, links, emphasis, etc.
+ */
+export function isRichText(html) {
+    // DOMParser documents are inert: no scripts run and no images load
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return doc.body.querySelector(RICH_TEXT_SELECTOR) !== null;
+}
+
+/**
+ * Language of a code block, from the class/data attributes highlighters and Confluence use
+ * @param {HTMLPreElement} pre - Code block
+ * @returns {string} Language name, or '' if unknown
+ */
+function getCodeLanguage(pre) {
+    const code = pre.querySelector('code');
+    const classes = [pre.className, code?.className, pre.parentElement?.className].join(' ');
+    const match = /(?:^|\s)(?:language|lang|highlight-source|highlight-text)-([\w+#-]+)/.exec(classes)
+        || /brush:\s*([\w+#-]+)/.exec(pre.dataset.syntaxhighlighterParams || classes);
+    return match?.[1] || pre.dataset.language || code?.dataset.language || '';
+}
+
+/**
+ * Backtick fence longer than any backtick run inside the code
+ * @param {string} code - Code block content
+ * @returns {string} Fence
+ */
+function codeFence(code) {
+    const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Format rows of cell text as a GFM table
+ * The first row is the header. Pipes are escaped and line breaks inside cells become <br>.
+ * @param {string[][]} rows - Table cells, row by row
+ * @param {string[]} [alignments] - Column alignments ('left', 'center', 'right' or '')
+ * @returns {string} Markdown table (without surrounding blank lines)
+ */
+export function formatMarkdownTable(rows, alignments = []) {
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const escapeCell = cell => cell.trim()
+        .replaceAll(/\n+/g, '<br>')
+        .replaceAll('|', String.raw`\|`);
+    const separator = Array.from({ length: columns }, (_, i) => (
+        { left: ':---', center: ':---:', right: '---:' }[alignments[i]] || '---'
+    ));
+    const toLine = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+
+    return [
+        toLine(rows[0].map(escapeCell)),
+        toLine(separator),
+        ...rows.slice(1).map(cells => toLine(cells.map(escapeCell)))
+    ].join('\n');
+}
+
+/**
+ * Convert a table to a GFM table
+ * The first row is always the header (Word and Confluence tables rarely mark one).
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} service - Turndown instance, used to convert cell content
+ * @returns {string} Markdown table
+ */
+function convertTable(table, service) {
+    const rows = [...table.rows].map(row => [...row.cells].map(cell => service.turndown(cell.innerHTML)));
+    if (rows.length === 0) {
+        return '';
+    }
+
+    const alignments = [...table.rows[0].cells].map(cell => (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase());
+    return '\n\n' + formatMarkdownTable(rows, alignments) + '\n\n';
+}
+
+/**
+ * Create the Turndown instance with GFM output rules
+ * @returns {Object} Turndown instance
+ */
+function createTurndownService() {
+    const service = new globalThis.TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-',
+        emDelimiter: '*',
+        strongDelimiter: '**',
+        hr: '---'
+    });
+
+    // Single space after list markers ("- item", "1. item") instead of Turndown's aligned padding
+    service.addRule('listItem', {
+        filter: 'li',
+        replacement: (content, node, options) => {
+            const parent = node.parentNode;
+            let prefix = `${options.bulletListMarker} `;
+            if (parent.nodeName === 'OL') {
+                const start = Number(parent.getAttribute('start') || 1);
+                prefix = `${start + [...parent.children].indexOf(node)}. `;
+            }
+            const isParagraph = /\n$/.test(content);
+            const text = content.replace(/^\n+/, '').replace(/\n+$/, '').replace(/^(\[[ x]\]) +/, '$1 ')
+                + (isParagraph ? '\n' : '');
+            return prefix + text.replaceAll('\n', '\n' + ' '.repeat(prefix.length)) + (node.nextSibling ? '\n' : '');
+        }
+    });
+
+    service.addRule('strikethrough', {
+        filter: ['del', 's', 'strike'],
+        replacement: content => `~~${content}~~`
+    });
+
+    service.addRule('taskListCheckbox', {
+        filter: node => node.nodeName === 'INPUT' && node.type === 'checkbox',
+        replacement: (_content, node) => (node.checked ? '[x] ' : '[ ] ')
+    });
+
+    service.addRule('fencedCodeBlock', {
+        filter: 'pre',
+        replacement: (_content, node) => {
+            const code = node.textContent.replace(/\n$/, '');
+            const fence = codeFence(code);
+            return `\n\n${fence}${getCodeLanguage(node)}\n${code}\n${fence}\n\n`;
+        }
+    });
+
+    service.addRule('table', {
+        filter: 'table',
+        replacement: (_content, node) => convertTable(node, service)
+    });
+
+    return service;
+}
+
+/**
+ * Turn presentational markup into semantic elements Turndown understands
+ * (Google Docs and Word mark bold/italic with inline styles).
+ * @param {HTMLElement} root - Sanitized content
+ */
+function normalizeMarkup(root) {
+    // Google Docs wraps the whole clipboard in a non-bold <b>
+    root.querySelectorAll('b[id^="docs-internal-guid"], b[style*="font-weight:normal"], b[style*="font-weight: normal"]').forEach(b => {
+        b.replaceWith(...b.childNodes);
+    });
+
+    root.querySelectorAll('span[style]').forEach(span => {
+        const { fontWeight, fontStyle, textDecorationLine, textDecoration } = span.style;
+        const wrappers = [];
+        if (fontWeight === 'bold' || Number(fontWeight) >= 600) wrappers.push('strong');
+        if (fontStyle === 'italic') wrappers.push('em');
+        if ((textDecorationLine || textDecoration).includes('line-through')) wrappers.push('del');
+
+        wrappers.forEach(tag => {
+            const wrapper = document.createElement(tag);
+            wrapper.append(...span.childNodes);
+            span.appendChild(wrapper);
+        });
+    });
+
+    // Line breaks inside code blocks become newlines (textContent ignores <br>)
+    root.querySelectorAll('pre br').forEach(br => br.replaceWith('\n'));
+}
+
+/**
+ * Pick the page content out of a full HTML page, keeping its title
+ * @param {HTMLElement} body - Sanitized document body
+ * @returns {HTMLElement} Element holding the content to convert
+ */
+function selectMainContent(body) {
+    const main = body.querySelector(MAIN_CONTENT_SELECTOR);
+    if (!main) {
+        return body;
+    }
+
+    // Confluence puts the page title outside #main-content
+    const title = body.querySelector('#title-text, h1');
+    if (title && !main.contains(title)) {
+        const heading = document.createElement('h1');
+        heading.textContent = title.textContent.trim();
+        main.prepend(heading);
+    }
+    return main;
+}
+
+/**
+ * Convert HTML to GitHub Flavored Markdown
+ * @param {string} html - HTML document or fragment
+ * @returns {Promise<string>} Markdown (without a trailing newline)
+ */
+export async function htmlToMarkdown(html) {
+    await loadImportScript('turndown');
+    turndownService ??= createTurndownService();
+
+    const body = DOMPurify.sanitize(html, {
+        RETURN_DOM: true,
+        FORBID_TAGS: ['style', 'link', 'meta', 'title', 'form', 'button', 'nav']
+    });
+    normalizeMarkup(body);
+
+    return turndownService.turndown(selectMainContent(body))
+        .replaceAll(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Convert a Word document to GitHub Flavored Markdown
+ * Images are kept inline as data: URLs.
+ * @param {ArrayBuffer} arrayBuffer - .docx file contents
+ * @returns {Promise<string>} Markdown (without a trailing newline)
+ */
+export async function docxToMarkdown(arrayBuffer) {
+    await loadImportScript('mammoth');
+    const { value: html } = await globalThis.mammoth.convertToHtml({ arrayBuffer }, { styleMap: WORD_STYLE_MAP });
+    return htmlToMarkdown(html);
+}
+
+/**
+ * Convert an importable file to markdown
+ * @param {File} file - HTML or Word file (see getImportFormat())
+ * @returns {Promise<string>} Markdown document
+ */
+export async function convertFileToMarkdown(file) {
+    const format = getImportFormat(file);
+    if (format === 'docx') {
+        return (await docxToMarkdown(await file.arrayBuffer())) + '\n';
+    }
+    if (format === 'html') {
+        return (await htmlToMarkdown(await file.text())) + '\n';
+    }
+    throw new Error(`${file.name} is not an HTML or Word file`);
+}
@@ -6,9 +6,9 @@
  *
  * Features:
  * - Document selector with current document and import options
- * - Recent sessions list for quick document switching
+ * - Pinned, recent and per-folder session lists for quick document switching
  * - Load from file picker
- * - Load from URL
+ * - Load from URL, and check a URL-loaded document's source for updates
  * - Document name tracking and display
  * - Session management modal
  */
@@ -20,14 +20,21 @@ import { showURLModal } from './components/url-modal.js';
 import { renderMarkdown } from './renderer.js';
 import { restorePanelWidths } from './resize.js';
 import {
+    getAllSessions,
     getRecentSessions,
+    getPinnedSessions,
+    getAllFolders,
     getActiveSessionMeta,
     switchSession,
     createSession,
+    findSessionByName,
     isSessionsInitialized,
     formatSessionName
 } from './sessions.js';
 import { showSessionsModal } from './components/sessions-modal.js';
+import { checkSourceUpdates } from './components/source-sync-modal.js';
+import { showGitHubCommitModal } from './components/github-commit-modal.js';
+import { parseGitHubFileUrl } from './github-commit.js';
 
 /**
  * Document selector action values
@@ -37,9 +44,17 @@ const DOCUMENT_ACTIONS = {
     LOAD_FILE: '__load_file__',
     LOAD_URL: '__load_url__',
     NEW: '__new__',
+    CHECK_SOURCE: '__check_source__',
+    COMMIT_GITHUB: '__commit_github__',
     MANAGE: '__manage__'
 };
 
+/**
+ * Most sessions listed per group in the document selector
+ */
+const RECENT_LIMIT = 5;
+const FOLDER_LIMIT = 10;
+
 /**
  * Track whether the document selector has been initialized to prevent duplicate event handlers
  */
@@ -87,7 +102,25 @@ function createOption(value, text, selected = false) {
 }
 
 /**
- * Update the document selector to show current document and recent sessions
+ * Create an optgroup of sessions
+ * @param {string} label - Group label
+ * @param {Array} sessions - Session metadata
+ * @returns {HTMLOptGroupElement}
+ */
+function createSessionsOptgroup(label, sessions) {
+    const group = createOptgroup(label);
+    sessions.forEach(session => {
+        const option = createOption(session.id, formatSessionName(session));
+        const tags = session.tags?.length ? ` | Tags: ${session.tags.join(', ')}` : '';
+        option.title = `Last modified: ${new Date(session.lastModified).toLocaleString()}${tags}`;
+        group.appendChild(option);
+    });
+    return group;
+}
+
+/**
+ * Update the document selector to show current document and pinned, recent
+ * and per-folder sessions
  */
 export function updateDocumentSelector() {
     try {
@@ -107,31 +140,38 @@ export function updateDocumentSelector() {
         );
         selector.appendChild(currentGroup);
 
-        // Recent sessions optgroup (only if sessions are initialized)
+        // Session optgroups (only if sessions are initialized)
         if (isSessionsInitialized()) {
-            const recentSessions = getRecentSessions(5);
             const activeSession = getActiveSessionMeta();
+            // Each session is listed once; the active one is already under Current
+            const listed = new Set(activeSession ? [activeSession.id] : []);
+            const unlisted = (sessions, limit = Infinity) => {
+                const result = sessions.filter(session => !listed.has(session.id)).slice(0, limit);
+                result.forEach(session => listed.add(session.id));
+                return result;
+            };
+
+            const pinnedSessions = unlisted(getPinnedSessions());
+            if (pinnedSessions.length > 0) {
+                const pinnedGroup = createSessionsOptgroup('Pinned', pinnedSessions);
+                pinnedGroup.id = 'pinnedDocsGroup';
+                selector.appendChild(pinnedGroup);
+            }
 
-            // Filter out the active session from recent list
-            const otherSessions = recentSessions.filter(
-                session => !activeSession || session.id !== activeSession.id
-            );
-
-            if (otherSessions.length > 0) {
-                const recentGroup = createOptgroup('Recent');
+            const recentSessions = unlisted(getRecentSessions(RECENT_LIMIT));
+            if (recentSessions.length > 0) {
+                const recentGroup = createSessionsOptgroup('Recent', recentSessions);
                 recentGroup.id = 'recentDocsGroup';
-
-                otherSessions.forEach(session => {
-                    const option = createOption(
-                        session.id,
-                        formatSessionName(session)
-                    );
-                    option.title = `Last modified: ${new Date(session.lastModified).toLocaleString()}`;
-                    recentGroup.appendChild(option);
-                });
-
                 selector.appendChild(recentGroup);
             }
+
+            const allSessions = getAllSessions();
+            getAllFolders().forEach(folder => {
+                const folderSessions = unlisted(allSessions.filter(s => s.folder === folder), FOLDER_LIMIT);
+                if (folderSessions.length > 0) {
+                    selector.appendChild(createSessionsOptgroup(`📁 ${folder}`, folderSessions));
+                }
+            });
         }
 
         // Actions optgroup
@@ -139,6 +179,12 @@ export function updateDocumentSelector() {
         actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.LOAD_FILE, 'Load from file...'));
         actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.LOAD_URL, 'Load from URL...'));
         actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.NEW, 'New document'));
+        if (state.loadedFromURL) {
+            actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.CHECK_SOURCE, 'Check source for updates'));
+        }
+        if (parseGitHubFileUrl(state.loadedFromURL)) {
+            actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.COMMIT_GITHUB, 'Commit to GitHub...'));
+        }
         actionsGroup.appendChild(createOption(DOCUMENT_ACTIONS.MANAGE, 'Manage sessions...'));
         selector.appendChild(actionsGroup);
     } catch (error) {
@@ -178,7 +224,7 @@ async function switchToSession(sessionId) {
     setLoading(selector, true);
 
     try {
-        const session = switchSession(sessionId);
+        const session = await switchSession(sessionId);
 
         if (session) {
             // Load content into editor
@@ -287,6 +333,18 @@ export async function changeDocument(value) {
             resetSelector(selector);
             break;
 
+        case DOCUMENT_ACTIONS.CHECK_SOURCE:
+            // Re-fetch the URL this document was loaded from (reports via status or modal)
+            resetSelector(selector);
+            await checkSourceUpdates();
+            break;
+
+        case DOCUMENT_ACTIONS.COMMIT_GITHUB:
+            // Commit the document back to the repository file it was loaded from
+            resetSelector(selector);
+            showGitHubCommitModal();
+            break;
+
         case DOCUMENT_ACTIONS.MANAGE:
             // Open session management modal
             showSessionsModal();
@@ -301,13 +359,14 @@ export async function changeDocument(value) {
 }
 
 /**
- * Create a new empty document
+ * Create a new document
+ * @param {string} [name] - Session name; when given, the document starts with a matching heading
  */
-export function newDocument() {
+export function newDocument(name) {
     const { cmEditor } = state;
 
     if (cmEditor) {
-        cmEditor.setValue('');
+        cmEditor.setValue(name ? `# ${name}\n\n` : '');
     }
 
     state.currentFilename = null;
@@ -320,11 +379,14 @@ export function newDocument() {
 
     // Create a new session for the empty document
     if (isSessionsInitialized()) {
-        createSession({
-            name: 'Untitled',
-            content: '',
+        const session = createSession({
+            name: name || 'Untitled',
+            content: cmEditor ? cmEditor.getValue() : '',
             source: 'new'
         });
+        if (name) {
+            state.currentFilename = session.name;
+        }
     }
 
     updateDocumentSelector();
@@ -333,7 +395,27 @@ export function newDocument() {
     // Restore panel widths after creating new document (Issue #285)
     restorePanelWidths();
 
-    showStatus('New document created');
+    showStatus(name ? `Created: ${name}` : 'New document created');
+}
+
+/**
+ * Open the session a wiki link points to, creating it if it doesn't exist yet
+ * Called when clicking [[Page]] links in the preview
+ * @param {string} name - Session name from the wiki link
+ */
+export async function openWikiPage(name) {
+    const existing = findSessionByName(name);
+    if (existing) {
+        await switchToSession(existing.id);
+        return;
+    }
+
+    if (!isSessionsInitialized()) {
+        showStatus('Sessions are not available', 'warning');
+        return;
+    }
+
+    newDocument(name);
 }
 
 /**
@@ -0,0 +1,557 @@
+/**
+ * DOCX Export Module
+ *
+ * Converts the rendered preview into a Word document, entirely in the browser.
+ * Walks the preview DOM (so every markdown extension is covered) and maps it to
+ * Word structures with the docx library (see docxScript in config.js):
+ * - Headings, paragraphs, bold/italic/strikethrough/inline code
+ * - Bulleted and numbered lists (nested), task list checkboxes
+ * - Tables, code blocks, blockquotes and callouts
+ * - Links (external links stay clickable) and images
+ * - Mermaid diagrams, embedded as PNG images of the rendered SVG
+ *
+ * Images that can't be fetched (e.g. no CORS headers) are replaced by their alt text.
+ */
+
+import { state } from './state.js';
+import { docxScript } from './config.js';
+import { loadExternalScript } from './utils.js';
+import { parseYAMLFrontMatter } from './renderer.js';
+import { renderDiagramPng } from './mermaid-export.js';
+import { getAsset } from './asset-store.js';
+
+/**
+ * Widest image that fits the page (A4 with 1 inch margins is ~600px at 96 DPI)
+ */
+const MAX_IMAGE_WIDTH = 600;
+
+/**
+ * Scale used when embedding Mermaid diagrams, so they stay sharp when zoomed or printed
+ */
+const DIAGRAM_IMAGE_SCALE = 2;
+
+/**
+ * Indent per list level or blockquote, in twentieths of a point (720 = 0.5 inch)
+ */
+const INDENT_STEP = 720;
+
+/**
+ * Font for code blocks and inline code
+ */
+const CODE_FONT = 'Consolas';
+
+/**
+ * Image MIME types Word can embed directly (anything else is converted to PNG)
+ */
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp'
+};
+
+/**
+ * Elements that start a new paragraph (or table) rather than continuing the current one
+ */
+const BLOCK_TAGS = new Set([
+    'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE', 'HR',
+    'DIV', 'SECTION', 'NAV', 'ASIDE', 'HEADER', 'FOOTER', 'FIGURE', 'FIGCAPTION',
+    'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD'
+]);
+
+/**
+ * Preview-only elements left out of the document
+ */
+const SKIPPED_SELECTOR = 'button, script, style, .yaml-front-matter, .katex-html, .footnote-backref';
+
+/**
+ * Pending load of the docx library
+ */
+let docxLoad = null;
+
+/**
+ * Load the docx library from CDN on first use
+ * @returns {Promise<Object>} The docx namespace (globalThis.docx)
+ */
+async function loadDocx() {
+    if (!globalThis.docx) {
+        docxLoad ??= loadExternalScript(docxScript).catch(error => {
+            docxLoad = null;
+            throw error;
+        });
+        await docxLoad;
+    }
+    return globalThis.docx;
+}
+
+/**
+ * Scale an image down to fit the page width
+ * @param {number} width - Natural width in pixels
+ * @param {number} height - Natural height in pixels
+ * @returns {{width: number, height: number}} Display size in pixels
+ */
+function fitToPage(width, height) {
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / width);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Convert an image Word can't embed (WebP, AVIF, ...) to PNG
+ * @param {Blob} blob - Image data
+ * @returns {Promise<Blob>} PNG image
+ */
+async function convertToPng(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(png => (png ? resolve(png) : reject(new Error('Image could not be converted to PNG'))), 'image/png');
+    });
+}
+
+/**
+ * Converts one rendered document; holds the docx namespace and per-document counters
+ */
+class DocxConverter {
+    /**
+     * @param {Object} docx - The docx library namespace
+     */
+    constructor(docx) {
+        this.docx = docx;
+        this.listInstances = 0;
+    }
+
+    /**
+     * Build a paragraph, applying list, blockquote and alignment context
+     * @param {Array<Object>} children - Runs for the paragraph
+     * @param {Object} context - Block context
+     * @param {Object} [options] - Extra Paragraph options
+     * @returns {Object} docx Paragraph
+     */
+    paragraph(children, context, options = {}) {
+        const { BorderStyle } = this.docx;
+        const props = { children, alignment: context.alignment, ...options };
+        const extraIndent = INDENT_STEP * (context.quoteDepth + context.indentLevel);
+
+        if (context.listMarker && !context.listMarker.used) {
+            // First paragraph of a list item carries the bullet or number
+            Object.assign(props, context.listMarker.props);
+            context.listMarker.used = true;
+        } else if (context.listLevel >= 0 || extraIndent) {
+            props.indent = { left: INDENT_STEP * (context.listLevel + 1) + extraIndent };
+        }
+
+        if (context.quoteDepth) {
+            props.border = { left: { style: BorderStyle.SINGLE, size: 12, color: 'CCCCCC', space: 8 } };
+        }
+        return new this.docx.Paragraph(props);
+    }
+
+    /**
+     * Convert the children of an element, grouping inline content into paragraphs
+     * @param {Element} element - Container element
+     * @param {Object} context - Block context
+     * @returns {Promise<Array<Object>>} docx Paragraphs and Tables
+     */
+    async convertChildren(element, context) {
+        const blocks = [];
+        let inline = [];
+
+        const flush = async () => {
+            if (inline.some(node => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim())) {
+                const runs = await this.convertInline(inline, context.format);
+                if (runs.length) {
+                    blocks.push(this.paragraph(runs, context));
+                }
+            }
+            inline = [];
+        };
+
+        for (const node of element.childNodes) {
+            if (node.nodeType === Node.ELEMENT_NODE && node.matches(SKIPPED_SELECTOR)) {
+                continue;
+            }
+            if (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName)) {
+                await flush();
+                blocks.push(...await this.convertBlock(node, context));
+            } else {
+                inline.push(node);
+            }
+        }
+        await flush();
+        return blocks;
+    }
+
+    /**
+     * Convert a block-level element
+     * @param {Element} element - Block element
+     * @param {Object} context - Block context
+     * @returns {Promise<Array<Object>>} docx Paragraphs and Tables
+     */
+    async convertBlock(element, context) {
+        const { HeadingLevel, Paragraph, PageBreak, BorderStyle } = this.docx;
+        const tag = element.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            const runs = await this.convertInline(element.childNodes, context.format);
+            return [new Paragraph({ children: runs, heading: HeadingLevel[`HEADING_${tag[1]}`] })];
+        }
+
+        if (element.classList.contains('mermaid-container')) {
+            return [await this.convertDiagram(element, context)];
+        }
+
+        switch (tag) {
+            case 'PRE':
+                return [this.convertCodeBlock(element, context)];
+            case 'UL':
+            case 'OL':
+                return this.convertList(element, context);
+            case 'TABLE':
+                return [await this.convertTable(element)];
+            case 'BLOCKQUOTE':
+                return this.convertChildren(element, { ...context, quoteDepth: context.quoteDepth + 1 });
+            case 'DD':
+                return this.convertChildren(element, { ...context, indentLevel: context.indentLevel + 1 });
+            case 'DT':
+            case 'SUMMARY':
+                return this.convertChildren(element, { ...context, format: { ...context.format, bold: true } });
+            case 'HR':
+                // Same choice as printing: a page break when "HR as Page Break" is on
+                return state.hrAsPageBreak
+                    ? [new Paragraph({ children: [new PageBreak()] })]
+                    : [new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '999999', space: 1 } } })];
+            default:
+                return this.convertChildren(element, context);
+        }
+    }
+
+    /**
+     * Convert a code block to a shaded monospace paragraph
+     * @param {HTMLPreElement} pre - Code block
+     * @param {Object} context - Block context
+     * @returns {Object} docx Paragraph
+     */
+    convertCodeBlock(pre, context) {
+        const { TextRun, ShadingType } = this.docx;
+        const lines = pre.textContent.replace(/\n$/, '').split('\n');
+        const runs = lines.map((line, index) => new TextRun({
+            text: line,
+            font: CODE_FONT,
+            size: 20,
+            break: index > 0 ? 1 : undefined
+        }));
+        return this.paragraph(runs, context, {
+            shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'F4F4F4' },
+            spacing: { before: 120, after: 120 }
+        });
+    }
+
+    /**
+     * Convert a list (and any nested lists) to Word list paragraphs
+     * @param {HTMLUListElement|HTMLOListElement} list - List element
+     * @param {Object} context - Block context
+     * @returns {Promise<Array<Object>>} docx Paragraphs
+     */
+    async convertList(list, context) {
+        const level = Math.min(context.listLevel + 1, 8);
+        const marker = list.tagName === 'OL'
+            ? { numbering: { reference: 'ordered-list', level, instance: ++this.listInstances } }
+            : { bullet: { level } };
+
+        const blocks = [];
+        for (const item of list.children) {
+            if (item.tagName !== 'LI') continue;
+            const itemContext = { ...context, listLevel: level, listMarker: { props: marker, used: false } };
+            const itemBlocks = await this.convertChildren(item, itemContext);
+            if (!itemContext.listMarker.used) {
+                itemBlocks.unshift(this.paragraph([], itemContext));
+            }
+            blocks.push(...itemBlocks);
+        }
+        return blocks;
+    }
+
+    /**
+     * Convert a table, keeping the header row and column alignment
+     * @param {HTMLTableElement} table - Table element
+     * @returns {Promise<Object>} docx Table
+     */
+    async convertTable(table) {
+        const { Table, TableRow, TableCell, Paragraph, WidthType, ShadingType, AlignmentType } = this.docx;
+        const alignments = { center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+
+        const rows = [];
+        for (const row of table.rows) {
+            const isHeader = row.parentElement.tagName === 'THEAD';
+            const cells = [];
+            for (const cell of row.cells) {
+                const isHeaderCell = cell.tagName === 'TH';
+                const align = cell.style.textAlign || cell.getAttribute('align');
+                const cellContext = createContext({
+                    alignment: alignments[align],
+                    format: isHeaderCell ? { bold: true } : {}
+                });
+                const children = await this.convertChildren(cell, cellContext);
+                cells.push(new TableCell({
+                    children: children.length ? children : [new Paragraph({})],
+                    shading: isHeaderCell ? { type: ShadingType.CLEAR, color: 'auto', fill: 'F2F2F2' } : undefined
+                }));
+            }
+            rows.push(new TableRow({ children: cells, tableHeader: isHeader }));
+        }
+
+        return new Table({ rows, width: { size: 100, type: WidthType.PERCENTAGE } });
+    }
+
+    /**
+     * Convert a Mermaid diagram to an embedded PNG
+     * Diagrams that didn't render are kept as their source code.
+     * @param {HTMLElement} container - .mermaid-container element
+     * @param {Object} context - Block context
+     * @returns {Promise<Object>} docx Paragraph
+     */
+    async convertDiagram(container, context) {
+        const { ImageRun, AlignmentType } = this.docx;
+        const diagram = container.querySelector('.mermaid');
+        const svg = diagram?.dataset.mermaidRendered === 'true' ? diagram.querySelector('svg') : null;
+
+        if (!svg) {
+            const pre = document.createElement('pre');
+            pre.textContent = diagram?.dataset.mermaidSource || diagram?.textContent || '';
+            return this.convertCodeBlock(pre, context);
+        }
+
+        const { blob, width, height } = await renderDiagramPng(svg, DIAGRAM_IMAGE_SCALE);
+        const image = new ImageRun({
+            type: 'png',
+            data: await blob.arrayBuffer(),
+            transformation: fitToPage(width, height),
+            altText: { name: diagram.id, title: 'Mermaid diagram', description: 'Mermaid diagram' }
+        });
+        return this.paragraph([image], { ...context, alignment: AlignmentType.CENTER });
+    }
+
+    /**
+     * Get image data, from IndexedDB for pasted/dropped images
+     * @param {HTMLImageElement} img - Image element
+     * @returns {Promise<Blob>} Image data
+     */
+    async fetchImage(img) {
+        if (img.dataset.assetId) {
+            const asset = await getAsset(img.dataset.assetId);
+            if (!asset) {
+                throw new Error('Image asset not found');
+            }
+            return asset.blob;
+        }
+
+        const response = await fetch(img.currentSrc || img.src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
+    }
+
+    /**
+     * Convert an image, falling back to its alt text if it can't be fetched
+     * @param {HTMLImageElement} img - Image element
+     * @returns {Promise<Object>} docx ImageRun or TextRun
+     */
+    async convertImage(img) {
+        const { ImageRun, TextRun } = this.docx;
+        try {
+            let blob = await this.fetchImage(img);
+            let type = IMAGE_TYPES[blob.type];
+            if (!type) {
+                blob = await convertToPng(blob);
+                type = 'png';
+            }
+
+            const bitmap = await createImageBitmap(blob);
+            const size = fitToPage(bitmap.width, bitmap.height);
+            bitmap.close();
+
+            return new ImageRun({
+                type,
+                data: await blob.arrayBuffer(),
+                transformation: size,
+                altText: { name: img.alt || 'image', title: img.title || img.alt || '', description: img.alt || '' }
+            });
+        } catch (error) {
+            console.warn('DOCX export: image not embedded:', img.src, error);
+            return new TextRun({ text: `[${img.alt || 'image'}]`, italics: true });
+        }
+    }
+
+    /**
+     * Convert inline content to runs
+     * @param {Iterable<Node>} nodes - Inline nodes
+     * @param {Object} [format] - Inherited formatting (bold, italics, code, ...)
+     * @param {{atLineStart: boolean}} [position] - Tracks line starts so leading whitespace is dropped
+     * @returns {Promise<Array<Object>>} docx runs
+     */
+    async convertInline(nodes, format = {}, position = { atLineStart: true }) {
+        const { TextRun, ExternalHyperlink, ShadingType } = this.docx;
+        const runs = [];
+
+        for (const node of nodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                let text = format.code ? node.textContent : node.textContent.replaceAll(/\s+/g, ' ');
+                if (position.atLineStart) {
+                    text = text.trimStart();
+                }
+                if (text) {
+                    runs.push(new TextRun({
+                        text,
+                        bold: format.bold,
+                        italics: format.italics,
+                        strike: format.strike,
+                        underline: format.underline ? {} : undefined,
+                        superScript: format.superScript,
+                        subScript: format.subScript,
+                        style: format.link ? 'Hyperlink' : undefined,
+                        font: format.code ? CODE_FONT : format.font,
+                        shading: format.code ? { type: ShadingType.CLEAR, color: 'auto', fill: 'F0F0F0' } : undefined
+                    }));
+                    position.atLineStart = false;
+                }
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIPPED_SELECTOR)) {
+                continue;
+            }
+
+            const tag = node.tagName;
+            if (tag === 'BR') {
+                runs.push(new TextRun({ break: 1 }));
+                position.atLineStart = true;
+            } else if (tag === 'IMG') {
+                runs.push(await this.convertImage(node));
+                position.atLineStart = false;
+            } else if (tag === 'INPUT' && node.type === 'checkbox') {
+                runs.push(new TextRun({ text: node.checked ? '☑ ' : '☐ ' }));
+                // Drop the space the list item text starts with
+                position.atLineStart = true;
+            } else if (tag === 'A' && /^(https?:|mailto:)/i.test(node.getAttribute('href') || '')) {
+                const children = await this.convertInline(node.childNodes, { ...format, link: true }, position);
+                runs.push(new ExternalHyperlink({ link: node.href, children }));
+            } else {
+                runs.push(...await this.convertInline(node.childNodes, inlineFormat(node, format), position));
+            }
+        }
+        return runs;
+    }
+}
+
+/**
+ * Formatting added by an inline element
+ * @param {Element} element - Inline element
+ * @param {Object} format - Inherited formatting
+ * @returns {Object} Formatting for the element's children
+ */
+function inlineFormat(element, format) {
+    switch (element.tagName) {
+        case 'STRONG':
+        case 'B':
+            return { ...format, bold: true };
+        case 'EM':
+        case 'I':
+            return { ...format, italics: true };
+        case 'DEL':
+        case 'S':
+            return { ...format, strike: true };
+        case 'U':
+        case 'INS':
+            return { ...format, underline: true };
+        case 'CODE':
+        case 'KBD':
+            return { ...format, code: true };
+        case 'SUP':
+            return { ...format, superScript: true };
+        case 'SUB':
+            return { ...format, subScript: true };
+        default:
+            // KaTeX keeps a MathML copy of each equation; its text reads as the formula
+            return element.classList.contains('katex-mathml') ? { ...format, italics: true, font: 'Cambria Math' } : format;
+    }
+}
+
+/**
+ * Create a top-level block context
+ * @param {Object} [overrides] - Context fields to set
+ * @returns {Object} Block context
+ */
+function createContext(overrides = {}) {
+    return {
+        listLevel: -1,                   // Current list nesting (-1 = not in a list)
+        listMarker: null,                // Bullet/number for the current list item's first paragraph
+        quoteDepth: 0,                   // Blockquote nesting
+        indentLevel: 0,                  // Extra indent (definition list descriptions)
+        alignment: undefined,            // Paragraph alignment (table cells)
+        format: {},                      // Inherited run formatting
+        ...overrides
+    };
+}
+
+/**
+ * Numbering definition for ordered lists (1. at every level, indented per level)
+ * @param {Object} docx - The docx library namespace
+ * @returns {Object} docx numbering options
+ */
+function createNumbering(docx) {
+    const { LevelFormat, AlignmentType } = docx;
+    return {
+        config: [{
+            reference: 'ordered-list',
+            levels: Array.from({ length: 9 }, (_, level) => ({
+                level,
+                format: LevelFormat.DECIMAL,
+                text: `%${level + 1}.`,
+                alignment: AlignmentType.START,
+                style: { paragraph: { indent: { left: INDENT_STEP * (level + 1), hanging: 360 } } }
+            }))
+        }]
+    };
+}
+
+/**
+ * Convert the rendered preview to a Word document
+ * Mermaid diagrams must already be rendered (see forceRenderAllMermaidDiagrams()).
+ * @param {HTMLElement} wrapper - Rendered preview content
+ * @returns {Promise<Blob>} .docx file contents
+ */
+export async function createDocx(wrapper) {
+    const docx = await loadDocx();
+    const { frontMatter } = parseYAMLFrontMatter(state.cmEditor?.getValue() || '');
+    const title = String(frontMatter?.title || '').trim()
+        || wrapper.querySelector('h1')?.textContent.trim()
+        || (state.currentFilename || 'Document').replace(/\.[^.]+$/, '');
+
+    const converter = new DocxConverter(docx);
+    const children = await converter.convertChildren(wrapper, createContext());
+
+    const doc = new docx.Document({
+        title,
+        creator: String(frontMatter?.author || ''),
+        numbering: createNumbering(docx),
+        styles: {
+            default: {
+                document: { run: { font: 'Calibri', size: 22 } },
+                heading1: { run: { size: 36, bold: true }, paragraph: { spacing: { before: 360, after: 120 } } },
+                heading2: { run: { size: 30, bold: true }, paragraph: { spacing: { before: 320, after: 120 } } },
+                heading3: { run: { size: 26, bold: true }, paragraph: { spacing: { before: 280, after: 80 } } },
+                heading4: { run: { size: 24, bold: true }, paragraph: { spacing: { before: 240, after: 80 } } },
+                heading5: { run: { size: 22, bold: true }, paragraph: { spacing: { before: 200, after: 60 } } },
+                heading6: { run: { size: 22, bold: true, italics: true }, paragraph: { spacing: { before: 200, after: 60 } } }
+            }
+        },
+        sections: [{ children }]
+    });
+
+    return docx.Packer.toBlob(doc);
+}
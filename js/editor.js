@@ -6,6 +6,8 @@
 import { state } from './state.js';
 import { getElements } from './dom.js';
 import { handleFileDrop } from './file-ops.js';
+import { LINT_GUTTER } from './validation.js';
+import { handleSmartPaste } from './smart-paste.js';
 
 /**
  * Initialize CodeMirror 5 editor
@@ -19,6 +21,7 @@ export function initCodeMirror(onChangeCallback) {
         mode: 'gfm-yaml-frontmatter', // GitHub Flavored Markdown with YAML front matter
         theme: 'custom', // Our custom theme loaded from styles/editor/
         lineNumbers: true,
+        gutters: ['CodeMirror-linenumbers', LINT_GUTTER], // Lint markers go after line numbers
         lineWrapping: true,
         autofocus: true,
         dragDrop: false, // Disable drag and drop of selections
@@ -48,6 +51,9 @@ export function initCodeMirror(onChangeCallback) {
         }
     });
 
+    // Convert pasted rich text, spreadsheet ranges and links to markdown
+    state.cmEditor.on('paste', handleSmartPaste);
+
     // Set up drag-and-drop handlers for markdown files
     const { editorContainer } = getElements();
     const editorWrapper = state.cmEditor.getWrapperElement();
@@ -97,3 +103,27 @@ export function setEditorContent(content) {
     }
     state.cmEditor.setValue(content);
 }
+
+/**
+ * Move the cursor to a line, selecting part of it, and scroll it to the middle of the editor
+ * @param {number} line - Zero-based line number
+ * @param {number} [fromCh=0] - Start of the selection
+ * @param {number} [toCh=fromCh] - End of the selection
+ */
+export function jumpToLine(line, fromCh = 0, toCh = fromCh) {
+    const cm = state.cmEditor;
+    if (!cm) {
+        console.warn('CodeMirror editor not initialized');
+        return;
+    }
+
+    // The document may be shorter than when the line was found
+    const target = Math.min(line, cm.lastLine());
+    const length = cm.getLine(target).length;
+    const from = { line: target, ch: Math.min(fromCh, length) };
+    const to = { line: target, ch: Math.min(toCh, length) };
+
+    cm.focus();
+    cm.setSelection(from, to);
+    cm.scrollIntoView(from, cm.getScrollInfo().clientHeight / 2);
+}
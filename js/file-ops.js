@@ -7,6 +7,9 @@
  * - Loading markdown from URLs
  * - File validation (markdown MIME types and extensions)
  * - PDF export (print dialog and new tab)
+ * - HTML export (single self-contained file)
+ * - Word (.docx) export
+ * - HTML and Word (.docx) import, converted to markdown
  * - Sample markdown content loading
  *
  * DEPRECATION NOTE (PR #203, Issue #199):
@@ -19,10 +22,18 @@
 
 import { state, DOCUMENT_MODE } from './state.js';
 import { getElements } from './dom.js';
-import { showStatus, setURLParameter, clearURLParameter } from './utils.js';
+import { showStatus, setURLParameter, clearURLParameter, downloadBlob, escapeHtml } from './utils.js';
 import { isAllowedMarkdownURL, normalizeGitHubContentUrl, isCorsError, getCorsErrorMessage } from './security.js';
-import { renderMarkdown } from './renderer.js';
+import { renderMarkdown, forceRenderAllMermaidDiagrams } from './renderer.js';
+import { createStandaloneSvg } from './mermaid-export.js';
 import { restorePanelWidths } from './resize.js';
+import { applyPDFPageSetup } from './pdf-setup.js';
+import { createDocx } from './docx-export.js';
+import { getImportFormat, convertFileToMarkdown } from './document-import.js';
+import { setEditorContent } from './editor.js';
+import { isImageAssetFile, inlineAssets, inlineAssetImages } from './asset-store.js';
+import { insertImageFiles } from './smart-paste.js';
+import { saveSessionSource } from './session-sources.js';
 
 /**
  * Validate file type (text, markdown, or mermaid)
@@ -58,36 +69,84 @@ export async function loadMarkdownFile(file) {
             cmEditor.setValue(content);
         }
 
-        state.currentFilename = file.name;
-        state.loadedFromURL = null; // Clear URL source when loading from file
-        state.lastRenderedContent = null; // Clear to prevent stale optimization (#371)
-
-        // Set document mode based on file extension (#367)
-        const isMermaidFile = /\.(mermaid|mmd)$/i.test(file.name);
-        state.documentMode = isMermaidFile ? DOCUMENT_MODE.MERMAID : DOCUMENT_MODE.MARKDOWN;
+        await finishLocalFileLoad(file.name);
 
-        // Clear URL parameter from address bar when loading local file (Issue #204)
-        clearURLParameter();
+        showStatus(`Loaded: ${file.name}`);
+        return true;
+    } catch (error) {
+        console.error('Error loading file:', error);
+        showStatus(`Error loading file: ${error.message}`);
+        return false;
+    }
+}
 
-        // Update document selector to show the new name
-        if (typeof globalThis.updateDocumentSelector === 'function') {
-            globalThis.updateDocumentSelector();
-        }
+/**
+ * Import an HTML or Word (.docx) file as markdown
+ * The converted document is named after the file with a .md extension.
+ * @param {File} file - The file to import (see getImportFormat())
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function importDocumentFile(file) {
+    try {
+        showStatus(`Converting ${file.name} to markdown...`);
+        const markdown = await convertFileToMarkdown(file);
 
-        await renderMarkdown();
+        setEditorContent(markdown);
 
-        // Restore panel widths after loading new content (Issue #285)
-        restorePanelWidths();
+        const filename = file.name.replace(/\.[^.]+$/, '') + '.md';
+        await finishLocalFileLoad(filename);
 
-        showStatus(`Loaded: ${file.name}`);
+        showStatus(`Imported: ${file.name} as ${filename}`);
         return true;
     } catch (error) {
-        console.error('Error loading file:', error);
-        showStatus(`Error loading file: ${error.message}`);
+        console.error('Error importing file:', error);
+        showStatus(`Error importing file: ${error.message}`);
         return false;
     }
 }
 
+/**
+ * Update state and re-render after a local file has been put in the editor
+ * @param {string} filename - Name of the loaded document
+ */
+async function finishLocalFileLoad(filename) {
+    state.currentFilename = filename;
+    state.loadedFromURL = null; // Clear URL source when loading from file
+    state.lastRenderedContent = null; // Clear to prevent stale optimization (#371)
+
+    // Set document mode based on file extension (#367)
+    const isMermaidFile = /\.(mermaid|mmd)$/i.test(filename);
+    state.documentMode = isMermaidFile ? DOCUMENT_MODE.MERMAID : DOCUMENT_MODE.MARKDOWN;
+
+    // Clear URL parameter from address bar when loading local file (Issue #204)
+    clearURLParameter();
+
+    // Update document selector to show the new name
+    if (typeof globalThis.updateDocumentSelector === 'function') {
+        globalThis.updateDocumentSelector();
+    }
+
+    await renderMarkdown();
+
+    // Restore panel widths after loading new content (Issue #285)
+    restorePanelWidths();
+}
+
+/**
+ * Load a local file, importing HTML and Word documents as markdown
+ * @param {File} file - The file to open
+ * @returns {Promise<boolean>} True if the file was opened, false if unsupported or on error
+ */
+async function openLocalFile(file) {
+    if (isValidMarkdownFile(file)) {
+        return loadMarkdownFile(file);
+    }
+    if (getImportFormat(file)) {
+        return importDocumentFile(file);
+    }
+    return false;
+}
+
 /** Fetch timeout in milliseconds (10 seconds) */
 const FETCH_TIMEOUT_MS = 10000;
 
@@ -151,6 +210,81 @@ export function isValidMarkdownContentType(contentType) {
     return false;
 }
 
+/**
+ * Fetch markdown text (with timeout, size limits, and Content-Type validation)
+ * Callers normalize the URL and check it with isAllowedMarkdownURL() first.
+ * @param {string} normalizedUrl - The URL to fetch
+ * @param {RequestInit} [options] - Extra fetch options (e.g. cache: 'no-cache')
+ * @returns {Promise<{markdown: string, etag: string|null, lastModified: string|null}>}
+ *     Text and the validators the server sent with it
+ * @throws {Error} On timeout (AbortError), network/CORS failure, HTTP error, or invalid content
+ */
+export async function fetchMarkdown(normalizedUrl, options = {}) {
+    // Set up abort controller for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        // NOSONAR: Client-side request with user-controlled URL is intentional for this markdown viewer.
+        // Security mitigations: HTTPS required, credentials blocked, homograph detection, content sanitized by DOMPurify
+        const response = await fetch(normalizedUrl, { ...options, signal: controller.signal });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Check Content-Length header if available (first line of defense)
+        const contentLength = response.headers.get('content-length');
+        if (contentLength && Number.parseInt(contentLength, 10) > MAX_CONTENT_SIZE) {
+            throw new Error(`File too large (${Math.round(Number.parseInt(contentLength, 10) / 1024 / 1024)}MB, max 10MB)`);
+        }
+
+        // Validate Content-Type header (defense-in-depth)
+        const contentType = response.headers.get('content-type');
+        if (!isValidMarkdownContentType(contentType)) {
+            throw new Error('Invalid content type: expected text');
+        }
+
+        // Read response text (second line of defense - streaming check)
+        const markdown = await response.text();
+
+        // Verify actual content size (in case Content-Length was missing or incorrect)
+        if (markdown.length > MAX_CONTENT_SIZE) {
+            throw new Error(`File too large (${Math.round(markdown.length / 1024 / 1024)}MB, max 10MB)`);
+        }
+
+        return {
+            markdown,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Status message for URLs that fail isAllowedMarkdownURL()
+ */
+export const URL_NOT_ALLOWED_MESSAGE = 'URL not allowed. Must be HTTPS, no credentials, valid length.';
+
+/**
+ * Get a user-friendly message for a failed fetchMarkdown()
+ * @param {Error} error - The error thrown
+ * @param {string} normalizedUrl - The URL that was fetched
+ * @returns {string} Status message
+ */
+export function getFetchErrorMessage(error, normalizedUrl) {
+    if (error.name === 'AbortError') {
+        return 'Error loading URL: Request timed out (10s limit)';
+    }
+    if (isCorsError(error, null)) {
+        // CORS-specific error with helpful guidance
+        return getCorsErrorMessage(normalizedUrl);
+    }
+    return `Error loading URL: ${error.message}`;
+}
+
 /**
  * Load markdown from URL (with domain validation, timeout, size limits, and Content-Type validation)
  *
@@ -181,45 +315,13 @@ export async function loadMarkdownFromURL(url, displayUrl) {
     const normalizedUrl = normalizeGitHubContentUrl(url);
 
     if (!isAllowedMarkdownURL(normalizedUrl)) {
-        showStatus('URL not allowed. Must be HTTPS, no credentials, valid length.');
+        showStatus(URL_NOT_ALLOWED_MESSAGE);
         return false;
     }
 
-    // Set up abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-
-    let response = null;
     try {
         showStatus('Loading from URL...');
-        // NOSONAR: Client-side request with user-controlled URL is intentional for this markdown viewer.
-        // Security mitigations: HTTPS required, credentials blocked, homograph detection, content sanitized by DOMPurify
-        response = await fetch(normalizedUrl, { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        // Check Content-Length header if available (first line of defense)
-        const contentLength = response.headers.get('content-length');
-        if (contentLength && Number.parseInt(contentLength, 10) > MAX_CONTENT_SIZE) {
-            throw new Error(`File too large (${Math.round(Number.parseInt(contentLength, 10) / 1024 / 1024)}MB, max 10MB)`);
-        }
-
-        // Validate Content-Type header (defense-in-depth)
-        const contentType = response.headers.get('content-type');
-        if (!isValidMarkdownContentType(contentType)) {
-            throw new Error('Invalid content type: expected text');
-        }
-
-        // Read response text (second line of defense - streaming check)
-        const markdown = await response.text();
-
-        // Verify actual content size (in case Content-Length was missing or incorrect)
-        if (markdown.length > MAX_CONTENT_SIZE) {
-            throw new Error(`File too large (${Math.round(markdown.length / 1024 / 1024)}MB, max 10MB)`);
-        }
+        const { markdown, etag, lastModified } = await fetchMarkdown(normalizedUrl);
 
         const { cmEditor } = state;
 
@@ -249,27 +351,20 @@ export async function loadMarkdownFromURL(url, displayUrl) {
 
         await renderMarkdown();
 
+        // Remember what was loaded so the session can be checked against its source later
+        if (state.activeSessionId) {
+            saveSessionSource(state.activeSessionId, { url: normalizedUrl, content: markdown, etag, lastModified })
+                .catch(error => console.error('Failed to save source of session:', error));
+        }
+
         // Restore panel widths after loading new content (Issue #285)
         restorePanelWidths();
 
         showStatus(`Loaded: ${state.currentFilename}`);
         return true;
     } catch (error) {
-        clearTimeout(timeoutId);
-
-        // Provide user-friendly error messages
-        if (error.name === 'AbortError') {
-            console.error('Error loading URL: Request timed out');
-            showStatus('Error loading URL: Request timed out (10s limit)');
-        } else if (isCorsError(error, response)) {
-            // CORS-specific error with helpful guidance
-            const corsMessage = getCorsErrorMessage(normalizedUrl);
-            console.error('CORS error loading URL:', error);
-            showStatus(corsMessage);
-        } else {
-            console.error('Error loading URL:', error);
-            showStatus(`Error loading URL: ${error.message}`);
-        }
+        console.error('Error loading URL:', error);
+        showStatus(getFetchErrorMessage(error, normalizedUrl));
         return false;
     }
 }
@@ -320,6 +415,35 @@ export function saveFileAs() {
     }
 }
 
+/**
+ * Save as Word - download the rendered document as a .docx file
+ * Conversion runs in the browser (see docx-export.js); diagrams are rendered
+ * first so they can be embedded as images.
+ */
+export async function saveFileAsDocx() {
+    const { wrapper } = getElements();
+
+    // Validate content exists
+    if (!wrapper.innerHTML || wrapper.innerHTML.trim() === '') {
+        showStatus('Error: No content to export');
+        return;
+    }
+
+    showStatus('Creating Word document...');
+
+    try {
+        await forceRenderAllMermaidDiagrams();
+
+        const blob = await createDocx(wrapper);
+        const filename = (state.currentFilename || 'document.md').replace(/\.[^.]+$/, '') + '.docx';
+        downloadBlob(blob, filename);
+        showStatus(`Saved: ${filename}`);
+    } catch (error) {
+        console.error('DOCX export error:', error);
+        showStatus('Error exporting Word document: ' + error.message, 'error');
+    }
+}
+
 /**
  * Strip mermaid code fences from content if present
  * Used when saving pure Mermaid content to .mermaid/.mmd files (#367)
@@ -400,9 +524,10 @@ export function hasProperMermaidFences(content) {
  * Handles content transformation based on file type (#367):
  * - .mermaid/.mmd: Strip fences if present (save as pure mermaid)
  * - .md: Wrap in fences if content is pure mermaid
+ * Pasted/dropped images (merview-asset: URLs) are embedded as data: URLs.
  * @param {string} filename - The filename to save as
  */
-function downloadFile(filename) {
+async function downloadFile(filename) {
     const { cmEditor } = state;
     let content = cmEditor ? cmEditor.getValue() : '';
 
@@ -424,18 +549,17 @@ function downloadFile(filename) {
         }
     }
 
+    // Pasted/dropped images are embedded so the file works outside Merview
+    try {
+        content = await inlineAssets(content);
+    } catch (error) {
+        console.error('Error embedding images:', error);
+        showStatus('Error embedding images: ' + error.message, 'warning');
+    }
+
     // Use official MIME type per Mermaid.js ecosystem recommendations (#367)
     const mimeType = isMermaidFile ? 'text/vnd.mermaid;charset=utf-8' : 'text/markdown;charset=utf-8';
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([content], { type: mimeType }), filename);
 
     // Clear URL parameter when saving (user is taking ownership of content) (Issue #204)
     clearURLParameter();
@@ -446,6 +570,7 @@ function downloadFile(filename) {
 /**
  * Centralized file drop handler
  * Handles drag-and-drop of markdown files onto the editor
+ * HTML and Word (.docx) files are imported as markdown; images are inserted at the drop point
  * @param {DragEvent} e - The drop event
  */
 export async function handleFileDrop(e) {
@@ -456,20 +581,30 @@ export async function handleFileDrop(e) {
         return;
     }
 
+    // Images are stored with the session and inserted where they were dropped
+    const images = [...files].filter(isImageAssetFile);
+    if (images.length > 0 && state.cmEditor) {
+        const { cmEditor } = state;
+        cmEditor.setCursor(cmEditor.coordsChar({ left: e.clientX, top: e.clientY }, 'window'));
+        await insertImageFiles(cmEditor, images);
+        return;
+    }
+
     const file = files[0];
 
     // Validate file type
-    if (!isValidMarkdownFile(file)) {
-        showStatus('Please drop a text or markdown file');
+    if (!isValidMarkdownFile(file) && !getImportFormat(file)) {
+        showStatus('Please drop a markdown, text, HTML or Word (.docx) file');
         return;
     }
 
-    await loadMarkdownFile(file);
+    await openLocalFile(file);
 }
 
 /**
  * Export to PDF using browser's print dialog
- * Uses the browser's native print functionality with @media print CSS rules
+ * Uses the browser's native print functionality with @media print CSS rules,
+ * plus the page size, margins, header/footer and cover page from PDF Page Setup
  */
 export function exportToPDF() {
     const { wrapper } = getElements();
@@ -485,12 +620,178 @@ export function exportToPDF() {
     showStatus('Opening print dialog...');
 
     // Small delay to allow status message to show
-    setTimeout(() => {
+    setTimeout(async () => {
+        // Wait for web fonts (e.g. KaTeX math fonts) so equations don't print with fallback glyphs
+        await document.fonts?.ready;
+        // Page setup rules stay until the print dialog closes
+        globalThis.addEventListener('afterprint', applyPDFPageSetup(), { once: true });
         globalThis.print();
     }, 100);
 }
 
 
+/**
+ * Style elements carried into the HTML export, in cascade order:
+ * preview style (scoped to #wrapper), code block structure, syntax theme, HR page breaks
+ */
+const EXPORTED_STYLE_IDS = ['marked-custom-style', 'syntax-override', 'syntax-theme', 'hr-page-break-style'];
+
+/**
+ * CSS of the page's `@layer base` block (markdown extension defaults such as
+ * callouts, footnotes and definition lists)
+ * @returns {string} Layer CSS, or an empty string if not found
+ */
+function getBaseLayerCSS() {
+    for (const sheet of document.styleSheets) {
+        let rules;
+        try {
+            rules = sheet.cssRules;
+        } catch {
+            continue; // Cross-origin stylesheet
+        }
+        for (const rule of rules) {
+            if (rule instanceof CSSLayerBlockRule && rule.name === 'base') {
+                return rule.cssText;
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Get the KaTeX stylesheet for a standalone export
+ * The rules are copied from the loaded stylesheet (readable because it's loaded with
+ * CORS). Font URLs are made absolute: the fonts themselves still load from the CDN,
+ * and equations fall back to system fonts where that's blocked.
+ * @returns {string} <style> or <link> element, or '' if KaTeX's stylesheet isn't loaded
+ */
+function getKatexStyleElement() {
+    const link = document.querySelector('link[rel="stylesheet"][href*="katex"]');
+    if (!link) {
+        return '';
+    }
+
+    let css;
+    try {
+        css = Array.from(link.sheet.cssRules, rule => rule.cssText).join('\n');
+    } catch (error) {
+        // Not loaded (yet), or unreadable: link to it instead
+        console.warn('Could not read the KaTeX stylesheet, linking to it instead:', error);
+        return link.outerHTML;
+    }
+    const absolute = css.replaceAll(/url\((['"]?)([^'")]+)\1\)/g,
+        (match, quote, url) => `url(${quote}${new URL(url, link.href).href}${quote})`);
+    return `<style>\n${escapeStyleText(absolute)}\n</style>`;
+}
+
+/**
+ * Make CSS safe to embed in a <style> element
+ * A "<" in CSS can only appear in strings, comments and url() values, where the
+ * CSS escape \3C means the same character, so "</style>" can't end the element.
+ * @param {string} css - Stylesheet text
+ * @returns {string} Stylesheet text without "<"
+ */
+function escapeStyleText(css) {
+    return css.replaceAll('<', String.raw`\3C `);
+}
+
+/**
+ * Build a standalone HTML document from the rendered preview
+ * Diagrams must already be rendered; their SVGs are inlined with computed styles.
+ * Pasted/dropped images are inlined as data: URLs.
+ * @param {HTMLElement} wrapper - The preview wrapper element
+ * @returns {Promise<string>} Complete HTML document
+ */
+async function buildStandaloneHTML(wrapper) {
+    const { preview } = getElements();
+    const content = wrapper.cloneNode(true);
+
+    // Swap each diagram for a standalone copy that doesn't depend on page CSS
+    const renderedSvgs = wrapper.querySelectorAll('.mermaid[data-mermaid-rendered="true"] > svg');
+    content.querySelectorAll('.mermaid[data-mermaid-rendered="true"] > svg').forEach((svg, index) => {
+        const standalone = createStandaloneSvg(renderedSvgs[index]);
+        standalone.style.maxWidth = '100%';
+        standalone.style.height = 'auto';
+        svg.replaceWith(standalone);
+    });
+
+    await inlineAssetImages(content);
+
+    // Drop editor-only controls and bookkeeping attributes
+    content.querySelectorAll('.mermaid-expand-btn, .mermaid-download-btn').forEach(el => el.remove());
+    content.querySelectorAll('[data-source-line], [data-code-line]').forEach(el => {
+        el.removeAttribute('data-source-line');
+        el.removeAttribute('data-code-line');
+    });
+
+    // Loaded styles can come from any URL, so they must not be able to close the <style> element
+    const styles = escapeStyleText(EXPORTED_STYLE_IDS
+        .map(id => document.getElementById(id)?.textContent)
+        .filter(Boolean)
+        .join('\n'));
+
+    // KaTeX output needs its stylesheet, inlined like the others (fonts load from the CDN)
+    const katexStyle = content.querySelector('.katex') ? getKatexStyleElement() : '';
+
+    const title = content.querySelector('h1')?.textContent.trim()
+        || (state.currentFilename || 'Document').replace(/\.[^.]+$/, '');
+    const background = preview ? getComputedStyle(preview).backgroundColor : 'white';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.documentElement.lang || 'en')}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="Merview">
+<title>${escapeHtml(title)}</title>
+${katexStyle}
+<style>
+@layer base, preview-styles, syntax-theme, mermaid-theme;
+${getBaseLayerCSS()}
+@layer base {
+    body { background: ${background}; }
+    #wrapper { display: block; max-width: 900px; margin: 0 auto; padding: 20px; }
+    .mermaid { text-align: center; }
+}
+${styles}
+</style>
+</head>
+<body>
+${content.outerHTML}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export the rendered document as a single self-contained HTML file
+ * Includes the active preview style, syntax theme and inline SVGs for all diagrams
+ * (pending diagrams are rendered first), so it can be shared with people who
+ * never open a markdown editor.
+ * @returns {Promise<void>}
+ */
+export async function exportToHTML() {
+    const { wrapper } = getElements();
+
+    // Validate content exists
+    if (!wrapper.innerHTML || wrapper.innerHTML.trim() === '') {
+        showStatus('Error: No content to export');
+        return;
+    }
+
+    try {
+        await forceRenderAllMermaidDiagrams();
+
+        const html = await buildStandaloneHTML(wrapper);
+        const filename = (state.currentFilename || 'document.md').replace(/\.[^.]+$/, '') + '.html';
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename);
+        showStatus(`Exported: ${filename}`);
+    } catch (error) {
+        console.error('HTML export error:', error);
+        showStatus('Error exporting HTML: ' + error.message, 'error');
+    }
+}
+
 /**
  * Welcome page cache configuration
  *
@@ -632,7 +933,7 @@ export function initFileInputHandlers() {
         mdFileInput = document.createElement('input');
         mdFileInput.type = 'file';
         mdFileInput.id = 'mdFileInput';
-        mdFileInput.accept = '.md,.markdown,.txt,.text,.mermaid,.mmd';
+        mdFileInput.accept = '.md,.markdown,.txt,.text,.mermaid,.mmd,.html,.htm,.docx';
         mdFileInput.style.display = 'none';
         document.body.appendChild(mdFileInput);
     }
@@ -643,13 +944,13 @@ export function initFileInputHandlers() {
         if (!file) return;
 
         // Defensive validation (browser's accept attribute can be bypassed)
-        if (!isValidMarkdownFile(file)) {
-            showStatus('Please select a text or markdown file');
+        if (!isValidMarkdownFile(file) && !getImportFormat(file)) {
+            showStatus('Please select a markdown, text, HTML or Word (.docx) file');
             mdFileInput.value = '';
             return;
         }
 
-        await loadMarkdownFile(file);
+        await openLocalFile(file);
 
         // Reset input so the same file can be selected again
         mdFileInput.value = '';
@@ -3,6 +3,7 @@
  * @module gist
  *
  * Handles creating and sharing markdown documents as GitHub Gists with OAuth device flow authentication.
+ * The device flow is shared with other GitHub features through authorizeGitHub().
  */
 
 import { state } from './state.js';
@@ -21,6 +22,22 @@ const OAUTH_PROXY_URL = getOAuthProxyUrl();
 const MIN_POLL_INTERVAL_MS = 1000; // 1 second minimum
 const POLL_INTERVAL_INCREMENT_MS = 5000; // 5 seconds added on slow_down
 
+/**
+ * @typedef {Object} AuthRequest
+ * @property {string} scope - OAuth scope to request (see ALLOWED_SCOPES in the OAuth proxy)
+ * @property {function(string): (void|Promise<void>)} onAuthorized - Called with the new access token
+ */
+
+/** @type {AuthRequest} Authorize sharing, then create the gist */
+const GIST_AUTH_REQUEST = {
+    scope: 'gist',
+    onAuthorized: token => createGist(token, state.cmEditor ? state.cmEditor.getValue() : '')
+};
+
+// What the current device flow is authorizing
+// Retrying the flow (e.g. after the code expired) keeps the same request.
+let authRequest = GIST_AUTH_REQUEST;
+
 // ==========================================
 // MODAL DISPLAY FUNCTIONS
 // ==========================================
@@ -99,7 +116,8 @@ export async function shareToGist() {
             // Already authenticated, create gist directly
             await createGist(token, content);
         } else {
-            // Need to authenticate first
+            // Need to authenticate first, then create the gist
+            authRequest = GIST_AUTH_REQUEST;
             await startDeviceFlow();
         }
     } finally {
@@ -111,6 +129,29 @@ export async function shareToGist() {
 // OAUTH DEVICE FLOW FUNCTIONS
 // ==========================================
 
+/**
+ * Authorize Merview on GitHub through the device flow, then continue
+ * The authorization steps are shown in the gist modal.
+ * @param {string} scope - OAuth scope to request
+ * @param {AuthRequest['onAuthorized']} onAuthorized - Called with the new access token
+ * @returns {Promise<void>}
+ */
+export async function authorizeGitHub(scope, onAuthorized) {
+    if (!OAUTH_PROXY_URL) {
+        showGistModal('Feature Unavailable', `
+            <p class="status-text error">GitHub authorization is not available for this origin.</p>
+            <p>This feature is only available on authorized domains (merview.com) or localhost for development.</p>
+            <div class="modal-buttons">
+                <button class="btn" onclick="hideGistModal()">Close</button>
+            </div>
+        `);
+        return;
+    }
+
+    authRequest = { scope, onAuthorized };
+    await startDeviceFlow();
+}
+
 /**
  * Start the GitHub Device Flow authentication
  * Requests device and user codes from OAuth proxy
@@ -123,7 +164,8 @@ export async function startDeviceFlow() {
     try {
         const response = await fetch(`${OAUTH_PROXY_URL}/device/code`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scope: authRequest.scope })
         });
 
         if (!response.ok) {
@@ -255,9 +297,8 @@ async function pollForToken() {
         if (data.access_token) {
             saveGitHubToken(data);
 
-            // Now create the gist
-            const content = state.cmEditor ? state.cmEditor.getValue() : '';
-            await createGist(data.access_token, content);
+            // Now continue with what needed authorization (e.g. create the gist)
+            await authRequest.onAuthorized(data.access_token);
         }
 
     } catch (error) {
@@ -389,7 +430,7 @@ async function createGist(token, content) {
                 <p class="status-text error">${escapeHtml(error.message)}</p>
                 <div class="modal-buttons">
                     <button class="btn" onclick="hideGistModal()">Cancel</button>
-                    <button class="btn btn-success" onclick="startDeviceFlow()">Authorize Again</button>
+                    <button class="btn btn-success" onclick="shareToGist()">Authorize Again</button>
                 </div>
             `);
         } else {
@@ -0,0 +1,382 @@
+/**
+ * github-commit.js - Commit documents loaded from GitHub back to their repository
+ *
+ * Uses the GitHub contents API to replace the file the document was loaded from,
+ * either directly on its branch or on a new branch with a pull request.
+ *
+ * Conflict detection: the contents API only replaces a file when given the blob
+ * SHA it currently has. The SHA expected here is that of the text the document
+ * was loaded from (session-sources.js), or of the last commit made from here.
+ * If the file on GitHub has a different SHA, someone else changed it, and the
+ * commit is refused until their changes are merged in (see source-sync.js).
+ *
+ * Needs a token with the 'repo' scope; sharing gists only grants 'gist'. That token
+ * is kept for this tab only (sessionStorage, see saveGitHubToken()).
+ */
+
+import { state } from './state.js';
+import { getGitHubRepoToken, clearGitHubRepoToken } from './storage.js';
+import { getSessionSource, saveSessionSource } from './session-sources.js';
+
+const GITHUB_API_URL = 'https://api.github.com';
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Scope requested when authorizing commits (the OAuth proxy only allows it together with gist)
+export const COMMIT_SCOPE = 'gist repo';
+
+/**
+ * @typedef {Object} GitHubFileLocation
+ * @property {string} owner - Repository owner
+ * @property {string} repo - Repository name
+ * @property {string} ref - Branch (or tag/commit) the file was loaded from
+ * @property {string} path - File path in the repository
+ */
+
+/**
+ * @typedef {Object} GitHubFile
+ * @property {string} sha - Blob SHA
+ * @property {string} text - File content (UTF-8)
+ * @property {string} htmlUrl - File page on github.com
+ */
+
+/**
+ * @typedef {Object} CommitResult
+ * @property {'committed'|'pull-request'|'conflict'|'unknown'|'unchanged'} status
+ *   - committed: committed to the branch the file was loaded from
+ *   - pull-request: committed to a new branch, with a pull request
+ *   - conflict: the file changed on GitHub since it was loaded; see file
+ *   - unknown: what was loaded isn't known (loaded before sources were recorded),
+ *     so changes on GitHub can't be detected; commit again with force to replace the file
+ *   - unchanged: the file on GitHub already has this text
+ * @property {string} [url] - Commit or pull request page on github.com
+ * @property {GitHubFile} [file] - File as it is on GitHub (conflict only)
+ */
+
+/**
+ * Error from the GitHub API
+ */
+export class GitHubApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Work out the repository file a URL points to
+ *
+ * Supported formats:
+ * - raw.githubusercontent.com/{owner}/{repo}/{ref}/{path}
+ * - raw.githubusercontent.com/{owner}/{repo}/refs/heads/{branch}/{path}
+ * - github.com/{owner}/{repo}/blob/{ref}/{path}
+ *
+ * A branch name containing slashes can't be told apart from the file path, so the
+ * first segment is taken as the branch (a wrong guess fails when reading the file).
+ *
+ * @param {string|null} url - URL the document was loaded from
+ * @returns {GitHubFileLocation|null} File location, or null if not a GitHub file URL
+ */
+export function parseGitHubFileUrl(url) {
+    if (!url) return null;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (parsed.protocol !== 'https:') return null;
+
+    const parts = parsed.pathname.slice(1).split('/').filter(p => p.length > 0);
+    let rest;
+    if (parsed.hostname === 'raw.githubusercontent.com') {
+        rest = parts.slice(2);
+    } else if (parsed.hostname === 'github.com' && parts[2] === 'blob') {
+        rest = parts.slice(3);
+    } else {
+        return null;
+    }
+
+    let ref = rest[0];
+    let pathParts = rest.slice(1);
+    if (rest[0] === 'refs' && rest[1] === 'heads') {
+        ref = rest[2];
+        pathParts = rest.slice(3);
+    }
+    if (parts.length < 2 || !ref || pathParts.length === 0) return null;
+
+    try {
+        return {
+            owner: decodeURIComponent(parts[0]),
+            repo: decodeURIComponent(parts[1]),
+            ref: decodeURIComponent(ref),
+            path: pathParts.map(decodeURIComponent).join('/')
+        };
+    } catch {
+        // Malformed percent-encoding
+        return null;
+    }
+}
+
+/**
+ * Compute the git blob SHA-1 of text, as GitHub reports it for files
+ * @param {string} text - File content
+ * @returns {Promise<string>} Hex digest
+ */
+export async function gitBlobSha(text) {
+    const content = new TextEncoder().encode(text);
+    const header = new TextEncoder().encode(`blob ${content.length}\0`);
+    const blob = new Uint8Array(header.length + content.length);
+    blob.set(header);
+    blob.set(content, header.length);
+    const digest = await crypto.subtle.digest('SHA-1', blob);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode text as base64 (UTF-8), as the contents API expects
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 string
+ */
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    // Chunked to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 (UTF-8) content from the contents API
+ * @param {string} base64 - Base64 string (may contain line breaks)
+ * @returns {string} Decoded text
+ */
+function decodeBase64(base64) {
+    const binary = atob(base64.replaceAll(/\s/g, ''));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Encode a repository path for use in an API URL (keeps the slashes)
+ * @param {string} path - File path
+ * @returns {string} Encoded path
+ */
+function encodePath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Check whether this tab has a token that can commit to repositories
+ * @returns {boolean} True if there is a token with the 'repo' scope
+ */
+export function hasCommitAccess() {
+    return Boolean(getGitHubRepoToken());
+}
+
+/**
+ * Call the GitHub REST API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. /repos/{owner}/{repo}/contents/{path})
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {GitHubApiError} If the request fails or times out
+ */
+async function githubRequest(method, path, body) {
+    const token = getGitHubRepoToken();
+    if (!token) {
+        throw new GitHubApiError('Not connected to GitHub', 401);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(`${GITHUB_API_URL}${path}`, {
+            method,
+            signal: controller.signal,
+            cache: 'no-store',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new GitHubApiError(`The request to GitHub timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds`, 0);
+        }
+        throw new GitHubApiError(`Could not reach GitHub: ${error.message}`, 0);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (response.status === 401) {
+            clearGitHubRepoToken();
+            throw new GitHubApiError('GitHub authorization expired. Please authorize again.', 401);
+        }
+        throw new GitHubApiError(data.message || `GitHub API error: ${response.status}`, response.status);
+    }
+    return data;
+}
+
+/**
+ * Get a file as it currently is on GitHub
+ * @param {GitHubFileLocation} location - File location
+ * @returns {Promise<GitHubFile>} File
+ * @throws {GitHubApiError} If the file can't be read
+ */
+export async function getGitHubFile({ owner, repo, ref, path }) {
+    const data = await githubRequest('GET',
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+
+    if (Array.isArray(data) || data.type !== 'file') {
+        throw new GitHubApiError(`${path} is not a file`, 422);
+    }
+    // Files over 1 MB come without content
+    if (data.encoding !== 'base64') {
+        throw new GitHubApiError(`${path} is too large to commit through the GitHub API`, 413);
+    }
+    return { sha: data.sha, text: decodeBase64(data.content), htmlUrl: data.html_url };
+}
+
+/**
+ * Replace a file on a branch
+ * @param {GitHubFileLocation} location - File location (ref is the branch to commit to)
+ * @param {string} text - New content
+ * @param {string} message - Commit message
+ * @param {string} sha - Blob SHA the file has now (GitHub refuses the commit otherwise)
+ * @returns {Promise<{sha: string, commitUrl: string}>} New blob SHA and commit page
+ * @throws {GitHubApiError} If the commit fails (409 if the file's SHA no longer matches)
+ */
+async function commitGitHubFile({ owner, repo, ref, path }, text, message, sha) {
+    const data = await githubRequest('PUT',
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodePath(path)}`,
+        { message, content: encodeBase64(text), sha, branch: ref });
+    return { sha: data.content.sha, commitUrl: data.commit.html_url };
+}
+
+/**
+ * Create a branch starting at the head of another
+ * @param {GitHubFileLocation} location - Repository and base branch (ref)
+ * @param {string} branch - New branch name
+ * @returns {Promise<void>}
+ * @throws {GitHubApiError} If the branch exists (422) or can't be created
+ */
+async function createGitHubBranch({ owner, repo, ref }, branch) {
+    const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    const base = await githubRequest('GET', `${repoPath}/git/ref/heads/${encodePath(ref)}`);
+    try {
+        await githubRequest('POST', `${repoPath}/git/refs`, { ref: `refs/heads/${branch}`, sha: base.object.sha });
+    } catch (error) {
+        if (error.status === 422) {
+            throw new GitHubApiError(`Branch "${branch}" already exists or is not a valid branch name`, 422);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Open a pull request
+ * @param {GitHubFileLocation} location - Repository and base branch (ref)
+ * @param {string} branch - Branch with the changes
+ * @param {string} message - Commit message (first line becomes the title)
+ * @returns {Promise<string>} Pull request page on github.com
+ */
+async function createPullRequest({ owner, repo, ref }, branch, message) {
+    const [title, ...body] = message.split('\n');
+    const data = await githubRequest('POST',
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls`,
+        { title, body: body.join('\n').trim(), head: branch, base: ref });
+    return data.html_url;
+}
+
+/**
+ * Get the blob SHA the file is expected to have on GitHub
+ * @param {string} sessionId - Session ID
+ * @param {string} url - URL the document was loaded from
+ * @returns {Promise<{sha: string, source: import('./session-sources.js').SessionSource}|null>}
+ *   Expected SHA and the source record, or null if what was loaded isn't known
+ */
+async function getExpectedSha(sessionId, url) {
+    const source = await getSessionSource(sessionId);
+    // A record for another URL is stale
+    if (source?.url !== url) return null;
+    return { sha: source.committedSha || await gitBlobSha(source.content), source };
+}
+
+/**
+ * Commit the active document to the GitHub file it was loaded from
+ * @param {Object} options - Commit options
+ * @param {string} options.message - Commit message
+ * @param {string|null} [options.branch] - New branch to commit to, with a pull request;
+ *   null commits directly to the branch the file was loaded from
+ * @param {boolean} [options.force] - Commit even if what was loaded isn't known
+ * @returns {Promise<CommitResult>} Result
+ * @throws {GitHubApiError} If a GitHub request fails
+ * @throws {Error} If the document wasn't loaded from GitHub
+ */
+export async function commitToGitHub({ message, branch = null, force = false }) {
+    const sessionId = state.activeSessionId;
+    const url = state.loadedFromURL;
+    const location = parseGitHubFileUrl(url);
+    if (!sessionId || !location) {
+        throw new Error('This document was not loaded from a GitHub repository');
+    }
+    const text = state.cmEditor?.getValue() ?? '';
+
+    const [file, expected] = await Promise.all([
+        getGitHubFile(location),
+        getExpectedSha(sessionId, url)
+    ]);
+    if (file.text === text) {
+        return { status: 'unchanged' };
+    }
+    if (expected && file.sha !== expected.sha) {
+        return { status: 'conflict', file };
+    }
+    if (!expected && !force) {
+        return { status: 'unknown' };
+    }
+
+    if (branch) {
+        await createGitHubBranch(location, branch);
+        await commitGitHubFile({ ...location, ref: branch }, text, message, file.sha);
+        const prUrl = await createPullRequest(location, branch, message);
+        return { status: 'pull-request', url: prUrl };
+    }
+
+    let commit;
+    try {
+        commit = await commitGitHubFile(location, text, message, file.sha);
+    } catch (error) {
+        // Changed between reading and committing
+        if (error.status === 409) {
+            return { status: 'conflict', file: await getGitHubFile(location) };
+        }
+        throw error;
+    }
+
+    // The committed text is the new common ancestor for source checks. The
+    // validators of the last fetch are kept: raw.githubusercontent.com can serve
+    // the old text for a few minutes, and that should not count as a change.
+    await saveSessionSource(sessionId, {
+        url,
+        content: text,
+        etag: expected?.source.etag ?? null,
+        lastModified: expected?.source.lastModified ?? null,
+        committedSha: commit.sha
+    });
+    return { status: 'committed', url: commit.commitUrl };
+}
@@ -8,18 +8,25 @@ import { state, resetEditorState, DOCUMENT_MODE } from './state.js';
 import { initCodeMirror, getEditorContent, setEditorContent } from './editor.js';
 import { renderMarkdown, scheduleRender } from './renderer.js';
 import { initStyleSelector, initSyntaxThemeSelector, initEditorThemeSelector, initMermaidThemeSelector, initPreviewDragDrop, initURLModalHandlers, changeStyle, changeSyntaxTheme, changeEditorTheme, changeMermaidTheme, applyPreviewBackground, applyCachedBackground, loadCSSFromFile, applyCSSDirectly } from './themes.js';
-import { loadMarkdownFromURL, loadWelcomePage, clearWelcomePageCache, openFile, saveFile, saveFileAs, isValidMarkdownFile, isValidMarkdownContentType, exportToPDF, initFileInputHandlers, stripMermaidFences, hasProperMermaidFences } from './file-ops.js';
-import { initDocumentSelector, changeDocument, updateDocumentSelector } from './documents.js';
+import { loadMarkdownFromURL, loadWelcomePage, clearWelcomePageCache, openFile, saveFile, saveFileAs, saveFileAsDocx, isValidMarkdownFile, isValidMarkdownContentType, exportToPDF, exportToHTML, initFileInputHandlers, stripMermaidFences, hasProperMermaidFences } from './file-ops.js';
+import { initDocumentSelector, changeDocument, updateDocumentSelector, openWikiPage } from './documents.js';
 import { shareToGist, hideGistModal, openGitHubAuth, startDeviceFlow, copyGistUrl, disconnectGitHub } from './gist.js';
-import { toggleLintPanel, validateCode } from './validation.js';
+import { toggleLintPanel, validateCode, initLintPanel } from './validation.js';
 import { initMermaidFullscreen } from './mermaid-fullscreen.js';
 import { isAllowedMarkdownURL, isAllowedCSSURL, stripGitHubToken, showPrivateUrlModal, initPrivateUrlModalHandlers, normalizeGistUrl, normalizeGitHubContentUrl } from './security.js';
 import { isRelativeDocPath, resolveDocUrl } from './config.js';
 import { getMarkdownContent, isFreshVisit, markSessionInitialized } from './storage.js';
 import { showStatus, setURLParameter, clearURLParameter } from './utils.js';
 import { initResizeHandle } from './resize.js';
+import { initScrollSync, syncPreviewToEditor, syncEditorToPreview } from './scroll-sync.js';
+import { initOutlinePanel, toggleOutlinePanel } from './toc.js';
 import { initSessions } from './sessions.js';
-import { initSessionsModalHandlers } from './components/sessions-modal.js';
+import { initSessionsModalHandlers, showSessionsModal } from './components/sessions-modal.js';
+import { initVersionHistoryModalHandlers } from './components/version-history-modal.js';
+import { initSourceSyncModalHandlers } from './components/source-sync-modal.js';
+import { initTabConflictModalHandlers } from './components/tab-conflict-modal.js';
+import { initGitHubCommitModalHandlers, showGitHubCommitModal } from './components/github-commit-modal.js';
+import { showPDFOptionsModal, initPDFOptionsModalHandlers } from './components/pdf-options-modal.js';
 
 /**
  * Clear the editor content
@@ -108,14 +115,18 @@ function exposeGlobalFunctions() {
     globalThis.startDeviceFlow = startDeviceFlow;
     globalThis.copyGistUrl = copyGistUrl;
     globalThis.disconnectGitHub = disconnectGitHub;
+    globalThis.showGitHubCommitModal = showGitHubCommitModal;
 
     // File operation functions
     globalThis.openFile = openFile;
     globalThis.saveFile = saveFile;
     globalThis.saveFileAs = saveFileAs;
+    globalThis.saveFileAsDocx = saveFileAsDocx;
     globalThis.isValidMarkdownFile = isValidMarkdownFile;
     globalThis.isValidMarkdownContentType = isValidMarkdownContentType;
     globalThis.exportToPDF = exportToPDF;
+    globalThis.exportToHTML = exportToHTML;
+    globalThis.showPDFOptionsModal = showPDFOptionsModal;
     globalThis.stripMermaidFences = stripMermaidFences;
     globalThis.hasProperMermaidFences = hasProperMermaidFences;
 
@@ -125,6 +136,15 @@ function exposeGlobalFunctions() {
     // newDocument is internal - called via changeDocument('__new__')
     globalThis.changeDocument = changeDocument;
     globalThis.updateDocumentSelector = updateDocumentSelector;
+    // openWikiPage is needed globally due to circular dependency with renderer.js
+    globalThis.openWikiPage = openWikiPage;
+
+    // Outline functions - exposed for testing
+    globalThis.toggleOutlinePanel = toggleOutlinePanel;
+
+    // Scroll sync functions - exposed for testing
+    globalThis.syncPreviewToEditor = syncPreviewToEditor;
+    globalThis.syncEditorToPreview = syncEditorToPreview;
 
     // Validation functions
     globalThis.toggleLintPanel = toggleLintPanel;
@@ -173,6 +193,12 @@ function setupKeyboardShortcuts() {
             changeDocument('__load_url__');
         }
 
+        // Ctrl/Cmd + Shift + F to search all sessions
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            showSessionsModal({ focusSearch: true });
+        }
+
         // Ctrl/Cmd + P to print/export PDF
         if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
             e.preventDefault();
@@ -406,7 +432,7 @@ async function initializeApp() {
     initFileInputHandlers();
 
     // Initialize sessions system (before document selector)
-    initSessions();
+    await initSessions();
 
     // Initialize document selector
     initDocumentSelector();
@@ -414,6 +440,21 @@ async function initializeApp() {
     // Initialize sessions modal handlers
     initSessionsModalHandlers();
 
+    // Initialize version history modal handlers
+    initVersionHistoryModalHandlers();
+
+    // Initialize source sync modal handlers
+    initSourceSyncModalHandlers();
+
+    // Initialize tab conflict modal handlers (changes saved in other tabs)
+    initTabConflictModalHandlers();
+
+    // Initialize GitHub commit modal handlers
+    initGitHubCommitModalHandlers();
+
+    // Initialize PDF page setup modal handlers
+    initPDFOptionsModalHandlers();
+
     // Initialize brand home link (logo click handler)
     initBrandHomeLink();
 
@@ -429,6 +470,15 @@ async function initializeApp() {
     // Initialize panel resize handle
     initResizeHandle();
 
+    // Initialize editor/preview scroll synchronization
+    initScrollSync();
+
+    // Initialize outline sidebar (table of contents)
+    initOutlinePanel();
+
+    // Initialize lint panel (click an issue to jump to its line in the editor)
+    initLintPanel();
+
     // Expose global functions for onclick handlers
     exposeGlobalFunctions();
 
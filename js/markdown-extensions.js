@@ -0,0 +1,370 @@
+/**
+ * markdown-extensions.js
+ * marked extensions for MultiMarkdown/Kramdown syntax
+ *
+ * - Footnotes: [^label] references and [^label]: definitions, rendered as an
+ *   endnote list with back-links (plain #fragment links, same as heading anchors)
+ * - Definition lists: a term line followed by one or more ": definition" lines
+ * - Abbreviations: *[HTML]: Hyper Text Markup Language, applied to all body text
+ *
+ * Footnotes and abbreviations are document-wide, so renderer.js calls
+ * prepareDocumentExtensions() with the lexed tokens before rendering and
+ * renderFootnotesSection() afterwards.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Footnote definitions for the current document (label → token)
+const footnoteDefinitions = new Map();
+
+// Footnote labels in order of first reference, plus per-label reference counts
+const footnoteOrder = [];
+const footnoteRefCounts = new Map();
+
+// Abbreviations for the current document and the regex that matches them
+const abbreviations = new Map();
+let abbreviationRegex = null;
+
+const FOOTNOTE_DEF_REGEX = /^\[\^([^\]\s]+)\]:[ \t]?([^\n]*)/;
+const FOOTNOTE_REF_REGEX = /^\[\^([^\]\s]+)\](?!:)/;
+const DEFINITION_LINE_REGEX = /^ {0,3}:[ \t]+/;
+const CONTINUATION_LINE_REGEX = /^(?: {2,}|\t)\S/;
+const ABBREVIATION_REGEX = /^(?:\*\[([^\]\n]+)\]:[ \t]*([^\n]*)(?:\n|$))+/;
+const ABBREVIATION_LINE_REGEX = /^\*\[([^\]\n]+)\]:[ \t]*([^\n]*)$/;
+
+// Lines that start another block and so can't be a definition-list term
+const NON_TERM_LINE_REGEX = /^(?: {0,3}(?:#{1,6}\s|[-*+]\s|\d+[.)]\s|>|```|~~~|\||<)|\s*$)/;
+
+/**
+ * Escape a string for use in an HTML attribute value
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value (including double quotes)
+ */
+function escapeAttribute(value) {
+    return escapeHtml(value).replaceAll('"', '&quot;');
+}
+
+/**
+ * Turn a footnote label into an ID-safe fragment
+ * @param {string} label - Footnote label as written in the source
+ * @returns {string} Fragment safe for id/href attributes
+ */
+function footnoteId(label) {
+    return label.replaceAll(/[^\w-]/g, '-');
+}
+
+// ==========================================
+// FOOTNOTES
+// ==========================================
+
+/**
+ * marked block extension for footnote definitions
+ * Continuation lines must be indented (2+ spaces or a tab); blank lines are allowed
+ * between indented paragraphs.
+ */
+const footnoteDefinitionExtension = {
+    name: 'footnoteDefinition',
+    level: 'block',
+    start(src) {
+        return /^\[\^[^\]\s]+\]:/m.exec(src)?.index;
+    },
+    tokenizer(src) {
+        const match = FOOTNOTE_DEF_REGEX.exec(src);
+        if (!match) return undefined;
+
+        const lines = src.split('\n');
+        const contentLines = [match[2]];
+        let consumed = 1;
+
+        while (consumed < lines.length) {
+            const line = lines[consumed];
+            const nextIsContinuation = !line.trim() && CONTINUATION_LINE_REGEX.test(lines[consumed + 1] ?? '');
+            if (!CONTINUATION_LINE_REGEX.test(line) && !nextIsContinuation) break;
+            contentLines.push(line.replace(/^(?: {1,4}|\t)/, ''));
+            consumed++;
+        }
+
+        // Include trailing blank lines in raw so the next block starts cleanly
+        while (consumed < lines.length && !lines[consumed].trim() && consumed < lines.length - 1) {
+            consumed++;
+        }
+
+        const raw = lines.slice(0, consumed).join('\n') + (consumed < lines.length ? '\n' : '');
+        const token = {
+            type: 'footnoteDefinition',
+            raw,
+            label: match[1],
+            tokens: []
+        };
+        this.lexer.blockTokens(contentLines.join('\n'), token.tokens);
+        return token;
+    },
+    renderer() {
+        // Definitions are collected and rendered at the end of the document
+        return '';
+    }
+};
+
+/**
+ * marked inline extension for footnote references
+ * References without a matching definition are left as literal text.
+ */
+const footnoteRefExtension = {
+    name: 'footnoteRef',
+    level: 'inline',
+    start(src) {
+        const index = src.indexOf('[^');
+        return index >= 0 ? index : undefined;
+    },
+    tokenizer(src) {
+        const match = FOOTNOTE_REF_REGEX.exec(src);
+        if (match) {
+            return { type: 'footnoteRef', raw: match[0], label: match[1] };
+        }
+        return undefined;
+    },
+    renderer(token) {
+        if (!footnoteDefinitions.has(token.label)) {
+            return escapeHtml(token.raw);
+        }
+
+        if (!footnoteRefCounts.has(token.label)) {
+            footnoteOrder.push(token.label);
+        }
+        const refCount = (footnoteRefCounts.get(token.label) || 0) + 1;
+        footnoteRefCounts.set(token.label, refCount);
+
+        const number = footnoteOrder.indexOf(token.label) + 1;
+        const id = footnoteId(token.label);
+        const refId = refCount === 1 ? `fnref-${id}` : `fnref-${id}-${refCount}`;
+        return `<sup class="footnote-ref"><a href="#fn-${id}" id="${refId}" role="doc-noteref">${number}</a></sup>`;
+    }
+};
+
+/**
+ * Render the endnote list for all referenced footnotes
+ * Must be called after the document body has been rendered, since numbering
+ * follows the order of first reference.
+ * @returns {string} HTML for the footnotes section (empty if none were referenced)
+ */
+export function renderFootnotesSection() {
+    if (footnoteOrder.length === 0) return '';
+
+    // Definitions can reference footnotes too, which adds them to footnoteOrder (and
+    // adds references to earlier ones), so render every body before the back-links
+    const bodies = [];
+    for (let i = 0; i < footnoteOrder.length; i++) {
+        bodies.push(marked.parser(footnoteDefinitions.get(footnoteOrder[i]).tokens));
+    }
+
+    const items = footnoteOrder.map((label, index) => {
+        const id = footnoteId(label);
+        const refCount = footnoteRefCounts.get(label);
+        const backLinks = Array.from({ length: refCount }, (_, i) => {
+            const refId = i === 0 ? `fnref-${id}` : `fnref-${id}-${i + 1}`;
+            const suffix = refCount > 1 ? `<sup>${i + 1}</sup>` : '';
+            return `<a href="#${refId}" class="footnote-backref" aria-label="Back to reference ${index + 1}${refCount > 1 ? `-${i + 1}` : ''}">↩${suffix}</a>`;
+        }).join(' ');
+
+        const body = bodies[index];
+        // Place back-links inside the last paragraph when there is one
+        const withBackLinks = /<\/p>\s*$/.test(body)
+            ? body.replace(/<\/p>\s*$/, ` ${backLinks}</p>\n`)
+            : `${body}<p>${backLinks}</p>\n`;
+        return `<li id="fn-${id}">\n${withBackLinks}</li>\n`;
+    });
+
+    // No <hr> separator or heading: an <hr> would force a page break in PDFs when
+    // "HR as Page Break" is on, and a heading would show up in the outline
+    return `<section class="footnotes" role="doc-endnotes" aria-label="Footnotes">\n<ol>\n${items.join('')}</ol>\n</section>\n`;
+}
+
+// ==========================================
+// DEFINITION LISTS
+// ==========================================
+
+/**
+ * Parse definition list groups from the start of src
+ * @param {string} src - Remaining block source
+ * @returns {{raw: string, groups: Array<{term: string, definitions: string[]}>}|null} Parsed list or null
+ */
+function parseDefinitionList(src) {
+    const lines = src.split('\n');
+    const groups = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const term = lines[i];
+        if (NON_TERM_LINE_REGEX.test(term) || DEFINITION_LINE_REGEX.test(term)) break;
+
+        // Optional blank line between term and first definition (Kramdown style)
+        let j = i + 1;
+        if (!lines[j]?.trim() && DEFINITION_LINE_REGEX.test(lines[j + 1] ?? '')) j++;
+        if (!DEFINITION_LINE_REGEX.test(lines[j] ?? '')) break;
+
+        const definitions = [];
+        while (DEFINITION_LINE_REGEX.test(lines[j] ?? '')) {
+            const definitionLines = [lines[j].replace(DEFINITION_LINE_REGEX, '')];
+            j++;
+            while (j < lines.length && CONTINUATION_LINE_REGEX.test(lines[j])) {
+                definitionLines.push(lines[j].trim());
+                j++;
+            }
+            definitions.push(definitionLines.join('\n'));
+        }
+
+        groups.push({ term: term.trim(), definitions });
+        i = j;
+
+        // Blank lines between groups keep the same list going
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next === i || next >= lines.length) break;
+        const nextDefinition = DEFINITION_LINE_REGEX.test(lines[next + 1] ?? '')
+            || (!lines[next + 1]?.trim() && DEFINITION_LINE_REGEX.test(lines[next + 2] ?? ''));
+        if (!nextDefinition || NON_TERM_LINE_REGEX.test(lines[next])) break;
+        i = next;
+    }
+
+    if (groups.length === 0) return null;
+
+    // Consume trailing blank lines like other block tokens do
+    let end = i;
+    while (end < lines.length - 1 && !lines[end].trim()) end++;
+    const raw = lines.slice(0, end).join('\n') + (end < lines.length ? '\n' : '');
+    return { raw, groups };
+}
+
+/**
+ * marked block extension for definition lists
+ */
+const definitionListExtension = {
+    name: 'definitionList',
+    level: 'block',
+    start(src) {
+        return /^[^\n]+\n(?:[ \t]*\n)? {0,3}:[ \t]/m.exec(src)?.index;
+    },
+    tokenizer(src) {
+        const parsed = parseDefinitionList(src);
+        if (!parsed) return undefined;
+
+        return {
+            type: 'definitionList',
+            raw: parsed.raw,
+            groups: parsed.groups.map(group => ({
+                termTokens: this.lexer.inlineTokens(group.term),
+                definitionTokens: group.definitions.map(definition => this.lexer.inlineTokens(definition))
+            }))
+        };
+    },
+    renderer(token) {
+        const body = token.groups.map(group => {
+            const term = `<dt>${this.parser.parseInline(group.termTokens)}</dt>\n`;
+            const definitions = group.definitionTokens
+                .map(tokens => `<dd>${this.parser.parseInline(tokens)}</dd>\n`)
+                .join('');
+            return term + definitions;
+        }).join('');
+        return `<dl>\n${body}</dl>\n`;
+    }
+};
+
+// ==========================================
+// ABBREVIATIONS
+// ==========================================
+
+/**
+ * marked block extension for abbreviation definitions (*[ABBR]: Full text)
+ * Definitions produce no output; they are applied to body text by applyAbbreviations().
+ */
+const abbreviationDefinitionExtension = {
+    name: 'abbreviationDefinition',
+    level: 'block',
+    start(src) {
+        return /^\*\[[^\]\n]+\]:/m.exec(src)?.index;
+    },
+    tokenizer(src) {
+        const match = ABBREVIATION_REGEX.exec(src);
+        if (!match) return undefined;
+
+        const definitions = match[0].split('\n')
+            .map(line => ABBREVIATION_LINE_REGEX.exec(line))
+            .filter(Boolean)
+            .map(lineMatch => ({ abbr: lineMatch[1].trim(), title: lineMatch[2].trim() }));
+
+        return { type: 'abbreviationDefinition', raw: match[0], definitions };
+    },
+    renderer() {
+        return '';
+    }
+};
+
+/**
+ * Wrap defined abbreviations in already-escaped text with <abbr> elements
+ * Used by the custom renderer.text so abbreviations apply everywhere inline text
+ * is rendered (paragraphs, lists, tables, headings) but never inside code.
+ * @param {string} text - Escaped HTML text from marked
+ * @returns {string} Text with abbreviations marked up
+ */
+export function applyAbbreviations(text) {
+    if (!abbreviationRegex) return text;
+    return text.replace(abbreviationRegex, (match) => {
+        const title = abbreviations.get(match);
+        return `<abbr title="${escapeAttribute(title)}">${match}</abbr>`;
+    });
+}
+
+/**
+ * Build the abbreviation matcher from collected definitions
+ * Longer abbreviations are tried first so "HTML5" wins over "HTML".
+ */
+function buildAbbreviationRegex() {
+    if (abbreviations.size === 0) {
+        abbreviationRegex = null;
+        return;
+    }
+    const alternatives = Array.from(abbreviations.keys())
+        .sort((a, b) => b.length - a.length)
+        .map(abbr => abbr.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`));
+    // Lookbehind excludes '&' so entity names like &amp; are never matched
+    abbreviationRegex = new RegExp(String.raw`(?<![\w&])(?:${alternatives.join('|')})(?!\w)`, 'g');
+}
+
+// ==========================================
+// DOCUMENT LIFECYCLE
+// ==========================================
+
+/**
+ * Collect document-wide definitions before rendering
+ * Resets footnote numbering and abbreviations from the previous render.
+ * @param {Array<object>} tokens - Tokens from marked.lexer()
+ */
+export function prepareDocumentExtensions(tokens) {
+    footnoteDefinitions.clear();
+    footnoteOrder.length = 0;
+    footnoteRefCounts.clear();
+    abbreviations.clear();
+
+    marked.walkTokens(tokens, (token) => {
+        if (token.type === 'footnoteDefinition' && !footnoteDefinitions.has(token.label)) {
+            footnoteDefinitions.set(token.label, token);
+        } else if (token.type === 'abbreviationDefinition') {
+            // Abbreviation text is matched against escaped HTML, so store escaped keys
+            token.definitions.forEach(({ abbr, title }) => {
+                abbreviations.set(escapeHtml(abbr), title);
+            });
+        }
+    });
+
+    buildAbbreviationRegex();
+}
+
+/**
+ * All extensions in this module, for registration with marked.use()
+ */
+export const markdownExtensions = [
+    footnoteDefinitionExtension,
+    footnoteRefExtension,
+    definitionListExtension,
+    abbreviationDefinitionExtension
+];
@@ -0,0 +1,110 @@
+/**
+ * math.js
+ * LaTeX math rendering with KaTeX
+ *
+ * Provides marked extensions for:
+ * - Inline math: $E = mc^2$
+ * - Display math: $$ ... $$ on their own lines (or inline as $$...$$)
+ *
+ * KaTeX is loaded from CDN in index.html (deferred, before main.js runs). Output is plain HTML/MathML with
+ * classes and inline styles, so it passes through DOMPurify unchanged apart
+ * from the TeX annotation, which we drop before sanitization (see renderMath).
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Inline math: $...$ where the opening $ is not followed by whitespace, the
+ * closing $ is not preceded by whitespace and not followed by a digit.
+ * This keeps prices like "$5 and $10" as plain text. $$...$$ inside a
+ * paragraph is rendered in display mode.
+ */
+const INLINE_MATH_REGEX = /^(\$\$?)(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\1(?!\d)/;
+
+/**
+ * Display math block: $$ on its own line(s), content may span multiple lines
+ */
+const BLOCK_MATH_REGEX = /^ {0,3}\$\$([^\n]*?)\n?([\s\S]*?)\n? {0,3}\$\$[ \t]*(?:\n+|$)/;
+
+/**
+ * Render TeX to HTML with KaTeX
+ * Falls back to escaped source if KaTeX failed to load. Parse errors are shown
+ * inline (KaTeX's throwOnError: false) rather than breaking the whole render.
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - True for display (block) math
+ * @returns {string} HTML string
+ */
+export function renderMath(tex, displayMode) {
+    if (typeof katex === 'undefined') {
+        const tag = displayMode ? 'div' : 'span';
+        return `<${tag} class="math-fallback">${escapeHtml(tex)}</${tag}>`;
+    }
+
+    try {
+        const html = katex.renderToString(tex, {
+            displayMode,
+            throwOnError: false,
+            output: 'htmlAndMathml'
+        });
+        // DOMPurify strips <semantics>/<annotation> but keeps their text, which would
+        // leave the raw TeX inside the MathML for screen readers. Drop the annotation here.
+        return html.replaceAll(/<annotation encoding="application\/x-tex">[\s\S]*?<\/annotation>/g, '');
+    } catch (error) {
+        console.error('KaTeX render error:', error);
+        return `<code class="math-error">${escapeHtml(tex)}</code>`;
+    }
+}
+
+/**
+ * marked inline extension for $...$ and $$...$$
+ */
+const inlineMathExtension = {
+    name: 'inlineMath',
+    level: 'inline',
+    start(src) {
+        return src.indexOf('$') >= 0 ? src.indexOf('$') : undefined;
+    },
+    tokenizer(src) {
+        const match = INLINE_MATH_REGEX.exec(src);
+        if (match) {
+            return {
+                type: 'inlineMath',
+                raw: match[0],
+                text: match[2].trim(),
+                displayMode: match[1] === '$$'
+            };
+        }
+        return undefined;
+    },
+    renderer(token) {
+        return renderMath(token.text, token.displayMode);
+    }
+};
+
+/**
+ * marked block extension for $$ ... $$ display math
+ */
+const blockMathExtension = {
+    name: 'blockMath',
+    level: 'block',
+    start(src) {
+        return /^ {0,3}\$\$/m.exec(src)?.index;
+    },
+    tokenizer(src) {
+        const match = BLOCK_MATH_REGEX.exec(src);
+        if (match) {
+            const text = `${match[1]}\n${match[2]}`.trim();
+            if (!text) return undefined;
+            return { type: 'blockMath', raw: match[0], text };
+        }
+        return undefined;
+    },
+    renderer(token) {
+        return `<div class="math-display">${renderMath(token.text, true)}</div>\n`;
+    }
+};
+
+/**
+ * All math extensions, for registration with marked.use()
+ */
+export const mathExtensions = [blockMathExtension, inlineMathExtension];
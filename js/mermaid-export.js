@@ -0,0 +1,336 @@
+/**
+ * Mermaid Export Module
+ *
+ * Downloads rendered Mermaid diagrams as standalone SVG or PNG files.
+ * Exports start from the sanitized SVG already in the preview (see sanitizeMermaidSvg()
+ * in renderer.js) and inline the computed theme fonts and colors, so the file looks
+ * the same outside Merview.
+ */
+
+import { state } from './state.js';
+import { showStatus, downloadBlob } from './utils.js';
+
+/**
+ * PNG scale factors offered in the download menu
+ */
+export const PNG_SCALES = [1, 2, 4];
+
+/**
+ * Largest canvas edge browsers reliably support; bigger PNG exports are scaled down
+ */
+const MAX_CANVAS_DIMENSION = 16384;
+
+/**
+ * Button that opened the download menu, so a second click closes it
+ */
+let menuAnchor = null;
+
+/**
+ * Computed style properties copied onto every exported element
+ * Covers what Mermaid themes and the preview's isolation CSS (index.html) set,
+ * which would otherwise be lost once the SVG leaves the page.
+ */
+const INLINED_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'color', 'background-color',
+    'font-family', 'font-size', 'font-weight', 'font-style',
+    'letter-spacing', 'word-spacing', 'line-height', 'text-anchor', 'dominant-baseline', 'text-align'
+];
+
+/**
+ * Get the rendered SVG for a diagram, telling the user when there is none
+ * @param {string} mermaidId - The ID of the mermaid element
+ * @returns {SVGSVGElement|null} The diagram SVG, or null if it hasn't rendered successfully
+ */
+function getRenderedSvg(mermaidId) {
+    const element = document.getElementById(mermaidId);
+    const svg = element?.dataset.mermaidRendered === 'true' ? element.querySelector('svg') : null;
+    if (!svg) {
+        const reason = element?.dataset.mermaidRendered === 'error' ? 'failed to render' : 'has not rendered yet';
+        showStatus(`Diagram ${reason} - nothing to export`, 'warning');
+    }
+    return svg;
+}
+
+/**
+ * Diagram size in SVG user units, from the viewBox when Mermaid set one
+ * @param {SVGSVGElement} svg - Rendered diagram
+ * @returns {{x: number, y: number, width: number, height: number}} Diagram bounds
+ */
+function getSvgBounds(svg) {
+    const viewBox = svg.viewBox?.baseVal;
+    if (viewBox?.width && viewBox?.height) {
+        return { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+    }
+    const rect = svg.getBoundingClientRect();
+    return { x: 0, y: 0, width: rect.width, height: rect.height };
+}
+
+/**
+ * Background color the diagram is shown on (first opaque ancestor background)
+ * @param {Element} element - Element to start from
+ * @returns {string} CSS color
+ */
+function getDiagramBackground(element) {
+    for (let node = element; node; node = node.parentElement) {
+        const color = getComputedStyle(node).backgroundColor;
+        if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) {
+            return color;
+        }
+    }
+    return '#ffffff';
+}
+
+/**
+ * Copy computed styles from the rendered SVG onto its clone
+ * Both trees have the same shape, so elements are paired by document order.
+ * @param {SVGSVGElement} source - Rendered SVG
+ * @param {SVGSVGElement} target - Clone to update
+ */
+function inlineComputedStyles(source, target) {
+    const sourceElements = [source, ...source.querySelectorAll('*')];
+    const targetElements = [target, ...target.querySelectorAll('*')];
+
+    sourceElements.forEach((element, index) => {
+        const clone = targetElements[index];
+        if (!clone || element.tagName.toLowerCase() === 'style') return;
+
+        const computed = getComputedStyle(element);
+        INLINED_STYLE_PROPERTIES.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) {
+                clone.style.setProperty(property, value);
+            }
+        });
+    });
+}
+
+/**
+ * Copy a rendered diagram into a standalone SVG element
+ * Styles are inlined and a background is painted, so the copy renders the same
+ * outside the preview (used for downloads and the HTML export).
+ * @param {SVGSVGElement} svg - Rendered diagram
+ * @returns {SVGSVGElement} Detached copy with a fixed width and height
+ */
+export function createStandaloneSvg(svg) {
+    const bounds = getSvgBounds(svg);
+    const clone = svg.cloneNode(true);
+    inlineComputedStyles(svg, clone);
+
+    // Fixed size instead of the preview's responsive width/max-width
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', String(bounds.width));
+    clone.setAttribute('height', String(bounds.height));
+    clone.style.removeProperty('max-width');
+
+    // Paint the background the diagram was designed for (dark themes need it)
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('x', String(bounds.x));
+    background.setAttribute('y', String(bounds.y));
+    background.setAttribute('width', String(bounds.width));
+    background.setAttribute('height', String(bounds.height));
+    background.setAttribute('fill', getDiagramBackground(svg.parentElement));
+    clone.insertBefore(background, clone.firstChild);
+
+    return clone;
+}
+
+/**
+ * Build a standalone SVG document for a rendered diagram
+ * @param {SVGSVGElement} svg - Rendered diagram
+ * @returns {{markup: string, width: number, height: number}} Serialized SVG and its size
+ */
+function buildStandaloneSvg(svg) {
+    const { width, height } = getSvgBounds(svg);
+    const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(createStandaloneSvg(svg));
+    return { markup, width, height };
+}
+
+/**
+ * Filename for an exported diagram, e.g. "notes-diagram-2.png"
+ * @param {string} mermaidId - The ID of the mermaid element (mermaid-N)
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename
+ */
+function getDiagramFilename(mermaidId, extension) {
+    const baseName = (state.currentFilename || 'document').replace(/\.[^.]+$/, '');
+    const number = Number(mermaidId.replace('mermaid-', '')) + 1;
+    return `${baseName}-diagram-${number}.${extension}`;
+}
+
+/**
+ * Rasterize SVG markup to a PNG blob
+ * Loads the markup from a data: URL, so there is no object URL to revoke afterwards.
+ * @param {string} markup - Standalone SVG markup
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Promise<Blob>} PNG image
+ */
+async function rasterizeSvg(markup, width, height) {
+    const image = new Image();
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Canvas could not be encoded as PNG'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * Render a diagram as a PNG image
+ * Large diagrams are scaled down so the canvas stays within browser limits.
+ * @param {SVGSVGElement} svg - Rendered diagram
+ * @param {number} [scale=1] - Pixel density (1x, 2x, 4x)
+ * @returns {Promise<{blob: Blob, width: number, height: number, scale: number}>}
+ *   PNG image, the diagram's size at 1x and the scale actually used
+ */
+export async function renderDiagramPng(svg, scale = 1) {
+    const { markup, width, height } = buildStandaloneSvg(svg);
+    const effectiveScale = Math.min(scale, MAX_CANVAS_DIMENSION / Math.max(width, height));
+    const blob = await rasterizeSvg(
+        markup,
+        Math.round(width * effectiveScale),
+        Math.round(height * effectiveScale)
+    );
+    return { blob, width, height, scale: effectiveScale };
+}
+
+/**
+ * Download a diagram as an SVG file
+ * @param {string} mermaidId - The ID of the mermaid element
+ */
+export function downloadMermaidSvg(mermaidId) {
+    const svg = getRenderedSvg(mermaidId);
+    if (!svg) {
+        return;
+    }
+
+    try {
+        const { markup } = buildStandaloneSvg(svg);
+        const filename = getDiagramFilename(mermaidId, 'svg');
+        downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), filename);
+        showStatus(`Saved: ${filename}`);
+    } catch (error) {
+        console.error('SVG export error:', error);
+        showStatus('Error exporting SVG: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Download a diagram as a PNG file
+ * @param {string} mermaidId - The ID of the mermaid element
+ * @param {number} [scale=1] - Pixel density (1x, 2x, 4x)
+ * @returns {Promise<void>}
+ */
+export async function downloadMermaidPng(mermaidId, scale = 1) {
+    const svg = getRenderedSvg(mermaidId);
+    if (!svg) {
+        return;
+    }
+
+    try {
+        const { blob, scale: effectiveScale } = await renderDiagramPng(svg, scale);
+        const filename = getDiagramFilename(mermaidId, 'png');
+        downloadBlob(blob, filename);
+
+        if (effectiveScale < scale) {
+            showStatus(`Saved: ${filename} (reduced to ${effectiveScale.toFixed(1)}x - diagram too large for ${scale}x)`, 'warning');
+        } else {
+            showStatus(`Saved: ${filename}`);
+        }
+    } catch (error) {
+        console.error('PNG export error:', error);
+        showStatus('Error exporting PNG: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Close the diagram download menu if it is open
+ */
+export function closeMermaidDownloadMenu() {
+    document.getElementById('mermaid-download-menu')?.remove();
+    menuAnchor = null;
+    document.removeEventListener('mousedown', handleMenuOutsideClick);
+    document.removeEventListener('keydown', handleMenuEscape, true);
+}
+
+/**
+ * Close the menu when clicking anywhere else
+ * @param {MouseEvent} e - The mouse event
+ */
+function handleMenuOutsideClick(e) {
+    if (!e.target.closest('#mermaid-download-menu, .mermaid-download-btn')) {
+        closeMermaidDownloadMenu();
+    }
+}
+
+/**
+ * Close the menu on Escape (before the fullscreen overlay sees the key)
+ * @param {KeyboardEvent} e - The keyboard event
+ */
+function handleMenuEscape(e) {
+    if (e.key === 'Escape') {
+        e.stopPropagation();
+        closeMermaidDownloadMenu();
+    }
+}
+
+/**
+ * Open (or close) the download menu for a diagram next to its download button
+ * @param {HTMLElement} anchor - The button that opened the menu
+ * @param {string} mermaidId - The ID of the mermaid element
+ */
+export function toggleMermaidDownloadMenu(anchor, mermaidId) {
+    const wasOpen = menuAnchor === anchor;
+    closeMermaidDownloadMenu();
+    if (wasOpen) {
+        return;
+    }
+
+    const menu = document.createElement('div');
+    menu.id = 'mermaid-download-menu';
+    menu.className = 'mermaid-download-menu';
+    menu.setAttribute('role', 'menu');
+    menu.innerHTML = `
+        <button type="button" role="menuitem" data-format="svg">Download SVG</button>
+        ${PNG_SCALES.map(scale => `<button type="button" role="menuitem" data-format="png" data-scale="${scale}">Download PNG (${scale}x)</button>`).join('')}
+    `;
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('button[data-format]');
+        if (!item) return;
+        closeMermaidDownloadMenu();
+        if (item.dataset.format === 'svg') {
+            downloadMermaidSvg(mermaidId);
+        } else {
+            downloadMermaidPng(mermaidId, Number(item.dataset.scale));
+        }
+    });
+
+    document.body.appendChild(menu);
+
+    // Below the button, or above it when there isn't room (fullscreen controls sit at the bottom)
+    const rect = anchor.getBoundingClientRect();
+    const menuHeight = menu.offsetHeight;
+    const top = rect.bottom + 4 + menuHeight > globalThis.innerHeight
+        ? rect.top - 4 - menuHeight
+        : rect.bottom + 4;
+    menu.style.top = `${Math.max(4, top)}px`;
+    menu.style.left = `${Math.max(4, Math.min(rect.right - menu.offsetWidth, globalThis.innerWidth - menu.offsetWidth - 4))}px`;
+
+    menuAnchor = anchor;
+    document.addEventListener('mousedown', handleMenuOutsideClick);
+    document.addEventListener('keydown', handleMenuEscape, true);
+    menu.querySelector('button')?.focus();
+}
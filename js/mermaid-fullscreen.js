@@ -1,11 +1,13 @@
 /**
  * Mermaid Fullscreen Module
  *
- * Provides fullscreen viewing capability for Mermaid diagrams with zoom and pan functionality.
+ * Provides fullscreen viewing capability for Mermaid diagrams with zoom and pan functionality,
+ * plus SVG/PNG download (see mermaid-export.js).
  * Extracted from index.html to modularize the codebase.
  */
 
 import { state } from './state.js';
+import { toggleMermaidDownloadMenu, closeMermaidDownloadMenu } from './mermaid-export.js';
 
 // Fullscreen overlay background colors
 // Using 0.98 opacity (not 1.0) to allow subtle content hints behind the overlay
@@ -68,6 +70,7 @@ export function expandMermaid(mermaidId) {
             <span class="mermaid-zoom-level" id="mermaid-zoom-level">100%</span>
             <button class="mermaid-zoom-btn" data-action="zoom-out">−</button>
             <button class="mermaid-zoom-btn" data-action="zoom-reset">Reset</button>
+            <button class="mermaid-zoom-btn mermaid-download-btn" data-action="download" title="Download diagram" aria-haspopup="menu">⤓ Download</button>
         </div>
     `;
 
@@ -78,6 +81,8 @@ export function expandMermaid(mermaidId) {
     overlay.querySelector('[data-action="zoom-in"]').addEventListener('click', mermaidZoomIn);
     overlay.querySelector('[data-action="zoom-out"]').addEventListener('click', mermaidZoomOut);
     overlay.querySelector('[data-action="zoom-reset"]').addEventListener('click', mermaidZoomReset);
+    const downloadBtn = overlay.querySelector('[data-action="download"]');
+    downloadBtn.addEventListener('click', () => toggleMermaidDownloadMenu(downloadBtn, mermaidId));
 
     // Set up pan area
     const panArea = document.getElementById('mermaid-pan-area');
@@ -189,6 +194,7 @@ function handleMermaidPanEnd() {
  * Close the Mermaid fullscreen overlay
  */
 export function closeMermaidFullscreen() {
+    closeMermaidDownloadMenu();
     const overlay = document.getElementById('mermaid-fullscreen-overlay');
     if (overlay) {
         overlay.remove();
@@ -0,0 +1,182 @@
+/**
+ * PDF Page Setup Module
+ *
+ * Prepares the page for printing to PDF with CSS Paged Media rules:
+ * - Page size, orientation and margins (@page)
+ * - Running header with the document title and "Page X of Y" footer (@page margin boxes)
+ * - Optional cover page built from YAML front matter (title, author, date)
+ *
+ * The rules are only added while the print dialog is open and removed afterwards,
+ * so the live preview is unaffected. The "HR as Page Break" option keeps working
+ * because its own print rule (see applyHRPageBreakStyle() in themes.js) is left in place.
+ *
+ * Browser support: margin boxes (header/footer) need Chrome/Edge 131+. Other browsers
+ * still apply the page size and margins and print without the header and footer.
+ */
+
+import { state } from './state.js';
+import { getElements } from './dom.js';
+import { DEFAULT_PDF_OPTIONS, pdfMargins, pdfPageSizes } from './config.js';
+import { getPDFOptions } from './storage.js';
+import { parseYAMLFrontMatter } from './renderer.js';
+
+/**
+ * Font and color for the running header and footer
+ */
+const MARGIN_BOX_STYLE = 'font-family: system-ui, -apple-system, sans-serif; font-size: 9pt; color: #666;';
+
+/**
+ * Allowed values of the option fields that end up in the @page CSS
+ * Booleans (header, footer, coverPage) only need the right type.
+ */
+const PDF_OPTION_VALUES = {
+    pageSize: pdfPageSizes.map(size => size.value),
+    orientation: ['portrait', 'landscape'],
+    margin: pdfMargins.map(margin => margin.value)
+};
+
+/**
+ * Check a saved option value against what the option allows
+ * @param {string} key - Option name
+ * @param {*} value - Saved value
+ * @returns {boolean} True if the value can be used
+ */
+function isValidPDFOption(key, value) {
+    if (typeof DEFAULT_PDF_OPTIONS[key] === 'boolean') {
+        return typeof value === 'boolean';
+    }
+    return PDF_OPTION_VALUES[key]?.includes(value) ?? false;
+}
+
+/**
+ * Current PDF Page Setup options (saved options over the defaults)
+ * Saved values come from localStorage, so anything unknown or malformed falls
+ * back to the default rather than reaching the print CSS.
+ * @returns {Object} Options with every field set
+ */
+export function getPDFPageSetup() {
+    const saved = getPDFOptions();
+    const options = { ...DEFAULT_PDF_OPTIONS };
+    Object.keys(options).forEach(key => {
+        if (isValidPDFOption(key, saved[key])) {
+            options[key] = saved[key];
+        }
+    });
+    return options;
+}
+
+/**
+ * Quote a value as a CSS string (for the content property)
+ * Backslashes and quotes are escaped; line breaks and other control characters
+ * (which can't appear in a CSS string) become spaces.
+ * @param {string} value - Text to quote
+ * @returns {string} CSS string literal
+ */
+function toCSSString(value) {
+    const escaped = String(value)
+        .replaceAll('\\', '\\\\')
+        .replaceAll('"', '\\"')
+        .replaceAll(/[\s\p{Cc}]+/gu, ' ');
+    return `"${escaped}"`;
+}
+
+/**
+ * Document title for the header and cover page
+ * Front matter title, then the first heading, then the filename.
+ * @param {Object|null} frontMatter - Parsed YAML front matter
+ * @returns {string} Document title
+ */
+function getDocumentTitle(frontMatter) {
+    const { wrapper } = getElements();
+    return String(frontMatter?.title || '').trim()
+        || wrapper?.querySelector('h1')?.textContent.trim()
+        || (state.currentFilename || 'Document').replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Build the @page rules for the given options
+ * @param {Object} options - PDF Page Setup options
+ * @param {string} title - Document title for the running header
+ * @param {boolean} hasCover - Whether the first page is a cover page
+ * @returns {string} CSS text
+ */
+export function buildPageCSS(options, title, hasCover) {
+    const margin = (pdfMargins.find(m => m.value === options.margin) || pdfMargins[1]).size;
+    const marginBoxes = [
+        options.header ? `@top-center { content: ${toCSSString(title)}; ${MARGIN_BOX_STYLE} }` : '',
+        options.footer ? `@bottom-center { content: "Page " counter(page) " of " counter(pages); ${MARGIN_BOX_STYLE} }` : ''
+    ].filter(Boolean).join('\n    ');
+
+    // The cover page has no header or footer
+    const coverRule = hasCover && marginBoxes
+        ? '\n@page :first {\n    @top-center { content: none; }\n    @bottom-center { content: none; }\n}'
+        : '';
+
+    return `@page {
+    size: ${options.pageSize} ${options.orientation};
+    margin: ${margin};
+    ${marginBoxes}
+}${coverRule}
+@media print {
+    /* Page margins come from @page alone */
+    #wrapper { padding: 0 !important; }
+${hasCover ? '    /* Front matter is shown on the cover page instead */\n    #wrapper .yaml-front-matter { display: none !important; }\n' : ''}}`;
+}
+
+/**
+ * Build the cover page from front matter
+ * @param {Object} frontMatter - Parsed YAML front matter
+ * @param {string} title - Document title
+ * @returns {HTMLElement} Cover page section
+ */
+function createCoverPage(frontMatter, title) {
+    const cover = document.createElement('section');
+    cover.className = 'pdf-cover';
+
+    const fields = [
+        ['pdf-cover-title', title],
+        ['pdf-cover-author', frontMatter.author],
+        ['pdf-cover-date', frontMatter.date]
+    ];
+    fields.forEach(([className, value]) => {
+        const text = Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+        if (text) {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            cover.appendChild(line);
+        }
+    });
+
+    return cover;
+}
+
+/**
+ * Apply the PDF Page Setup to the page before printing
+ * @returns {Function} Cleanup function that restores the page (safe to call more than once)
+ */
+export function applyPDFPageSetup() {
+    const options = getPDFPageSetup();
+    const { wrapper } = getElements();
+    const { frontMatter } = parseYAMLFrontMatter(state.cmEditor?.getValue() || '');
+    const title = getDocumentTitle(frontMatter);
+
+    const hasCoverFields = frontMatter && ['title', 'author', 'date'].some(key => frontMatter[key]);
+    const cover = options.coverPage && hasCoverFields && wrapper
+        ? createCoverPage(frontMatter, title)
+        : null;
+    if (cover) {
+        wrapper.insertBefore(cover, wrapper.firstChild);
+    }
+
+    document.getElementById('pdf-page-setup')?.remove();
+    const styleEl = document.createElement('style');
+    styleEl.id = 'pdf-page-setup';
+    styleEl.textContent = buildPageCSS(options, title, !!cover);
+    document.head.appendChild(styleEl);
+
+    return () => {
+        styleEl.remove();
+        cover?.remove();
+    };
+}
@@ -8,9 +8,15 @@
 import { state, DOCUMENT_MODE } from './state.js';
 import { getElements } from './dom.js';
 import { saveMarkdownContent } from './storage.js';
-import { updateSessionContent, isSessionsInitialized } from './sessions.js';
+import { updateSessionContent, isSessionsInitialized, findSessionByName } from './sessions.js';
 import { escapeHtml, slugify, showStatus, isRelativeUrl, resolveRelativeUrl, isMarkdownUrl } from './utils.js';
 import { validateCode } from './validation.js';
+import { toggleMermaidDownloadMenu } from './mermaid-export.js';
+import { hasDangerousYAMLPattern } from './security.js';
+import { tocMarkerExtension, refreshTableOfContents, TOC_PLACEHOLDER_HTML } from './toc.js';
+import { mathExtensions } from './math.js';
+import { markdownExtensions, prepareDocumentExtensions, renderFootnotesSection, applyAbbreviations } from './markdown-extensions.js';
+import { parseAssetURL, resolveAssetImages } from './asset-store.js';
 
 /**
  * Debug flag for Mermaid theme investigation (#168)
@@ -184,18 +190,278 @@ marked.setOptions({
     gfm: true
 });
 
+/**
+ * Callout types and their aliases (GitHub alerts + Obsidian callouts)
+ * Aliases share the canonical type's styling; unknown types fall back to "note".
+ */
+const CALLOUT_TYPES = {
+    note: 'note',
+    abstract: 'abstract', summary: 'abstract', tldr: 'abstract',
+    info: 'info',
+    todo: 'todo',
+    tip: 'tip', hint: 'tip',
+    important: 'important',
+    success: 'success', check: 'success', done: 'success',
+    question: 'question', help: 'question', faq: 'question',
+    warning: 'warning', attention: 'warning',
+    caution: 'caution',
+    failure: 'failure', fail: 'failure', missing: 'failure',
+    danger: 'danger', error: 'danger',
+    bug: 'bug',
+    example: 'example',
+    quote: 'quote', cite: 'quote'
+};
+
+/**
+ * Icon shown before each callout title, keyed by canonical type
+ */
+const CALLOUT_ICONS = {
+    note: 'ℹ️', abstract: '📋', info: 'ℹ️', todo: '☑️', tip: '💡', important: '❗',
+    success: '✅', question: '❓', warning: '⚠️', caution: '🛑', failure: '❌',
+    danger: '⚡', bug: '🐞', example: '📝', quote: '❝'
+};
+
+/**
+ * Callout marker at the start of a blockquote: [!TYPE], optional +/- fold flag, optional title
+ */
+const CALLOUT_MARKER_REGEX = /^\[!([\w-]+)\]([+-]?)[ \t]*/;
+
+/**
+ * Split a callout's first paragraph into title tokens and remaining body tokens
+ * The title runs up to the first line break; the marker is removed from the first text token.
+ * @param {Array<Object>} inlineTokens - Inline tokens of the blockquote's first paragraph
+ * @param {number} markerLength - Length of the matched [!TYPE] marker
+ * @returns {{titleTokens: Array<Object>, bodyTokens: Array<Object>}} Split tokens
+ */
+function splitCalloutTitle(inlineTokens, markerLength) {
+    const [first, ...rest] = inlineTokens;
+    const titleText = first.text.slice(markerLength);
+    const titleTokens = titleText ? [{ ...first, raw: titleText, text: titleText }] : [];
+
+    const breakIndex = rest.findIndex(token => token.type === 'br');
+    if (breakIndex === -1) {
+        return { titleTokens: [...titleTokens, ...rest], bodyTokens: [] };
+    }
+    return {
+        titleTokens: [...titleTokens, ...rest.slice(0, breakIndex)],
+        bodyTokens: rest.slice(breakIndex + 1)
+    };
+}
+
+/**
+ * Blockquote renderer extension for callouts
+ * Turns `> [!NOTE]` (GitHub) and `> [!tip] Custom title` (Obsidian) blockquotes into
+ * styled callout boxes. A trailing - or + (`> [!note]-`) makes the callout foldable,
+ * collapsed or expanded by default. Plain blockquotes fall through to the default renderer.
+ */
+const calloutExtension = {
+    name: 'blockquote',
+    renderer(token) {
+        const firstBlock = token.tokens[0];
+        const firstInline = firstBlock?.type === 'paragraph' ? firstBlock.tokens[0] : null;
+        const match = firstInline?.type === 'text' ? CALLOUT_MARKER_REGEX.exec(firstInline.text) : null;
+        if (!match) {
+            return false;
+        }
+
+        const name = match[1].toLowerCase();
+        const type = CALLOUT_TYPES[name] || 'note';
+        const fold = match[2];
+
+        const { titleTokens, bodyTokens } = splitCalloutTitle(firstBlock.tokens, match[0].length);
+        const defaultTitle = escapeHtml(name.charAt(0).toUpperCase() + name.slice(1));
+        const titleHtml = titleTokens.length > 0 ? this.parser.parseInline(titleTokens).trim() || defaultTitle : defaultTitle;
+
+        const bodyBlocks = token.tokens.slice(1);
+        if (bodyTokens.length > 0) {
+            bodyBlocks.unshift({ type: 'paragraph', raw: '', text: '', tokens: bodyTokens });
+        }
+        const bodyHtml = this.parser.parse(bodyBlocks);
+
+        const icon = `<span class="callout-icon" aria-hidden="true">${CALLOUT_ICONS[type]}</span>`;
+        const title = `${icon}<span class="callout-title-text">${titleHtml}</span>`;
+        const content = bodyHtml ? `<div class="callout-content">\n${bodyHtml}</div>\n` : '';
+        const classes = `callout callout-${type}`;
+
+        if (fold) {
+            const open = fold === '+' ? ' open' : '';
+            return `<details class="${classes}" data-callout="${escapeHtml(name)}"${open}>\n<summary class="callout-title">${title}</summary>\n${content}</details>\n`;
+        }
+        return `<div class="${classes}" data-callout="${escapeHtml(name)}" role="note">\n<p class="callout-title">${title}</p>\n${content}</div>\n`;
+    }
+};
+
+/**
+ * Wiki-link syntax: [[Page]], [[Page|Label]], [[Page#Heading]], [[#Heading]]
+ * Groups: 1 = page name, 2 = heading, 3 = label
+ */
+const WIKI_LINK_REGEX = /^\[\[([^[\]|#\n]*)(?:#([^[\]|\n]+))?(?:\|([^[\]\n]+))?\]\]/;
+
+/**
+ * Build a sibling markdown path for a wiki-link page name
+ * Each path segment is URL-encoded so "My Page" becomes "./My%20Page.md".
+ * @param {string} page - Page name, optionally with folders (e.g., "notes/Ideas")
+ * @returns {string} Relative URL to the sibling .md file
+ */
+function wikiPageToRelativeUrl(page) {
+    const path = /\.(md|markdown)$/i.test(page) ? page : `${page}.md`;
+    return `./${path.split('/').map(segment => encodeURIComponent(segment)).join('/')}`;
+}
+
+/**
+ * Inline extension for Obsidian-style [[wiki links]]
+ * Resolution happens at render time:
+ * - Loaded from a URL: link to the sibling .md file (same in-app navigation as markdown links)
+ * - Otherwise: link to the session with that name, or offer to create it if none exists
+ * [[toc]] is left alone so it stays literal text inside paragraphs (the block marker is handled by toc.js).
+ */
+const wikiLinkExtension = {
+    name: 'wikiLink',
+    level: 'inline',
+    start(src) {
+        const index = src.indexOf('[[');
+        return index >= 0 ? index : undefined;
+    },
+    tokenizer(src) {
+        const match = WIKI_LINK_REGEX.exec(src);
+        if (!match) return undefined;
+
+        const page = match[1].trim();
+        const heading = match[2]?.trim() || '';
+        if ((!page && !heading) || (page.toLowerCase() === 'toc' && !heading)) {
+            return undefined;
+        }
+        return {
+            type: 'wikiLink',
+            raw: match[0],
+            page,
+            heading,
+            label: match[3]?.trim() || (heading && page ? `${page} > ${heading}` : page || heading)
+        };
+    },
+    renderer(token) {
+        const label = escapeHtml(token.label);
+        const anchor = token.heading ? `#${slugify(token.heading)}` : '';
+
+        // [[#Heading]] - link within the current document
+        if (!token.page) {
+            return `<a href="${escapeHtml(anchor)}" class="wiki-link">${label}</a>`;
+        }
+
+        if (state.loadedFromURL) {
+            const relativeUrl = wikiPageToRelativeUrl(token.page);
+            const href = (resolveRemoteUrl(relativeUrl) || relativeUrl) + anchor;
+            return `<a href="${escapeHtml(href)}" class="wiki-link" data-merview-link="true">${label}</a>`;
+        }
+
+        const page = escapeHtml(token.page);
+        if (findSessionByName(token.page)) {
+            return `<a href="#" class="wiki-link" data-wiki-page="${page}" title="Open session: ${page}">${label}</a>`;
+        }
+        return `<a href="#" class="wiki-link wiki-link-new" data-wiki-page="${page}" title="Create session: ${page}">${label}</a>`;
+    }
+};
+
+/**
+ * Source lines for locating code blocks during renderWithSourceLines()
+ * `next` is moved to each top-level token's start line before it is rendered,
+ * so code blocks nested in lists, blockquotes and callouts are found too.
+ * Empty outside renderWithSourceLines(), which leaves code blocks untagged.
+ */
+const codeBlockLocator = { lines: [], next: 0, lineOffset: 0 };
+
+/**
+ * Strip leading blockquote and list markers (and indentation) from a source line
+ * @param {string} line - Source line
+ * @returns {string} Line content as seen by the nested lexer
+ */
+function stripContainerMarkers(line) {
+    return line.replace(/^(?:[ \t]*(?:>|[-*+][ \t]|\d+[.)][ \t]))*[ \t]*/, '').trimEnd();
+}
+
+/**
+ * Find the editor line of a code block's first line of code
+ * @param {Object} token - marked code token
+ * @returns {number} Zero-based editor line, or -1 if it couldn't be located
+ */
+function locateCodeBlock(token) {
+    const { lines } = codeBlockLocator;
+    const raw = token.raw.replace(/^\n+/, '');
+    const firstLine = stripContainerMarkers(raw.split('\n')[0]);
+
+    for (let i = codeBlockLocator.next; i < lines.length; i++) {
+        if (stripContainerMarkers(lines[i]) === firstLine) {
+            codeBlockLocator.next = i + 1;
+            const isFenced = /^ {0,3}(?:`{3,}|~{3,})/.test(raw);
+            return codeBlockLocator.lineOffset + i + (isFenced ? 1 : 0);
+        }
+    }
+    return -1;
+}
+
+/**
+ * Code block extension - tags each block with data-code-line, the editor line of
+ * its first line of code, so the lint panel can map issues back to the source.
+ * Rendering itself is left to renderer.code.
+ */
+const codeLineExtension = {
+    name: 'code',
+    renderer(token) {
+        let line = locateCodeBlock(token);
+        if (line === -1) {
+            return false;
+        }
+        if (token.lang === 'mermaid') {
+            // Diagram source is trimmed before parsing, so point at its first non-blank line
+            line += (/^\s*/.exec(token.text)[0].match(/\n/g) || []).length;
+        }
+        const html = this.parser.renderer.code(token.text, token.lang, !!token.escaped);
+        return html.replace(/^(\s*<[a-z][a-z0-9-]*)/i, `$1 data-code-line="${line}"`);
+    }
+};
+
+// Markdown extensions: [[toc]] marker, KaTeX math, footnotes, definition lists, abbreviations, callouts, wiki links
+marked.use({ extensions: [tocMarkerExtension, ...mathExtensions, ...markdownExtensions, calloutExtension, wikiLinkExtension, codeLineExtension] });
+
 // Custom renderer for markdown with mermaid blocks, syntax highlighting, and heading IDs
 const renderer = new marked.Renderer();
 
+// Heading slugs already assigned during the current render (slug → times used)
+// Cleared at the start of each render so repeated headings get -1, -2 suffixes
+const usedHeadingSlugs = new Map();
+
+/**
+ * Get a heading ID that is unique within the current render
+ * The first heading with a given text keeps the ID it always had, so shared
+ * anchor links keep working; only repeats of it get a -N suffix.
+ * @param {string} text - Heading text (rendered inline HTML)
+ * @returns {string} Slug, suffixed with -N if already used
+ */
+function uniqueHeadingSlug(text) {
+    // Same slug as before abbreviations were marked up: drop only the <abbr> wrappers
+    const base = slugify(text.replaceAll(/<\/?abbr\b[^>]*>/g, '')) || 'section';
+    const count = usedHeadingSlugs.get(base) || 0;
+    usedHeadingSlugs.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+}
+
 /**
  * Custom heading renderer to generate IDs for anchor links
  * Enables Table of Contents functionality with clickable links
  */
 renderer.heading = function(text, level) {
-    const slug = slugify(text);
+    const slug = uniqueHeadingSlug(text);
     return `<h${level} id="${slug}">${text}</h${level}>\n`;
 };
 
+/**
+ * Custom text renderer to mark up abbreviations defined with *[ABBR]: Full text
+ * Only plain inline text passes through here, so code spans and blocks are untouched.
+ */
+renderer.text = function(text) {
+    return applyAbbreviations(text);
+};
+
 /**
  * Resolve relative URL if loaded from a remote (non-same-origin) source
  *
@@ -284,14 +550,21 @@ renderer.link = function(href, title, text) {
  * Custom image renderer to resolve relative image URLs against the source document URL (Issue #345)
  * When content is loaded from a remote URL (state.loadedFromURL), relative image paths
  * like "./images/diagram.png" are resolved to absolute URLs so images display correctly.
+ * merview-asset: URLs refer to images pasted or dropped into the editor (asset-store.js).
  */
 renderer.image = function(href, title, text) {
-    const resolvedHref = resolveRemoteUrl(href) || href;
-
     // Build attributes
     const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
     const altAttr = text ? ` alt="${escapeHtml(text)}"` : ' alt=""';
 
+    // Images stored with the session load after rendering (see resolveAssetImages())
+    const assetId = parseAssetURL(href);
+    if (assetId) {
+        return `<img data-asset-id="${escapeHtml(assetId)}"${altAttr}${titleAttr}>`;
+    }
+
+    const resolvedHref = resolveRemoteUrl(href) || href;
+
     return `<img src="${escapeHtml(resolvedHref)}"${altAttr}${titleAttr}>`;
 };
 
@@ -416,6 +689,7 @@ renderer.code = function(code, language) {
         const id = `mermaid-${state.mermaidCounter++}`;
         return `<div class="mermaid-container" data-mermaid-id="${id}">
             <button class="mermaid-expand-btn" data-expand-target="${id}" title="Expand diagram">⛶</button>
+            <button class="mermaid-download-btn" data-download-target="${id}" title="Download diagram" aria-haspopup="menu">⤓</button>
             <div class="mermaid" id="${id}">${code}</div>
         </div>`;
     }
@@ -435,6 +709,92 @@ renderer.code = function(code, language) {
 // Apply the custom renderer to marked
 marked.setOptions({ renderer });
 
+/**
+ * Normalize markdown the same way marked's lexer does before tokenizing
+ * (CRLF → LF, leading tabs → spaces) so token.raw can be located in the source.
+ * Neither replacement changes the number of lines.
+ * @param {string} markdown - Raw markdown text
+ * @returns {string} Normalized markdown
+ */
+function normalizeForLexer(markdown) {
+    return markdown
+        .replaceAll(/\r\n|\r/g, '\n')
+        .replaceAll(/^( *)(\t+)/gm, (_, leading, tabs) => leading + '    '.repeat(tabs.length));
+}
+
+/**
+ * Count newline characters in a slice of text
+ * @param {string} text - Text to scan
+ * @param {number} start - Start index (inclusive)
+ * @param {number} end - End index (exclusive)
+ * @returns {number} Number of newlines
+ */
+function countNewlines(text, start, end) {
+    let count = 0;
+    let index = text.indexOf('\n', start);
+    while (index !== -1 && index < end) {
+        count++;
+        index = text.indexOf('\n', index + 1);
+    }
+    return count;
+}
+
+/**
+ * Add a data-source-line attribute to the first element of a rendered block
+ * @param {string} html - Rendered HTML for one top-level token
+ * @param {number} line - Zero-based editor line the block starts on
+ * @returns {string} HTML with the attribute injected (unchanged if no leading element)
+ */
+function addSourceLineAttribute(html, line) {
+    return html.replace(/^(\s*<[a-z][a-z0-9-]*)/i, `$1 data-source-line="${line}"`);
+}
+
+/**
+ * Render markdown to HTML, tagging each top-level block with the editor line it starts on
+ *
+ * Used by scroll sync to map between CodeMirror lines and rendered elements.
+ * Code blocks (including nested ones) also get data-code-line for the lint panel.
+ * marked's Renderer methods don't receive token positions, so we lex once,
+ * locate each top-level token's raw text in the source, and render tokens
+ * individually through the same custom renderer. Link reference definitions
+ * are dropped by the lexer, which is why we search for each token rather than
+ * summing raw lengths.
+ *
+ * @param {string} markdown - Markdown to render (front matter already removed)
+ * @param {number} lineOffset - Editor line of the first markdown line
+ * @returns {string} Rendered HTML (not yet sanitized)
+ */
+function renderWithSourceLines(markdown, lineOffset) {
+    const source = normalizeForLexer(markdown);
+    const tokens = marked.lexer(markdown);
+    usedHeadingSlugs.clear();
+    prepareDocumentExtensions(tokens);
+    let cursor = 0;
+    let line = lineOffset;
+    let html = '';
+    codeBlockLocator.lines = source.split('\n');
+    codeBlockLocator.lineOffset = lineOffset;
+
+    for (const token of tokens) {
+        const index = source.indexOf(token.raw, cursor);
+        const start = index === -1 ? cursor : index;
+        line += countNewlines(source, cursor, start);
+        codeBlockLocator.next = line - lineOffset;
+
+        const blockTokens = [token];
+        blockTokens.links = tokens.links;
+        html += addSourceLineAttribute(marked.parser(blockTokens), line);
+
+        const end = Math.min(start + token.raw.length, source.length);
+        line += countNewlines(source, start, end);
+        cursor = end;
+    }
+    codeBlockLocator.lines = [];
+
+    // Footnotes are numbered by first reference, so the list is rendered last
+    return html + renderFootnotesSection();
+}
+
 /**
  * Pre-compiled regex for YAML front matter detection
  * Used by highlightYAMLFrontMatter() - compiled once for performance
@@ -477,21 +837,6 @@ const YAML_SECURITY_LIMITS = {
     MAX_ARRAY_ITEMS: 500      // Maximum number of items in an array
 };
 
-/**
- * Check if a YAML line contains dangerous patterns (anchors, aliases, tags)
- * @param {string} line - The line to check
- * @returns {boolean} True if the line contains dangerous patterns
- */
-function hasDangerousYAMLPattern(line) {
-    // Anchors (&name) can be used for billion laughs attacks
-    // Aliases (*name) can reference anchors causing exponential expansion
-    // Custom tags (!tag or !!type) can execute arbitrary code in some YAML parsers
-    // Note: Only reject YAML syntax patterns where the special character
-    // is followed by a word character (anchor/alias/tag names)
-    const dangerousPatterns = /&\w|\*\w|!\w|!!/;
-    return dangerousPatterns.test(line);
-}
-
 /**
  * Truncate a value if it exceeds the maximum length limit
  * @param {string} value - The value to truncate
@@ -526,7 +871,7 @@ function stripSurroundingQuotes(value) {
  * @param {string} markdown - The markdown content
  * @returns {Object} Object with frontMatter (parsed object), yamlText (raw YAML string), and remainingMarkdown
  */
-function parseYAMLFrontMatter(markdown) {
+export function parseYAMLFrontMatter(markdown) {
     // Check if content starts with ---
     if (!markdown.trimStart().startsWith('---')) {
         return { frontMatter: null, yamlText: '', remainingMarkdown: markdown };
@@ -923,11 +1268,11 @@ async function lazyRenderMermaid(element) {
 
 /**
  * Force render all pending mermaid diagrams immediately (bypasses lazy loading)
- * Exposed globally for testing purposes - allows tests to trigger rendering
+ * Used by HTML export, and exposed globally for testing - allows tests to trigger rendering
  * without relying on IntersectionObserver which may not work in headless browsers
  * @returns {Promise<void>}
  */
-async function forceRenderAllMermaidDiagrams() {
+export async function forceRenderAllMermaidDiagrams() {
     const pendingDiagrams = document.querySelectorAll('.mermaid[data-mermaid-rendered="pending"]');
     const renderPromises = Array.from(pendingDiagrams).map(element => lazyRenderMermaid(element));
     await Promise.all(renderPromises);
@@ -1044,7 +1389,7 @@ function showMermaidRenderStatus() {
 }
 
 /**
- * Attach event listeners for Mermaid expand functionality
+ * Attach event listeners for Mermaid expand and download buttons
  * DOMPurify strips inline handlers, so we attach them programmatically
  * @param {HTMLElement} wrapper - Container element
  */
@@ -1055,6 +1400,9 @@ function attachMermaidEventListeners(wrapper) {
     wrapper.querySelectorAll('.mermaid[id]').forEach(el => {
         el.addEventListener('dblclick', () => expandMermaid(el.id));
     });
+    wrapper.querySelectorAll('.mermaid-download-btn[data-download-target]').forEach(btn => {
+        btn.addEventListener('click', () => toggleMermaidDownloadMenu(btn, btn.dataset.downloadTarget));
+    });
 }
 
 /**
@@ -1127,6 +1475,24 @@ function attachMarkdownLinkHandlers(wrapper) {
     });
 }
 
+/**
+ * Attach click handlers for session wiki links ([[Page]] when not loaded from a URL)
+ * Opens the named session, or creates it if the link is unresolved (wiki-link-new).
+ * Uses globalThis.openWikiPage due to the circular dependency with documents.js.
+ * @param {HTMLElement} wrapper - Container element
+ */
+function attachWikiLinkHandlers(wrapper) {
+    wrapper.querySelectorAll('a[data-wiki-page]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const page = link.dataset.wikiPage;
+            if (page) {
+                globalThis.openWikiPage(page);
+            }
+        });
+    });
+}
+
 /**
  * Detect if content is pure Mermaid diagram code (not Markdown with mermaid blocks)
  *
@@ -1190,11 +1556,15 @@ async function renderPureMermaid(wrapper, content) {
         diagramCode = remainingMarkdown.trim();
     }
 
+    // Editor line of the first line of diagram code, for the lint panel
+    const codeLine = diagramCode ? countNewlines(content, 0, content.lastIndexOf(diagramCode)) : 0;
+
     // Create diagram container with expand button
     const id = `mermaid-${state.mermaidCounter++}`;
     const html = `${frontMatterHTML}
-        <div class="mermaid-container" data-mermaid-id="${id}">
+        <div class="mermaid-container" data-mermaid-id="${id}" data-code-line="${codeLine}">
             <button class="mermaid-expand-btn" data-expand-target="${id}" title="Expand diagram">⛶</button>
+            <button class="mermaid-download-btn" data-download-target="${id}" title="Download diagram" aria-haspopup="menu">⤓</button>
             <div class="mermaid mermaid-loading" id="${id}" data-mermaid-rendered="pending" aria-busy="true" aria-label="Diagram loading...">${escapeHtml(diagramCode)}</div>
         </div>`;
 
@@ -1334,6 +1704,7 @@ export async function renderMarkdown() {
             // Standard Markdown rendering path
             // Parse YAML front matter if present
             const { frontMatter, remainingMarkdown } = parseYAMLFrontMatter(markdown);
+            const frontMatterLines = markdown.split('\n').length - remainingMarkdown.split('\n').length;
 
             // Render YAML front matter panel
             const frontMatterHTML = renderYAMLFrontMatter(frontMatter);
@@ -1342,8 +1713,15 @@ export async function renderMarkdown() {
             // DOMPurify removes dangerous elements like <script>, event handlers, and javascript: URLs
             // Using DOMPurify defaults (intentional) - they provide comprehensive protection while
             // preserving all safe HTML elements, classes (for syntax highlighting), and IDs (for anchors)
-            const markdownHTML = marked.parse(remainingMarkdown);
-            const combinedHTML = frontMatterHTML + markdownHTML;
+            // Each top-level block carries data-source-line for scroll sync
+            const markdownHTML = renderWithSourceLines(remainingMarkdown, frontMatterLines);
+
+            // `toc: true` in front matter inserts a TOC at the top unless the document places its own [[toc]]
+            const wantsFrontMatterToc = String(frontMatter?.toc).toLowerCase() === 'true'
+                && !markdownHTML.includes('data-toc-placeholder');
+            const tocHTML = wantsFrontMatterToc ? TOC_PLACEHOLDER_HTML : '';
+
+            const combinedHTML = frontMatterHTML + tocHTML + markdownHTML;
             wrapper.innerHTML = DOMPurify.sanitize(combinedHTML);
 
             // Set up lazy loading for mermaid diagrams (Issue #326)
@@ -1355,11 +1733,18 @@ export async function renderMarkdown() {
             }
         }
 
+        // Fill inline TOCs and refresh the outline sidebar from the rendered headings
+        refreshTableOfContents(wrapper);
+
         // Attach mermaid expand/fullscreen event listeners
         attachMermaidEventListeners(wrapper);
 
         // Attach click handlers for markdown links to enable in-app navigation (Issue #345)
         attachMarkdownLinkHandlers(wrapper);
+        attachWikiLinkHandlers(wrapper);
+
+        // Load pasted/dropped images from IndexedDB
+        await resolveAssetImages(wrapper);
 
         // Save to localStorage (legacy) and update session
         saveMarkdownContent(markdown);
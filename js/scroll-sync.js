@@ -0,0 +1,173 @@
+/**
+ * scroll-sync.js
+ * Synchronized scrolling between the CodeMirror editor and the preview pane
+ *
+ * renderer.js tags each top-level rendered block with data-source-line (the
+ * zero-based editor line it starts on). From those we build a list of anchor
+ * pairs (editor scroll offset ↔ preview scroll offset) and interpolate linearly
+ * between neighbouring anchors, so long paragraphs, tall diagrams and code
+ * blocks still scroll smoothly in both directions.
+ */
+
+import { state } from './state.js';
+import { getElements } from './dom.js';
+
+// Initialization guard to prevent duplicate event listeners
+let initialized = false;
+
+// Pane that initiated the current synchronized scroll ('editor' | 'preview' | null).
+// The scroll event fired on the other pane by our own scrollTop assignment is ignored
+// while this is set, which prevents the two panes from feeding back into each other.
+let scrollSource = null;
+let releaseTimeout = null;
+let pendingFrame = null;
+
+// How long to ignore echo scroll events after a programmatic scroll (ms)
+const SCROLL_RELEASE_DELAY_MS = 100;
+
+/**
+ * Build monotonic anchor pairs mapping editor scroll offsets to preview scroll offsets
+ * @param {CodeMirror} cm - The CodeMirror instance
+ * @param {HTMLElement} preview - The scrollable preview container
+ * @param {HTMLElement} wrapper - The rendered content wrapper
+ * @returns {Array<{editor: number, preview: number}>} Anchors sorted by both offsets
+ */
+function buildScrollAnchors(cm, preview, wrapper) {
+    const editorInfo = cm.getScrollInfo();
+    const editorMax = Math.max(0, editorInfo.height - editorInfo.clientHeight);
+    const previewMax = Math.max(0, preview.scrollHeight - preview.clientHeight);
+    const previewOrigin = preview.getBoundingClientRect().top - preview.scrollTop;
+    const lineCount = cm.lineCount();
+
+    const anchors = [{ editor: 0, preview: 0 }];
+
+    for (const element of wrapper.querySelectorAll('[data-source-line]')) {
+        const line = Number.parseInt(element.dataset.sourceLine, 10);
+        if (Number.isNaN(line) || line >= lineCount) continue;
+
+        const editorY = cm.heightAtLine(line, 'local');
+        const previewY = element.getBoundingClientRect().top - previewOrigin;
+        const last = anchors.at(-1);
+
+        // Keep anchors strictly increasing in both panes and inside the scrollable range
+        if (editorY > last.editor && previewY > last.preview && editorY < editorMax && previewY < previewMax) {
+            anchors.push({ editor: editorY, preview: previewY });
+        }
+    }
+
+    anchors.push({ editor: editorMax, preview: previewMax });
+    return anchors;
+}
+
+/**
+ * Map a scroll offset from one pane to the other by piecewise linear interpolation
+ * @param {Array<{editor: number, preview: number}>} anchors - Anchor pairs from buildScrollAnchors()
+ * @param {number} offset - Scroll offset in the source pane
+ * @param {'editor'|'preview'} from - Source pane key
+ * @param {'editor'|'preview'} to - Target pane key
+ * @returns {number} Scroll offset in the target pane
+ */
+function interpolateScrollOffset(anchors, offset, from, to) {
+    for (let i = 1; i < anchors.length; i++) {
+        const prev = anchors[i - 1];
+        const next = anchors[i];
+        if (offset <= next[from]) {
+            const span = next[from] - prev[from];
+            const ratio = span > 0 ? (offset - prev[from]) / span : 0;
+            return prev[to] + ratio * (next[to] - prev[to]);
+        }
+    }
+    return anchors.at(-1)[to];
+}
+
+/**
+ * Mark a pane as the scroll source and release the lock shortly after scrolling stops
+ * @param {'editor'|'preview'} source - Pane that initiated the scroll
+ */
+function lockScrollSource(source) {
+    scrollSource = source;
+    clearTimeout(releaseTimeout);
+    releaseTimeout = setTimeout(() => {
+        scrollSource = null;
+    }, SCROLL_RELEASE_DELAY_MS);
+}
+
+/**
+ * Scroll the preview to match the editor's current scroll position
+ */
+export function syncPreviewToEditor() {
+    const { preview, wrapper } = getElements();
+    const cm = state.cmEditor;
+    if (!cm || !preview || !wrapper) return;
+
+    const anchors = buildScrollAnchors(cm, preview, wrapper);
+    const target = interpolateScrollOffset(anchors, cm.getScrollInfo().top, 'editor', 'preview');
+    preview.scrollTop = Math.round(target);
+}
+
+/**
+ * Scroll the editor to match the preview's current scroll position
+ */
+export function syncEditorToPreview() {
+    const { preview, wrapper } = getElements();
+    const cm = state.cmEditor;
+    if (!cm || !preview || !wrapper) return;
+
+    const anchors = buildScrollAnchors(cm, preview, wrapper);
+    const target = interpolateScrollOffset(anchors, preview.scrollTop, 'preview', 'editor');
+    cm.scrollTo(null, Math.round(target));
+}
+
+/**
+ * Handle a scroll event from one pane, syncing the other on the next animation frame
+ * @param {'editor'|'preview'} source - Pane that scrolled
+ */
+function handlePaneScroll(source) {
+    if (!state.scrollSyncEnabled) return;
+    // Ignore the echo of our own programmatic scroll on the other pane
+    if (scrollSource && scrollSource !== source) return;
+
+    lockScrollSource(source);
+
+    if (pendingFrame) return;
+    pendingFrame = requestAnimationFrame(() => {
+        pendingFrame = null;
+        if (source === 'editor') {
+            syncPreviewToEditor();
+        } else {
+            syncEditorToPreview();
+        }
+    });
+}
+
+/**
+ * Enable or disable scroll synchronization
+ * When enabling, the preview is immediately aligned with the editor.
+ * @param {boolean} enabled - Whether scroll sync should be active
+ */
+export function setScrollSyncEnabled(enabled) {
+    state.scrollSyncEnabled = enabled;
+    if (enabled) {
+        lockScrollSource('editor');
+        syncPreviewToEditor();
+    }
+}
+
+/**
+ * Initialize scroll synchronization listeners
+ * Must be called after initCodeMirror() so the editor instance exists
+ */
+export function initScrollSync() {
+    if (initialized) return;
+
+    const { preview } = getElements();
+    if (!state.cmEditor || !preview) {
+        console.warn('Scroll sync: editor or preview not available');
+        return;
+    }
+
+    state.cmEditor.on('scroll', () => handlePaneScroll('editor'));
+    preview.addEventListener('scroll', () => handlePaneScroll('preview'), { passive: true });
+
+    initialized = true;
+}
@@ -395,6 +395,22 @@ export function isValidBackgroundColor(value) {
     return safePatterns.some(pattern => pattern.test(trimmed));
 }
 
+/**
+ * Check if a YAML line contains dangerous patterns (anchors, aliases, tags)
+ * Used by the front matter parser and the lint panel's YAML validator
+ * @param {string} line - The line to check
+ * @returns {boolean} True if the line contains dangerous patterns
+ */
+export function hasDangerousYAMLPattern(line) {
+    // Anchors (&name) can be used for billion laughs attacks
+    // Aliases (*name) can reference anchors causing exponential expansion
+    // Custom tags (!tag or !!type) can execute arbitrary code in some YAML parsers
+    // Note: Only reject YAML syntax patterns where the special character
+    // is followed by a word character (anchor/alias/tag names)
+    const dangerousPatterns = /&\w|\*\w|!\w|!!/;
+    return dangerousPatterns.test(line);
+}
+
 /**
  * Show the private URL security modal
  * Security: Strip URL from browser immediately when modal shows
@@ -0,0 +1,231 @@
+/**
+ * session-archive.js - Back up and restore all sessions as a zip archive
+ *
+ * Archive layout:
+ *   manifest.json        - sessions index: names, sources, source URLs, timestamps,
+ *                          pins, tags, folders, and the archive paths of each session's files
+ *   <name>.md            - one markdown file per session
+ *   assets/<id>.<ext>    - images the sessions reference (merview-asset: URLs)
+ *
+ * The manifest has the same shape as the 'merview-sessions-index' entry, so
+ * importSessions() validates it the same way. Imported images get new IDs and
+ * the references in the markdown are updated to match.
+ */
+
+import { state } from './state.js';
+import { zipScript } from './config.js';
+import { showStatus, loadExternalScript, downloadBlob } from './utils.js';
+import { getAllSessions, getSession, importSessions } from './sessions.js';
+import { ASSET_URL_PREFIX, findAssetIds, getAsset, saveAsset } from './asset-store.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1; // Matches the sessions index schema version
+const ASSETS_FOLDER = 'assets/';
+
+// Characters that aren't allowed in filenames on common platforms
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|]/g;
+
+/**
+ * Pending load of the JSZip library
+ */
+let zipLoad = null;
+
+/**
+ * Load JSZip from CDN on first use
+ * @returns {Promise<Function>} The JSZip constructor (globalThis.JSZip)
+ */
+async function loadJSZip() {
+    if (!globalThis.JSZip) {
+        zipLoad ??= loadExternalScript(zipScript).catch(error => {
+            zipLoad = null;
+            throw error;
+        });
+        await zipLoad;
+    }
+    return globalThis.JSZip;
+}
+
+/**
+ * Pick an archive path for a session's markdown file
+ * @param {string} name - Session name
+ * @param {Set<string>} used - Paths already taken (lowercase); the new path is added
+ * @returns {string} Unique path ending in .md
+ */
+function getMarkdownPath(name, used) {
+    const base = name.replace(UNSAFE_FILENAME_CHARS, '-').replace(/\.(md|markdown|txt)$/i, '').trim() || 'Untitled';
+    let path = `${base}.md`;
+    for (let counter = 1; used.has(path.toLowerCase()); counter++) {
+        path = `${base} (${counter}).md`;
+    }
+    used.add(path.toLowerCase());
+    return path;
+}
+
+/**
+ * Get a file extension for a stored image
+ * @param {Object} asset - Asset record
+ * @returns {string} Extension including the dot (e.g. ".png")
+ */
+function getAssetExtension(asset) {
+    const fromName = /\.[a-z0-9]+$/i.exec(asset.name || '')?.[0];
+    if (fromName) return fromName.toLowerCase();
+    const subtype = asset.type.split('/')[1] || 'bin';
+    return `.${subtype.replace('+xml', '')}`;
+}
+
+/**
+ * Add a session's markdown and images to the archive
+ * @param {Object} zip - JSZip instance
+ * @param {Object} session - Session with content
+ * @param {Set<string>} usedPaths - Archive paths already taken
+ * @returns {Promise<Object>} Manifest entry for the session
+ */
+async function addSessionToArchive(zip, session, usedPaths) {
+    const file = getMarkdownPath(session.name, usedPaths);
+    zip.file(file, session.content);
+
+    const assets = [];
+    for (const id of findAssetIds(session.content)) {
+        const asset = await getAsset(id);
+        if (!asset) continue;
+        const assetFile = `${ASSETS_FOLDER}${id}${getAssetExtension(asset)}`;
+        zip.file(assetFile, asset.blob);
+        assets.push({ id, file: assetFile, name: asset.name, type: asset.type });
+    }
+
+    return {
+        id: session.id,
+        name: session.name,
+        file,
+        source: session.source,
+        sourceUrl: session.sourceUrl,
+        createdAt: session.createdAt,
+        lastModified: session.lastModified,
+        pinned: Boolean(session.pinned),
+        tags: session.tags || [],
+        folder: session.folder || null,
+        assets
+    };
+}
+
+/**
+ * Download all sessions as a zip archive
+ * @returns {Promise<void>}
+ */
+export async function exportSessionsArchive() {
+    const sessions = getAllSessions();
+    if (sessions.length === 0) {
+        showStatus('No sessions to export');
+        return;
+    }
+
+    try {
+        showStatus('Preparing backup...');
+        const JSZip = await loadJSZip();
+        const zip = new JSZip();
+        const usedPaths = new Set([MANIFEST_FILE]);
+        const entries = [];
+
+        for (const meta of sessions) {
+            // Content is saved after each render; use the editor for the open document
+            const session = meta.id === state.activeSessionId && state.cmEditor
+                ? { ...meta, content: state.cmEditor.getValue() }
+                : await getSession(meta.id);
+            if (session) {
+                entries.push(await addSessionToArchive(zip, session, usedPaths));
+            }
+        }
+
+        const manifest = {
+            version: MANIFEST_VERSION,
+            activeSessionId: state.activeSessionId,
+            exportedAt: new Date().toISOString(),
+            sessions: entries
+        };
+        zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(blob, `merview-sessions-${date}.zip`);
+        showStatus(`Exported ${entries.length} session(s)`);
+    } catch (error) {
+        console.error('Error exporting sessions:', error);
+        showStatus('Error exporting sessions: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Read a file from the archive
+ * @param {Object} zip - Loaded JSZip instance
+ * @param {string} path - Path inside the archive
+ * @param {'string'|'blob'} type - Output type
+ * @returns {Promise<string|Blob>} File contents
+ * @throws {Error} If the file is missing
+ */
+function readArchiveFile(zip, path, type) {
+    const file = typeof path === 'string' ? zip.file(path) : null;
+    if (!file) {
+        throw new Error(`Missing file in backup: ${path}`);
+    }
+    return file.async(type);
+}
+
+/**
+ * Read a session's markdown from the archive and store its images
+ * @param {Object} zip - Loaded JSZip instance
+ * @param {Object} entry - Manifest entry
+ * @param {string} sessionId - ID of the session being created
+ * @returns {Promise<string>} Markdown with image references pointing at the stored copies
+ */
+async function loadArchivedSession(zip, entry, sessionId) {
+    let content = await readArchiveFile(zip, entry.file, 'string');
+
+    for (const asset of Array.isArray(entry.assets) ? entry.assets : []) {
+        try {
+            const data = await readArchiveFile(zip, asset.file, 'blob');
+            const image = new File([data], asset.name || 'image', { type: asset.type });
+            const newId = await saveAsset(image, sessionId);
+            content = content.replaceAll(`${ASSET_URL_PREFIX}${asset.id}`, `${ASSET_URL_PREFIX}${newId}`);
+        } catch (error) {
+            // Keep the session; the image shows as missing in the preview
+            console.warn(`Skipping image ${asset?.file} from backup:`, error);
+        }
+    }
+    return content;
+}
+
+/**
+ * Import sessions from a backup archive
+ * Sessions are added alongside the existing ones; nothing is overwritten.
+ * @param {File} file - Zip archive made by exportSessionsArchive()
+ * @returns {Promise<number>} Number of sessions imported (0 on failure)
+ */
+export async function importSessionsArchive(file) {
+    try {
+        showStatus(`Importing ${file.name}...`);
+        const JSZip = await loadJSZip();
+        const zip = await JSZip.loadAsync(file);
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await readArchiveFile(zip, MANIFEST_FILE, 'string'));
+        } catch (error) {
+            console.error('Invalid backup manifest:', error);
+            throw new Error('Not a Merview sessions backup');
+        }
+
+        const { imported, skipped } = await importSessions(manifest,
+            (entry, sessionId) => loadArchivedSession(zip, entry, sessionId));
+
+        if (skipped > 0) {
+            showStatus(`Imported ${imported.length} session(s), skipped ${skipped}`, 'warning');
+        } else {
+            showStatus(`Imported ${imported.length} session(s)`);
+        }
+        return imported.length;
+    } catch (error) {
+        console.error('Error importing sessions:', error);
+        showStatus('Error importing sessions: ' + error.message, 'error');
+        return 0;
+    }
+}
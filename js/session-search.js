@@ -0,0 +1,184 @@
+/**
+ * session-search.js - Full-text search across all sessions
+ *
+ * Searches session names and content (from IndexedDB, plus the editor for the
+ * open document). A session matches when every search term appears in its name
+ * or content. Results are ranked by:
+ * - the whole query appearing as a phrase
+ * - terms found in the session name
+ * - how often the terms occur (capped, so one long document doesn't win on size alone)
+ * - most recently modified, to break ties
+ *
+ * Each result carries a few matching lines with the positions of the terms,
+ * so the sessions modal can highlight them and jump to the line.
+ */
+
+import { state } from './state.js';
+import { getAllSessions, getAllSessionContents } from './sessions.js';
+
+const MAX_RESULTS = 50;
+const MAX_SNIPPETS_PER_SESSION = 3;
+const SNIPPET_LENGTH = 120;
+const MAX_COUNTED_OCCURRENCES = 20;
+const PHRASE_BONUS = 15;
+const NAME_BONUS = 10;
+
+/**
+ * @typedef {Object} SearchSnippet
+ * @property {number} line - Zero-based line number in the session
+ * @property {string} text - Excerpt of the line around the first match
+ * @property {Array<[number, number]>} ranges - [start, end) of each match within text
+ * @property {number} matchStart - Column of the first match in the full line
+ * @property {number} matchEnd - Column where the first match ends
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} session - Session metadata
+ * @property {number} score - Ranking score (higher is better)
+ * @property {number} matchCount - Lines matching any term
+ * @property {SearchSnippet[]} snippets - Matching lines, in document order
+ */
+
+/**
+ * Split a query into unique lowercase terms
+ * @param {string} query - Search text
+ * @returns {string[]} Terms
+ */
+export function tokenizeQuery(query) {
+    return [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * Count non-overlapping occurrences of a term
+ * @param {string} text - Lowercase text
+ * @param {string} term - Lowercase term
+ * @returns {number} Occurrence count
+ */
+function countOccurrences(text, term) {
+    let count = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Find where the terms occur in a line
+ * @param {string} lowerLine - Lowercase line
+ * @param {string[]} terms - Lowercase terms
+ * @returns {Array<[number, number]>} Sorted, merged [start, end) ranges
+ */
+function findRanges(lowerLine, terms) {
+    const ranges = [];
+    terms.forEach(term => {
+        for (let index = lowerLine.indexOf(term); index !== -1; index = lowerLine.indexOf(term, index + term.length)) {
+            ranges.push([index, index + term.length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    // Merge overlapping ranges (e.g. "retry" and "try")
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Cut a line down to an excerpt around its first match
+ * @param {string} line - Full line
+ * @param {Array<[number, number]>} ranges - Match ranges in the line
+ * @param {number} lineNumber - Zero-based line number
+ * @returns {SearchSnippet} Snippet
+ */
+function createSnippet(line, ranges, lineNumber) {
+    const [matchStart, matchEnd] = ranges[0];
+    let start = 0;
+    let end = line.length;
+    if (line.length > SNIPPET_LENGTH) {
+        start = Math.max(0, Math.min(matchStart - Math.floor(SNIPPET_LENGTH / 3), line.length - SNIPPET_LENGTH));
+        end = start + SNIPPET_LENGTH;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < line.length ? '…' : '';
+    const shift = prefix.length - start;
+    return {
+        line: lineNumber,
+        text: prefix + line.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + shift, to + shift]),
+        matchStart,
+        matchEnd
+    };
+}
+
+/**
+ * Search one session
+ * @param {Object} session - Session metadata
+ * @param {string} content - Session content
+ * @param {string[]} terms - Lowercase terms
+ * @param {string} phrase - Lowercase query
+ * @returns {SearchResult|null} Result, or null if some term is missing
+ */
+function searchSession(session, content, terms, phrase) {
+    const lowerName = (session.name || '').toLowerCase();
+    const lowerContent = content.toLowerCase();
+    if (!terms.every(term => lowerName.includes(term) || lowerContent.includes(term))) {
+        return null;
+    }
+
+    let score = 0;
+    terms.forEach(term => {
+        score += Math.min(countOccurrences(lowerContent, term), MAX_COUNTED_OCCURRENCES);
+        if (lowerName.includes(term)) score += NAME_BONUS;
+    });
+    if (terms.length > 1 && (lowerContent.includes(phrase) || lowerName.includes(phrase))) {
+        score += PHRASE_BONUS;
+    }
+
+    const snippets = [];
+    let matchCount = 0;
+    content.split('\n').forEach((line, lineNumber) => {
+        const ranges = findRanges(line.toLowerCase(), terms);
+        if (ranges.length === 0) return;
+        matchCount++;
+        if (snippets.length < MAX_SNIPPETS_PER_SESSION) {
+            snippets.push(createSnippet(line, ranges, lineNumber));
+        }
+    });
+
+    return { session, score, matchCount, snippets };
+}
+
+/**
+ * Search the names and content of all sessions
+ * @param {string} query - Search text (whitespace-separated terms, case-insensitive)
+ * @returns {Promise<SearchResult[]>} Matching sessions, best first
+ */
+export async function searchSessions(query) {
+    const terms = tokenizeQuery(query);
+    if (terms.length === 0) {
+        return [];
+    }
+    const phrase = query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    const contents = await getAllSessionContents();
+    // The open document may be ahead of what has been saved
+    if (state.activeSessionId && state.cmEditor) {
+        contents.set(state.activeSessionId, state.cmEditor.getValue());
+    }
+
+    return getAllSessions()
+        .map(session => searchSession(session, contents.get(session.id) ?? '', terms, phrase))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || (b.session.lastModified || 0) - (a.session.lastModified || 0))
+        .slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,78 @@
+/**
+ * session-sources.js - Remote sources of URL-loaded sessions
+ *
+ * When a document is loaded from a URL, the fetched text and the server's
+ * validators (ETag, Last-Modified) are kept in IndexedDB ('sources' store).
+ * The saved text is the common ancestor for merging later changes
+ * (see source-sync.js): it tells apart edits made here from edits made upstream.
+ * Committing to GitHub (github-commit.js) makes the committed text the new
+ * common ancestor, and records the file's new blob SHA for conflict detection.
+ */
+
+import { STORES, withTransaction } from './database.js';
+
+/**
+ * @typedef {Object} SessionSource
+ * @property {string} id - Session ID
+ * @property {string} url - URL the content was fetched from
+ * @property {string} content - Text as fetched
+ * @property {string} hash - SHA-256 of the text (hex)
+ * @property {string|null} etag - ETag response header
+ * @property {string|null} lastModified - Last-Modified response header
+ * @property {number} fetchedAt - Fetch time (ms since epoch)
+ * @property {string|null} committedSha - GitHub blob SHA, if the content was committed from here
+ */
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashContent(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Remember what was fetched for a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} source - Fetch result
+ * @param {string} source.url - URL the content was fetched from
+ * @param {string} source.content - Text as fetched
+ * @param {string|null} [source.etag] - ETag response header
+ * @param {string|null} [source.lastModified] - Last-Modified response header
+ * @param {string|null} [source.committedSha] - GitHub blob SHA, if the content was committed from here
+ * @returns {Promise<void>}
+ */
+export async function saveSessionSource(sessionId, { url, content, etag = null, lastModified = null, committedSha = null }) {
+    const record = {
+        id: sessionId,
+        url,
+        content,
+        hash: await hashContent(content),
+        etag,
+        lastModified,
+        fetchedAt: Date.now(),
+        committedSha
+    };
+    await withTransaction(STORES.SOURCES, 'readwrite', tx => tx.objectStore(STORES.SOURCES).put(record));
+}
+
+/**
+ * Get what was last fetched for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<SessionSource|null>} Source record, or null if none was saved
+ */
+export async function getSessionSource(sessionId) {
+    const record = await withTransaction(STORES.SOURCES, 'readonly', tx => tx.objectStore(STORES.SOURCES).get(sessionId));
+    return record || null;
+}
+
+/**
+ * Forget a session's source
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionSource(sessionId) {
+    await withTransaction(STORES.SOURCES, 'readwrite', tx => tx.objectStore(STORES.SOURCES).delete(sessionId));
+}
@@ -8,25 +8,60 @@
  * - Migration from legacy single-document storage
  *
  * Storage Structure:
- * - 'merview-sessions-index': JSON with version, activeSessionId, and sessions metadata array
- * - 'merview-session-[id]': JSON with individual session content
+ * - localStorage 'merview-sessions-index': JSON with version, activeSessionId, and sessions
+ *   metadata array (small, read synchronously and shared with other tabs via storage events).
+ *   Optional metadata for organizing sessions: pinned (listed first, never auto-cleaned),
+ *   tags (string array) and folder (string or null).
+ * - IndexedDB 'sessions' store: { id, content, revision } for each session (see database.js)
+ * - IndexedDB 'assets' store: images pasted or dropped into a session (asset-store.js)
+ * - IndexedDB 'versions' store: content snapshots for version history (version-history.js)
+ *
+ * Session content used to live in localStorage under 'merview-session-[id]' keys;
+ * initSessions() moves it to IndexedDB once.
+ *
+ * Multiple tabs:
+ * - Each tab has its own active session (state.activeSessionId); the index's
+ *   activeSessionId is only the one to reopen on the next visit
+ * - Saves of the active session are conditional on its revision: if another tab
+ *   saved since this tab last loaded or saved the content, nothing is written and
+ *   a 'session-conflict' event is dispatched (see tab-conflict-modal.js)
+ * - Tabs announce saves on a BroadcastChannel, so a conflict is noticed as soon as
+ *   another tab saves, not only when this tab saves next
  */
 
 import { state } from './state.js';
 import { getMarkdownContent } from './storage.js';
 import { showStatus } from './utils.js';
+import { isAllowedMarkdownURL } from './security.js';
+import { deleteSessionAssets, revokeAssetURLs } from './asset-store.js';
+import { STORES, withTransaction } from './database.js';
+import { trackSessionContent, deleteSessionVersions } from './version-history.js';
+import { deleteSessionSource } from './session-sources.js';
 
 // Constants
 const SESSIONS_INDEX_KEY = 'merview-sessions-index';
 const SESSION_KEY_PREFIX = 'merview-session-';
-const MAX_SESSIONS = 20;
-const MAX_STORAGE_BYTES = 5 * 1024 * 1024; // 5MB soft limit
+const MAX_SESSIONS = 500;
+const MAX_STORAGE_BYTES = 500 * 1024 * 1024; // 500MB soft limit (IndexedDB quotas are a share of free disk space)
 const SCHEMA_VERSION = 1;
+const MAX_TAGS_PER_SESSION = 20;
+const MAX_LABEL_LENGTH = 40; // Tag and folder names
+const TAB_CHANNEL_NAME = 'merview-sessions';
 
 // In-memory cache for sessions index to avoid repeated JSON parsing
 let cachedIndex = null;
 let cacheValid = false;
 
+// Active session content as this tab last loaded or saved it (the common original
+// when merging with another tab's changes)
+let synced = { sessionId: null, revision: 0, content: '' };
+
+// Unresolved save by another tab: { sessionId, base, content, revision }
+let conflict = null;
+
+// BroadcastChannel shared with other tabs (null if unsupported)
+let tabChannel = null;
+
 /**
  * Generate a unique session ID using crypto.randomUUID()
  * @returns {string} Unique ID (e.g., "session-550e8400-e29b-41d4-a716-446655440000")
@@ -64,7 +99,7 @@ function validateIndexSchema(index) {
 
 /**
  * Switch active session to the most recent one in the index
- * Used when the current active session is deleted or corrupted
+ * Used when this tab's active session is deleted
  * @param {Object} index - Sessions index (will be modified)
  */
 function switchToMostRecentSession(index) {
@@ -156,82 +191,259 @@ function saveSessionsIndex(index) {
 }
 
 /**
- * Load session content from localStorage
- * If data is corrupted, automatically cleans up both the content and index entry
+ * Load session content from IndexedDB
  * @param {string} sessionId - Session ID
- * @returns {Object|null} Session data with content
+ * @returns {Promise<Object|null>} Session data with content
+ */
+async function loadSessionData(sessionId) {
+    const data = await withTransaction(STORES.SESSIONS, 'readonly', tx => tx.objectStore(STORES.SESSIONS).get(sessionId));
+    if (data && typeof data.content !== 'string') {
+        console.error(`Session ${sessionId} has invalid content - it will be removed`);
+        discardSession(sessionId);
+        showStatus('A corrupted session was removed', 'warning');
+        return null;
+    }
+    return data || null;
+}
+
+/**
+ * Save session content to IndexedDB
+ * Writes are queued by IndexedDB in call order, so the latest content always wins.
+ * Shows user-facing errors for quota issues.
+ * @param {Object} sessionData - Session data with content
+ * @returns {Promise<boolean>} True if saved
  */
-function loadSessionData(sessionId) {
+async function saveSessionData(sessionData) {
     try {
-        const raw = localStorage.getItem(`${SESSION_KEY_PREFIX}${sessionId}`);
-        if (!raw) return null;
-        return JSON.parse(raw);
+        await withTransaction(STORES.SESSIONS, 'readwrite', tx => {
+            tx.objectStore(STORES.SESSIONS).put({
+                id: sessionData.id,
+                content: sessionData.content,
+                revision: sessionData.revision || 0
+            });
+        });
+        return true;
     } catch (error) {
-        console.error(`Failed to load session ${sessionId} - corrupted data will be removed:`, error);
+        console.error(`Failed to save session ${sessionData.id}:`, error);
+        if (error?.name === 'QuotaExceededError') {
+            showStatus('Storage quota exceeded. Please delete some sessions to continue.', 'error');
+        } else {
+            showStatus('Error saving session: ' + error.message, 'error');
+        }
+        return false;
+    }
+}
 
-        // Clean up corrupted content
-        deleteSessionData(sessionId);
+/**
+ * Remember the active session content as loaded from or saved to storage
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} data - Stored record ({ content, revision })
+ */
+function markSynced(sessionId, data) {
+    synced = { sessionId, revision: data?.revision || 0, content: data?.content ?? '' };
+    // Freshly loaded, so any earlier conflict no longer applies
+    conflict = null;
+}
 
-        // Also remove from index to prevent inconsistent state
-        const index = loadSessionsIndex();
-        const hadSession = index.sessions.some(s => s.id === sessionId);
-        if (hadSession) {
-            index.sessions = index.sessions.filter(s => s.id !== sessionId);
+/**
+ * Record another tab's save of the active session and tell the UI
+ * @param {string} sessionId - Session ID
+ * @param {Object} stored - The other tab's record ({ content, revision })
+ */
+function reportConflict(sessionId, stored) {
+    if (conflict?.sessionId === sessionId && conflict.revision >= (stored.revision || 0)) {
+        return;
+    }
+    conflict = {
+        sessionId,
+        base: synced.content,
+        content: stored.content,
+        revision: stored.revision || 0
+    };
+    globalThis.dispatchEvent(new CustomEvent('session-conflict', { detail: { sessionId } }));
+}
 
-            // If it was the active session, switch to another one
-            if (index.activeSessionId === sessionId) {
-                switchToMostRecentSession(index);
-            }
+/**
+ * Save active session content unless another tab saved it first
+ * @param {string} sessionId - Session ID
+ * @param {string} content - New content
+ * @returns {Promise<void>}
+ */
+async function saveActiveSessionData(sessionId, content) {
+    if (synced.sessionId === sessionId && synced.content === content) {
+        return;
+    }
+    const previous = synced;
+    try {
+        const outcome = await withTransaction(STORES.SESSIONS, 'readwrite', tx => {
+            const store = tx.objectStore(STORES.SESSIONS);
+            const result = { saved: false, stored: null };
+            const request = store.get(sessionId);
+            // Runs after earlier saves from this tab, so synced is up to date here
+            request.onsuccess = () => {
+                const stored = request.result;
+                const tracked = synced.sessionId === sessionId;
+                if (tracked && stored && (stored.revision || 0) !== synced.revision) {
+                    result.stored = stored;
+                    return;
+                }
+                const revision = (tracked ? synced.revision : stored?.revision || 0) + 1;
+                store.put({ id: sessionId, content, revision });
+                if (tracked) {
+                    synced = { sessionId, revision, content };
+                }
+                result.saved = true;
+            };
+            return result;
+        });
 
-            saveSessionsIndex(index);
+        if (outcome.stored) {
+            reportConflict(sessionId, outcome.stored);
+        } else if (outcome.saved) {
+            tabChannel?.postMessage({ type: 'session-saved', sessionId });
+        }
+    } catch (error) {
+        // Nothing was written
+        if (synced.sessionId === sessionId) {
+            synced = previous;
+        }
+        console.error(`Failed to save session ${sessionId}:`, error);
+        if (error?.name === 'QuotaExceededError') {
+            showStatus('Storage quota exceeded. Please delete some sessions to continue.', 'error');
+        } else {
+            showStatus('Error saving session: ' + error.message, 'error');
         }
-
-        showStatus('A corrupted session was removed', 'warning');
-        return null;
     }
 }
 
 /**
- * Save session content to localStorage
- * Shows user-facing errors for quota issues
- * @param {Object} sessionData - Session data with content
+ * Handle a message from another tab
+ * @param {MessageEvent} event - Channel message ({ type, sessionId })
+ * @returns {Promise<void>}
  */
-function saveSessionData(sessionData) {
+async function handleTabMessage(event) {
+    // The index was written before the message was sent
+    cacheValid = false;
+
+    const { type, sessionId } = event.data || {};
+    if (type !== 'session-saved' || sessionId !== state.activeSessionId || sessionId !== synced.sessionId) {
+        return;
+    }
+
     try {
-        localStorage.setItem(
-            `${SESSION_KEY_PREFIX}${sessionData.id}`,
-            JSON.stringify(sessionData)
-        );
-    } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-            console.error('Storage quota exceeded while saving session content');
-            // Attempt auto-cleanup and retry once
-            const deletedCount = autoCleanup();
-            if (deletedCount > 0) {
-                try {
-                    localStorage.setItem(
-                        `${SESSION_KEY_PREFIX}${sessionData.id}`,
-                        JSON.stringify(sessionData)
-                    );
-                    showStatus(`Storage full - cleaned up ${deletedCount} old session(s)`, 'warning');
-                    return;
-                } catch (retryError) {
-                    console.warn('Storage still full after cleanup:', retryError.message);
-                }
+        const stored = await loadSessionData(sessionId);
+        if (!stored || (stored.revision || 0) === synced.revision || sessionId !== synced.sessionId) {
+            return;
+        }
+        // Same text as this tab (e.g. both were reloaded): just catch up
+        const current = state.cmEditor ? state.cmEditor.getValue() : synced.content;
+        if (stored.content === current) {
+            const hadConflict = Boolean(conflict);
+            markSynced(sessionId, stored);
+            if (hadConflict) {
+                globalThis.dispatchEvent(new CustomEvent('session-conflict', { detail: { sessionId } }));
             }
-            showStatus('Storage quota exceeded. Please delete some sessions to continue.', 'error');
-            throw error;
+            return;
         }
-        throw error;
+        reportConflict(sessionId, stored);
+    } catch (error) {
+        console.error('Failed to check session changed in another tab:', error);
+    }
+}
+
+/**
+ * Get the unresolved change another tab made to the active session
+ * @returns {{sessionId: string, base: string, content: string, revision: number}|null}
+ *     base is the text both tabs started from; content is the other tab's text
+ */
+export function getSessionConflict() {
+    return conflict && conflict.sessionId === state.activeSessionId ? conflict : null;
+}
+
+/**
+ * Mark the conflict with another tab as resolved
+ * This tab's next save then replaces the other tab's text, so put the reloaded
+ * or merged text in the editor (or keep this tab's text) after calling this.
+ */
+export function resolveSessionConflict() {
+    if (!conflict) return;
+    if (conflict.sessionId === synced.sessionId) {
+        synced = { sessionId: conflict.sessionId, revision: conflict.revision, content: conflict.content };
     }
+    conflict = null;
 }
 
 /**
- * Delete session data from localStorage
+ * Delete session content, images, version history and source from IndexedDB
  * @param {string} sessionId - Session ID
  */
 function deleteSessionData(sessionId) {
-    localStorage.removeItem(`${SESSION_KEY_PREFIX}${sessionId}`);
+    withTransaction(STORES.SESSIONS, 'readwrite', tx => {
+        tx.objectStore(STORES.SESSIONS).delete(sessionId);
+    }).catch(error => {
+        console.error(`Failed to delete session ${sessionId}:`, error);
+    });
+    deleteSessionAssets(sessionId).catch(error => {
+        console.error(`Failed to delete images for session ${sessionId}:`, error);
+    });
+    deleteSessionVersions(sessionId).catch(error => {
+        console.error(`Failed to delete version history for session ${sessionId}:`, error);
+    });
+    deleteSessionSource(sessionId).catch(error => {
+        console.error(`Failed to delete source of session ${sessionId}:`, error);
+    });
+}
+
+/**
+ * Remove a session whose content is unusable (corrupted, or never saved)
+ * If it's this tab's session, the document stays open and is saved as a new
+ * session on the next edit.
+ * @param {string} sessionId - Session ID
+ */
+function discardSession(sessionId) {
+    const index = loadSessionsIndex();
+    index.sessions = index.sessions.filter(s => s.id !== sessionId);
+    if (index.activeSessionId === sessionId) {
+        index.activeSessionId = null;
+    }
+    saveSessionsIndex(index);
+
+    if (state.activeSessionId === sessionId) {
+        state.activeSessionId = null;
+    }
+    deleteSessionData(sessionId);
+}
+
+/**
+ * Move session content from localStorage ('merview-session-[id]' keys) to IndexedDB
+ * The localStorage copies are removed only after IndexedDB has committed.
+ * @returns {Promise<number>} Number of sessions migrated
+ */
+async function migrateContentToIndexedDB() {
+    const entries = [];
+    for (const { id } of loadSessionsIndex().sessions) {
+        const key = `${SESSION_KEY_PREFIX}${id}`;
+        const raw = localStorage.getItem(key);
+        if (raw === null) continue;
+        try {
+            entries.push({ key, id, content: JSON.parse(raw).content ?? '' });
+        } catch (error) {
+            console.error(`Skipping corrupted session ${id} during migration:`, error);
+            localStorage.removeItem(key);
+        }
+    }
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    await withTransaction(STORES.SESSIONS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.SESSIONS);
+        entries.forEach(({ id, content }) => store.put({ id, content }));
+    });
+    entries.forEach(({ key }) => localStorage.removeItem(key));
+
+    console.log(`Moved ${entries.length} session(s) from localStorage to IndexedDB`);
+    return entries.length;
 }
 
 /**
@@ -254,6 +466,8 @@ export function getStorageStats() {
 
 /**
  * Auto-cleanup oldest sessions if over limit
+ * Pinned sessions and the active session are never removed.
+ * Callers tell the user when sessions were removed.
  * @returns {number} Number of sessions deleted
  */
 function autoCleanup() {
@@ -261,20 +475,16 @@ function autoCleanup() {
     let deletedCount = 0;
 
     // Sort by lastModified ascending (oldest first)
-    const sortedSessions = [...index.sessions].sort(
-        (a, b) => (a.lastModified || 0) - (b.lastModified || 0)
-    );
+    const candidates = index.sessions
+        .filter(s => !s.pinned && s.id !== index.activeSessionId && s.id !== state.activeSessionId)
+        .sort((a, b) => (a.lastModified || 0) - (b.lastModified || 0));
 
     // Delete oldest sessions until under limits
-    while (sortedSessions.length > MAX_SESSIONS) {
-        const oldest = sortedSessions.shift();
-        if (oldest && oldest.id !== index.activeSessionId) {
-            deleteSessionData(oldest.id);
-            index.sessions = index.sessions.filter(s => s.id !== oldest.id);
-            deletedCount++;
-        } else {
-            break; // Don't delete active session
-        }
+    while (index.sessions.length > MAX_SESSIONS && candidates.length > 0) {
+        const oldest = candidates.shift();
+        deleteSessionData(oldest.id);
+        index.sessions = index.sessions.filter(s => s.id !== oldest.id);
+        deletedCount++;
     }
 
     if (deletedCount > 0) {
@@ -309,8 +519,9 @@ function resolveNameConflict(baseName) {
 /**
  * Migrate legacy markdown-content to sessions system
  * Called on first load with new code
+ * @returns {Promise<void>}
  */
-export function migrateToSessions() {
+export async function migrateToSessions() {
     // Check if migration already done
     const existingIndex = localStorage.getItem(SESSIONS_INDEX_KEY);
     if (existingIndex) {
@@ -342,7 +553,7 @@ export function migrateToSessions() {
 
         // Store new structure
         saveSessionsIndex(index);
-        saveSessionData({
+        await saveSessionData({
             id: sessionId,
             content: legacyContent
         });
@@ -359,13 +570,32 @@ export function migrateToSessions() {
 
 /**
  * Initialize sessions system
- * Should be called from main.js during app initialization
+ * Should be called (and awaited) from main.js during app initialization
+ * @returns {Promise<void>}
  */
-export function initSessions() {
-    migrateToSessions();
+export async function initSessions() {
+    try {
+        await migrateToSessions();
+        await migrateContentToIndexedDB();
+    } catch (error) {
+        console.error('Failed to migrate sessions to IndexedDB:', error);
+        showStatus('Could not open session storage: ' + error.message, 'error');
+    }
+
+    // Ask the browser not to evict IndexedDB data under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
 
     const index = loadSessionsIndex();
     state.activeSessionId = index.activeSessionId;
+    if (index.activeSessionId) {
+        try {
+            markSynced(index.activeSessionId, await loadSessionData(index.activeSessionId));
+        } catch (error) {
+            console.error('Failed to load active session:', error);
+        }
+    }
+    // Keep resolving relative links against the source of a URL-loaded session
+    state.loadedFromURL = index.sessions.find(s => s.id === index.activeSessionId)?.sourceUrl || null;
     state.sessionsLoaded = true;
 
     // Listen for storage changes from other tabs
@@ -377,26 +607,65 @@ export function initSessions() {
             globalThis.dispatchEvent(new CustomEvent('sessions-changed'));
         }
     });
+
+    // Listen for content saves from other tabs
+    if (typeof BroadcastChannel === 'function' && !tabChannel) {
+        tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+        tabChannel.addEventListener('message', handleTabMessage);
+    }
 }
 
 /**
  * Get all sessions metadata
- * @returns {Array} Session metadata array (sorted by lastModified DESC)
+ * @returns {Array} Session metadata array (pinned first, then sorted by lastModified DESC)
  */
 export function getAllSessions() {
     const index = loadSessionsIndex();
     return [...index.sessions].sort(
-        (a, b) => (b.lastModified || 0) - (a.lastModified || 0)
+        (a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+            (b.lastModified || 0) - (a.lastModified || 0)
     );
 }
 
+/**
+ * Get pinned sessions
+ * @returns {Array} Pinned session metadata (sorted by lastModified DESC)
+ */
+export function getPinnedSessions() {
+    return getAllSessions().filter(s => s.pinned);
+}
+
 /**
  * Get recent sessions for quick access
+ * Pinned sessions are left out; they are listed separately (getPinnedSessions).
  * @param {number} limit - Maximum number to return (default: 5)
  * @returns {Array} Recent session metadata
  */
 export function getRecentSessions(limit = 5) {
-    return getAllSessions().slice(0, limit);
+    return getAllSessions().filter(s => !s.pinned).slice(0, limit);
+}
+
+/**
+ * Get the tags used by any session
+ * @returns {string[]} Tags, sorted alphabetically
+ */
+export function getAllTags() {
+    const tags = new Map();
+    loadSessionsIndex().sessions.forEach(s => {
+        (s.tags || []).forEach(tag => {
+            if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+        });
+    });
+    return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Get the folders used by any session
+ * @returns {string[]} Folder names, sorted alphabetically
+ */
+export function getAllFolders() {
+    const folders = new Set(loadSessionsIndex().sessions.map(s => s.folder).filter(Boolean));
+    return [...folders].sort((a, b) => a.localeCompare(b));
 }
 
 /**
@@ -404,40 +673,49 @@ export function getRecentSessions(limit = 5) {
  * @returns {Object|null} Active session metadata or null
  */
 export function getActiveSessionMeta() {
-    const index = loadSessionsIndex();
-    if (!index.activeSessionId) return null;
-    return index.sessions.find(s => s.id === index.activeSessionId) || null;
+    // This tab's session; another tab may have switched the index's
+    const activeId = state.activeSessionId;
+    if (!activeId) return null;
+    return loadSessionsIndex().sessions.find(s => s.id === activeId) || null;
 }
 
 /**
  * Get active session with content
- * @returns {Object|null} Active session data with content or null
+ * @returns {Promise<Object|null>} Active session data with content or null
  */
-export function getActiveSession() {
-    const index = loadSessionsIndex();
-    if (!index.activeSessionId) return null;
-
-    const meta = index.sessions.find(s => s.id === index.activeSessionId);
+export async function getActiveSession() {
+    const meta = getActiveSessionMeta();
     if (!meta) return null;
 
-    const data = loadSessionData(index.activeSessionId);
+    const data = await loadSessionData(meta.id);
     return data ? { ...meta, content: data.content } : null;
 }
 
 /**
  * Get session by ID with content
  * @param {string} sessionId - Session ID
- * @returns {Object|null} Session data with content or null
+ * @returns {Promise<Object|null>} Session data with content or null
  */
-export function getSession(sessionId) {
+export async function getSession(sessionId) {
     const index = loadSessionsIndex();
     const meta = index.sessions.find(s => s.id === sessionId);
     if (!meta) return null;
 
-    const data = loadSessionData(sessionId);
+    const data = await loadSessionData(sessionId);
     return data ? { ...meta, content: data.content } : null;
 }
 
+/**
+ * Load the content of every session in one read (for search)
+ * @returns {Promise<Map<string, string>>} Content by session ID
+ */
+export async function getAllSessionContents() {
+    const records = await withTransaction(STORES.SESSIONS, 'readonly', tx => tx.objectStore(STORES.SESSIONS).getAll());
+    return new Map(records
+        .filter(record => typeof record.content === 'string')
+        .map(record => [record.id, record.content]));
+}
+
 /**
  * Find session by name (case-insensitive)
  * @param {string} name - Session name to find
@@ -480,7 +758,10 @@ export function createSession({ name, content, source = 'new', sourceUrl = null
 
     // Check if we need to cleanup before adding
     if (index.sessions.length >= MAX_SESSIONS) {
-        autoCleanup();
+        const deletedCount = autoCleanup();
+        if (deletedCount > 0) {
+            showStatus(`Session limit (${MAX_SESSIONS}) reached - removed ${deletedCount} oldest session(s)`, 'warning');
+        }
     }
 
     // Add to index
@@ -488,14 +769,23 @@ export function createSession({ name, content, source = 'new', sourceUrl = null
     index.activeSessionId = sessionId;
     saveSessionsIndex(index);
 
-    // Save content
+    // Save content (in the background; reads queue behind the write). A session
+    // without content can't be opened, so it's removed again if the save fails.
     saveSessionData({
         id: sessionId,
         content
+    }).then(saved => {
+        if (!saved) {
+            discardSession(sessionId);
+        }
+    }).catch(error => {
+        console.error(`Failed to remove unsaved session ${sessionId}:`, error);
     });
 
     // Update state
     state.activeSessionId = sessionId;
+    markSynced(sessionId, { content, revision: 0 });
+    revokeAssetURLs();
 
     return session;
 }
@@ -503,23 +793,28 @@ export function createSession({ name, content, source = 'new', sourceUrl = null
 /**
  * Switch to a different session
  * @param {string} sessionId - Session ID to switch to
- * @returns {Object|null} Session data with content or null if not found
+ * @returns {Promise<Object|null>} Session data with content or null if not found
  */
-export function switchSession(sessionId) {
-    const index = loadSessionsIndex();
-
-    const meta = index.sessions.find(s => s.id === sessionId);
-    if (!meta) {
+export async function switchSession(sessionId) {
+    if (!loadSessionsIndex().sessions.some(s => s.id === sessionId)) {
         console.error(`Session not found: ${sessionId}`);
         return null;
     }
 
-    const data = loadSessionData(sessionId);
+    const data = await loadSessionData(sessionId);
     if (!data) {
         console.error(`Session data not found: ${sessionId}`);
         return null;
     }
 
+    // Look the session up again: the index may have changed while the content was loading
+    const index = loadSessionsIndex();
+    const meta = index.sessions.find(s => s.id === sessionId);
+    if (!meta) {
+        console.error(`Session was deleted while switching: ${sessionId}`);
+        return null;
+    }
+
     // Update active session
     index.activeSessionId = sessionId;
 
@@ -532,6 +827,8 @@ export function switchSession(sessionId) {
     state.activeSessionId = sessionId;
     state.currentFilename = meta.name;
     state.loadedFromURL = meta.sourceUrl;
+    markSynced(sessionId, data);
+    revokeAssetURLs();
 
     return { ...meta, content: data.content };
 }
@@ -545,32 +842,28 @@ export function switchSession(sessionId) {
 function updateSessionContentInternal(content) {
     const index = loadSessionsIndex();
 
-    // Guard: Check both index and state for active session ID
-    // This prevents race conditions during initialization
-    const activeId = index.activeSessionId || state.activeSessionId;
+    // This tab's session (set by initSessions()). Not the index's activeSessionId:
+    // another tab switching sessions changes that.
+    const activeId = state.activeSessionId;
 
     if (!activeId) {
         // No active session, create one
-        createSession({
-            name: state.currentFilename || 'Untitled',
-            content,
-            source: state.loadedFromURL ? 'url' : 'new',
-            sourceUrl: state.loadedFromURL
-        });
+        createSessionForDocument(content);
         return true;
     }
 
-    // Ensure state is in sync with index
-    if (!state.activeSessionId && index.activeSessionId) {
-        state.activeSessionId = index.activeSessionId;
-    }
-
     const meta = index.sessions.find(s => s.id === activeId);
     if (!meta) {
         console.error('Active session not found in index');
         return false;
     }
 
+    // Another tab changed this session: hold off until the user decides what to keep
+    if (conflict?.sessionId === activeId) {
+        globalThis.dispatchEvent(new CustomEvent('session-conflict', { detail: { sessionId: activeId } }));
+        return false;
+    }
+
     // Update metadata
     meta.lastModified = Date.now();
     meta.contentSize = content.length;
@@ -580,17 +873,58 @@ function updateSessionContentInternal(content) {
         meta.name = state.currentFilename;
     }
 
+    // Track the source URL (loaded from another URL, or replaced by a file / cleared)
+    if ((meta.sourceUrl || null) !== (state.loadedFromURL || null)) {
+        if (!state.loadedFromURL) {
+            deleteSessionSource(activeId).catch(error => {
+                console.error(`Failed to delete source of session ${activeId}:`, error);
+            });
+        }
+        meta.sourceUrl = state.loadedFromURL || null;
+        meta.source = state.loadedFromURL ? 'url' : 'new';
+    }
+
     saveSessionsIndex(index);
 
-    // Update content
-    saveSessionData({
-        id: activeId,
-        content
-    });
+    // Update content (skipped if another tab saved first)
+    saveActiveSessionData(activeId, content);
+
+    // Snapshot for version history (periodically and before large changes)
+    trackSessionContent(activeId, content);
 
     return true;
 }
 
+/**
+ * Create a session for the document in the editor
+ * @param {string} content - Editor content
+ * @returns {Object} Created session metadata
+ */
+function createSessionForDocument(content) {
+    return createSession({
+        name: state.currentFilename || 'Untitled',
+        content,
+        source: state.loadedFromURL ? 'url' : 'new',
+        sourceUrl: state.loadedFromURL
+    });
+}
+
+/**
+ * Get the active session, creating one for the document if there is none
+ * Used before storing data that belongs to a session (e.g. pasted images).
+ * @param {string} content - Editor content
+ * @returns {string|null} Active session ID, or null while sessions aren't available
+ */
+export function ensureActiveSession(content) {
+    if (state.activeSessionId) {
+        return state.activeSessionId;
+    }
+    if (state.clearingAllSessions || !state.sessionsLoaded) {
+        return null;
+    }
+    return createSessionForDocument(content).id;
+}
+
 /**
  * Update current session content
  * Called from renderer.js when content changes
@@ -621,9 +955,9 @@ export function updateSessionContent(content) {
 export function renameActiveSession(newName) {
     const index = loadSessionsIndex();
 
-    if (!index.activeSessionId) return false;
+    if (!state.activeSessionId) return false;
 
-    const meta = index.sessions.find(s => s.id === index.activeSessionId);
+    const meta = index.sessions.find(s => s.id === state.activeSessionId);
     if (!meta) return false;
 
     // Resolve conflicts (but allow same name for current session)
@@ -665,6 +999,123 @@ export function renameSession(sessionId, newName) {
     return true;
 }
 
+/**
+ * Clean up a tag or folder name
+ * @param {*} label - User input
+ * @returns {string} Trimmed label without commas, at most MAX_LABEL_LENGTH characters ('' if invalid)
+ */
+function normalizeLabel(label) {
+    if (typeof label !== 'string') return '';
+    return label.replace(/,/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Clean up a list of tags: trimmed, no duplicates (case-insensitive), limited in number
+ * @param {*} tags - User input
+ * @returns {string[]} Tags
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const unique = new Map();
+    tags.map(normalizeLabel).filter(Boolean).forEach(tag => {
+        if (!unique.has(tag.toLowerCase())) unique.set(tag.toLowerCase(), tag);
+    });
+    return [...unique.values()].slice(0, MAX_TAGS_PER_SESSION);
+}
+
+/**
+ * Add sessions from a backup archive (see session-archive.js)
+ * Imported sessions get new IDs, and names that clash with existing sessions get
+ * a numeric suffix. The active session doesn't change.
+ * @param {Object} manifest - Archive manifest, shaped like the sessions index
+ * @param {function(Object, string): Promise<string>} loadContent - Reads the content of
+ *     a manifest entry, given the entry and the ID of the session being created
+ * @returns {Promise<{imported: Object[], skipped: number}>} Imported session metadata
+ *     and the number of entries that couldn't be read
+ * @throws {Error} If the manifest isn't a valid sessions index
+ */
+export async function importSessions(manifest, loadContent) {
+    if (!validateIndexSchema(manifest) || manifest.version > SCHEMA_VERSION) {
+        throw new Error('Not a Merview sessions backup');
+    }
+
+    const imported = [];
+    let skipped = 0;
+    for (const entry of manifest.sessions) {
+        if (loadSessionsIndex().sessions.length >= MAX_SESSIONS) {
+            skipped += manifest.sessions.length - imported.length - skipped;
+            break;
+        }
+
+        const sessionId = generateSessionId();
+        let content;
+        try {
+            content = await loadContent(entry, sessionId);
+        } catch (error) {
+            console.error(`Skipping session "${entry?.name}" from backup:`, error);
+            skipped++;
+            continue;
+        }
+        if (!await saveSessionData({ id: sessionId, content })) {
+            // Also removes images stored while loading the content
+            deleteSessionData(sessionId);
+            skipped++;
+            continue;
+        }
+
+        // Re-read the index: it may have changed while the content was loading
+        const index = loadSessionsIndex();
+        const now = Date.now();
+        const session = {
+            id: sessionId,
+            name: resolveNameConflict(typeof entry.name === 'string' && entry.name.trim() ? entry.name : 'Untitled'),
+            lastModified: Number.isFinite(entry.lastModified) ? entry.lastModified : now,
+            createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : now,
+            source: typeof entry.source === 'string' ? entry.source : 'file',
+            // Fetched again later (links, source sync), so only URLs that could be loaded
+            sourceUrl: typeof entry.sourceUrl === 'string' && isAllowedMarkdownURL(entry.sourceUrl) ? entry.sourceUrl : null,
+            contentSize: content.length,
+            pinned: entry.pinned === true,
+            tags: normalizeTags(entry.tags),
+            folder: normalizeLabel(entry.folder) || null
+        };
+        index.sessions.push(session);
+        saveSessionsIndex(index);
+        imported.push(session);
+    }
+
+    return { imported, skipped };
+}
+
+/**
+ * Update a session's organizing metadata (pinned, tags, folder)
+ * These don't change lastModified, so organizing doesn't reorder the recent list.
+ * @param {string} sessionId - Session ID
+ * @param {Object} changes - Fields to change
+ * @param {boolean} [changes.pinned] - Listed first and exempt from auto-cleanup
+ * @param {string[]} [changes.tags] - Tags
+ * @param {string|null} [changes.folder] - Folder name, or null/'' for none
+ * @returns {boolean} True if updated
+ */
+export function updateSessionOrganization(sessionId, { pinned, tags, folder }) {
+    const index = loadSessionsIndex();
+    const meta = index.sessions.find(s => s.id === sessionId);
+    if (!meta) return false;
+
+    if (pinned !== undefined) {
+        meta.pinned = Boolean(pinned);
+    }
+    if (tags !== undefined) {
+        meta.tags = normalizeTags(tags);
+    }
+    if (folder !== undefined) {
+        meta.folder = normalizeLabel(folder) || null;
+    }
+
+    saveSessionsIndex(index);
+    return true;
+}
+
 /**
  * Delete a session
  * @param {string} sessionId - Session ID to delete
@@ -679,9 +1130,12 @@ export function deleteSession(sessionId) {
     // Remove from index
     index.sessions.splice(sessionIndex, 1);
 
-    // If this was the active session, switch to most recent or null
-    if (index.activeSessionId === sessionId) {
+    // If this tab has it open, switch to most recent or null. A session open only in
+    // another tab leaves this tab's document alone.
+    if (state.activeSessionId === sessionId) {
         switchToMostRecentSession(index);
+    } else if (index.activeSessionId === sessionId) {
+        index.activeSessionId = state.activeSessionId;
     }
 
     saveSessionsIndex(index);
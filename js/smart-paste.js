@@ -0,0 +1,279 @@
+/**
+ * Smart Paste Module
+ *
+ * Converts clipboard content to markdown when pasting into the editor:
+ * - A URL pasted over selected text becomes a [selection](url) link
+ * - Spreadsheet ranges (tab-separated) and CSV become GFM tables
+ * - Rich text (web pages, Word, Google Docs) becomes markdown
+ * - Images (e.g. screenshots) are stored with the session and linked as merview-asset: URLs
+ *
+ * Anything else, and any paste inside a fenced code block, is left to CodeMirror.
+ */
+
+import { isRichText, htmlToMarkdown, formatMarkdownTable } from './document-import.js';
+import { saveAsset, isImageAssetFile, ASSET_URL_PREFIX } from './asset-store.js';
+import { ensureActiveSession } from './sessions.js';
+import { showStatus } from './utils.js';
+
+/**
+ * Links that can be created from a pasted URL
+ */
+const LINK_URL_PATTERN = /^(?:https?:\/\/|mailto:)\S+$/i;
+
+/**
+ * Start (or end) of a fenced code block
+ */
+const CODE_FENCE_PATTERN = /^ {0,3}(?:```|~~~)/;
+
+/**
+ * Check whether a line is inside a fenced code block
+ * @param {CodeMirror} cm - The editor instance
+ * @param {number} line - Line number to check
+ * @returns {boolean} True if an odd number of fences come before the line
+ */
+function isInCodeBlock(cm, line) {
+    let inside = false;
+    for (let i = 0; i < line; i++) {
+        if (CODE_FENCE_PATTERN.test(cm.getLine(i))) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Split delimited text into rows of cells
+ * Quoted cells may contain the delimiter, line breaks and doubled quotes
+ * (spreadsheets quote cells with line breaks when copying as TSV).
+ * @param {string} text - Tab- or comma-separated text
+ * @param {string} delimiter - '\t' or ','
+ * @returns {string[][]} Rows of cells
+ */
+export function parseDelimitedText(text, delimiter) {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            rows.at(-1).push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            rows.at(-1).push(cell);
+            rows.push([]);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    rows.at(-1).push(cell);
+    return rows;
+}
+
+/**
+ * Check whether a cell opens or closes more brackets than it matches
+ * A comma inside brackets separates arguments or list items (code), not cells.
+ * @param {string} cell - Cell text
+ * @returns {boolean} True if some bracket pair doesn't balance
+ */
+function hasUnbalancedBrackets(cell) {
+    return ['()', '[]', '{}'].some(([open, close]) =>
+        cell.split(open).length !== cell.split(close).length);
+}
+
+/**
+ * Convert pasted tab- or comma-separated text to a GFM table
+ * Text only counts as a table if it has at least two rows and two columns,
+ * and every row has the same number of cells. Rows that all start with a
+ * delimiter are tab-indented code, not a table. Comma-separated cells must not
+ * start with a space, so prose with commas isn't mistaken for CSV, and must
+ * balance their brackets, so code like foo(a, b) isn't either.
+ * @param {string} text - Plain text from the clipboard
+ * @param {boolean} allowCSV - Whether comma-separated text may be treated as a table
+ * @returns {string|null} Markdown table, or null if the text isn't tabular
+ */
+export function delimitedTextToTable(text, allowCSV = true) {
+    const normalized = text.replaceAll(/\r\n?/g, '\n').replace(/\n+$/, '');
+    let delimiter = null;
+    if (normalized.includes('\t')) {
+        delimiter = '\t';
+    } else if (allowCSV && normalized.includes(',')) {
+        delimiter = ',';
+    }
+    if (!delimiter || !normalized.includes('\n')) {
+        return null;
+    }
+
+    const rows = parseDelimitedText(normalized, delimiter);
+    const columns = rows[0].length;
+    if (rows.length < 2 || columns < 2 || rows.some(cells => cells.length !== columns)) {
+        return null;
+    }
+    if (rows.every(cells => cells[0] === '')) {
+        return null;
+    }
+    if (delimiter === ',' && rows.some(cells =>
+        cells.slice(1).some(cell => cell.startsWith(' ')) || cells.some(hasUnbalancedBrackets))) {
+        return null;
+    }
+    return formatMarkdownTable(rows);
+}
+
+/**
+ * Text to insert for a markdown block, with blank lines around it
+ * so it doesn't merge into the surrounding paragraph
+ * @param {CodeMirror} cm - The editor instance
+ * @param {string} block - Markdown block
+ * @returns {string} Text to insert at the cursor
+ */
+function asBlock(cm, block) {
+    const from = cm.getCursor('from');
+    const to = cm.getCursor('to');
+    const before = cm.getLine(from.line).slice(0, from.ch);
+    const after = cm.getLine(to.line).slice(to.ch);
+    return (before.trim() ? '\n\n' : '') + block + (after.trim() ? '\n\n' : '');
+}
+
+/**
+ * Mark the selection so text can replace it later
+ * The marker moves with edits made in the meantime, unlike saved positions.
+ * @param {CodeMirror} cm - The editor instance
+ * @returns {CodeMirror.TextMarker} Marker over the selection
+ */
+function markSelection(cm) {
+    return cm.markText(cm.getCursor('from'), cm.getCursor('to'), { clearWhenEmpty: false });
+}
+
+/**
+ * Replace the marked text and put the cursor after it
+ * @param {CodeMirror} cm - The editor instance
+ * @param {CodeMirror.TextMarker} marker - Marker from markSelection()
+ * @param {string} markdown - Replacement text
+ */
+function replaceMarked(cm, marker, markdown) {
+    const range = marker.find();
+    marker.clear();
+    // The marked text was deleted together with its surroundings: insert at the cursor
+    const from = range?.from ?? cm.getCursor('from');
+    const to = range?.to ?? cm.getCursor('to');
+    cm.replaceRange(markdown, from, to, 'paste');
+    cm.setCursor(cm.posFromIndex(cm.indexFromPos(from) + markdown.length));
+    cm.focus();
+}
+
+/**
+ * Insert HTML converted to markdown in place of the selection
+ * The converter may need to load first, so the target range is marked up front.
+ * @param {CodeMirror} cm - The editor instance
+ * @param {string} html - Clipboard HTML
+ * @param {string} plainText - Clipboard text, inserted if conversion fails
+ */
+function pasteHTML(cm, html, plainText) {
+    const marker = markSelection(cm);
+
+    htmlToMarkdown(html)
+        .catch(error => {
+            console.error('Error converting pasted HTML:', error);
+            return plainText;
+        })
+        .then(markdown => replaceMarked(cm, marker, markdown));
+}
+
+/**
+ * Store images and insert markdown references to them in place of the selection
+ * Used for pasted and dropped images. The images belong to the active session,
+ * which is created first for a new document.
+ * @param {CodeMirror} cm - The editor instance
+ * @param {File[]} files - Image files
+ * @returns {Promise<number>} Number of images inserted
+ */
+export async function insertImageFiles(cm, files) {
+    const sessionId = ensureActiveSession(cm.getValue());
+    if (!sessionId) {
+        showStatus('Error adding image: sessions are not available', 'error');
+        return 0;
+    }
+    const marker = markSelection(cm);
+
+    const references = [];
+    for (const file of files) {
+        try {
+            const id = await saveAsset(file, sessionId);
+            const alt = (file.name || 'image').replace(/\.[^.]+$/, '').replaceAll(/[[\]]/g, '');
+            references.push(`![${alt}](${ASSET_URL_PREFIX}${id})`);
+        } catch (error) {
+            console.error('Error storing image:', error);
+            showStatus(`Error adding image: ${error.message}`, 'error');
+        }
+    }
+    if (references.length === 0) {
+        marker.clear();
+        return 0;
+    }
+
+    replaceMarked(cm, marker, references.join('\n\n'));
+    showStatus(references.length === 1 ? 'Image added' : `${references.length} images added`);
+    return references.length;
+}
+
+/**
+ * Paste handler for the editor (registered in initCodeMirror())
+ * Calls preventDefault() only when the paste is converted.
+ * @param {CodeMirror} cm - The editor instance
+ * @param {ClipboardEvent} e - The paste event
+ */
+export function handleSmartPaste(cm, e) {
+    const clipboard = e.clipboardData;
+    if (!clipboard || cm.listSelections().length > 1 || isInCodeBlock(cm, cm.getCursor('from').line)) {
+        return;
+    }
+
+    const plainText = clipboard.getData('text/plain');
+    const html = clipboard.getData('text/html');
+    const selection = cm.getSelection();
+    const url = plainText.trim();
+
+    // Screenshots and copied image files (rich text copies also carry a picture of
+    // the selection, so images only count when there's no HTML)
+    const images = [...clipboard.files].filter(isImageAssetFile);
+    if (images.length > 0 && !html) {
+        e.preventDefault();
+        insertImageFiles(cm, images);
+        return;
+    }
+
+    // URL over selected text: link the selection (unless the selection is itself a URL)
+    if (LINK_URL_PATTERN.test(url) && selection.trim() && !selection.includes('\n') && !LINK_URL_PATTERN.test(selection.trim())) {
+        e.preventDefault();
+        const text = selection.replaceAll(/[\\[\]]/g, String.raw`\$&`);
+        cm.replaceSelection(`[${text}](${url})`, 'end', 'paste');
+        return;
+    }
+
+    // Spreadsheet range or CSV: spreadsheets also put an HTML table on the clipboard,
+    // but the plain text keeps the cell values exactly
+    const htmlIsTable = Boolean(html) && new DOMParser().parseFromString(html, 'text/html').querySelector('table') !== null;
+    const table = (!html || htmlIsTable) && delimitedTextToTable(plainText);
+    if (table) {
+        e.preventDefault();
+        cm.replaceSelection(asBlock(cm, table), 'end', 'paste');
+        return;
+    }
+
+    if (html && isRichText(html)) {
+        e.preventDefault();
+        pasteHTML(cm, html, plainText);
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * source-sync.js - Check URL-loaded documents against their source
+ *
+ * Re-fetches the URL the active document was loaded from and compares it with
+ * what was fetched last time (session-sources.js):
+ * - Source unchanged: matching ETag or Last-Modified, or else matching content hash
+ * - Source changed, no local edits: the new text can simply be reloaded
+ * - Both changed: three-way merge, with the last fetched text as common original
+ *
+ * The source can also be passed in when it was read some other way (e.g. through
+ * the GitHub API when a commit finds the file changed, see github-commit.js).
+ *
+ * The request uses cache: 'no-cache', so the browser revalidates its cached copy
+ * with the server (conditional request) without adding request headers that
+ * would trigger a CORS preflight.
+ */
+
+import { state } from './state.js';
+import { fetchMarkdown, URL_NOT_ALLOWED_MESSAGE } from './file-ops.js';
+import { isAllowedMarkdownURL, normalizeGitHubContentUrl } from './security.js';
+import { getSessionSource, saveSessionSource, hashContent } from './session-sources.js';
+import { mergeLines } from './text-diff.js';
+import { saveVersionNow } from './version-history.js';
+import { renderMarkdown } from './renderer.js';
+
+// Names shown on conflict markers in merged text
+const MERGE_LABELS = { local: 'Your version', remote: 'Source version' };
+
+/**
+ * @typedef {Object} RemoteText
+ * @property {string} markdown - Text as fetched
+ * @property {string|null} etag - ETag response header
+ * @property {string|null} lastModified - Last-Modified response header
+ */
+
+/**
+ * @typedef {Object} SourceComparison
+ * @property {'current'|'unchanged'|'updated'|'diverged'|'unknown'} status
+ *   - current: the document already matches the source
+ *   - unchanged: the source hasn't changed since it was loaded (local edits are kept)
+ *   - updated: the source changed and the document wasn't edited
+ *   - diverged: both changed; see merge
+ *   - unknown: the document differs from the source, but what was loaded isn't
+ *     known (loaded before sources were recorded), so only a two-way diff is possible
+ * @property {string} sessionId - Session that was checked
+ * @property {string} url - Source URL
+ * @property {string} localText - Document text when the check started
+ * @property {RemoteText} remote - Fetched source
+ * @property {{text: string, conflicts: number}|null} merge - Merge result (diverged only)
+ */
+
+/**
+ * Check whether the source is the same as when it was last fetched
+ * @param {import('./session-sources.js').SessionSource} base - Last fetch
+ * @param {RemoteText} remote - New fetch
+ * @returns {Promise<boolean>} True if unchanged
+ */
+async function isSourceUnchanged(base, remote) {
+    if ((base.etag && base.etag === remote.etag) ||
+        (base.lastModified && base.lastModified === remote.lastModified)) {
+        return true;
+    }
+    // Validators can change without the text changing (e.g. different CDN nodes)
+    return base.hash === await hashContent(remote.markdown);
+}
+
+/**
+ * Get the source URL of the active document, checked like a URL being loaded
+ * @returns {string|null} Normalized URL, or null if the document has no source URL
+ * @throws {Error} If the URL isn't allowed (e.g. from an old or tampered session)
+ */
+export function getSourceURL() {
+    if (!state.loadedFromURL) {
+        return null;
+    }
+    const url = normalizeGitHubContentUrl(state.loadedFromURL);
+    if (!isAllowedMarkdownURL(url)) {
+        throw new Error(URL_NOT_ALLOWED_MESSAGE);
+    }
+    return url;
+}
+
+/**
+ * Fetch the source of the active document and compare it with the document
+ * @param {RemoteText} [knownRemote] - Current source text, if already known (skips the fetch)
+ * @returns {Promise<SourceComparison>} Comparison
+ * @throws {Error} If the document has no allowed source URL (see getSourceURL()), or the
+ *     fetch fails (see fetchMarkdown())
+ */
+export async function compareWithSource(knownRemote) {
+    const sessionId = state.activeSessionId;
+    const url = getSourceURL();
+    if (!sessionId || !url) {
+        throw new Error('This document was not loaded from a URL');
+    }
+    const localText = state.cmEditor?.getValue() ?? '';
+
+    const [savedSource, remote] = await Promise.all([
+        getSessionSource(sessionId),
+        knownRemote ?? fetchMarkdown(url, { cache: 'no-cache' })
+    ]);
+    // A record for another URL is stale (e.g. saving the newer one failed)
+    const base = savedSource?.url === url ? savedSource : null;
+    const comparison = { sessionId, url, localText, remote, merge: null };
+
+    if (localText === remote.markdown) {
+        return { ...comparison, status: 'current' };
+    }
+    if (!base) {
+        return { ...comparison, status: 'unknown' };
+    }
+    if (await isSourceUnchanged(base, remote)) {
+        return { ...comparison, status: 'unchanged' };
+    }
+    if (localText === base.content) {
+        return { ...comparison, status: 'updated' };
+    }
+    return {
+        ...comparison,
+        status: 'diverged',
+        merge: mergeLines(base.content, localText, remote.markdown, MERGE_LABELS)
+    };
+}
+
+/**
+ * Record the fetched source as the new common original, keeping the document as is
+ * Later checks then only bring in source changes made after this fetch.
+ * @param {SourceComparison} comparison - Result of compareWithSource()
+ * @returns {Promise<void>}
+ */
+export async function acceptSource(comparison) {
+    const { sessionId, url, remote } = comparison;
+    await saveSessionSource(sessionId, {
+        url,
+        content: remote.markdown,
+        etag: remote.etag,
+        lastModified: remote.lastModified
+    });
+}
+
+/**
+ * Replace the document with updated text and record the fetched source
+ * The text being replaced is saved to version history first, so this can be undone.
+ * @param {SourceComparison} comparison - Result of compareWithSource()
+ * @param {string} text - New document text (the source, or the merge result)
+ * @returns {Promise<void>}
+ * @throws {Error} If another document was opened since the check
+ */
+export async function applySourceText(comparison, text) {
+    if (comparison.sessionId !== state.activeSessionId) {
+        throw new Error('Another document was opened since the check');
+    }
+
+    const { cmEditor } = state;
+    await saveVersionNow(comparison.sessionId, cmEditor ? cmEditor.getValue() : comparison.localText);
+    if (cmEditor) {
+        cmEditor.setValue(text);
+    }
+    await renderMarkdown();
+    await acceptSource(comparison);
+}
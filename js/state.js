@@ -64,6 +64,8 @@ export const state = {
     respectStyleLayout: localStorage.getItem('respect-style-layout') === 'true', // Whether to respect loaded style's layout constraints (default: false)
     hrAsPageBreak: localStorage.getItem('hr-page-break') === 'true', // Whether horizontal rules trigger page breaks in PDF (default: false)
     hrPageBreakToggleOption: null,       // Cached reference to HR page break toggle option (performance)
+    outlineOpen: localStorage.getItem('outline-panel-open') === 'true', // Whether the outline sidebar is visible (default: false)
+    scrollSyncEnabled: localStorage.getItem('scroll-sync') !== 'false', // Whether editor and preview scroll together (default: true)
 
     // GitHub Gist OAuth state
     gistAuthState: {
@@ -1,6 +1,7 @@
 /**
  * storage.js - LocalStorage management for Merview
  * Handles persistent storage of user preferences, content, and GitHub tokens
+ * (the token with repository access is only kept in sessionStorage)
  *
  * localStorage Key Naming Convention:
  * - All keys use kebab-case (e.g., 'markdown-content', 'cached-bg-color')
@@ -10,6 +11,9 @@
 
 import { TOKEN_EXPIRY_BUFFER_MS } from './config.js';
 
+// sessionStorage key for the GitHub token with repository access (see saveGitHubToken())
+const GITHUB_REPO_TOKEN_KEY = 'github-repo-token';
+
 /**
  * Get saved markdown content from localStorage
  * @returns {string|null} Saved markdown content or null if none exists
@@ -126,6 +130,43 @@ export function saveHRAsPageBreak(enabled) {
     localStorage.setItem('hr-page-break', enabled);
 }
 
+/**
+ * Save "Sync Scrolling" toggle preference
+ * @param {boolean} enabled - Whether editor and preview should scroll together
+ */
+export function saveScrollSync(enabled) {
+    localStorage.setItem('scroll-sync', enabled);
+}
+
+/**
+ * Get saved PDF Page Setup options
+ * @returns {Object} Saved options (empty object if none saved or unreadable)
+ */
+export function getPDFOptions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('pdf-options'));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save PDF Page Setup options
+ * @param {Object} options - Page size, orientation, margin, header, footer and cover page settings
+ */
+export function savePDFOptions(options) {
+    localStorage.setItem('pdf-options', JSON.stringify(options));
+}
+
+/**
+ * Save outline sidebar visibility preference
+ * @param {boolean} open - Whether the outline sidebar is open
+ */
+export function saveOutlinePanelOpen(open) {
+    localStorage.setItem('outline-panel-open', open);
+}
+
 /**
  * Get stored GitHub access token for Gist functionality
  * @returns {string|null} Access token or null if expired/invalid
@@ -148,8 +189,9 @@ export function getGitHubToken() {
 
         const data = JSON.parse(stored);
 
-        // Check if token is expired (with buffer)
-        if (data.expiresAt && Date.now() > data.expiresAt - TOKEN_EXPIRY_BUFFER_MS) {
+        // Check if token is expired (with buffer). Repository tokens never belong
+        // in localStorage (see saveGitHubToken()), so one found there is dropped.
+        if ((data.expiresAt && Date.now() > data.expiresAt - TOKEN_EXPIRY_BUFFER_MS) || hasRepoScope(data.scope)) {
             clearGitHubToken();
             return null;
         }
@@ -161,6 +203,15 @@ export function getGitHubToken() {
     }
 }
 
+/**
+ * Check whether token scopes include write access to repositories
+ * @param {*} scope - Scopes as GitHub reports them (comma-separated, e.g. "gist,repo")
+ * @returns {boolean} True if the 'repo' scope was granted
+ */
+function hasRepoScope(scope) {
+    return typeof scope === 'string' && scope.split(/[\s,]+/).includes('repo');
+}
+
 /**
  * Store GitHub access token with expiration
  * @param {Object} tokenData - Token data from OAuth response
@@ -173,24 +224,63 @@ export function saveGitHubToken(tokenData) {
         ? Date.now() + (tokenData.expires_in * 1000)
         : null;
 
-    // Store in localStorage (accessible to all scripts on this origin).
+    const stored = JSON.stringify({
+        accessToken: tokenData.access_token,
+        expiresAt: expiresAt,
+        scope: tokenData.scope
+    });
+
+    // A token with the 'repo' scope (commit to GitHub) can write to every repository
+    // the user can reach, so it's kept in sessionStorage only: it's gone when the tab
+    // closes, and gist sharing never picks it up.
+    if (hasRepoScope(tokenData.scope)) {
+        sessionStorage.setItem(GITHUB_REPO_TOKEN_KEY, stored);
+        return;
+    }
+
+    // The gist token is stored in localStorage (accessible to all scripts on this origin).
     // This is acceptable for Merview because:
     // 1. Token only grants 'gist' scope (limited permissions)
     // 2. No sensitive user data is stored
     // 3. Token expires and can be revoked on GitHub
-    // For higher security needs, consider sessionStorage or in-memory only.
-    localStorage.setItem('github-gist-token', JSON.stringify({
-        accessToken: tokenData.access_token,
-        expiresAt: expiresAt,
-        scope: tokenData.scope
-    }));
+    localStorage.setItem('github-gist-token', stored);
+}
+
+/**
+ * Get the GitHub access token with repository access (for committing)
+ * @returns {string|null} Access token, or null if there is none for this tab or it expired
+ */
+export function getGitHubRepoToken() {
+    try {
+        const stored = sessionStorage.getItem(GITHUB_REPO_TOKEN_KEY);
+        if (!stored) return null;
+
+        const data = JSON.parse(stored);
+        if ((data.expiresAt && Date.now() > data.expiresAt - TOKEN_EXPIRY_BUFFER_MS) || !hasRepoScope(data.scope)) {
+            clearGitHubRepoToken();
+            return null;
+        }
+
+        return data.accessToken;
+    } catch {
+        clearGitHubRepoToken();
+        return null;
+    }
+}
+
+/**
+ * Clear the GitHub access token with repository access
+ */
+export function clearGitHubRepoToken() {
+    sessionStorage.removeItem(GITHUB_REPO_TOKEN_KEY);
 }
 
 /**
- * Clear stored GitHub access token
+ * Clear stored GitHub access tokens (gist and repository)
  */
 export function clearGitHubToken() {
     localStorage.removeItem('github-gist-token');
+    clearGitHubRepoToken();
 }
 
 /**
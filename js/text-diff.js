@@ -0,0 +1,200 @@
+/**
+ * text-diff.js - Line-based text diff
+ *
+ * Computes a line diff (longest common subsequence) for the version history view.
+ * Common leading and trailing lines are matched first, so typical edits only
+ * diff a small middle section. If the middle section is too large to compare
+ * line by line, it is reported as removed and re-added.
+ *
+ * Also merges two edited copies of a common original (three-way merge), as
+ * used when a URL-loaded session is re-synced with its source.
+ */
+
+// Largest LCS table (old lines x new lines) to compute, ~16 MB as Uint32Array
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'equal'|'insert'|'delete'} type - How the line changed
+ * @property {string} text - Line content
+ */
+
+/**
+ * LCS diff of two line arrays
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {DiffLine[]} Diff of a against b
+ */
+function diffMiddle(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n * m > MAX_DIFF_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'delete', text })),
+            ...b.map(text => ({ type: 'insert', text }))
+        ];
+    }
+
+    // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            result.push({ type: 'delete', text: a[i++] });
+        } else {
+            result.push({ type: 'insert', text: b[j++] });
+        }
+    }
+    while (i < n) result.push({ type: 'delete', text: a[i++] });
+    while (j < m) result.push({ type: 'insert', text: b[j++] });
+    return result;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {DiffLine[]} One entry per line of either text, in document order
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    return [
+        ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+        ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map(text => ({ type: 'equal', text }))
+    ];
+}
+
+/**
+ * Count changed lines in a diff
+ * @param {DiffLine[]} diff - Result of diffLines()
+ * @returns {{added: number, removed: number}} Inserted and deleted line counts
+ */
+export function countChanges(diff) {
+    return diff.reduce((counts, line) => {
+        if (line.type === 'insert') counts.added++;
+        if (line.type === 'delete') counts.removed++;
+        return counts;
+    }, { added: 0, removed: 0 });
+}
+
+/**
+ * Map each line of a text to the line it matches in another text
+ * @param {string[]} a - Lines of the original
+ * @param {string} otherText - Changed text
+ * @returns {number[]} For each line of a, its index in otherText, or -1 if removed
+ */
+function matchLines(a, otherText) {
+    const matches = [];
+    let j = 0;
+    diffLines(a.join('\n'), otherText).forEach(line => {
+        if (line.type === 'equal') {
+            matches.push(j++);
+        } else if (line.type === 'delete') {
+            matches.push(-1);
+        } else {
+            j++;
+        }
+    });
+    return matches;
+}
+
+/**
+ * Check whether two line arrays are identical
+ * @param {string[]} a - Lines
+ * @param {string[]} b - Lines
+ * @returns {boolean} True if every line matches
+ */
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of two texts changed from a common original
+ * Lines kept by both sides anchor the merge. Between anchors, a section changed
+ * on one side only takes that side's lines; a section changed differently on
+ * both sides is a conflict and gets both versions between conflict markers.
+ * @param {string} baseText - Common original
+ * @param {string} localText - One changed copy
+ * @param {string} remoteText - Other changed copy
+ * @param {Object} [labels] - Names shown on the conflict markers
+ * @param {string} [labels.local] - Name of localText
+ * @param {string} [labels.remote] - Name of remoteText
+ * @returns {{text: string, conflicts: number}} Merged text and number of conflicting sections
+ */
+export function mergeLines(baseText, localText, remoteText, { local = 'local', remote = 'remote' } = {}) {
+    const base = baseText.split('\n');
+    const ours = localText.split('\n');
+    const theirs = remoteText.split('\n');
+    const ourMatches = matchLines(base, localText);
+    const theirMatches = matchLines(base, remoteText);
+
+    const merged = [];
+    let conflicts = 0;
+    let b = 0;
+    let o = 0;
+    let t = 0;
+    while (b < base.length || o < ours.length || t < theirs.length) {
+        // Next base line that both sides kept
+        let next = b;
+        while (next < base.length && (ourMatches[next] === -1 || theirMatches[next] === -1)) {
+            next++;
+        }
+        const oursEnd = next < base.length ? ourMatches[next] : ours.length;
+        const theirsEnd = next < base.length ? theirMatches[next] : theirs.length;
+
+        if (next === b && oursEnd === o && theirsEnd === t) {
+            // Unchanged line
+            merged.push(base[b]);
+            b++;
+            o++;
+            t++;
+            continue;
+        }
+
+        const baseChunk = base.slice(b, next);
+        const ourChunk = ours.slice(o, oursEnd);
+        const theirChunk = theirs.slice(t, theirsEnd);
+        if (sameLines(ourChunk, baseChunk)) {
+            merged.push(...theirChunk);
+        } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+            merged.push(...ourChunk);
+        } else {
+            conflicts++;
+            merged.push(`<<<<<<< ${local}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${remote}`);
+        }
+        b = next;
+        o = oursEnd;
+        t = theirsEnd;
+    }
+
+    return { text: merged.join('\n'), conflicts };
+}
@@ -10,11 +10,12 @@ import { syntaxThemes, syntaxThemeSRI, editorThemes, availableStyles, mermaidThe
 import { showURLModal } from './components/url-modal.js';
 // Re-export initURLModalHandlers for main.js
 export { initURLModalHandlers } from './components/url-modal.js';
-import { getMarkdownStyle, saveMarkdownStyle, getSyntaxTheme, saveSyntaxTheme, getEditorTheme, saveEditorTheme, saveRespectStyleLayout, saveHRAsPageBreak, getMermaidTheme, saveMermaidTheme, getCachedBackgroundColor, saveCachedBackgroundColor } from './storage.js';
+import { getMarkdownStyle, saveMarkdownStyle, getSyntaxTheme, saveSyntaxTheme, getEditorTheme, saveEditorTheme, saveRespectStyleLayout, saveHRAsPageBreak, saveScrollSync, getMermaidTheme, saveMermaidTheme, getCachedBackgroundColor, saveCachedBackgroundColor } from './storage.js';
 import { showStatus, isDarkColor } from './utils.js';
 import { isAllowedCSSURL, isValidBackgroundColor, normalizeGitHubContentUrl } from './security.js';
 import { updateMermaidTheme, scheduleRender } from './renderer.js';
 import { updateFullscreenBackground } from './mermaid-fullscreen.js';
+import { setScrollSyncEnabled } from './scroll-sync.js';
 
 // Debug flag for Mermaid theme investigation (#168)
 // Enable via: localStorage.setItem('debug-mermaid-theme', 'true')
@@ -47,6 +48,7 @@ export function applyCachedBackground() {
 // - Keeping them local reduces coupling and makes the code easier to reason about
 let layoutToggleOption = null; // Cached reference for performance
 let hrPageBreakToggleOption = null; // Cached reference for performance
+let scrollSyncToggleOption = null; // Cached reference for performance
 let fileInput = null; // Hidden file input for CSS uploads
 
 // Track dynamically loaded styles (file uploads, URLs) for display in dropdown
@@ -1196,6 +1198,15 @@ function updateHRPageBreakToggleCheckbox() {
     }
 }
 
+/**
+ * Update just the checkbox state for the scroll sync toggle option (uses cached reference)
+ */
+function updateScrollSyncToggleCheckbox() {
+    if (scrollSyncToggleOption) {
+        scrollSyncToggleOption.textContent = (state.scrollSyncEnabled ? '✓ ' : '☐ ') + 'Sync Scrolling';
+    }
+}
+
 /**
  * Apply or remove page break CSS for horizontal rules based on the toggle setting
  */
@@ -1274,6 +1285,23 @@ function handleHRPageBreakToggle(styleSelector) {
     showStatus(state.hrAsPageBreak ? 'HR as page break enabled' : 'HR as visual separator enabled');
 }
 
+/**
+ * Handle the Sync Scrolling toggle
+ * @param {HTMLElement|null} styleSelector - The style selector element
+ */
+function handleScrollSyncToggle(styleSelector) {
+    setScrollSyncEnabled(!state.scrollSyncEnabled);
+    saveScrollSync(state.scrollSyncEnabled);
+    updateScrollSyncToggleCheckbox();
+
+    // Restore previous selection
+    const currentStyle = getMarkdownStyle() || 'Clean';
+    if (styleSelector) {
+        styleSelector.value = currentStyle;
+    }
+    showStatus(state.scrollSyncEnabled ? 'Scroll sync enabled' : 'Scroll sync disabled');
+}
+
 /**
  * Change the current style
  * Reverts dropdown selection if style loading fails or is cancelled (#108 fix)
@@ -1295,6 +1323,11 @@ async function changeStyle(styleName) {
         return;
     }
 
+    if (styleName === 'Sync Scrolling') {
+        handleScrollSyncToggle(styleSelector);
+        return;
+    }
+
     // Save previous selection for revert on failure (#108 fix)
     const previousStyle = getMarkdownStyle() || 'Clean';
 
@@ -1761,6 +1794,9 @@ async function initStyleSelector() {
                 } else if (style.name === 'HR as Page Break') {
                     option.textContent = (state.hrAsPageBreak ? '✓ ' : '☐ ') + style.name;
                     hrPageBreakToggleOption = option;
+                } else if (style.name === 'Sync Scrolling') {
+                    option.textContent = (state.scrollSyncEnabled ? '✓ ' : '☐ ') + style.name;
+                    scrollSyncToggleOption = option;
                 }
             }
 
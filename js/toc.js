@@ -0,0 +1,249 @@
+/**
+ * toc.js
+ * Table of contents built from the heading IDs assigned by renderer.heading
+ *
+ * - Inline TOC for `[[toc]]` markers and the `toc: true` front matter key
+ * - Collapsible outline sidebar beside the preview
+ * - Highlights the section currently in view and jumps to headings on click
+ */
+
+import { state } from './state.js';
+import { getElements } from './dom.js';
+import { saveOutlinePanelOpen } from './storage.js';
+
+/**
+ * Placeholder emitted during markdown rendering and filled in after sanitization.
+ * Filling happens on the live DOM because headings aren't known until the whole
+ * document has been rendered.
+ */
+export const TOC_PLACEHOLDER_HTML = '<nav class="table-of-contents" data-toc-placeholder="true" aria-label="Table of contents"></nav>\n';
+
+// Distance below the top of the preview at which a heading counts as "current" (px)
+const ACTIVE_HEADING_OFFSET_PX = 24;
+
+// Initialization guard to prevent duplicate event listeners
+let initialized = false;
+let pendingFrame = null;
+
+/**
+ * marked block extension for the `[[toc]]` marker (must be on its own line)
+ */
+export const tocMarkerExtension = {
+    name: 'tocMarker',
+    level: 'block',
+    start(src) {
+        return /^\[\[toc\]\]/im.exec(src)?.index;
+    },
+    tokenizer(src) {
+        const match = /^\[\[toc\]\][ \t]*(?:\n+|$)/i.exec(src);
+        if (match) {
+            return { type: 'tocMarker', raw: match[0] };
+        }
+        return undefined;
+    },
+    renderer() {
+        return TOC_PLACEHOLDER_HTML;
+    }
+};
+
+/**
+ * Collect headings with IDs from the rendered preview
+ * @param {HTMLElement} wrapper - The rendered content wrapper
+ * @returns {Array<{id: string, text: string, level: number, element: HTMLElement}>} Headings in document order
+ */
+function collectHeadings(wrapper) {
+    return Array.from(wrapper.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'))
+        .map(element => ({
+            id: element.id,
+            text: element.textContent.trim(),
+            level: Number(element.tagName.charAt(1)),
+            element
+        }))
+        .filter(heading => heading.id && heading.text);
+}
+
+/**
+ * Build a nested list of links from a flat heading list
+ * @param {Array<{id: string, text: string, level: number}>} headings - Headings in document order
+ * @returns {HTMLUListElement} Nested list element
+ */
+function buildTocList(headings) {
+    const root = document.createElement('ul');
+    const minLevel = Math.min(...headings.map(h => h.level));
+    const stack = [{ level: minLevel, list: root }];
+
+    for (const heading of headings) {
+        // Close deeper lists when returning to a shallower level
+        while (stack.length > 1 && heading.level < stack.at(-1).level) {
+            stack.pop();
+        }
+
+        // Open a nested list under the previous item when going deeper
+        const parentItem = stack.at(-1).list.lastElementChild;
+        if (heading.level > stack.at(-1).level && parentItem) {
+            const nested = document.createElement('ul');
+            parentItem.appendChild(nested);
+            stack.push({ level: heading.level, list: nested });
+        }
+
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${heading.id}`;
+        link.textContent = heading.text;
+        link.dataset.tocTarget = heading.id;
+        item.appendChild(link);
+        stack.at(-1).list.appendChild(item);
+    }
+
+    return root;
+}
+
+/**
+ * Fill every TOC placeholder in the preview with the current heading list
+ * @param {HTMLElement} wrapper - The rendered content wrapper
+ * @param {Array<{id: string, text: string, level: number}>} headings - Headings in document order
+ */
+function renderInlineTocs(wrapper, headings) {
+    const placeholders = wrapper.querySelectorAll('nav[data-toc-placeholder]');
+    placeholders.forEach(nav => {
+        nav.replaceChildren();
+        if (headings.length > 0) {
+            nav.appendChild(buildTocList(headings));
+        }
+    });
+}
+
+/**
+ * Rebuild the outline sidebar from the current heading list
+ * @param {Array<{id: string, text: string, level: number}>} headings - Headings in document order
+ */
+function renderOutline(headings) {
+    const content = document.getElementById('outlineContent');
+    if (!content) return;
+
+    content.replaceChildren();
+    if (headings.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'outline-empty';
+        empty.textContent = 'No headings in this document';
+        content.appendChild(empty);
+        return;
+    }
+    content.appendChild(buildTocList(headings));
+}
+
+/**
+ * Highlight the outline entry for the section currently at the top of the preview
+ */
+export function updateActiveOutlineItem() {
+    const { preview, wrapper } = getElements();
+    const content = document.getElementById('outlineContent');
+    if (!preview || !wrapper || !content) return;
+
+    const threshold = preview.getBoundingClientRect().top + ACTIVE_HEADING_OFFSET_PX;
+    let activeId = null;
+    for (const heading of collectHeadings(wrapper)) {
+        if (heading.element.getBoundingClientRect().top > threshold) break;
+        activeId = heading.id;
+    }
+
+    content.querySelectorAll('a[data-toc-target]').forEach(link => {
+        const isActive = link.dataset.tocTarget === activeId;
+        link.classList.toggle('active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Update inline TOCs and the outline sidebar after the preview has been rendered
+ * Called by renderMarkdown() once sanitized HTML is in the DOM.
+ * @param {HTMLElement} wrapper - The rendered content wrapper
+ */
+export function refreshTableOfContents(wrapper) {
+    if (!wrapper) return;
+    const headings = collectHeadings(wrapper);
+    renderInlineTocs(wrapper, headings);
+    renderOutline(headings);
+    updateActiveOutlineItem();
+}
+
+/**
+ * Scroll the preview so a heading is at the top
+ * @param {string} id - Heading ID
+ * @returns {boolean} True if the heading was found
+ */
+export function scrollToHeading(id) {
+    const { wrapper } = getElements();
+    // Scoped to the preview so slugs like "editor" can't match app chrome
+    const heading = wrapper?.querySelector(`#${CSS.escape(id)}`);
+    if (!heading) return false;
+    heading.scrollIntoView({ block: 'start' });
+    return true;
+}
+
+/**
+ * Show or hide the outline sidebar
+ * @param {boolean} [open] - Desired state; toggles when omitted
+ */
+export function toggleOutlinePanel(open) {
+    const panel = document.getElementById('outlinePanel');
+    const toggleBtn = document.getElementById('outlineToggle');
+    if (!panel) return;
+
+    state.outlineOpen = open ?? !state.outlineOpen;
+    panel.hidden = !state.outlineOpen;
+    if (toggleBtn) {
+        toggleBtn.classList.toggle('active', state.outlineOpen);
+        toggleBtn.setAttribute('aria-expanded', String(state.outlineOpen));
+    }
+    saveOutlinePanelOpen(state.outlineOpen);
+
+    if (state.outlineOpen) {
+        updateActiveOutlineItem();
+    }
+}
+
+/**
+ * Initialize outline sidebar handlers and restore its saved visibility
+ * Should be called once during app initialization
+ */
+export function initOutlinePanel() {
+    if (initialized) return;
+
+    const panel = document.getElementById('outlinePanel');
+    const content = document.getElementById('outlineContent');
+    const toggleBtn = document.getElementById('outlineToggle');
+    const closeBtn = document.getElementById('closeOutlineBtn');
+    const { preview } = getElements();
+    if (!panel || !content) {
+        console.warn('Outline panel not found in DOM');
+        return;
+    }
+
+    toggleBtn?.addEventListener('click', () => toggleOutlinePanel());
+    closeBtn?.addEventListener('click', () => toggleOutlinePanel(false));
+
+    // Jump to heading without changing the page URL (keeps ?url= intact)
+    content.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-toc-target]');
+        if (link && scrollToHeading(link.dataset.tocTarget)) {
+            e.preventDefault();
+        }
+    });
+
+    // Track the section in view while scrolling the preview
+    preview?.addEventListener('scroll', () => {
+        if (!state.outlineOpen || pendingFrame) return;
+        pendingFrame = requestAnimationFrame(() => {
+            pendingFrame = null;
+            updateActiveOutlineItem();
+        });
+    }, { passive: true });
+
+    toggleOutlinePanel(state.outlineOpen);
+    initialized = true;
+}
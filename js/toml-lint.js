@@ -0,0 +1,371 @@
+/**
+ * toml-lint.js - TOML syntax checker for the lint panel
+ *
+ * A small recursive-descent reader for TOML 1.0 that only checks syntax and
+ * reports the first problem found. It doesn't build a value tree, so it is
+ * cheap to run on every validation pass and has no CDN dependency.
+ *
+ * Checked:
+ * - Table headers [table] and array tables [[table]]
+ * - Bare, quoted and dotted keys; duplicate keys and tables
+ * - Strings (basic, literal, multi-line) and escape sequences
+ * - Integers, floats, booleans, dates/times, arrays and inline tables
+ */
+
+const BARE_KEY_CHAR = /[A-Za-z0-9_-]/;
+const VALID_ESCAPE = /^\\(?:[btnfr"\\]|u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8})/;
+
+/**
+ * Patterns for unquoted scalar values
+ */
+const SCALAR_PATTERNS = [
+    /^(?:true|false)$/,
+    /^[+-]?(?:0|[1-9](?:_?\d)*)$/,                                      // decimal integer
+    /^0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*$/,                                // hex
+    /^0o[0-7](?:_?[0-7])*$/,                                            // octal
+    /^0b[01](?:_?[01])*$/,                                              // binary
+    /^[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?$/, // float
+    /^[+-]?(?:inf|nan)$/,
+    /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?$/, // date / date-time
+    /^\d{2}:\d{2}:\d{2}(?:\.\d+)?$/                                      // local time
+];
+
+/**
+ * Error raised while reading; carries the offset of the problem
+ */
+class TOMLSyntaxError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.offset = offset;
+    }
+}
+
+/**
+ * Stateful reader over the TOML source
+ */
+class TOMLReader {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.assignedKeys = new Set();   // Full dotted paths that hold a value
+        this.definedTables = new Set();  // Paths declared with [table]
+        this.tablePrefix = [];
+    }
+
+    peek(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    startsWith(str) {
+        return this.text.startsWith(str, this.pos);
+    }
+
+    fail(message, offset = this.pos) {
+        throw new TOMLSyntaxError(message, offset);
+    }
+
+    skipWhitespace() {
+        while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+    }
+
+    skipComment() {
+        if (this.peek() === '#') {
+            while (this.pos < this.text.length && this.peek() !== '\n') this.pos++;
+        }
+    }
+
+    /**
+     * Skip whitespace, comments and newlines (inside arrays)
+     */
+    skipBlank() {
+        for (;;) {
+            this.skipWhitespace();
+            this.skipComment();
+            if (this.peek() === '\n' || (this.peek() === '\r' && this.peek(1) === '\n')) {
+                this.pos += this.peek() === '\r' ? 2 : 1;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Require the rest of the line to be empty (optionally a comment)
+     */
+    expectLineEnd() {
+        this.skipWhitespace();
+        this.skipComment();
+        if (this.pos < this.text.length && this.peek() !== '\n' && !this.startsWith('\r\n')) {
+            this.fail(`Unexpected "${this.peek()}" after value`);
+        }
+    }
+
+    parseDocument() {
+        while (this.pos < this.text.length) {
+            this.skipBlank();
+            if (this.pos >= this.text.length) break;
+
+            if (this.peek() === '[') {
+                this.parseTableHeader();
+            } else {
+                this.parseKeyValue(this.tablePrefix, this.assignedKeys);
+            }
+            this.expectLineEnd();
+        }
+    }
+
+    parseTableHeader() {
+        const start = this.pos;
+        const isArrayTable = this.startsWith('[[');
+        this.pos += isArrayTable ? 2 : 1;
+        this.skipWhitespace();
+        const path = this.parseKey();
+        this.skipWhitespace();
+
+        const close = isArrayTable ? ']]' : ']';
+        if (!this.startsWith(close)) {
+            this.fail(`Expected "${close}" to close table header`);
+        }
+        this.pos += close.length;
+
+        const name = path.join('.');
+        if (this.assignedKeys.has(name)) {
+            this.fail(`Key "${name}" is already defined as a value`, start);
+        }
+        if (isArrayTable) {
+            // A new array element starts with fresh sub-tables and keys
+            for (const key of [...this.assignedKeys, ...this.definedTables]) {
+                if (key.startsWith(`${name}.`)) {
+                    this.assignedKeys.delete(key);
+                    this.definedTables.delete(key);
+                }
+            }
+        } else {
+            if (this.definedTables.has(name)) {
+                this.fail(`Table [${name}] is defined more than once`, start);
+            }
+            this.definedTables.add(name);
+        }
+        this.tablePrefix = path;
+    }
+
+    /**
+     * Parse key = value, recording the key in the given set to catch duplicates
+     * @param {string[]} prefix - Enclosing table path
+     * @param {Set<string>} assigned - Keys already assigned in this scope
+     */
+    parseKeyValue(prefix, assigned) {
+        const start = this.pos;
+        const key = this.parseKey();
+        this.skipWhitespace();
+        if (this.peek() !== '=') {
+            this.fail('Expected "=" after key');
+        }
+        this.pos++;
+        this.skipWhitespace();
+
+        const fullPath = [...prefix, ...key];
+        const name = fullPath.join('.');
+        if (assigned.has(name)) {
+            this.fail(`Duplicate key "${key.join('.')}"`, start);
+        }
+        for (let i = 1; i < fullPath.length; i++) {
+            if (assigned.has(fullPath.slice(0, i).join('.'))) {
+                this.fail(`Key "${fullPath.slice(0, i).join('.')}" is not a table`, start);
+            }
+        }
+        assigned.add(name);
+
+        this.parseValue();
+    }
+
+    /**
+     * Parse a possibly dotted key
+     * @returns {string[]} Key segments
+     */
+    parseKey() {
+        const segments = [];
+        for (;;) {
+            segments.push(this.parseSimpleKey());
+            this.skipWhitespace();
+            if (this.peek() !== '.') return segments;
+            this.pos++;
+            this.skipWhitespace();
+        }
+    }
+
+    parseSimpleKey() {
+        const quote = this.peek();
+        if (quote === '"' || quote === "'") {
+            if (this.startsWith(quote.repeat(3))) {
+                this.fail('Multi-line strings are not allowed as keys');
+            }
+            const start = this.pos;
+            this.parseSingleLineString(quote);
+            return this.text.slice(start + 1, this.pos - 1);
+        }
+        const start = this.pos;
+        while (this.pos < this.text.length && BARE_KEY_CHAR.test(this.peek())) this.pos++;
+        if (this.pos === start) {
+            this.fail(this.pos >= this.text.length || this.peek() === '\n' ? 'Expected a key' : `Invalid character "${this.peek()}" in key`);
+        }
+        return this.text.slice(start, this.pos);
+    }
+
+    parseValue() {
+        const char = this.peek();
+        if (char === '"' || char === "'") {
+            if (this.startsWith(char.repeat(3))) {
+                this.parseMultilineString(char);
+            } else {
+                this.parseSingleLineString(char);
+            }
+        } else if (char === '[') {
+            this.parseArray();
+        } else if (char === '{') {
+            this.parseInlineTable();
+        } else {
+            this.parseScalar();
+        }
+    }
+
+    parseSingleLineString(quote) {
+        const start = this.pos;
+        this.pos++;
+        while (this.pos < this.text.length) {
+            const char = this.peek();
+            if (char === quote) {
+                this.pos++;
+                return;
+            }
+            if (char === '\n') break;
+            if (char === '\\' && quote === '"') {
+                this.checkEscape();
+            } else {
+                this.pos++;
+            }
+        }
+        this.fail('Unterminated string', start);
+    }
+
+    parseMultilineString(quote) {
+        const start = this.pos;
+        const delimiter = quote.repeat(3);
+        this.pos += 3;
+        while (this.pos < this.text.length) {
+            if (this.startsWith(delimiter)) {
+                // Up to two quotes directly before the closing delimiter are content
+                let quotes = 0;
+                while (this.peek(quotes) === quote) quotes++;
+                if (quotes > 5) {
+                    this.fail('Too many quotes at end of multi-line string');
+                }
+                this.pos += quotes;
+                return;
+            }
+            if (quote === '"' && this.peek() === '\\') {
+                // Line-ending backslash trims the following whitespace
+                if (/^\\[ \t]*\r?\n/.test(this.text.slice(this.pos))) {
+                    this.pos++;
+                } else {
+                    this.checkEscape();
+                }
+            } else {
+                this.pos++;
+            }
+        }
+        this.fail('Unterminated multi-line string', start);
+    }
+
+    checkEscape() {
+        const match = VALID_ESCAPE.exec(this.text.slice(this.pos, this.pos + 10));
+        if (!match) {
+            this.fail(`Invalid escape sequence "${this.text.slice(this.pos, this.pos + 2)}"`);
+        }
+        this.pos += match[0].length;
+    }
+
+    parseArray() {
+        this.pos++;
+        for (;;) {
+            this.skipBlank();
+            if (this.peek() === ']') {
+                this.pos++;
+                return;
+            }
+            if (this.pos >= this.text.length) {
+                this.fail('Unterminated array');
+            }
+            this.parseValue();
+            this.skipBlank();
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() !== ']') {
+                this.fail(this.pos >= this.text.length ? 'Unterminated array' : 'Expected "," or "]" in array');
+            }
+        }
+    }
+
+    parseInlineTable() {
+        const assigned = new Set();
+        this.pos++;
+        this.skipWhitespace();
+        if (this.peek() === '}') {
+            this.pos++;
+            return;
+        }
+        for (;;) {
+            this.parseKeyValue([], assigned);
+            this.skipWhitespace();
+            if (this.peek() === '}') {
+                this.pos++;
+                return;
+            }
+            if (this.peek() !== ',') {
+                this.fail(this.peek() === '\n' ? 'Inline tables must be on a single line' : 'Expected "," or "}" in inline table');
+            }
+            this.pos++;
+            this.skipWhitespace();
+            if (this.peek() === '\n') {
+                this.fail('Inline tables must be on a single line');
+            }
+        }
+    }
+
+    parseScalar() {
+        const start = this.pos;
+        while (this.pos < this.text.length && !/[\s,\]}#]/.test(this.peek())) this.pos++;
+        // Date-times may use a space instead of "T" between date and time
+        if (/^\d{4}-\d{2}-\d{2}$/.test(this.text.slice(start, this.pos)) && /^ \d{2}:/.test(this.text.slice(this.pos, this.pos + 4))) {
+            this.pos++;
+            while (this.pos < this.text.length && !/[\s,\]}#]/.test(this.peek())) this.pos++;
+        }
+
+        const token = this.text.slice(start, this.pos);
+        if (!token) {
+            this.fail('Missing value');
+        }
+        if (!SCALAR_PATTERNS.some(pattern => pattern.test(token))) {
+            this.fail(`Invalid value "${token}" (strings must be quoted)`, start);
+        }
+    }
+}
+
+/**
+ * Check TOML source for syntax errors
+ * @param {string} text - TOML source
+ * @returns {{message: string, line: number, column: number}|null} First error, or null if valid
+ */
+export function findTOMLError(text) {
+    const reader = new TOMLReader(text);
+    try {
+        reader.parseDocument();
+        return null;
+    } catch (error) {
+        if (!(error instanceof TOMLSyntaxError)) throw error;
+        const before = text.slice(0, error.offset);
+        const line = before.split('\n').length;
+        const column = error.offset - before.lastIndexOf('\n');
+        return { message: error.message, line, column };
+    }
+}
@@ -144,6 +144,39 @@ export function showStatus(message, type = 'success') {
     }, duration);
 }
 
+/**
+ * Save a Blob as a file via a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a script from a CDN with Subresource Integrity verification
+ * @param {{url: string, integrity: string}} script - Script URL and SRI hash
+ * @returns {Promise<void>} Resolves when the script has loaded
+ */
+export function loadExternalScript({ url, integrity }) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.integrity = integrity;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${url}`));
+        document.head.appendChild(script);
+    });
+}
+
 /**
  * Update the URL parameter in the browser address bar without page reload
  * Used to persist the source URL for sharing/bookmarking (Issue #204)
@@ -1,12 +1,19 @@
 /**
  * validation.js - Code Linting and Validation Module
  *
- * Provides code block validation functionality for JSON, JavaScript, HTML, and CSS.
- * Validates code blocks in the rendered preview and displays issues in the lint panel.
+ * Provides code block validation functionality for JSON, JavaScript/TypeScript, YAML,
+ * TOML, XML, HTML, CSS, and Mermaid diagrams.
+ * Validates code blocks in the rendered preview and displays issues in the lint panel,
+ * with matching markers in the editor gutter.
  */
 
 import { state } from './state.js';
 import { getElements } from './dom.js';
+import { escapeHtml, loadExternalScript } from './utils.js';
+import { parserScripts } from './config.js';
+import { hasDangerousYAMLPattern } from './security.js';
+import { findTOMLError } from './toml-lint.js';
+import { jumpToLine } from './editor.js';
 
 /**
  * HTML5 void elements that don't require closing tags.
@@ -18,6 +25,103 @@ const VOID_ELEMENTS = new Set([
     'link', 'meta', 'param', 'source', 'track', 'wbr'
 ]);
 
+/**
+ * Babel parser plugins for each JavaScript/TypeScript code block language
+ */
+const JS_PARSER_PLUGINS = {
+    javascript: ['jsx'],
+    js: ['jsx'],
+    jsx: ['jsx'],
+    typescript: ['typescript'],
+    ts: ['typescript'],
+    tsx: ['typescript', 'jsx']
+};
+
+/**
+ * Pending parser script loads, keyed by parserScripts name
+ * @type {Map<string, Promise<void>>}
+ */
+const parserLoads = new Map();
+
+/**
+ * CodeMirror gutter that holds lint markers (registered in editor.js)
+ */
+export const LINT_GUTTER = 'lint-markers';
+
+/**
+ * Incremented on every validation pass so async Mermaid results from an
+ * older pass are discarded
+ */
+let validationRun = 0;
+
+/**
+ * How long the editor line stays highlighted after jumping to an issue
+ */
+const ISSUE_HIGHLIGHT_MS = 2000;
+
+/**
+ * Editor line currently highlighted by jumpToIssue(), and its removal timer
+ */
+let highlightedLine = null;
+let highlightTimeout = null;
+
+/**
+ * Initialize lint panel handlers
+ * Clicking an issue (or pressing Enter/Space on it) jumps to its line in the editor.
+ * Should be called once during app initialization
+ */
+export function initLintPanel() {
+    const { lintContent } = getElements();
+    if (!lintContent) {
+        console.warn('Lint panel not found in DOM');
+        return;
+    }
+
+    const activate = target => {
+        const item = target.closest('.lint-issue[data-issue-index]');
+        const issue = item && state.codeIssues[Number(item.dataset.issueIndex)];
+        if (issue) {
+            jumpToIssue(issue);
+        }
+        return Boolean(issue);
+    };
+
+    lintContent.addEventListener('click', (e) => activate(e.target));
+    lintContent.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && activate(e.target)) {
+            e.preventDefault();
+        }
+    });
+}
+
+/**
+ * Move the editor cursor to an issue and briefly highlight its line
+ * Jumps to the reported line and column when the validator gave a position,
+ * otherwise to the first line of the code block.
+ * @param {Object} issue - Issue with a sourceLine
+ */
+function jumpToIssue(issue) {
+    const cm = state.cmEditor;
+    if (!cm || issue.sourceLine === undefined) {
+        return;
+    }
+
+    jumpToLine(issue.sourceLine, issue.column ? issue.column - 1 : 0);
+
+    // Content may have changed since validation ran
+    const line = Math.min(issue.sourceLine, cm.lastLine());
+
+    clearTimeout(highlightTimeout);
+    if (highlightedLine) {
+        cm.removeLineClass(highlightedLine, 'background', 'lint-highlight-line');
+    }
+    highlightedLine = cm.addLineClass(line, 'background', 'lint-highlight-line');
+    highlightTimeout = setTimeout(() => {
+        cm.removeLineClass(highlightedLine, 'background', 'lint-highlight-line');
+        highlightedLine = null;
+    }, ISSUE_HIGHLIGHT_MS);
+}
+
 /**
  * Toggle the lint panel visibility
  * Updates state and triggers validation if enabling
@@ -31,15 +135,20 @@ export function toggleLintPanel() {
 
     if (state.lintEnabled) {
         validateCode();
+    } else {
+        state.cmEditor?.clearGutter(LINT_GUTTER);
     }
 }
 
 /**
  * Validate all code blocks in the preview
- * Scans for code blocks with data-language attributes and validates based on language
+ * Scans for code blocks with data-language attributes and validates based on language,
+ * then parses Mermaid diagrams (asynchronously) and adds their errors to the panel.
+ * @returns {Promise<void>} Resolves once Mermaid diagrams have been checked
  */
 export function validateCode() {
     const { wrapper } = getElements();
+    const run = ++validationRun;
 
     state.codeIssues = [];
     const codeBlocks = wrapper.querySelectorAll('pre code[data-language]');
@@ -48,14 +157,29 @@ export function validateCode() {
         const language = block.dataset.language;
         const code = block.textContent;
 
+        // JS/TS: only check blocks explicitly tagged with the language. Auto-detected
+        // blocks (no language-* class) are often prose or pseudo-code.
+        if (JS_PARSER_PLUGINS[language]) {
+            if (block.classList.contains(`language-${language}`)) {
+                validateJavaScript(code, index, language);
+            }
+            return;
+        }
+
         // Validate based on language
         switch (language) {
             case 'json':
                 validateJSON(code, index);
                 break;
-            case 'javascript':
-            case 'js':
-                validateJavaScript(code, index);
+            case 'yaml':
+            case 'yml':
+                validateYAML(code, index);
+                break;
+            case 'toml':
+                validateTOML(code, index);
+                break;
+            case 'xml':
+                validateXML(code, index);
                 break;
             case 'html':
                 validateHTML(code, index);
@@ -66,7 +190,33 @@ export function validateCode() {
         }
     });
 
+    // Editor lines for gutter markers
+    state.codeIssues.forEach(issue => setSourceLine(issue, getCodeLine(codeBlocks[issue.block - 1])));
     updateLintPanel();
+    return validateMermaid(wrapper, run);
+}
+
+/**
+ * Editor line of a rendered code block's first line of code
+ * Read from data-code-line, which the renderer adds to the block's outer element.
+ * @param {HTMLElement} element - Element inside the rendered code block
+ * @returns {number|undefined} Zero-based editor line, if known
+ */
+function getCodeLine(element) {
+    const codeLine = element.closest('[data-code-line]')?.dataset.codeLine;
+    return codeLine === undefined ? undefined : Number(codeLine);
+}
+
+/**
+ * Map an issue to an editor line: the reported line within the block, or the
+ * block's first line when the validator has no position
+ * @param {Object} issue - Issue to update
+ * @param {number|undefined} codeLine - Zero-based editor line of the block's first line
+ */
+function setSourceLine(issue, codeLine) {
+    if (codeLine !== undefined) {
+        issue.sourceLine = codeLine + (issue.line || 1) - 1;
+    }
 }
 
 /**
@@ -88,17 +238,253 @@ function validateJSON(code, blockIndex) {
 }
 
 /**
- * Basic JavaScript validation
- * NOTE: JavaScript validation has been removed for security reasons.
- * Using Function constructor to validate JS code can execute arbitrary code.
- * For proper JS validation, use a dedicated linting tool like ESLint.
- * @param {string} code - The JavaScript code to validate
+ * Load a parser script from CDN on first use (see parserScripts in config.js)
+ * Once loaded, validation is re-run so pending blocks get checked.
+ * @param {string} name - Key in parserScripts
+ * @returns {Promise<void>} Resolves when the script has loaded
+ */
+function loadParserScript(name) {
+    if (!parserLoads.has(name)) {
+        const loading = loadExternalScript(parserScripts[name]);
+        parserLoads.set(name, loading);
+
+        loading
+            .then(() => {
+                if (state.lintEnabled) {
+                    validateCode();
+                }
+            })
+            .catch(error => console.error(`Parser load error (${name}):`, error));
+    }
+    return parserLoads.get(name);
+}
+
+/**
+ * JavaScript/TypeScript syntax validation
+ * Parses the code with Babel's parser, which builds an AST without executing anything.
+ * Error recovery is enabled so several problems in one block can be reported.
+ * If the parser isn't loaded yet, it is fetched and validation re-runs once it's ready.
+ * @param {string} code - The JavaScript or TypeScript code to validate
+ * @param {number} blockIndex - The index of the code block
+ * @param {string} language - Code block language (js, javascript, ts, typescript, ...)
+ */
+function validateJavaScript(code, blockIndex, language) {
+    const parser = globalThis.Babel?.packages?.parser;
+    if (!parser) {
+        loadParserScript('javascript');
+        return;
+    }
+
+    const languageLabel = JS_PARSER_PLUGINS[language].includes('typescript') ? 'TypeScript' : 'JavaScript';
+    const reportError = error => {
+        state.codeIssues.push({
+            type: 'error',
+            language: languageLabel,
+            block: blockIndex + 1,
+            // Babel appends "(line:column)" to messages - shown separately instead
+            message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+            line: error.loc?.line,
+            column: error.loc ? error.loc.column + 1 : undefined
+        });
+    };
+
+    try {
+        const ast = parser.parse(code, {
+            sourceType: 'unambiguous',
+            errorRecovery: true,
+            allowAwaitOutsideFunction: true,
+            allowReturnOutsideFunction: true,
+            plugins: JS_PARSER_PLUGINS[language]
+        });
+        ast.errors?.forEach(reportError);
+    } catch (error) {
+        // Unrecoverable syntax error
+        reportError(error);
+    }
+}
+
+/**
+ * YAML validation
+ * Lines with anchors, aliases or tags are flagged using the same check that
+ * protects front matter, and such blocks are not parsed any further.
+ * Otherwise the block is parsed with js-yaml (loaded on demand); multi-document
+ * streams separated by --- are supported.
+ * @param {string} code - The YAML code to validate
+ * @param {number} blockIndex - The index of the code block
+ */
+function validateYAML(code, blockIndex) {
+    let hasDangerousLines = false;
+    code.split('\n').forEach((line, lineIndex) => {
+        const trimmedLine = line.trim();
+        if (trimmedLine.startsWith('#') || !hasDangerousYAMLPattern(trimmedLine)) {
+            return;
+        }
+        hasDangerousLines = true;
+        state.codeIssues.push({
+            type: 'warning',
+            language: 'YAML',
+            block: blockIndex + 1,
+            message: 'Anchors (&), aliases (*) and tags (!) are not allowed; block was not parsed',
+            line: lineIndex + 1
+        });
+    });
+    if (hasDangerousLines) {
+        return;
+    }
+
+    if (typeof globalThis.jsyaml === 'undefined') {
+        loadParserScript('yaml');
+        return;
+    }
+
+    try {
+        globalThis.jsyaml.loadAll(code);
+    } catch (error) {
+        state.codeIssues.push({
+            type: 'error',
+            language: 'YAML',
+            block: blockIndex + 1,
+            message: error.reason || error.message,
+            line: error.mark ? error.mark.line + 1 : undefined,
+            column: error.mark ? error.mark.column + 1 : undefined
+        });
+    }
+}
+
+/**
+ * TOML validation (see toml-lint.js)
+ * @param {string} code - The TOML code to validate
  * @param {number} blockIndex - The index of the code block
  */
-function validateJavaScript(_code, _blockIndex) {
-    // Disabled for security - would require a proper parser library
-    // to validate without executing code
-    return;
+function validateTOML(code, blockIndex) {
+    const error = findTOMLError(code);
+    if (error) {
+        state.codeIssues.push({
+            type: 'error',
+            language: 'TOML',
+            block: blockIndex + 1,
+            ...error
+        });
+    }
+}
+
+/**
+ * XML validation using the browser's XML parser
+ * DOMParser reports well-formedness errors in a <parsererror> element rather than
+ * throwing; its text includes the line and column (wording differs per browser).
+ * Parsing doesn't load external entities or run scripts.
+ * @param {string} code - The XML code to validate
+ * @param {number} blockIndex - The index of the code block
+ */
+function validateXML(code, blockIndex) {
+    const doc = new DOMParser().parseFromString(code, 'application/xml');
+    const parserError = doc.querySelector('parsererror');
+    if (!parserError) {
+        return;
+    }
+
+    const text = parserError.textContent;
+    // Chrome/Safari: "error on line 3 at column 5: <message>"
+    // Firefox: "XML Parsing Error: <message>\nLocation: ...\nLine Number 3, Column 5:"
+    const location = /line(?: number)? (\d+)(?: at column|, column) (\d+)/i.exec(text);
+    const message = /line \d+ at column \d+:\s*([^\n]+)/i.exec(text)?.[1]
+        || /XML Parsing Error:\s*([^\n]+)/i.exec(text)?.[1]
+        || 'Malformed XML';
+
+    state.codeIssues.push({
+        type: 'error',
+        language: 'XML',
+        block: blockIndex + 1,
+        message: message.trim(),
+        line: location ? Number(location[1]) : undefined,
+        column: location ? Number(location[2]) : undefined
+    });
+}
+
+/**
+ * Mermaid validation
+ * Every diagram is checked with mermaid.parse() up front, so errors show up
+ * even for diagrams the lazy renderer hasn't reached yet.
+ * @param {HTMLElement} wrapper - The preview wrapper element
+ * @param {number} run - Validation pass that started this check
+ * @returns {Promise<void>}
+ */
+async function validateMermaid(wrapper, run) {
+    const diagrams = Array.from(wrapper.querySelectorAll('.mermaid-container .mermaid'));
+    if (diagrams.length === 0 || typeof mermaid === 'undefined') {
+        return;
+    }
+
+    const results = await Promise.all(diagrams.map(parseMermaidDiagram));
+
+    // Content changed while parsing - a newer pass will report instead
+    if (run !== validationRun) {
+        return;
+    }
+    // Numbered among diagrams ("Diagram #N"): code block numbers don't count diagrams
+    results.forEach((issue, index) => {
+        if (issue) {
+            state.codeIssues.push({ ...issue, diagram: index + 1 });
+        }
+    });
+    updateLintPanel();
+}
+
+/**
+ * Parse one Mermaid diagram
+ * Uses the stored source once the diagram has been rendered (or failed to render).
+ * @param {HTMLElement} element - The .mermaid element
+ * @returns {Promise<Object|null>} Issue without a diagram number, or null if valid
+ */
+async function parseMermaidDiagram(element) {
+    const source = (element.dataset.mermaidSource ?? element.textContent).trim();
+    if (!source) {
+        return null;
+    }
+
+    try {
+        await mermaid.parse(source);
+        return null;
+    } catch (error) {
+        const issue = {
+            type: 'error',
+            language: 'Mermaid',
+            ...describeMermaidError(error)
+        };
+        setSourceLine(issue, getCodeLine(element));
+        return issue;
+    }
+}
+
+/**
+ * Pull a readable message and position out of a Mermaid parse error
+ * Jison-based diagrams (flowchart, sequence, ...) attach the position in error.hash
+ * and format the message as "Parse error on line N:", a source excerpt, a caret
+ * line and "Expecting ..., got ...". Newer diagram types mention
+ * "line N, column M" in the first line of the message.
+ * @param {Error} error - Error thrown by mermaid.parse()
+ * @returns {{message: string, line: number|undefined, column: number|undefined}}
+ */
+function describeMermaidError(error) {
+    const lines = String(error?.message ?? error).split('\n').map(line => line.trim()).filter(Boolean);
+    const firstLine = lines[0] || 'Invalid Mermaid diagram';
+    const loc = error?.hash?.loc;
+
+    if (loc) {
+        return {
+            message: /^Parse error on line \d+:?$/i.test(firstLine) ? lines.at(-1) : firstLine,
+            line: loc.first_line,
+            column: loc.first_column + 1
+        };
+    }
+
+    const line = /line (\d+)/i.exec(firstLine);
+    const column = /column (\d+)/i.exec(firstLine);
+    return {
+        message: firstLine,
+        line: line ? Number(line[1]) : undefined,
+        column: column ? Number(column[1]) : undefined
+    };
 }
 
 /**
@@ -196,23 +582,66 @@ function validateCSS(code, blockIndex) {
 function updateLintPanel() {
     const { lintContent } = getElements();
 
+    updateLintMarkers();
+
     if (state.codeIssues.length === 0) {
         lintContent.innerHTML = '<p class="lint-empty">✅ No issues found in code blocks!</p>';
         return;
     }
 
     let html = '';
-    state.codeIssues.forEach(issue => {
+    state.codeIssues.forEach((issue, index) => {
+        const location = issue.line
+            ? `<div class="lint-issue-location">Line ${issue.line}${issue.column ? `, column ${issue.column}` : ''}</div>`
+            : '';
+        // Issues that map to the editor can be clicked (or activated with the keyboard) to jump there
+        const target = issue.sourceLine === undefined
+            ? ''
+            : ` data-issue-index="${index}" role="button" tabindex="0" title="Go to line ${issue.sourceLine + 1} in the editor"`;
         html += `
-            <div class="lint-issue ${issue.type}">
+            <div class="lint-issue ${issue.type}"${target}>
                 <div class="lint-issue-header">
                     <span class="lint-issue-type">${issue.type.toUpperCase()}</span>
-                    <span>${issue.language} - Block #${issue.block}</span>
+                    <span>${issue.language} - ${issue.diagram ? `Diagram #${issue.diagram}` : `Block #${issue.block}`}</span>
                 </div>
-                <div class="lint-issue-message">${issue.message}</div>
+                <div class="lint-issue-message">${escapeHtml(issue.message)}</div>
+                ${location}
             </div>
         `;
     });
 
     lintContent.innerHTML = html;
 }
+
+/**
+ * Show a gutter marker on each editor line with an issue
+ * Errors win over warnings when several issues share a line.
+ */
+function updateLintMarkers() {
+    const cm = state.cmEditor;
+    if (!cm) {
+        return;
+    }
+
+    const issuesByLine = new Map();
+    state.codeIssues.forEach(issue => {
+        if (issue.sourceLine === undefined || issue.sourceLine >= cm.lineCount()) {
+            return;
+        }
+        const lineIssues = issuesByLine.get(issue.sourceLine) || [];
+        lineIssues.push(issue);
+        issuesByLine.set(issue.sourceLine, lineIssues);
+    });
+
+    cm.operation(() => {
+        cm.clearGutter(LINT_GUTTER);
+        issuesByLine.forEach((lineIssues, line) => {
+            const type = lineIssues.some(issue => issue.type === 'error') ? 'error' : 'warning';
+            const marker = document.createElement('div');
+            marker.className = `lint-marker ${type}`;
+            marker.title = lineIssues.map(issue => `${issue.language}: ${issue.message}`).join('\n');
+            marker.textContent = type === 'error' ? '●' : '▲';
+            cm.setGutterMarker(line, LINT_GUTTER, marker);
+        });
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ * version-history.js - Per-session version history
+ *
+ * Snapshots of session content are kept in IndexedDB ('versions' store) so an
+ * accidental overwrite can be undone. A snapshot is taken:
+ * - when a session is first saved after the page loads (a baseline)
+ * - every SNAPSHOT_INTERVAL_MS while a session is being edited
+ * - of the previous text, before a large change (a big paste, deleting most of the document)
+ * - before a version is restored, so the restore can be undone too
+ *
+ * Identical consecutive snapshots are skipped and only the newest
+ * MAX_VERSIONS_PER_SESSION are kept.
+ */
+
+import { STORES, withTransaction } from './database.js';
+
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const LARGE_CHANGE_CHARS = 1000;
+const MAX_VERSIONS_PER_SESSION = 50;
+
+// Per-session edit tracking for this page: { lastSnapshotAt, previousContent }
+const tracked = new Map();
+
+/**
+ * Save a snapshot unless it matches the newest one, then prune old snapshots
+ * @param {string} sessionId - Session ID
+ * @param {string} content - Content to keep
+ * @returns {Promise<void>}
+ */
+function saveSnapshot(sessionId, content) {
+    if (!content.trim()) {
+        return Promise.resolve();
+    }
+
+    return withTransaction(STORES.VERSIONS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.VERSIONS);
+        const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId), 'prev');
+        let kept = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+
+            // First result is the newest snapshot: skip duplicates, otherwise add the new one
+            if (kept === 0) {
+                if (cursor?.value.content === content) {
+                    return;
+                }
+                store.add({ sessionId, content, size: content.length, createdAt: Date.now() });
+                kept = 1;
+            }
+            if (!cursor) {
+                return;
+            }
+
+            kept++;
+            if (kept > MAX_VERSIONS_PER_SESSION) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Check whether an edit replaced a large part of the document
+ * @param {string} before - Previous content
+ * @param {string} after - New content
+ * @returns {boolean} True for large insertions or deletions
+ */
+function isLargeChange(before, after) {
+    return Math.abs(before.length - after.length) >= LARGE_CHANGE_CHARS
+        || (before.trim() !== '' && after.trim() === '');
+}
+
+/**
+ * Record a content update for a session, taking snapshots as needed
+ * Called from sessions.js whenever session content is saved.
+ * @param {string} sessionId - Session ID
+ * @param {string} content - New content
+ */
+export function trackSessionContent(sessionId, content) {
+    const now = Date.now();
+    const entry = tracked.get(sessionId);
+    let snapshot = null;
+
+    if (!entry) {
+        tracked.set(sessionId, { lastSnapshotAt: now, previousContent: content });
+        snapshot = content;
+    } else {
+        if (isLargeChange(entry.previousContent, content)) {
+            snapshot = entry.previousContent;
+            entry.lastSnapshotAt = now;
+        } else if (now - entry.lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+            snapshot = content;
+            entry.lastSnapshotAt = now;
+        }
+        entry.previousContent = content;
+    }
+
+    if (snapshot !== null) {
+        saveSnapshot(sessionId, snapshot).catch(error => {
+            console.error(`Failed to save version of session ${sessionId}:`, error);
+        });
+    }
+}
+
+/**
+ * Take a snapshot right away (e.g. before restoring an older version)
+ * @param {string} sessionId - Session ID
+ * @param {string} content - Content to keep
+ * @returns {Promise<void>}
+ */
+export function saveVersionNow(sessionId, content) {
+    const entry = tracked.get(sessionId);
+    if (entry) {
+        entry.lastSnapshotAt = Date.now();
+    }
+    return saveSnapshot(sessionId, content);
+}
+
+/**
+ * Get the snapshots of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<{id: number, sessionId: string, content: string, size: number, createdAt: number}>>}
+ *     Snapshots, newest first
+ */
+export async function getVersions(sessionId) {
+    const versions = await withTransaction(STORES.VERSIONS, 'readonly',
+        tx => tx.objectStore(STORES.VERSIONS).index('sessionId').getAll(IDBKeyRange.only(sessionId)));
+    return versions.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+}
+
+/**
+ * Delete all snapshots of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionVersions(sessionId) {
+    tracked.delete(sessionId);
+    await withTransaction(STORES.VERSIONS, 'readwrite', tx => {
+        const request = tx.objectStore(STORES.VERSIONS).index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tx.objectStore(STORES.VERSIONS).delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+}
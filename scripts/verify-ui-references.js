@@ -83,6 +83,9 @@ class UIReferenceVerifier {
     const knownButtons = [
       'Save',
       'Save as PDF',
+      'Export HTML',
+      'Save as .docx',
+      'PDF Setup',
       'Share to Gist',
       'Welcome',
       'Code Validation',
@@ -91,6 +94,7 @@ class UIReferenceVerifier {
       'Load',
       'Close',
       'Clear All',
+      'Outline',
     ];
     knownButtons.forEach(button => this.uiElements.buttons.add(button));
 
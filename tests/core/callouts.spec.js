@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Set editor content and render it
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} markdown - Markdown content
+ */
+async function renderContent(page, markdown) {
+  await setCodeMirrorContent(page, markdown);
+  await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+}
+
+test.describe('Callouts', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+  });
+
+  test('GitHub alert syntax renders a callout with a default title', async ({ page }) => {
+    await renderContent(page, '> [!NOTE]\n> Useful information with **bold** text.');
+
+    const callout = page.locator('#wrapper div.callout.callout-note');
+    await expect(callout).toHaveCount(1);
+    await expect(callout.locator('.callout-title')).toHaveText(/Note/);
+    await expect(callout.locator('.callout-content strong')).toHaveText('bold');
+    await expect(page.locator('#wrapper blockquote')).toHaveCount(0);
+  });
+
+  test('all GitHub alert types get their own class', async ({ page }) => {
+    const types = ['NOTE', 'TIP', 'IMPORTANT', 'WARNING', 'CAUTION'];
+    await renderContent(page, types.map(type => `> [!${type}]\n> Body`).join('\n\n'));
+
+    const classes = await page.$$eval('#wrapper .callout', els => els.map(el => el.classList[1]));
+    expect(classes).toEqual(['callout-note', 'callout-tip', 'callout-important', 'callout-warning', 'callout-caution']);
+  });
+
+  test('Obsidian custom titles and aliases are supported', async ({ page }) => {
+    await renderContent(page, '> [!faq] Why *this*?\n> Because.');
+
+    const callout = page.locator('#wrapper .callout');
+    await expect(callout).toHaveClass(/callout-question/);
+    await expect(callout).toHaveAttribute('data-callout', 'faq');
+    await expect(callout.locator('.callout-title em')).toHaveText('this');
+    await expect(callout.locator('.callout-content')).toHaveText('Because.');
+  });
+
+  test('foldable callouts render as collapsed or expanded details', async ({ page }) => {
+    await renderContent(page, '> [!tip]- Collapsed\n> Hidden body\n\n> [!tip]+ Expanded\n> Visible body');
+
+    const folded = page.locator('#wrapper details.callout');
+    await expect(folded).toHaveCount(2);
+    await expect(folded.nth(0)).not.toHaveAttribute('open', '');
+    await expect(folded.nth(1)).toHaveAttribute('open', '');
+    await expect(folded.nth(0).locator('summary.callout-title')).toContainText('Collapsed');
+
+    await expect(page.getByText('Hidden body')).toBeHidden();
+    await folded.nth(0).locator('summary').click();
+    await expect(page.getByText('Hidden body')).toBeVisible();
+  });
+
+  test('callouts can contain block content', async ({ page }) => {
+    await renderContent(page, '> [!WARNING]\n>\n> First paragraph\n>\n> - item one\n> - item two');
+
+    const content = page.locator('#wrapper .callout-warning .callout-content');
+    await expect(content.locator('p')).toHaveText('First paragraph');
+    await expect(content.locator('li')).toHaveCount(2);
+  });
+
+  test('plain blockquotes are unchanged', async ({ page }) => {
+    await renderContent(page, '> Just a quote\n\n> [not a callout]');
+
+    await expect(page.locator('#wrapper blockquote')).toHaveCount(2);
+    await expect(page.locator('#wrapper .callout')).toHaveCount(0);
+  });
+
+  test('callouts are styled by the active preview style', async ({ page }) => {
+    await renderContent(page, '> [!CAUTION]\n> Careful');
+
+    const borderColor = await page.locator('#wrapper .callout-caution').evaluate(
+      el => getComputedStyle(el).borderLeftColor
+    );
+    expect(borderColor).not.toBe('rgba(0, 0, 0, 0)');
+  });
+});
@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Set editor content and render it
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} markdown - Markdown content
+ */
+async function renderContent(page, markdown) {
+  await setCodeMirrorContent(page, markdown);
+  await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+}
+
+const FOOTNOTE_DOC = `First claim[^1] and second claim[^note].
+
+Repeat of the first[^1] and a missing one[^missing].
+
+[^1]: The first footnote.
+[^note]: A longer note with **bold**.
+
+    It has a second paragraph.`;
+
+test.describe('Markdown Extensions', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+  });
+
+  test.describe('Footnotes', () => {
+    test('references are numbered in order of first use', async ({ page }) => {
+      await renderContent(page, FOOTNOTE_DOC);
+
+      const refs = await page.$$eval('#wrapper sup.footnote-ref a', links => links.map(a => a.textContent));
+      expect(refs).toEqual(['1', '2', '1']);
+    });
+
+    test('definitions render as an endnote list at the end of the document', async ({ page }) => {
+      await renderContent(page, FOOTNOTE_DOC);
+
+      const items = page.locator('#wrapper section.footnotes ol > li');
+      await expect(items).toHaveCount(2);
+      await expect(items.nth(0)).toHaveAttribute('id', 'fn-1');
+      await expect(items.nth(1).locator('p')).toHaveCount(2);
+      await expect(items.nth(1).locator('strong')).toHaveText('bold');
+
+      const isLast = await page.evaluate(() => {
+        const wrapper = document.getElementById('wrapper');
+        return wrapper.lastElementChild?.classList.contains('footnotes');
+      });
+      expect(isLast).toBe(true);
+    });
+
+    test('each reference gets a back-link from its footnote', async ({ page }) => {
+      await renderContent(page, FOOTNOTE_DOC);
+
+      const backLinks = await page.$$eval('#fn-1 a.footnote-backref', links => links.map(a => a.getAttribute('href')));
+      expect(backLinks).toEqual(['#fnref-1', '#fnref-1-2']);
+
+      await expect(page.locator('#wrapper #fnref-1')).toHaveCount(1);
+      await expect(page.locator('#wrapper #fnref-1-2')).toHaveCount(1);
+    });
+
+    test('footnotes first referenced inside another footnote get an entry', async ({ page }) => {
+      await renderContent(page, 'Claim[^a]\n\n[^a]: See also[^b].\n[^b]: The nested note, back to[^a].');
+
+      const items = page.locator('#wrapper section.footnotes ol > li');
+      await expect(items).toHaveCount(2);
+      await expect(items.nth(1)).toHaveAttribute('id', 'fn-b');
+      await expect(items.nth(1)).toContainText('The nested note');
+      await expect(page.locator('#wrapper a[href="#fn-b"]')).toHaveText('2');
+
+      // The reference to [^a] inside the nested note gets a back-link too
+      const backLinks = await page.$$eval('#fn-a a.footnote-backref', links => links.map(a => a.getAttribute('href')));
+      expect(backLinks).toEqual(['#fnref-a', '#fnref-a-2']);
+    });
+
+    test('references without a definition stay as text', async ({ page }) => {
+      await renderContent(page, FOOTNOTE_DOC);
+
+      await expect(page.locator('#wrapper p').nth(1)).toContainText('[^missing]');
+    });
+
+    test('clicking a reference scrolls to the footnote', async ({ page }) => {
+      const filler = 'Lorem ipsum dolor sit amet.\n\n'.repeat(30);
+      await renderContent(page, `Claim[^1]\n\n${filler}[^1]: The footnote.`);
+
+      await page.click('#wrapper #fnref-1');
+      await page.waitForTimeout(WAIT_TIMES.MEDIUM);
+
+      const scrollTop = await page.locator('#preview').evaluate(el => el.scrollTop);
+      expect(scrollTop).toBeGreaterThan(0);
+    });
+
+    test('footnotes section does not use an hr (safe with HR as Page Break)', async ({ page }) => {
+      await renderContent(page, 'Text[^a]\n\n[^a]: Note');
+
+      await expect(page.locator('#wrapper section.footnotes hr')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Definition lists', () => {
+    test('renders terms with one or more definitions', async ({ page }) => {
+      await renderContent(page, 'Apple\n: A fruit\n: A company\n\nOrange\n: Citrus');
+
+      await expect(page.locator('#wrapper dl')).toHaveCount(1);
+      const terms = await page.$$eval('#wrapper dt', els => els.map(el => el.textContent));
+      expect(terms).toEqual(['Apple', 'Orange']);
+      await expect(page.locator('#wrapper dd')).toHaveCount(3);
+    });
+
+    test('supports inline formatting in terms and definitions', async ({ page }) => {
+      await renderContent(page, '**Bold term**\n: Definition with `code`');
+
+      await expect(page.locator('#wrapper dt strong')).toHaveText('Bold term');
+      await expect(page.locator('#wrapper dd code')).toHaveText('code');
+    });
+
+    test('ordinary paragraphs are not turned into definition lists', async ({ page }) => {
+      await renderContent(page, 'Just a paragraph\nwith two lines\n\n- a list item');
+
+      await expect(page.locator('#wrapper dl')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Abbreviations', () => {
+    test('wraps defined abbreviations and hides definitions', async ({ page }) => {
+      await renderContent(page, 'The HTML spec is maintained by the W3C.\n\n*[HTML]: Hyper Text Markup Language\n*[W3C]: World Wide Web Consortium');
+
+      const abbrs = await page.$$eval('#wrapper abbr', els => els.map(el => [el.textContent, el.getAttribute('title')]));
+      expect(abbrs).toEqual([
+        ['HTML', 'Hyper Text Markup Language'],
+        ['W3C', 'World Wide Web Consortium']
+      ]);
+      await expect(page.locator('#wrapper')).not.toContainText('*[HTML]');
+    });
+
+    test('does not expand abbreviations inside code or partial words', async ({ page }) => {
+      await renderContent(page, 'Use `HTML` in XHTMLs.\n\n*[HTML]: Hyper Text Markup Language');
+
+      await expect(page.locator('#wrapper abbr')).toHaveCount(0);
+    });
+
+    test('headings with abbreviations keep clean slugs', async ({ page }) => {
+      await renderContent(page, '## About HTML\n\n*[HTML]: Hyper Text Markup Language');
+
+      await expect(page.locator('#wrapper h2')).toHaveAttribute('id', 'about-html');
+      await expect(page.locator('#wrapper h2 abbr')).toHaveCount(1);
+    });
+  });
+});
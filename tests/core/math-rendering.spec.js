@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Set editor content and render it
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} markdown - Markdown content
+ */
+async function renderContent(page, markdown) {
+  await setCodeMirrorContent(page, markdown);
+  await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+}
+
+test.describe('Math Rendering (KaTeX)', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.waitForFunction(() => typeof globalThis.katex !== 'undefined');
+  });
+
+  test('renders inline math', async ({ page }) => {
+    await renderContent(page, 'Euler: $e^{i\\pi} + 1 = 0$');
+
+    const inline = page.locator('#wrapper p .katex');
+    await expect(inline).toHaveCount(1);
+    await expect(page.locator('#wrapper p')).not.toContainText('$');
+  });
+
+  test('renders display math blocks', async ({ page }) => {
+    await renderContent(page, '$$\n\\int_0^1 x^2 \\, dx = \\frac{1}{3}\n$$');
+
+    await expect(page.locator('#wrapper .math-display .katex-display')).toHaveCount(1);
+  });
+
+  test('renders $$...$$ inside a paragraph in display mode', async ({ page }) => {
+    await renderContent(page, 'Result: $$a^2 + b^2 = c^2$$ holds');
+
+    await expect(page.locator('#wrapper p .katex-display')).toHaveCount(1);
+  });
+
+  test('leaves currency amounts as text', async ({ page }) => {
+    await renderContent(page, 'It costs $5 and $10 respectively.');
+
+    await expect(page.locator('#wrapper .katex')).toHaveCount(0);
+    await expect(page.locator('#wrapper p')).toHaveText('It costs $5 and $10 respectively.');
+  });
+
+  test('does not render math inside code', async ({ page }) => {
+    await renderContent(page, 'Use `$x$` literally\n\n```\n$$\nx\n$$\n```');
+
+    await expect(page.locator('#wrapper .katex')).toHaveCount(0);
+    await expect(page.locator('#wrapper code').first()).toHaveText('$x$');
+  });
+
+  test('escaped dollar signs are not treated as math', async ({ page }) => {
+    await renderContent(page, 'Literal \\$x\\$ here');
+
+    await expect(page.locator('#wrapper .katex')).toHaveCount(0);
+    await expect(page.locator('#wrapper p')).toHaveText('Literal $x$ here');
+  });
+
+  test('invalid TeX shows an inline error instead of breaking the render', async ({ page }) => {
+    await renderContent(page, 'Bad: $\\frac{a$\n\n# Still rendered');
+
+    await expect(page.locator('#wrapper .katex-error')).toHaveCount(1);
+    await expect(page.locator('#wrapper h1')).toHaveText('Still rendered');
+  });
+
+  test('math output survives sanitization with MathML for screen readers', async ({ page }) => {
+    await renderContent(page, '$x^2$');
+
+    await expect(page.locator('#wrapper .katex-mathml math')).toHaveCount(1);
+    // TeX annotation is dropped so the source isn't read out as text
+    await expect(page.locator('#wrapper .katex-mathml')).not.toContainText('x^2');
+  });
+
+  test('script injection inside math is neutralized', async ({ page }) => {
+    await renderContent(page, '$\\text{<img src=x onerror=alert(1)>}$');
+
+    await expect(page.locator('#wrapper img[onerror]')).toHaveCount(0);
+  });
+
+  test('display math avoids page breaks when printing', async ({ page }) => {
+    await renderContent(page, '$$\nx = 1\n$$');
+    await page.emulateMedia({ media: 'print' });
+
+    const breakInside = await page.locator('#wrapper .math-display').evaluate(
+      el => getComputedStyle(el).breakInside
+    );
+    expect(breakInside).toBe('avoid');
+  });
+});
@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('node:fs');
+
+/**
+ * Session Backup Tests
+ *
+ * Tests for exporting all sessions to a zip archive and importing them back:
+ * - Export All downloads a .zip
+ * - Import adds the archived sessions with conflict-free names
+ * - Archives without a valid manifest are rejected
+ */
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+function getSessionNames() {
+  const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+  return index.sessions.map(s => s.name);
+}
+
+/**
+ * Export all sessions and return the downloaded archive
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<{filename: string, data: Buffer}>}
+ */
+async function exportArchive(page) {
+  await page.selectOption('#documentSelector', '__manage__');
+  const downloadPromise = page.waitForEvent('download');
+  await page.click('#exportSessionsBtn');
+  const download = await downloadPromise;
+  const path = await download.path();
+  return { filename: download.suggestedFilename(), data: fs.readFileSync(path) };
+}
+
+test.describe('Session Backup', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.goto('http://localhost:8081');
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+
+    await page.evaluate(setEditorValue, '# Backup test');
+    await page.waitForTimeout(500);
+  });
+
+  test('sessions modal should have export and import buttons', async ({ page }) => {
+    await page.selectOption('#documentSelector', '__manage__');
+
+    expect(await page.isVisible('#exportSessionsBtn')).toBe(true);
+    expect(await page.isVisible('#importSessionsBtn')).toBe(true);
+  });
+
+  test('export all should download a zip archive', async ({ page }) => {
+    const { filename, data } = await exportArchive(page);
+
+    expect(filename).toMatch(/^merview-sessions-\d{4}-\d{2}-\d{2}\.zip$/);
+    // Zip files start with "PK"
+    expect(data.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('import should add the archived sessions alongside existing ones', async ({ page }) => {
+    const { filename, data } = await exportArchive(page);
+    const namesBefore = await page.evaluate(getSessionNames);
+
+    await page.setInputFiles('#importSessionsInput', { name: filename, mimeType: 'application/zip', buffer: data });
+    await expect(page.locator('#status')).toContainText('Imported');
+
+    const namesAfter = await page.evaluate(getSessionNames);
+    expect(namesAfter.length).toBe(namesBefore.length * 2);
+    // Same names get a numeric suffix instead of replacing the originals
+    expect(new Set(namesAfter).size).toBe(namesAfter.length);
+  });
+
+  test('imported sessions should keep their content', async ({ page }) => {
+    const { filename, data } = await exportArchive(page);
+    await page.setInputFiles('#importSessionsInput', { name: filename, mimeType: 'application/zip', buffer: data });
+    await expect(page.locator('#status')).toContainText('Imported');
+
+    await page.click('#sessionsList .session-item:not(.session-item-active) [data-action="switch"] >> nth=0');
+    await page.waitForTimeout(500);
+
+    const content = await page.evaluate(() => globalThis.state.cmEditor.getValue());
+    expect(content).toBe('# Backup test');
+  });
+
+  test('import should drop source URLs that could not be loaded', async ({ page }) => {
+    // Exporting loads JSZip, used here to build a tampered backup
+    await exportArchive(page);
+    const data = await page.evaluate(async () => {
+      const zip = new globalThis.JSZip();
+      zip.file('Tampered.md', '# Tampered');
+      zip.file('manifest.json', JSON.stringify({
+        version: 1,
+        activeSessionId: null,
+        sessions: [{ id: 'old-id', name: 'Tampered.md', file: 'Tampered.md', source: 'url', sourceUrl: 'http://169.254.169.254/latest', assets: [] }]
+      }));
+      return zip.generateAsync({ type: 'base64' });
+    });
+
+    await page.setInputFiles('#importSessionsInput', { name: 'tampered.zip', mimeType: 'application/zip', buffer: Buffer.from(data, 'base64') });
+    await expect(page.locator('#status')).toContainText('Imported');
+
+    const imported = await page.evaluate(() => {
+      const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+      return index.sessions.find(s => s.name === 'Tampered.md');
+    });
+    expect(imported.sourceUrl).toBeNull();
+  });
+
+  test('import should reject files that are not session backups', async ({ page }) => {
+    await page.selectOption('#documentSelector', '__manage__');
+    const namesBefore = await page.evaluate(getSessionNames);
+
+    await page.setInputFiles('#importSessionsInput', {
+      name: 'notes.zip',
+      mimeType: 'application/zip',
+      buffer: Buffer.from('not a zip file')
+    });
+    await expect(page.locator('#status')).toContainText('Error importing sessions');
+
+    expect(await page.evaluate(getSessionNames)).toEqual(namesBefore);
+  });
+});
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Session Organization Tests
+ *
+ * Tests for pinning, tagging and filing sessions in folders:
+ * - Pinned sessions are listed first and get their own dropdown group
+ * - Tags and folders are stored in the sessions index
+ * - The sessions modal groups and filters by pin, folder and tag
+ */
+
+function getSessionMeta(name) {
+  const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+  return index.sessions.find(s => s.name === name) || null;
+}
+
+function getOptgroupLabels(groups) {
+  return groups.map(g => g.label);
+}
+
+/**
+ * Create sessions named "Reference" and "Scratch" ("Scratch" is left active)
+ * @param {import('@playwright/test').Page} page
+ */
+async function createSessions(page) {
+  await page.evaluate(() => globalThis.openWikiPage('Reference'));
+  await page.waitForTimeout(500);
+  await page.evaluate(() => globalThis.openWikiPage('Scratch'));
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Click an action button of a session in the sessions modal
+ * @param {import('@playwright/test').Page} page
+ * @param {string} name - Session name
+ * @param {string} action - data-action value
+ * @param {string} [promptAnswer] - Text to enter if the action asks for input
+ */
+async function clickSessionAction(page, name, action, promptAnswer) {
+  if (promptAnswer !== undefined) {
+    page.once('dialog', dialog => dialog.accept(promptAnswer));
+  }
+  const item = page.locator('#sessionsList .session-item', { hasText: name }).first();
+  await item.locator(`[data-action="${action}"]`).click();
+}
+
+test.describe('Session Organization', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.goto('http://localhost:8081');
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+  });
+
+  test('pinning should store the flag and list the session first', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+
+    await clickSessionAction(page, 'Reference', 'pin');
+
+    expect((await page.evaluate(getSessionMeta, 'Reference')).pinned).toBe(true);
+    await expect(page.locator('#sessionsList .sessions-group-header').first()).toContainText('Pinned');
+    await expect(page.locator('#sessionsList .session-item').first()).toContainText('Reference');
+  });
+
+  test('pinned sessions should get their own dropdown group', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+    await clickSessionAction(page, 'Reference', 'pin');
+
+    const labels = await page.$$eval('#documentSelector optgroup', getOptgroupLabels);
+    expect(labels).toContain('Pinned');
+    await expect(page.locator('#pinnedDocsGroup option')).toHaveText(['Reference']);
+  });
+
+  test('tags should be saved and shown on the session', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+
+    await clickSessionAction(page, 'Reference', 'tags', 'api, docs, API');
+
+    expect((await page.evaluate(getSessionMeta, 'Reference')).tags).toEqual(['api', 'docs']);
+    const item = page.locator('#sessionsList .session-item', { hasText: 'Reference' });
+    await expect(item.locator('.session-tag')).toHaveText(['api', 'docs']);
+  });
+
+  test('folders should group sessions in the modal', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+
+    await clickSessionAction(page, 'Reference', 'folder', 'Work');
+
+    expect((await page.evaluate(getSessionMeta, 'Reference')).folder).toBe('Work');
+    await expect(page.locator('#sessionsList .sessions-group-header', { hasText: 'Work' })).toHaveCount(1);
+  });
+
+  test('filter should limit the list to a tag', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+    await clickSessionAction(page, 'Reference', 'tags', 'api');
+
+    await page.selectOption('#sessionsFilter', 'tag:api');
+
+    await expect(page.locator('#sessionsList .session-item')).toHaveCount(1);
+    await expect(page.locator('#sessionsList .session-item')).toContainText('Reference');
+  });
+
+  test('pinned filter should show a message when nothing is pinned', async ({ page }) => {
+    await createSessions(page);
+    await page.selectOption('#documentSelector', '__manage__');
+
+    await page.selectOption('#sessionsFilter', 'pinned');
+
+    await expect(page.locator('#sessionsList .sessions-empty')).toContainText('No sessions match this filter');
+  });
+});
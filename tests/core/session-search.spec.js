@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Session Search Tests
+ *
+ * Tests for full-text search in the sessions modal:
+ * - Searching session content, not just names
+ * - Highlighted snippets of matching lines
+ * - Opening a result at the matching line
+ * - Keyboard shortcut
+ */
+
+const RETRY_DOC = '# Ops Notes\n\nIntro paragraph.\n\n## Errors\n\nThe retry policy is three attempts.';
+const RETRY_LINE = 6;
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+function getCursorLine() {
+  return globalThis.state.cmEditor.getCursor().line;
+}
+
+/**
+ * Create two sessions: one mentioning the retry policy, then an unrelated one (left active)
+ * @param {import('@playwright/test').Page} page
+ */
+async function createSessions(page) {
+  await page.evaluate(setEditorValue, RETRY_DOC);
+  await page.waitForTimeout(500);
+
+  await page.selectOption('#documentSelector', '__new__');
+  await page.waitForTimeout(500);
+  await page.evaluate(setEditorValue, '# Shopping list\n\nApples');
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Type a query in the sessions modal search box
+ * @param {import('@playwright/test').Page} page
+ * @param {string} query
+ */
+async function search(page, query) {
+  await page.selectOption('#documentSelector', '__manage__');
+  await page.fill('#sessionsSearchInput', query);
+}
+
+test.describe('Session Search', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.goto('http://localhost:8081');
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+  });
+
+  test('should find sessions by content', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'retry policy');
+
+    await expect(page.locator('#sessionsList .session-search-result')).toHaveCount(1);
+    await expect(page.locator('#sessionsList .session-snippet')).toContainText('The retry policy is three attempts.');
+  });
+
+  test('should highlight matching terms', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'retry policy');
+
+    const marks = page.locator('#sessionsList .session-snippet mark');
+    await expect(marks).toHaveText(['retry', 'policy']);
+  });
+
+  test('should show a message when nothing matches', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'nonexistent-term-xyz');
+
+    await expect(page.locator('#sessionsList .sessions-empty')).toContainText('No sessions match');
+  });
+
+  test('clearing the search should show all sessions again', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'retry');
+    await expect(page.locator('#sessionsList .session-search-result')).toHaveCount(1);
+
+    await page.fill('#sessionsSearchInput', '');
+
+    await expect(page.locator('#sessionsList .session-search-result')).toHaveCount(0);
+    expect(await page.locator('#sessionsList .session-item').count()).toBeGreaterThanOrEqual(2);
+  });
+
+  test('opening a result should switch session and jump to the matching line', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'retry policy');
+
+    await page.click('#sessionsList .session-snippet >> nth=0');
+    await page.waitForTimeout(500);
+
+    const content = await page.evaluate(() => globalThis.state.cmEditor.getValue());
+    expect(content).toBe(RETRY_DOC);
+    expect(await page.evaluate(getCursorLine)).toBe(RETRY_LINE);
+    expect(await page.isVisible('#sessionsModal')).toBe(false);
+  });
+
+  test('Enter in the search box should open the best match', async ({ page }) => {
+    await createSessions(page);
+    await search(page, 'retry');
+    await expect(page.locator('#sessionsList .session-search-result')).toHaveCount(1);
+
+    await page.press('#sessionsSearchInput', 'Enter');
+    await page.waitForTimeout(500);
+
+    expect(await page.evaluate(getCursorLine)).toBe(RETRY_LINE);
+  });
+
+  test('Ctrl+Shift+F should open the sessions modal with search focused', async ({ page }) => {
+    await page.keyboard.press('Control+Shift+F');
+
+    expect(await page.isVisible('#sessionsModal')).toBe(true);
+    await expect(page.locator('#sessionsSearchInput')).toBeFocused();
+  });
+});
@@ -58,6 +58,27 @@ function getSessionsCount() {
   return index.sessions.length;
 }
 
+/**
+ * Browser-side helper: read a session's content record from IndexedDB
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<{id: string, content: string}|null>} Stored record
+ */
+function getStoredSessionData(sessionId) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('merview');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const get = db.transaction('sessions', 'readonly').objectStore('sessions').get(sessionId);
+      get.onsuccess = () => {
+        db.close();
+        resolve(get.result || null);
+      };
+      get.onerror = () => reject(get.error);
+    };
+  });
+}
+
 function getActiveSessionId() {
   const raw = localStorage.getItem('merview-sessions-index');
   const index = JSON.parse(raw);
@@ -223,15 +244,22 @@ test.describe('Session Management', () => {
         return index.activeSessionId;
       });
 
-      const sessionData = await page.evaluate((sessionId) => {
-        const raw = localStorage.getItem(`merview-session-${sessionId}`);
-        return raw ? JSON.parse(raw) : null;
-      }, activeSessionId);
+      const sessionData = await page.evaluate(getStoredSessionData, activeSessionId);
 
       expect(sessionData).not.toBeNull();
       expect(sessionData.content).toContain('Test Content');
     });
 
+    test('session content should not be stored in localStorage', async ({ page }) => {
+      await page.evaluate(setEditorValue, '# IndexedDB only');
+      await page.waitForTimeout(500);
+
+      const sessionId = await page.evaluate(getActiveSessionId);
+      const inLocalStorage = await page.evaluate((id) => localStorage.getItem(`merview-session-${id}`), sessionId);
+
+      expect(inLocalStorage).toBeNull();
+    });
+
     test('session content size should be tracked', async ({ page }) => {
       // Clear and add new content
       await page.evaluate(() => {
@@ -296,7 +324,7 @@ test.describe('Session Management', () => {
 
       const statsText = await page.textContent('#sessionsStorageInfo');
       expect(statsText).toContain('session');
-      expect(statsText).toMatch(/of 5(\.0)? MB/); // May be "5 MB" or "5.0 MB"
+      expect(statsText).toMatch(/of 500(\.0)? MB/); // May be "500 MB" or "500.0 MB"
     });
 
     test('Sessions modal should list sessions', async ({ page }) => {
@@ -466,6 +494,35 @@ test.describe('Session Management', () => {
       await newPage.close();
     });
 
+    test('should move session content from localStorage to IndexedDB', async ({ page, context }) => {
+      const newPage = await context.newPage();
+      const sessionId = 'session-migrated-content';
+
+      // Sessions saved by earlier versions kept their content in localStorage
+      await newPage.addInitScript((id) => {
+        if (sessionStorage.getItem('migration-seeded')) return;
+        sessionStorage.setItem('migration-seeded', 'true');
+        localStorage.setItem('merview-sessions-index', JSON.stringify({
+          version: 1,
+          activeSessionId: id,
+          sessions: [{ id, name: 'Old Notes.md', lastModified: Date.now(), createdAt: Date.now(), source: 'new', sourceUrl: null, contentSize: 12 }]
+        }));
+        localStorage.setItem(`merview-session-${id}`, JSON.stringify({ id, content: '# Old Notes\n' }));
+      }, sessionId);
+
+      await newPage.goto('http://localhost:8081');
+      await newPage.waitForSelector('.CodeMirror', { timeout: 10000 });
+      await newPage.waitForFunction(() => globalThis.state?.sessionsLoaded === true);
+
+      const stored = await newPage.evaluate(getStoredSessionData, sessionId);
+      expect(stored?.content).toBe('# Old Notes\n');
+
+      const leftover = await newPage.evaluate((id) => localStorage.getItem(`merview-session-${id}`), sessionId);
+      expect(leftover).toBeNull();
+
+      await newPage.close();
+    });
+
   });
 
   test.describe('Session Name Resolution', () => {
@@ -520,17 +577,49 @@ test.describe('Session Management', () => {
       expect(sessionsAfter).toBeGreaterThanOrEqual(sessionsBefore);
     });
 
+    test('corrupted session content should be removed together with its index entry', async ({ page }) => {
+      const sessionId = 'session-corrupted';
+      await page.evaluate((id) => new Promise((resolve, reject) => {
+        const request = indexedDB.open('merview');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const db = request.result;
+          const tx = db.transaction('sessions', 'readwrite');
+          tx.objectStore('sessions').put({ id, content: 42 });
+          tx.oncomplete = () => {
+            db.close();
+            resolve();
+          };
+        };
+      }).then(() => {
+        const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+        index.sessions.unshift({ id, name: 'Broken.md', lastModified: Date.now(), createdAt: Date.now(), source: 'new', sourceUrl: null, contentSize: 2 });
+        index.activeSessionId = id;
+        localStorage.setItem('merview-sessions-index', JSON.stringify(index));
+      }), sessionId);
+
+      await page.reload();
+      await page.waitForFunction(() => globalThis.state?.sessionsLoaded === true);
+
+      const listed = await page.evaluate((id) => {
+        const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+        return index.sessions.some(s => s.id === id);
+      }, sessionId);
+      expect(listed).toBe(false);
+      expect(await page.evaluate(getStoredSessionData, sessionId)).toBeNull();
+    });
+
   });
 
   test.describe('Auto-cleanup When MAX_SESSIONS Exceeded', () => {
 
     test('should enforce MAX_SESSIONS limit', async ({ page }) => {
-      // Verify MAX_SESSIONS constant is 20 by checking storage behavior
+      // Verify MAX_SESSIONS constant is 500 by checking storage behavior
       // We test this by checking session count after multiple creates
       const initialCount = await page.evaluate(getSessionsCount);
 
-      // MAX_SESSIONS should be 20 (defined in sessions.js)
-      expect(initialCount).toBeLessThanOrEqual(20);
+      // MAX_SESSIONS should be 500 (defined in sessions.js)
+      expect(initialCount).toBeLessThanOrEqual(500);
     });
 
     test('should have autoCleanup function that respects active session', async ({ page }) => {
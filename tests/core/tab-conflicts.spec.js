@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Tab Conflict Tests
+ *
+ * Tests for editing the same session in two tabs:
+ * - A tab is told when another tab saves its document, instead of overwriting it
+ * - Reload, merge, or keep this tab's version
+ * - Each tab keeps its own active session, also when another tab's session is deleted
+ */
+
+const BASE_DOC = '# Shared\n\nFirst paragraph.\n\nSecond paragraph.';
+
+function getEditorValue() {
+  return globalThis.state.cmEditor.getValue();
+}
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+/**
+ * Open the app in a page and wait for the editor
+ * @param {import('@playwright/test').Page} page
+ */
+async function openApp(page) {
+  await page.goto('http://localhost:8081');
+  await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+}
+
+/**
+ * Open a second tab on the same document as the first
+ * @param {import('@playwright/test').Page} page - First tab
+ * @returns {Promise<import('@playwright/test').Page>} Second tab
+ */
+async function openSecondTab(page) {
+  await page.evaluate(setEditorValue, BASE_DOC);
+  await page.waitForTimeout(500);
+
+  const other = await page.context().newPage();
+  // Not a fresh visit, so the tab restores the document instead of showing the welcome page
+  await other.addInitScript(() => sessionStorage.setItem('merview-session-initialized', 'true'));
+  await openApp(other);
+  await other.evaluate(setEditorValue, BASE_DOC);
+  await other.waitForTimeout(500);
+  return other;
+}
+
+test.describe('Tab Conflicts', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await openApp(page);
+  });
+
+  test('should notify a tab when another tab saves its document', async ({ page }) => {
+    const other = await openSecondTab(page);
+
+    await other.evaluate(setEditorValue, BASE_DOC.replace('First', 'Other tab first'));
+    await other.waitForTimeout(500);
+
+    await expect(page.locator('#tabConflictModal')).toBeVisible();
+    await expect(page.locator('#tabConflictMessage')).toContainText('changed in another tab');
+    // Nothing to merge: this tab made no changes
+    await expect(page.locator('#mergeTabsBtn')).toBeHidden();
+  });
+
+  test('Reload should load the other tab\'s version', async ({ page }) => {
+    const other = await openSecondTab(page);
+    const otherText = BASE_DOC.replace('First', 'Other tab first');
+
+    await other.evaluate(setEditorValue, otherText);
+    await other.waitForTimeout(500);
+    await page.click('#reloadFromTabBtn');
+
+    expect(await page.evaluate(getEditorValue)).toBe(otherText);
+    await expect(page.locator('#tabConflictModal')).toBeHidden();
+  });
+
+  test('Keep This Tab\'s Version should notify the other tab in turn', async ({ page }) => {
+    const other = await openSecondTab(page);
+
+    await other.evaluate(setEditorValue, BASE_DOC.replace('First', 'Other tab first'));
+    await other.waitForTimeout(500);
+    await page.click('#keepThisTabBtn');
+    await page.waitForTimeout(500);
+
+    expect(await page.evaluate(getEditorValue)).toBe(BASE_DOC);
+    await expect(other.locator('#tabConflictModal')).toBeVisible();
+  });
+
+  test('edits in both tabs should be offered as a merge', async ({ page }) => {
+    const other = await openSecondTab(page);
+
+    // Edit both tabs before either saves (saves follow the 300ms render debounce)
+    await page.evaluate(setEditorValue, BASE_DOC.replace('First', 'This tab first'));
+    await other.evaluate(setEditorValue, BASE_DOC.replace('Second', 'Other tab second'));
+    await page.waitForTimeout(1000);
+
+    // Whichever tab saved second has the conflict
+    const conflicted = await page.isVisible('#tabConflictModal') ? page : other;
+    await expect(conflicted.locator('#mergeTabsBtn')).toBeVisible();
+    await conflicted.click('#mergeTabsBtn');
+
+    const content = await conflicted.evaluate(getEditorValue);
+    expect(content).toContain('This tab first paragraph.');
+    expect(content).toContain('Other tab second paragraph.');
+  });
+
+  test('switching documents in one tab should not change the other tab\'s document', async ({ page }) => {
+    const other = await openSecondTab(page);
+    const firstSessionId = await page.evaluate(() => globalThis.state.activeSessionId);
+
+    await other.selectOption('#documentSelector', '__new__');
+    await other.waitForTimeout(500);
+    await page.evaluate(setEditorValue, BASE_DOC + '\n\nMore text.');
+    await page.waitForTimeout(500);
+
+    expect(await page.evaluate(() => globalThis.state.activeSessionId)).toBe(firstSessionId);
+    expect(await other.evaluate(getEditorValue)).not.toContain('More text.');
+  });
+
+  test('deleting the session another tab has open should not change this tab\'s document', async ({ page }) => {
+    const other = await openSecondTab(page);
+    const firstSessionId = await page.evaluate(() => globalThis.state.activeSessionId);
+
+    // The other tab's new session is the one the index says was opened last
+    await other.selectOption('#documentSelector', '__new__');
+    await other.waitForTimeout(500);
+    const otherSessionId = await other.evaluate(() => globalThis.state.activeSessionId);
+
+    page.on('dialog', dialog => dialog.accept());
+    await page.selectOption('#documentSelector', '__manage__');
+    await page.click(`.session-item[data-session-id="${otherSessionId}"] button[data-action="delete"]`);
+    await page.waitForTimeout(500);
+
+    expect(await page.evaluate(() => globalThis.state.activeSessionId)).toBe(firstSessionId);
+    expect(await page.evaluate(getEditorValue)).toBe(BASE_DOC);
+    const index = await page.evaluate(() => JSON.parse(localStorage.getItem('merview-sessions-index')));
+    expect(index.sessions.map(s => s.id)).not.toContain(otherSessionId);
+    expect(index.activeSessionId).toBe(firstSessionId);
+  });
+});
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Version History Tests
+ *
+ * Tests for per-session version history:
+ * - Snapshots before large changes
+ * - History modal opened from the sessions modal
+ * - Diff against the current text
+ * - Restoring a version
+ */
+
+const ORIGINAL_TEXT = '# Draft\n\nThe original paragraph.';
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+function getEditorValue() {
+  return globalThis.state.cmEditor.getValue();
+}
+
+/**
+ * Replace the original text with a large paste, which snapshots the original
+ * @param {import('@playwright/test').Page} page
+ */
+async function createVersionBeforeLargeChange(page) {
+  await page.selectOption('#documentSelector', '__new__');
+  await page.waitForTimeout(500);
+
+  await page.evaluate(setEditorValue, ORIGINAL_TEXT);
+  await page.waitForTimeout(500);
+
+  await page.evaluate(setEditorValue, '# Rewritten\n\n' + 'Pasted text. '.repeat(200));
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Open the version history of the active session
+ * @param {import('@playwright/test').Page} page
+ */
+async function openActiveSessionHistory(page) {
+  await page.selectOption('#documentSelector', '__manage__');
+  await page.click('.session-item-active [data-action="history"]');
+  await page.waitForSelector('#versionHistoryModal[open]');
+}
+
+test.describe('Version History', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.goto('http://localhost:8081');
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+  });
+
+  test('each session should have a history button', async ({ page }) => {
+    await page.selectOption('#documentSelector', '__manage__');
+
+    const historyButtons = await page.locator('#sessionsList [data-action="history"]').count();
+    expect(historyButtons).toBeGreaterThan(0);
+  });
+
+  test('large change should save the previous text as a version', async ({ page }) => {
+    await createVersionBeforeLargeChange(page);
+    await openActiveSessionHistory(page);
+
+    const versionCount = await page.locator('#versionList .version-item').count();
+    expect(versionCount).toBeGreaterThan(0);
+  });
+
+  test('diff should show what restoring would change', async ({ page }) => {
+    await createVersionBeforeLargeChange(page);
+    await openActiveSessionHistory(page);
+
+    await expect(page.locator('#versionDiff .diff-insert').first()).toContainText('# Draft');
+    await expect(page.locator('#versionDiff .diff-delete').first()).toContainText('# Rewritten');
+    await expect(page.locator('#versionDiffSummary')).toContainText('Restoring adds');
+  });
+
+  test('restore should replace the editor content', async ({ page }) => {
+    await createVersionBeforeLargeChange(page);
+    await openActiveSessionHistory(page);
+
+    await page.click('#restoreVersionBtn');
+    await page.waitForTimeout(500);
+
+    const content = await page.evaluate(getEditorValue);
+    expect(content).toBe(ORIGINAL_TEXT);
+    expect(await page.isVisible('#versionHistoryModal')).toBe(false);
+  });
+
+  test('restore should keep the replaced text as a version', async ({ page }) => {
+    await createVersionBeforeLargeChange(page);
+    await openActiveSessionHistory(page);
+    await page.click('#restoreVersionBtn');
+    await page.waitForTimeout(500);
+
+    await openActiveSessionHistory(page);
+    await page.click('#versionList .version-item >> nth=0');
+
+    await expect(page.locator('#versionDiff .diff-insert').first()).toContainText('# Rewritten');
+  });
+
+  test('escape should close the history modal', async ({ page }) => {
+    await openActiveSessionHistory(page);
+
+    await page.keyboard.press('Escape');
+
+    expect(await page.isVisible('#versionHistoryModal')).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Browser-side helper: names of all sessions in the index
+ * @returns {string[]} Session names
+ */
+function getSessionNames() {
+  const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+  return index.sessions.map(s => s.name);
+}
+
+/**
+ * Browser-side helper: name of the active session
+ * @returns {string|undefined} Active session name
+ */
+function getActiveSessionName() {
+  const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+  return index.sessions.find(s => s.id === index.activeSessionId)?.name;
+}
+
+test.describe('Wiki Links', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'openWikiPage');
+  });
+
+  test.describe('Session links', () => {
+    test('unresolved links are marked and create a session when clicked', async ({ page }) => {
+      await setCodeMirrorContent(page, 'See [[Project Ideas]] for more.');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const link = page.locator('#wrapper a.wiki-link');
+      await expect(link).toHaveClass(/wiki-link-new/);
+      await expect(link).toHaveText('Project Ideas');
+
+      await link.click();
+      await page.waitForTimeout(WAIT_TIMES.MEDIUM);
+
+      expect(await page.evaluate(getSessionNames)).toContain('Project Ideas');
+      expect(await page.evaluate(getActiveSessionName)).toBe('Project Ideas');
+      await expect(page.locator('#wrapper h1')).toHaveText('Project Ideas');
+    });
+
+    test('links to an existing session open it', async ({ page }) => {
+      await setCodeMirrorContent(page, 'Link to [[Project Ideas]]');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+      await page.click('#wrapper a.wiki-link');
+      await page.waitForTimeout(WAIT_TIMES.MEDIUM);
+
+      // From a new document, the same link now resolves to the existing session
+      await page.evaluate(() => globalThis.changeDocument('__new__'));
+      await setCodeMirrorContent(page, 'Back to [[project ideas|the ideas]]');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const link = page.locator('#wrapper a.wiki-link');
+      await expect(link).not.toHaveClass(/wiki-link-new/);
+      await expect(link).toHaveText('the ideas');
+
+      await link.click();
+      await page.waitForTimeout(WAIT_TIMES.MEDIUM);
+      expect(await page.evaluate(getActiveSessionName)).toBe('Project Ideas');
+    });
+
+    test('[[#Heading]] links within the document', async ({ page }) => {
+      await setCodeMirrorContent(page, '[[#Getting Started]]\n\n## Getting Started');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      await expect(page.locator('#wrapper a.wiki-link')).toHaveAttribute('href', '#getting-started');
+    });
+  });
+
+  test.describe('URL-loaded documents', () => {
+    test('links resolve to sibling markdown files', async ({ page }) => {
+      await page.evaluate(() => {
+        globalThis.state.loadedFromURL = 'https://raw.githubusercontent.com/user/repo/main/docs/guide.md';
+      });
+      await setCodeMirrorContent(page, '[[Other Page]] and [[notes/Setup#Install]]');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const hrefs = await page.$$eval('#wrapper a.wiki-link', links => links.map(a => a.getAttribute('href')));
+      expect(hrefs).toEqual([
+        'https://raw.githubusercontent.com/user/repo/main/docs/Other%20Page.md',
+        'https://raw.githubusercontent.com/user/repo/main/docs/notes/Setup.md#install'
+      ]);
+      await expect(page.locator('#wrapper a.wiki-link[data-merview-link="true"]')).toHaveCount(2);
+    });
+  });
+
+  test.describe('Interaction with other syntax', () => {
+    test('[[toc]] is not treated as a wiki link', async ({ page }) => {
+      await setCodeMirrorContent(page, '# Title\n\n[[toc]]\n\nInline [[toc]] text');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      await expect(page.locator('#wrapper nav.table-of-contents')).toHaveCount(1);
+      await expect(page.locator('#wrapper a.wiki-link')).toHaveCount(0);
+    });
+
+    test('wiki links in code are left as text', async ({ page }) => {
+      await setCodeMirrorContent(page, 'Use `[[Page]]` syntax');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      await expect(page.locator('#wrapper a.wiki-link')).toHaveCount(0);
+      await expect(page.locator('#wrapper code')).toHaveText('[[Page]]');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Trigger Save as .docx and return the downloaded file
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<{filename: string, data: Buffer}>} Downloaded file
+ */
+async function exportDocx(page) {
+  const downloadPromise = page.waitForEvent('download', { timeout: 30000 });
+  await page.click('button:has-text("Save as .docx")');
+  const download = await downloadPromise;
+  return {
+    filename: download.suggestedFilename(),
+    data: fs.readFileSync(await download.path())
+  };
+}
+
+/**
+ * Tests for Word (.docx) export
+ * .docx files are zip archives; part names are stored uncompressed in the zip headers.
+ */
+test.describe('Save as .docx', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'saveFileAsDocx');
+    await page.evaluate(() => { globalThis.state.currentFilename = 'spec.md'; });
+  });
+
+  test('Save as .docx button should exist in toolbar', async ({ page }) => {
+    await expect(page.locator('.toolbar-buttons button:has-text("Save as .docx")')).toHaveAttribute('onclick', 'saveFileAsDocx()');
+  });
+
+  test('downloads a Word document named after the file', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Spec\n\n- one\n- two\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n```js\nconst a = 1;\n```');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { filename, data } = await exportDocx(page);
+
+    expect(filename).toBe('spec.docx');
+    expect(data.subarray(0, 2).toString()).toBe('PK');
+    expect(data.includes('word/document.xml')).toBe(true);
+    expect(data.includes('word/numbering.xml')).toBe(true);
+  });
+
+  test('Mermaid diagrams are embedded as images', async ({ page }) => {
+    const filler = Array.from({ length: 100 }, (_, i) => `Paragraph ${i}`).join('\n\n');
+    await setCodeMirrorContent(page, `${filler}\n\n\`\`\`mermaid\ngraph TD\nA[Start] --> B[End]\n\`\`\``);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { data } = await exportDocx(page);
+
+    expect(data.includes('word/media/')).toBe(true);
+    await expect(page.locator('#status')).toContainText('Saved: spec.docx');
+  });
+
+  test('shows an error when there is no content', async ({ page }) => {
+    await page.evaluate(() => {
+      document.getElementById('wrapper').innerHTML = '';
+      globalThis.saveFileAsDocx();
+    });
+
+    await expect(page.locator('#status')).toContainText('No content to export');
+  });
+});
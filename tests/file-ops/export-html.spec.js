@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Trigger Export HTML and return the downloaded file
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<{filename: string, html: string}>} Downloaded file
+ */
+async function exportHTML(page) {
+  const downloadPromise = page.waitForEvent('download');
+  await page.click('button:has-text("Export HTML")');
+  const download = await downloadPromise;
+  return {
+    filename: download.suggestedFilename(),
+    html: fs.readFileSync(await download.path(), 'utf8')
+  };
+}
+
+/**
+ * Tests for the self-contained HTML export
+ */
+test.describe('Export HTML', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'exportToHTML');
+    await page.evaluate(() => { globalThis.state.currentFilename = 'report.md'; });
+  });
+
+  test('Export HTML button should exist in toolbar', async ({ page }) => {
+    await expect(page.locator('.toolbar-buttons button:has-text("Export HTML")')).toHaveAttribute('onclick', 'exportToHTML()');
+  });
+
+  test('exports rendered content with the document title and filename', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Quarterly Report\n\nSome **bold** text.');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { filename, html } = await exportHTML(page);
+
+    expect(filename).toBe('report.html');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Quarterly Report</title>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).not.toContain('data-source-line');
+  });
+
+  test('includes the preview style and syntax theme CSS', async ({ page }) => {
+    await setCodeMirrorContent(page, '```js\nconst a = 1;\n```');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { html } = await exportHTML(page);
+
+    expect(html).toContain('@layer preview-styles');
+    expect(html).toContain('@layer syntax-theme');
+    expect(html).toContain('class="hljs-keyword"');
+  });
+
+  test('loaded CSS cannot close the style element', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Styled');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => {
+      const style = document.getElementById('marked-custom-style');
+      style.textContent += '\n/* </style><script>alert(1)</script> */\n.note::before { content: "<"; }';
+    });
+
+    const { html } = await exportHTML(page);
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html.match(/<\/style>/gi)).toHaveLength(1);
+    expect(html).toContain(String.raw`content: "\3C ";`);
+  });
+
+  test('inlines the KaTeX stylesheet for math, with fonts from the CDN', async ({ page }) => {
+    await setCodeMirrorContent(page, 'Euler: $e^{i\\pi} + 1 = 0$');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { html } = await exportHTML(page);
+
+    expect(html).toContain('class="katex"');
+    expect(html).not.toMatch(/<link[^>]+katex/);
+    expect(html).toMatch(/\.katex\s*\{/);
+    expect(html).toMatch(/url\("?https:\/\/cdn\.jsdelivr\.net\/npm\/katex@[^/]+\/dist\/fonts\//);
+  });
+
+  test('diagrams are rendered first and inlined as SVG without editor controls', async ({ page }) => {
+    const filler = Array.from({ length: 100 }, (_, i) => `Paragraph ${i}`).join('\n\n');
+    await setCodeMirrorContent(page, `${filler}\n\n\`\`\`mermaid\ngraph TD\nA[Start] --> B[End]\n\`\`\``);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const { html } = await exportHTML(page);
+
+    expect(html).toMatch(/<div class="mermaid"[^>]*><svg[^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(html).toContain('Start');
+    expect(html).not.toContain('mermaid-expand-btn');
+    expect(html).not.toContain('mermaid-download-btn');
+  });
+
+  test('shows an error when there is no content', async ({ page }) => {
+    await page.evaluate(() => {
+      document.getElementById('wrapper').innerHTML = '';
+      globalThis.exportToHTML();
+    });
+
+    await expect(page.locator('#status')).toContainText('No content to export');
+  });
+});
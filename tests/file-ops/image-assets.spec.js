@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  getCodeMirrorContent,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+const ASSET_REFERENCE = /!\[(.*?)\]\(merview-asset:([\w-]+)\)/;
+
+/**
+ * Browser-side helper: paste or drop a small PNG into the editor
+ * @param {{name: string, how: 'paste'|'drop'}} options - File name and event type
+ * @returns {Promise<void>}
+ */
+async function browserAddImage({ name, how }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 4;
+  canvas.height = 4;
+  canvas.getContext('2d').fillRect(0, 0, 4, 4);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+  const dataTransfer = new DataTransfer();
+  dataTransfer.items.add(new File([blob], name, { type: 'image/png' }));
+
+  if (how === 'paste') {
+    globalThis.state.cmEditor.focus();
+    globalThis.state.cmEditor.getInputField().dispatchEvent(
+      new ClipboardEvent('paste', { clipboardData: dataTransfer, bubbles: true, cancelable: true })
+    );
+  } else {
+    const rect = document.querySelector('.CodeMirror').getBoundingClientRect();
+    document.querySelector('.CodeMirror').dispatchEvent(new DragEvent('drop', {
+      dataTransfer, bubbles: true, cancelable: true, clientX: rect.left + 40, clientY: rect.top + 10
+    }));
+  }
+}
+
+/**
+ * Tests for images pasted or dropped into the editor (stored in IndexedDB)
+ */
+test.describe('Image Assets', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'saveFile');
+    await setCodeMirrorContent(page, '');
+  });
+
+  test('pasted image is stored and referenced with a merview-asset: URL', async ({ page }) => {
+    await page.evaluate(browserAddImage, { name: 'screenshot.png', how: 'paste' });
+
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+    expect(await getCodeMirrorContent(page)).toMatch(/^!\[screenshot\]/);
+    await expect(page.locator('#status')).toContainText('Image added');
+  });
+
+  test('image pasted into a new document belongs to a session', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.removeItem('merview-sessions-index');
+      globalThis.state.activeSessionId = null;
+    });
+    await page.evaluate(browserAddImage, { name: 'shot.png', how: 'paste' });
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+
+    const id = (await getCodeMirrorContent(page)).match(ASSET_REFERENCE)[2];
+    const { sessionId, activeSessionId } = await page.evaluate(assetId => new Promise((resolve, reject) => {
+      const request = indexedDB.open('merview');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const get = request.result.transaction('assets').objectStore('assets').get(assetId);
+        get.onsuccess = () => resolve({ sessionId: get.result.sessionId, activeSessionId: globalThis.state.activeSessionId });
+      };
+    }), id);
+
+    expect(sessionId).toBeTruthy();
+    expect(sessionId).toBe(activeSessionId);
+  });
+
+  test('dropped image is inserted instead of being rejected', async ({ page }) => {
+    await page.evaluate(browserAddImage, { name: 'diagram.png', how: 'drop' });
+
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+    await expect(page.locator('#status')).not.toContainText('Please drop');
+  });
+
+  test('preview shows the stored image', async ({ page }) => {
+    await page.evaluate(browserAddImage, { name: 'shot.png', how: 'paste' });
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const img = page.locator('#wrapper img[data-asset-id]');
+    await expect(img).toHaveAttribute('src', /^blob:/);
+    await expect.poll(() => img.evaluate(el => /** @type {HTMLImageElement} */ (el).naturalWidth)).toBe(4);
+  });
+
+  test('unknown asset references are marked as missing', async ({ page }) => {
+    await setCodeMirrorContent(page, '![gone](merview-asset:does-not-exist)');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    await expect(page.locator('#wrapper img[data-asset-id="does-not-exist"]')).toHaveClass(/missing-asset/);
+  });
+
+  test('saved markdown embeds images as data: URLs', async ({ page }) => {
+    await page.evaluate(() => { globalThis.state.currentFilename = 'notes.md'; });
+    await page.evaluate(browserAddImage, { name: 'shot.png', how: 'paste' });
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.evaluate(() => globalThis.saveFile());
+    const download = await downloadPromise;
+    const saved = fs.readFileSync(await download.path(), 'utf8');
+
+    expect(saved).toMatch(/^!\[shot\]\(data:image\/png;base64,/);
+    expect(saved).not.toContain('merview-asset:');
+  });
+
+  test('HTML export embeds images as data: URLs', async ({ page }) => {
+    await page.evaluate(() => { globalThis.state.currentFilename = 'notes.md'; });
+    await page.evaluate(browserAddImage, { name: 'shot.png', how: 'paste' });
+    await expect.poll(() => getCodeMirrorContent(page)).toMatch(ASSET_REFERENCE);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.evaluate(() => globalThis.exportToHTML());
+    const download = await downloadPromise;
+    const html = fs.readFileSync(await download.path(), 'utf8');
+
+    expect(html).toContain('src="data:image/png;base64,');
+    expect(html).not.toContain('blob:');
+    expect(html).not.toContain('data-asset-id');
+  });
+});
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  getCodeMirrorContent,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+const CONFLUENCE_PAGE = `<!DOCTYPE html>
+<html><head><title>Spec</title><style>body { color: red; }</style></head>
+<body>
+  <div id="title-heading"><span id="title-text">Release Plan</span></div>
+  <div id="main-content">
+    <h2>Goals</h2>
+    <p>Ship <strong>faster</strong> with <a href="https://example.com">docs</a>.</p>
+    <ul><li>One</li><li>Two</li></ul>
+    <table><tbody><tr><th>Name</th><th>Owner</th></tr><tr><td>API</td><td>Sam</td></tr></tbody></table>
+    <pre class="syntaxhighlighter-pre" data-syntaxhighlighter-params="brush: java; gutter: false">int x = 1;</pre>
+    <script>alert(1)</script>
+  </div>
+</body></html>`;
+
+/**
+ * Browser-side helper: drop a file onto the editor
+ * @param {{name: string, type: string, content: string}} file - File to drop
+ */
+function browserDropFile({ name, type, content }) {
+  const dataTransfer = new DataTransfer();
+  dataTransfer.items.add(new File([content], name, { type }));
+  document.querySelector('.CodeMirror').dispatchEvent(
+    new DragEvent('drop', { dataTransfer, bubbles: true, cancelable: true })
+  );
+}
+
+/**
+ * Browser-side helper: paste clipboard data into the editor
+ * @param {{html: string, text: string}} clipboard - Clipboard contents
+ */
+function browserPaste({ html, text }) {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData('text/html', html);
+  clipboardData.setData('text/plain', text);
+  globalThis.state.cmEditor.focus();
+  globalThis.state.cmEditor.getInputField().dispatchEvent(
+    new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true })
+  );
+}
+
+/**
+ * Tests for importing HTML and Word documents (and pasted rich text) as markdown
+ */
+test.describe('Document Import', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'openFile');
+  });
+
+  test('dropped HTML file is converted to markdown', async ({ page }) => {
+    await page.evaluate(browserDropFile, { name: 'release-plan.html', type: 'text/html', content: CONFLUENCE_PAGE });
+
+    await expect(page.locator('#status')).toContainText('Imported: release-plan.html');
+    const content = await getCodeMirrorContent(page);
+
+    expect(content).toContain('# Release Plan');
+    expect(content).toContain('## Goals');
+    expect(content).toContain('Ship **faster** with [docs](https://example.com).');
+    expect(content).toContain('- One\n- Two');
+    expect(content).toContain('| Name | Owner |\n| --- | --- |\n| API | Sam |');
+    expect(content).toContain('```java\nint x = 1;\n```');
+    expect(content).not.toContain('alert');
+    expect(content).not.toContain('color: red');
+    expect(await page.evaluate(() => globalThis.state.currentFilename)).toBe('release-plan.md');
+  });
+
+  test('HTML file can be opened with the file picker', async ({ page }) => {
+    await page.setInputFiles('#mdFileInput', {
+      name: 'page.htm',
+      mimeType: 'text/html',
+      buffer: Buffer.from('<h1>Picked</h1><p><em>Hello</em></p>')
+    });
+
+    await expect(page.locator('#status')).toContainText('Imported: page.htm');
+    expect(await getCodeMirrorContent(page)).toBe('# Picked\n\n*Hello*\n');
+  });
+
+  test('Word document round-trips through Save as .docx', async ({ page }) => {
+    await page.evaluate(() => { globalThis.state.currentFilename = 'roundtrip.md'; });
+    await setCodeMirrorContent(page, '# Roundtrip\n\nSome **bold** text.\n\n- alpha\n- beta');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const downloadPromise = page.waitForEvent('download', { timeout: 30000 });
+    await page.evaluate(() => globalThis.saveFileAsDocx());
+    const download = await downloadPromise;
+
+    await setCodeMirrorContent(page, '');
+    await page.setInputFiles('#mdFileInput', {
+      name: 'roundtrip.docx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      buffer: fs.readFileSync(await download.path())
+    });
+
+    await expect(page.locator('#status')).toContainText('Imported: roundtrip.docx', { timeout: 30000 });
+    const content = await getCodeMirrorContent(page);
+    expect(content).toContain('# Roundtrip');
+    expect(content).toContain('**bold**');
+    expect(content).toContain('- alpha');
+  });
+
+  test('unsupported files are still rejected', async ({ page }) => {
+    await page.evaluate(browserDropFile, { name: 'app.js', type: 'text/javascript', content: 'alert(1)' });
+
+    await expect(page.locator('#status')).toContainText('Please drop a markdown, text, HTML or Word (.docx) file');
+  });
+
+  test('pasted rich text is inserted as markdown', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    await page.evaluate(browserPaste, {
+      html: '<meta charset="utf-8"><h2>Notes</h2><ol><li>First</li><li><a href="https://example.com">Second</a></li></ol>',
+      text: 'Notes\nFirst\nSecond'
+    });
+
+    await expect.poll(() => getCodeMirrorContent(page)).toBe('## Notes\n\n1. First\n2. [Second](https://example.com)');
+  });
+
+  test('HTML without structure pastes as plain text', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    const defaultPrevented = await page.evaluate(() => {
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/html', '<div><span style="color: blue">const a = 1;</span></div>');
+      clipboardData.setData('text/plain', 'const a = 1;');
+      const event = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+      globalThis.state.cmEditor.getInputField().dispatchEvent(event);
+      return event.defaultPrevented;
+    });
+
+    expect(defaultPrevented).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Browser-side helper: run Save as PDF with print() mocked and capture the page at print time
+ * @returns {Promise<{pageCSS: string|null, cover: string|null}>} Page setup CSS and cover text
+ */
+function browserCapturePrint() {
+  return new Promise(function resolveOnPrint(resolve) {
+    const originalPrint = globalThis.print;
+    globalThis.print = function mockPrint() {
+      globalThis.print = originalPrint;
+      resolve({
+        pageCSS: document.getElementById('pdf-page-setup')?.textContent ?? null,
+        cover: document.querySelector('#wrapper .pdf-cover')?.innerText ?? null
+      });
+    };
+    globalThis.exportToPDF();
+  });
+}
+
+/**
+ * Tests for PDF Page Setup (page size, margins, header/footer and cover page)
+ */
+test.describe('PDF Page Setup', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'showPDFOptionsModal');
+    await page.evaluate(() => localStorage.removeItem('pdf-options'));
+  });
+
+  test('PDF Setup button opens the modal with the default options', async ({ page }) => {
+    await page.click('.toolbar-buttons button:has-text("PDF Setup")');
+
+    const modal = page.locator('#pdfOptionsModal');
+    await expect(modal).toBeVisible();
+    await expect(modal.locator('select[name="pageSize"]')).toHaveValue('A4');
+    await expect(modal.locator('select[name="margin"]')).toHaveValue('normal');
+    await expect(modal.locator('input[name="footer"]')).toBeChecked();
+    await expect(modal.locator('input[name="coverPage"]')).not.toBeChecked();
+  });
+
+  test('saved options are stored and reused', async ({ page }) => {
+    await page.click('.toolbar-buttons button:has-text("PDF Setup")');
+    await page.selectOption('#pdfOptionsModal select[name="pageSize"]', 'letter');
+    await page.selectOption('#pdfOptionsModal select[name="orientation"]', 'landscape');
+    await page.click('#pdfOptionsSave');
+
+    await expect(page.locator('#pdfOptionsModal')).toBeHidden();
+    const saved = await page.evaluate(() => JSON.parse(localStorage.getItem('pdf-options')));
+    expect(saved).toMatchObject({ pageSize: 'letter', orientation: 'landscape' });
+  });
+
+  test('print uses @page rules with the title header and page X of Y footer', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Annual "Plan"\n\nBody text.');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({ pageSize: 'A5', margin: 'wide' })));
+
+    const { pageCSS } = await page.evaluate(browserCapturePrint);
+
+    expect(pageCSS).toContain('size: A5 portrait;');
+    expect(pageCSS).toContain('margin: 30mm;');
+    expect(pageCSS).toContain('@top-center { content: "Annual \\"Plan\\""');
+    expect(pageCSS).toContain('"Page " counter(page) " of " counter(pages)');
+  });
+
+  test('tampered saved options fall back to the defaults', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Title \\ with "quotes"');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({
+      pageSize: 'A4; } body { display: none',
+      orientation: 'sideways',
+      margin: '0; } *',
+      header: 'yes'
+    })));
+
+    const { pageCSS } = await page.evaluate(browserCapturePrint);
+
+    expect(pageCSS).toContain('size: A4 portrait;');
+    expect(pageCSS).toContain('margin: 20mm;');
+    expect(pageCSS).not.toContain('display: none');
+    expect(pageCSS).toContain(String.raw`@top-center { content: "Title \\ with \"quotes\""`);
+  });
+
+  test('header and footer can be turned off', async ({ page }) => {
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({ header: false, footer: false })));
+
+    const { pageCSS } = await page.evaluate(browserCapturePrint);
+
+    expect(pageCSS).not.toContain('@top-center');
+    expect(pageCSS).not.toContain('@bottom-center');
+  });
+
+  test('cover page is built from front matter', async ({ page }) => {
+    await setCodeMirrorContent(page, '---\ntitle: Field Guide\nauthor: Jane Doe\ndate: 2025-01-31\n---\n\n# Introduction');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({ coverPage: true })));
+
+    const { pageCSS, cover } = await page.evaluate(browserCapturePrint);
+
+    expect(cover).toContain('Field Guide');
+    expect(cover).toContain('Jane Doe');
+    expect(cover).toContain('2025-01-31');
+    expect(pageCSS).toContain('@page :first');
+    expect(pageCSS).toContain('@top-center { content: "Field Guide"');
+  });
+
+  test('no cover page without front matter', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Just a heading');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({ coverPage: true })));
+
+    const { pageCSS, cover } = await page.evaluate(browserCapturePrint);
+
+    expect(cover).toBeNull();
+    expect(pageCSS).not.toContain('@page :first');
+  });
+
+  test('page setup is removed after printing', async ({ page }) => {
+    await setCodeMirrorContent(page, '---\ntitle: Cleanup\n---\n\nText');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+    await page.evaluate(() => localStorage.setItem('pdf-options', JSON.stringify({ coverPage: true })));
+
+    await page.evaluate(browserCapturePrint);
+    await page.evaluate(() => globalThis.dispatchEvent(new Event('afterprint')));
+
+    await expect(page.locator('#pdf-page-setup')).toHaveCount(0);
+    await expect(page.locator('#wrapper .pdf-cover')).toHaveCount(0);
+  });
+
+  test('HR as Page Break rule stays active alongside the page setup', async ({ page }) => {
+    await page.evaluate(() => {
+      globalThis.state.hrAsPageBreak = false;
+      globalThis.changeStyle('HR as Page Break');
+    });
+
+    await page.evaluate(browserCapturePrint);
+
+    await expect(page.locator('#hr-page-break-style')).toHaveCount(1);
+    await expect(page.locator('#pdf-page-setup')).toHaveCount(1);
+  });
+});
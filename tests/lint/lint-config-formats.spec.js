@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForElementClass
+} = require('../helpers/test-utils');
+
+/**
+ * js-yaml is fetched from CDN on first use, so allow extra time
+ */
+const PARSER_LOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Browser-side helper: set editor content, render and validate
+ * @param {string} content - Markdown content
+ */
+async function browserRenderAndValidate(content) {
+  globalThis.state.cmEditor.setValue(content);
+  await globalThis.renderMarkdown();
+  globalThis.validateCode();
+}
+
+/**
+ * Browser-side helper: issues reported for one language
+ * @param {string} language - Language label (YAML, TOML, XML)
+ * @returns {Array<Object>} Matching issues
+ */
+function getIssuesFor(language) {
+  return (globalThis.state.codeIssues || []).filter(issue => issue.language === language);
+}
+
+/**
+ * Render content with the lint panel open and return issues for a language
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} content - Markdown content
+ * @param {string} language - Language label
+ * @returns {Promise<Array<Object>>} Issues
+ */
+async function lint(page, content, language) {
+  await page.evaluate(browserRenderAndValidate, content);
+  return page.evaluate(getIssuesFor, language);
+}
+
+/**
+ * YAML, TOML and XML code block validation
+ */
+test.describe('Lint Panel - YAML, TOML and XML Validation', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.click('#lintToggle');
+    await waitForElementClass(page, '#lintPanel', 'show');
+  });
+
+  test.describe('YAML', () => {
+    /**
+     * Make sure js-yaml is loaded before checking parse results
+     * @param {import('@playwright/test').Page} page - Playwright page object
+     */
+    async function loadYamlParser(page) {
+      await page.evaluate(browserRenderAndValidate, '```yaml\na: 1\n```');
+      await page.waitForFunction(() => globalThis.jsyaml !== undefined, { timeout: PARSER_LOAD_TIMEOUT_MS });
+    }
+
+    test('reports parse errors with line numbers', async ({ page }) => {
+      await loadYamlParser(page);
+      const issues = await lint(page, '```yaml\napiVersion: v1\nmetadata:\n  name: demo\n   labels: broken\n```', 'YAML');
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ type: 'error', line: 4 });
+      expect(issues[0].message).toContain('indentation');
+    });
+
+    test('valid multi-document YAML passes (yml alias too)', async ({ page }) => {
+      await loadYamlParser(page);
+      const issues = await lint(page, '```yml\nkind: Service\n---\nkind: Deployment\nspec:\n  replicas: 2\n```', 'YAML');
+
+      expect(issues).toHaveLength(0);
+    });
+
+    test('anchors, aliases and tags are flagged like front matter', async ({ page }) => {
+      const issues = await lint(page, '```yaml\nbase: &base\n  a: 1\nother: *base\nrun: !!python/object x\n```', 'YAML');
+
+      expect(issues.map(issue => [issue.type, issue.line])).toEqual([
+        ['warning', 1],
+        ['warning', 3],
+        ['warning', 4]
+      ]);
+    });
+  });
+
+  test.describe('TOML', () => {
+    test('valid Cargo manifest passes', async ({ page }) => {
+      const cargo = [
+        '[package]',
+        'name = "merview"',
+        'version = "0.1.0"',
+        '',
+        '[dependencies]',
+        'serde = { version = "1.0", features = ["derive"] }',
+        '',
+        '[[bin]]',
+        'name = "cli"'
+      ].join('\n');
+      const issues = await lint(page, '```toml\n' + cargo + '\n```', 'TOML');
+
+      expect(issues).toHaveLength(0);
+    });
+
+    test('unquoted strings are reported with line and column', async ({ page }) => {
+      const issues = await lint(page, '```toml\n[package]\nname = merview\n```', 'TOML');
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ type: 'error', line: 2, column: 8 });
+    });
+
+    test('duplicate keys and tables are reported', async ({ page }) => {
+      expect(await lint(page, '```toml\na = 1\na = 2\n```', 'TOML')).toHaveLength(1);
+      expect(await lint(page, '```toml\n[a]\n[b]\n[a]\n```', 'TOML')).toHaveLength(1);
+    });
+  });
+
+  test.describe('XML', () => {
+    test('well-formed XML passes', async ({ page }) => {
+      const issues = await lint(page, '```xml\n<?xml version="1.0"?>\n<config><item id="1">value</item></config>\n```', 'XML');
+
+      expect(issues).toHaveLength(0);
+    });
+
+    test('mismatched tags are reported with a line number', async ({ page }) => {
+      const issues = await lint(page, '```xml\n<config>\n    <item>value</itme>\n</config>\n```', 'XML');
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0].line).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForElementClass
+} = require('../helpers/test-utils');
+
+/**
+ * The parser bundle is fetched from CDN on first use, so allow extra time
+ */
+const PARSER_LOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Browser-side helper: set editor content and render immediately
+ * @param {string} content - Markdown content
+ */
+async function browserSetContentAndRender(content) {
+  globalThis.state.cmEditor.setValue(content);
+  await globalThis.renderMarkdown();
+}
+
+/**
+ * Browser-side helper: JS/TS issues currently reported by the lint panel
+ * @returns {Array<Object>} Issues for JavaScript and TypeScript blocks
+ */
+function getScriptIssues() {
+  return (globalThis.state.codeIssues || []).filter(
+    issue => issue.language === 'JavaScript' || issue.language === 'TypeScript'
+  );
+}
+
+/**
+ * Set content with the lint panel open and wait for JS/TS validation
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} content - Markdown content
+ */
+async function validateContent(page, content) {
+  await page.evaluate(browserSetContentAndRender, content);
+  await page.waitForFunction(() => globalThis.Babel !== undefined, { timeout: PARSER_LOAD_TIMEOUT_MS });
+  await page.evaluate(() => globalThis.validateCode());
+}
+
+/**
+ * JavaScript/TypeScript syntax validation (parser-based, never executes code)
+ */
+test.describe('Lint Panel - JavaScript/TypeScript Validation', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.click('#lintToggle');
+    await waitForElementClass(page, '#lintPanel', 'show');
+  });
+
+  test('reports syntax errors with line and column', async ({ page }) => {
+    await validateContent(page, '```js\nconst a = 1;\nconst b = ;\n```');
+
+    const issues = await page.evaluate(getScriptIssues);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ type: 'error', language: 'JavaScript', block: 1, line: 2, column: 11 });
+    await expect(page.locator('#lintContent .lint-issue-location')).toHaveText('Line 2, column 11');
+  });
+
+  test('valid JavaScript, JSX and modules pass', async ({ page }) => {
+    await validateContent(page, [
+      '```javascript\nimport x from "y";\nexport const el = <div>{x}</div>;\nawait fetch("/");\n```',
+      '```js\nfunction f() { return 1; }\n```'
+    ].join('\n\n'));
+
+    expect(await page.evaluate(getScriptIssues)).toHaveLength(0);
+  });
+
+  test('TypeScript syntax is understood for ts and typescript blocks', async ({ page }) => {
+    await validateContent(page, [
+      '```ts\ninterface User { name: string }\nconst u: User = { name: "a" };\n```',
+      '```typescript\nfunction id<T>(value: T): T { return value; }\n```'
+    ].join('\n\n'));
+
+    expect(await page.evaluate(getScriptIssues)).toHaveLength(0);
+  });
+
+  test('TypeScript errors are labeled TypeScript', async ({ page }) => {
+    await validateContent(page, '```typescript\nlet x: = 5;\n```');
+
+    const issues = await page.evaluate(getScriptIssues);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].language).toBe('TypeScript');
+    expect(issues[0].line).toBe(1);
+  });
+
+  test('recoverable errors in one block are all reported', async ({ page }) => {
+    await validateContent(page, '```js\nlet a = 1;\nlet a = 2;\nlet b = 1;\nlet b = 2;\n```');
+
+    expect(await page.evaluate(getScriptIssues)).toHaveLength(2);
+  });
+
+  test('code is parsed, never executed', async ({ page }) => {
+    await validateContent(page, '```js\nglobalThis.lintExecuted = true;\n```');
+
+    expect(await page.evaluate(() => globalThis.lintExecuted)).toBeUndefined();
+  });
+
+  test('untagged code blocks are not checked as JavaScript', async ({ page }) => {
+    await validateContent(page, '```js\nok();\n```\n\n```\nif x then y = 1 and (\n```');
+
+    expect(await page.evaluate(getScriptIssues)).toHaveLength(0);
+  });
+
+  test('error messages are escaped in the panel', async ({ page }) => {
+    await validateContent(page, '```js\nconst a = <div></span>;\n```');
+
+    await expect(page.locator('#lintContent .lint-issue-message')).toContainText('<div>');
+    await expect(page.locator('#lintContent .lint-issue-message div')).toHaveCount(0);
+  });
+});
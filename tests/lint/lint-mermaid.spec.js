@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForElementClass
+} = require('../helpers/test-utils');
+
+/**
+ * Browser-side helper: set editor content, render and wait for validation
+ * (validateCode resolves once Mermaid diagrams have been parsed)
+ * @param {string} content - Markdown content
+ */
+async function browserRenderAndValidate(content) {
+  globalThis.state.cmEditor.setValue(content);
+  await globalThis.renderMarkdown();
+  // Validate now rather than racing the debounced pass renderMarkdown scheduled
+  clearTimeout(globalThis.state.validationTimeout);
+  await globalThis.validateCode();
+}
+
+/**
+ * Browser-side helper: Mermaid issues reported by the lint panel
+ * @returns {Array<Object>} Mermaid issues
+ */
+function getMermaidIssues() {
+  return (globalThis.state.codeIssues || []).filter(issue => issue.language === 'Mermaid');
+}
+
+/**
+ * Browser-side helper: editor lines that have a lint gutter marker
+ * @returns {Array<{line: number, className: string}>} Marked lines
+ */
+function getGutterMarkers() {
+  const cm = globalThis.state.cmEditor;
+  const markers = [];
+  cm.eachLine(handle => {
+    const marker = handle.gutterMarkers?.['lint-markers'];
+    if (marker) {
+      markers.push({ line: cm.getLineNumber(handle), className: marker.className });
+    }
+  });
+  return markers;
+}
+
+/**
+ * Mermaid diagram validation in the lint panel and editor gutter
+ */
+test.describe('Lint Panel - Mermaid Validation', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.click('#lintToggle');
+    await waitForElementClass(page, '#lintPanel', 'show');
+  });
+
+  test('reports diagram syntax errors with the line in the diagram', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '# Diagram\n\n```mermaid\ngraph TD\n    A --> B\n    B -->\n```');
+
+    const issues = await page.evaluate(getMermaidIssues);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ type: 'error', diagram: 1, line: 3 });
+    await expect(page.locator('#lintContent .lint-issue-header')).toContainText('Mermaid - Diagram #1');
+  });
+
+  test('diagrams are numbered separately from code blocks', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '```json\n{"ok": true}\n```\n\n```mermaid\ngraph TD\n    A --> B\n```\n\n```mermaid\ngraph TD\n    B -->\n```');
+
+    const issues = await page.evaluate(getMermaidIssues);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ diagram: 2 });
+    await expect(page.locator('#lintContent .lint-issue-header')).toContainText('Mermaid - Diagram #2');
+  });
+
+  test('diagrams below the fold are checked before they render', async ({ page }) => {
+    const filler = Array.from({ length: 200 }, (_, i) => `Paragraph ${i}`).join('\n\n');
+    await page.evaluate(browserRenderAndValidate, `${filler}\n\n\`\`\`mermaid\nsequenceDiagram\n    Alice->>\n\`\`\``);
+
+    expect(await page.evaluate(getMermaidIssues)).toHaveLength(1);
+    await expect(page.locator('#wrapper .mermaid[data-mermaid-rendered="pending"]')).toHaveCount(1);
+  });
+
+  test('valid diagrams produce no issues', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '```mermaid\ngraph LR\n    A --> B\n```\n\n```mermaid\nsequenceDiagram\n    Alice->>Bob: Hi\n```');
+
+    expect(await page.evaluate(getMermaidIssues)).toHaveLength(0);
+  });
+
+  test('errors map to editor lines, including after front matter and in blockquotes', async ({ page }) => {
+    const content = [
+      '---',
+      'title: Demo',
+      '---',
+      '',
+      '> ```mermaid',
+      '> graph TD',
+      '>     A -->',
+      '> ```'
+    ].join('\n');
+    await page.evaluate(browserRenderAndValidate, content);
+
+    const issues = await page.evaluate(getMermaidIssues);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].sourceLine).toBe(6);
+  });
+
+  test('issues are marked in the editor gutter', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '```mermaid\ngraph TD\n    A -->\n```\n\n```json\n{ "a": }\n```');
+
+    expect(await page.evaluate(getGutterMarkers)).toEqual([
+      { line: 2, className: 'lint-marker error' },
+      { line: 6, className: 'lint-marker error' }
+    ]);
+  });
+
+  test('gutter markers are cleared when the lint panel is closed', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '```mermaid\ngraph TD\n    A -->\n```');
+    expect(await page.evaluate(getGutterMarkers)).toHaveLength(1);
+
+    await page.click('#lintToggle');
+    expect(await page.evaluate(getGutterMarkers)).toHaveLength(0);
+  });
+});
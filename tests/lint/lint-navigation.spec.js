@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForElementClass
+} = require('../helpers/test-utils');
+
+/**
+ * Browser-side helper: set editor content, render and validate now
+ * @param {string} content - Markdown content
+ */
+async function browserRenderAndValidate(content) {
+  globalThis.state.cmEditor.setValue(content);
+  await globalThis.renderMarkdown();
+  clearTimeout(globalThis.state.validationTimeout);
+  await globalThis.validateCode();
+}
+
+/**
+ * Browser-side helper: current editor cursor position
+ * @returns {{line: number, ch: number}} Cursor position
+ */
+function getCursor() {
+  const { line, ch } = globalThis.state.cmEditor.getCursor();
+  return { line, ch };
+}
+
+/**
+ * Clicking lint issues moves the editor to the offending source line
+ */
+test.describe('Lint Panel - Jump to Source', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.click('#lintToggle');
+    await waitForElementClass(page, '#lintPanel', 'show');
+  });
+
+  test('clicking an issue with a position moves the cursor to that line and column', async ({ page }) => {
+    const content = [
+      '# Config',            // 0
+      '',                    // 1
+      'Some text.',          // 2
+      '',                    // 3
+      '```toml',             // 4
+      '[package]',           // 5
+      'name = merview',      // 6
+      '```'
+    ].join('\n');
+    await page.evaluate(browserRenderAndValidate, content);
+
+    await page.click('#lintContent .lint-issue');
+
+    expect(await page.evaluate(getCursor)).toEqual({ line: 6, ch: 7 });
+  });
+
+  test('issues without a position jump to the first line of the block', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, 'Intro\n\n```json\n{\n  "a": 1,\n}\n```');
+
+    await page.click('#lintContent .lint-issue');
+
+    expect((await page.evaluate(getCursor)).line).toBe(3);
+  });
+
+  test('the target line is highlighted', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, '```css\nbody {\n```');
+
+    await page.click('#lintContent .lint-issue');
+
+    await expect(page.locator('.CodeMirror .lint-highlight-line')).toHaveCount(1);
+  });
+
+  test('offsets account for front matter and earlier blocks of the same language', async ({ page }) => {
+    const content = [
+      '---',                 // 0
+      'title: Demo',         // 1
+      '---',                 // 2
+      '```toml',             // 3
+      'a = 1',               // 4
+      '```',                 // 5
+      '',                    // 6
+      '```toml',             // 7
+      'a = 1',               // 8
+      'b = oops',            // 9
+      '```'
+    ].join('\n');
+    await page.evaluate(browserRenderAndValidate, content);
+
+    await expect(page.locator('#lintContent .lint-issue')).toHaveCount(1);
+    await page.click('#lintContent .lint-issue');
+
+    expect((await page.evaluate(getCursor)).line).toBe(9);
+  });
+
+  test('issues can be activated with the keyboard', async ({ page }) => {
+    await page.evaluate(browserRenderAndValidate, 'Text\n\n```toml\nname = merview\n```');
+
+    await page.focus('#lintContent .lint-issue');
+    await page.keyboard.press('Enter');
+
+    expect(await page.evaluate(getCursor)).toEqual({ line: 3, ch: 7 });
+  });
+});
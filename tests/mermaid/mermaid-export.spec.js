@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * PNG files start with this 8-byte signature
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Read width and height from a PNG's IHDR chunk
+ * @param {Buffer} data - PNG file contents
+ * @returns {{width: number, height: number}} Image size in pixels
+ */
+function readPngSize(data) {
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+}
+
+/**
+ * Pick an item from a diagram's download menu and return the downloaded file
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {import('@playwright/test').Locator} button - Download button that opens the menu
+ * @param {string} label - Menu item text
+ * @returns {Promise<{filename: string, data: Buffer}>} Downloaded file
+ */
+async function downloadFromMenu(page, button, label) {
+  await button.click();
+  const downloadPromise = page.waitForEvent('download');
+  await page.locator('#mermaid-download-menu button', { hasText: label }).click();
+  const download = await downloadPromise;
+  return {
+    filename: download.suggestedFilename(),
+    data: fs.readFileSync(await download.path())
+  };
+}
+
+/**
+ * Tests for downloading Mermaid diagrams as SVG and PNG
+ */
+test.describe('Mermaid Diagram Export', () => {
+  const mermaidDiagram = '```mermaid\ngraph TD\nA[Start] --> B[End]\n```';
+
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await page.evaluate(() => { globalThis.state.currentFilename = 'notes.md'; });
+    await setCodeMirrorContent(page, mermaidDiagram);
+    await renderMarkdownAndWait(page, WAIT_TIMES.EXTRA_LONG);
+    await expect(page.locator('.mermaid svg')).toBeVisible({ timeout: 10000 });
+  });
+
+  test('download button opens a menu with SVG and PNG sizes', async ({ page }) => {
+    await page.locator('.mermaid-container .mermaid-download-btn').click();
+
+    await expect(page.locator('#mermaid-download-menu button')).toHaveText([
+      'Download SVG',
+      'Download PNG (1x)',
+      'Download PNG (2x)',
+      'Download PNG (4x)'
+    ]);
+  });
+
+  test('menu closes on Escape', async ({ page }) => {
+    await page.locator('.mermaid-container .mermaid-download-btn').click();
+    await page.keyboard.press('Escape');
+
+    await expect(page.locator('#mermaid-download-menu')).toHaveCount(0);
+  });
+
+  test('SVG download is standalone with inlined styles and a background', async ({ page }) => {
+    const { filename, data } = await downloadFromMenu(page, page.locator('.mermaid-container .mermaid-download-btn'), 'Download SVG');
+    const svg = data.toString('utf8');
+
+    expect(filename).toBe('notes-diagram-1.svg');
+    expect(svg).toMatch(/^<\?xml/);
+    expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).toMatch(/<svg[^>]* width="[\d.]+"/);
+    expect(svg).toContain('font-family');
+    expect(svg).toContain('Start');
+    expect(svg).not.toContain('<script');
+  });
+
+  test('PNG scale multiplies the image size', async ({ page }) => {
+    const button = page.locator('.mermaid-container .mermaid-download-btn');
+    const small = await downloadFromMenu(page, button, 'Download PNG (1x)');
+    const large = await downloadFromMenu(page, button, 'Download PNG (2x)');
+
+    expect(small.filename).toBe('notes-diagram-1.png');
+    expect(small.data.subarray(0, 8).equals(PNG_SIGNATURE)).toBe(true);
+
+    const smallSize = readPngSize(small.data);
+    const largeSize = readPngSize(large.data);
+    expect(largeSize.width).toBeCloseTo(smallSize.width * 2, -1);
+    expect(largeSize.height).toBeCloseTo(smallSize.height * 2, -1);
+  });
+
+  test('downloads are available from the fullscreen view', async ({ page }) => {
+    await page.locator('.mermaid-expand-btn').click();
+    await expect(page.locator('#mermaid-fullscreen-overlay')).toBeVisible({ timeout: 5000 });
+
+    const { filename } = await downloadFromMenu(page, page.locator('#mermaid-fullscreen-overlay [data-action="download"]'), 'Download SVG');
+    expect(filename).toBe('notes-diagram-1.svg');
+  });
+
+  test('diagrams that failed to render are not exported', async ({ page }) => {
+    await setCodeMirrorContent(page, '```mermaid\ngraph TD\n    A -->\n```');
+    await renderMarkdownAndWait(page, WAIT_TIMES.EXTRA_LONG);
+    await page.evaluate(() => globalThis.forceRenderAllMermaidDiagrams());
+
+    await page.locator('.mermaid-container .mermaid-download-btn').click();
+    await page.locator('#mermaid-download-menu button', { hasText: 'Download SVG' }).click();
+
+    await expect(page.locator('#status')).toContainText('failed to render');
+  });
+});
@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+/**
+ * Build a long document with numbered sections so both panes need scrolling
+ * @param {number} sections - Number of sections to generate
+ * @returns {string} Markdown content
+ */
+function buildLongDocument(sections) {
+  const parts = [];
+  for (let i = 1; i <= sections; i++) {
+    parts.push(`## Section ${i}\n\n${'Lorem ipsum dolor sit amet, consectetur adipiscing elit.\n'.repeat(4)}`);
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Browser-side helper: collect data-source-line values from rendered blocks
+ * @returns {number[]} Source line numbers in document order
+ */
+function getSourceLines() {
+  return Array.from(document.querySelectorAll('#wrapper [data-source-line]'))
+    .map(el => Number(el.getAttribute('data-source-line')));
+}
+
+/**
+ * Browser-side helper: scroll the editor to a line and sync the preview
+ * @param {number} line - Zero-based editor line to scroll to the top
+ * @returns {number} Preview scrollTop after syncing
+ */
+function scrollEditorToLine(line) {
+  const cm = globalThis.state.cmEditor;
+  cm.scrollTo(null, cm.heightAtLine(line, 'local'));
+  globalThis.syncPreviewToEditor();
+  return document.getElementById('preview').scrollTop;
+}
+
+/**
+ * Browser-side helper: find the first heading visible at the top of the preview
+ * @returns {string|null} Heading text
+ */
+function getTopVisibleHeading() {
+  const preview = document.getElementById('preview');
+  const previewTop = preview.getBoundingClientRect().top;
+  const headings = Array.from(document.querySelectorAll('#wrapper h2'));
+  const visible = headings.find(h => h.getBoundingClientRect().bottom > previewTop + 1);
+  return visible ? visible.textContent : null;
+}
+
+/**
+ * Browser-side helper: scroll the preview to a heading and sync the editor
+ * @param {string} headingId - ID of the heading to scroll to
+ * @returns {number} First visible editor line after syncing
+ */
+function scrollPreviewToHeading(headingId) {
+  const preview = document.getElementById('preview');
+  const heading = document.getElementById(headingId);
+  preview.scrollTop += heading.getBoundingClientRect().top - preview.getBoundingClientRect().top;
+  globalThis.syncEditorToPreview();
+  const cm = globalThis.state.cmEditor;
+  return cm.lineAtHeight(cm.getScrollInfo().top + 1, 'local');
+}
+
+test.describe('Scroll Sync', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'syncPreviewToEditor');
+  });
+
+  test('rendered blocks carry their editor source line', async ({ page }) => {
+    await setCodeMirrorContent(page, '# Title\n\nFirst paragraph\n\n- item\n- item\n\n```js\nconst x = 1;\n```');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const lines = await page.evaluate(getSourceLines);
+    expect(lines).toEqual([0, 2, 4, 7]);
+  });
+
+  test('source lines account for YAML front matter', async ({ page }) => {
+    await setCodeMirrorContent(page, '---\ntitle: Test\n---\n# Heading\n\nBody');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const headingLine = await page.locator('#wrapper h1').getAttribute('data-source-line');
+    expect(headingLine).toBe('3');
+  });
+
+  test('source lines stay correct after link reference definitions', async ({ page }) => {
+    await setCodeMirrorContent(page, 'See [docs][ref].\n\n[ref]: https://example.com\n\n## After');
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const headingLine = await page.locator('#wrapper h2').getAttribute('data-source-line');
+    expect(headingLine).toBe('4');
+  });
+
+  test('scrolling the editor moves the preview to the matching section', async ({ page }) => {
+    const markdown = buildLongDocument(30);
+    await setCodeMirrorContent(page, markdown);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const targetLine = markdown.split('\n').indexOf('## Section 20');
+    const previewScroll = await page.evaluate(scrollEditorToLine, targetLine);
+    expect(previewScroll).toBeGreaterThan(0);
+
+    const heading = await page.evaluate(getTopVisibleHeading);
+    expect(heading).toBe('Section 20');
+  });
+
+  test('scrolling the preview moves the editor to the matching line', async ({ page }) => {
+    const markdown = buildLongDocument(30);
+    await setCodeMirrorContent(page, markdown);
+    await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+    const targetLine = markdown.split('\n').indexOf('## Section 15');
+    const editorLine = await page.evaluate(scrollPreviewToHeading, 'section-15');
+    expect(Math.abs(editorLine - targetLine)).toBeLessThanOrEqual(1);
+  });
+
+  test('Sync Scrolling toggle is listed in style options and persists', async ({ page }) => {
+    const option = page.locator('#styleSelector option[value="Sync Scrolling"]');
+    await expect(option).toHaveCount(1);
+
+    const initial = await page.evaluate(() => globalThis.state.scrollSyncEnabled);
+    await page.selectOption('#styleSelector', 'Sync Scrolling');
+    await page.waitForTimeout(WAIT_TIMES.SHORT);
+
+    const toggled = await page.evaluate(() => globalThis.state.scrollSyncEnabled);
+    expect(toggled).toBe(!initial);
+
+    const stored = await page.evaluate(() => localStorage.getItem('scroll-sync'));
+    expect(stored).toBe(String(!initial));
+  });
+});
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  getCodeMirrorContent,
+  setCodeMirrorContent
+} = require('../helpers/test-utils');
+
+/**
+ * Browser-side helper: paste clipboard data into the editor
+ * @param {{html?: string, text: string}} clipboard - Clipboard contents
+ * @returns {boolean} Whether the paste was converted (default action prevented)
+ */
+function browserPaste({ html, text }) {
+  const clipboardData = new DataTransfer();
+  if (html) {
+    clipboardData.setData('text/html', html);
+  }
+  clipboardData.setData('text/plain', text);
+  const event = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+  globalThis.state.cmEditor.focus();
+  globalThis.state.cmEditor.getInputField().dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+/**
+ * Tests for smart paste (links, spreadsheet tables and rich text)
+ */
+test.describe('Smart Paste', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+  });
+
+  test('pasting a URL over selected text creates a link', async ({ page }) => {
+    await setCodeMirrorContent(page, 'Read the docs today');
+    await page.evaluate(() => globalThis.state.cmEditor.setSelection({ line: 0, ch: 9 }, { line: 0, ch: 13 }));
+
+    expect(await page.evaluate(browserPaste, { text: 'https://example.com/docs' })).toBe(true);
+    expect(await getCodeMirrorContent(page)).toBe('Read the [docs](https://example.com/docs) today');
+  });
+
+  test('pasting a URL without a selection inserts it as is', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    expect(await page.evaluate(browserPaste, { text: 'https://example.com' })).toBe(false);
+  });
+
+  test('spreadsheet range becomes a GFM table', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    const converted = await page.evaluate(browserPaste, {
+      html: '<table><tr><td>Name</td><td>Qty</td></tr><tr><td>Apples</td><td>3</td></tr></table>',
+      text: 'Name\tQty\r\nApples\t3\r\n'
+    });
+
+    expect(converted).toBe(true);
+    expect(await getCodeMirrorContent(page)).toBe('| Name | Qty |\n| --- | --- |\n| Apples | 3 |');
+  });
+
+  test('tab-separated text becomes a GFM table', async ({ page }) => {
+    await setCodeMirrorContent(page, 'Intro');
+    await page.evaluate(() => globalThis.state.cmEditor.setCursor({ line: 0, ch: 5 }));
+
+    await page.evaluate(browserPaste, { text: 'id\tlabel\n1\t"a, b"\n2\tc|d' });
+
+    expect(await getCodeMirrorContent(page)).toBe('Intro\n\n| id | label |\n| --- | --- |\n| 1 | a, b |\n| 2 | c\\|d |');
+  });
+
+  test('CSV text becomes a GFM table', async ({ page }) => {
+    await setCodeMirrorContent(page, 'Intro');
+    await page.evaluate(() => globalThis.state.cmEditor.setCursor({ line: 0, ch: 5 }));
+
+    expect(await page.evaluate(browserPaste, { text: 'id,label\n1,"a, b"\n2,c|d' })).toBe(true);
+
+    expect(await getCodeMirrorContent(page)).toBe('Intro\n\n| id | label |\n| --- | --- |\n| 1 | a, b |\n| 2 | c\\|d |');
+  });
+
+  test('code with commas is not turned into a table', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    expect(await page.evaluate(browserPaste, { text: 'foo(a,b);\nbar(c,d);' })).toBe(false);
+    expect(await page.evaluate(browserPaste, { text: 'x = [1,2]\ny = [3,4]' })).toBe(false);
+  });
+
+  test('tab-indented code is not turned into a table', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    expect(await page.evaluate(browserPaste, { text: '\tfoo();\n\tbar();' })).toBe(false);
+  });
+
+  test('pasting a URL escapes brackets in the selected text', async ({ page }) => {
+    await setCodeMirrorContent(page, 'see a]b\\c');
+    await page.evaluate(() => globalThis.state.cmEditor.setSelection({ line: 0, ch: 4 }, { line: 0, ch: 9 }));
+
+    await page.evaluate(browserPaste, { text: 'https://example.com' });
+    expect(await getCodeMirrorContent(page)).toBe('see [a\\]b\\\\c](https://example.com)');
+  });
+
+  test('prose with commas is not turned into a table', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    expect(await page.evaluate(browserPaste, { text: 'Hi Sam, thanks.\nSee you soon, Alex' })).toBe(false);
+  });
+
+  test('pasted HTML becomes markdown', async ({ page }) => {
+    await setCodeMirrorContent(page, '');
+
+    await page.evaluate(browserPaste, {
+      html: '<p>Visit <a href="https://example.com">our <b>site</b></a></p>',
+      text: 'Visit our site'
+    });
+
+    await expect.poll(() => getCodeMirrorContent(page)).toBe('Visit [our **site**](https://example.com)');
+  });
+
+  test('pasted HTML lands where it was pasted after edits made during conversion', async ({ page }) => {
+    await setCodeMirrorContent(page, 'Intro ');
+
+    await page.evaluate(() => {
+      const cm = globalThis.state.cmEditor;
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/html', '<p><b>bold</b></p>');
+      clipboardData.setData('text/plain', 'bold');
+      cm.focus();
+      cm.setCursor({ line: 0, ch: 6 });
+      cm.getInputField().dispatchEvent(new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }));
+      // Typed before the converter finished
+      cm.replaceRange('New ', { line: 0, ch: 0 });
+    });
+
+    await expect.poll(() => getCodeMirrorContent(page)).toBe('New Intro **bold**');
+  });
+
+  test('pastes inside fenced code blocks are left alone', async ({ page }) => {
+    await setCodeMirrorContent(page, '```\n\n```');
+    await page.evaluate(() => globalThis.state.cmEditor.setCursor({ line: 1, ch: 0 }));
+
+    expect(await page.evaluate(browserPaste, { text: 'a\tb\nc\td' })).toBe(false);
+  });
+});
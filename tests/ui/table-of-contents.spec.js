@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  waitForPageReady,
+  waitForGlobalFunction,
+  setCodeMirrorContent,
+  renderMarkdownAndWait,
+  WAIT_TIMES
+} = require('../helpers/test-utils');
+
+const NESTED_DOC = `# Guide
+
+[[toc]]
+
+## Install
+
+### Requirements
+
+## Usage
+
+## Usage`;
+
+/**
+ * Browser-side helper: collect link targets from the inline TOC
+ * @returns {string[]} href values in order
+ */
+function getInlineTocHrefs() {
+  return Array.from(document.querySelectorAll('#wrapper nav.table-of-contents a'))
+    .map(a => a.getAttribute('href'));
+}
+
+/**
+ * Browser-side helper: get the active outline entry's target
+ * @returns {string|null} Heading ID of the highlighted outline link
+ */
+function getActiveOutlineTarget() {
+  const active = document.querySelector('#outlineContent a.active');
+  return active ? active.getAttribute('data-toc-target') : null;
+}
+
+/**
+ * Build a long document so the preview needs scrolling
+ * @returns {string} Markdown content
+ */
+function buildLongDocument() {
+  const filler = 'Lorem ipsum dolor sit amet.\n\n'.repeat(15);
+  return `# Top\n\n${filler}## Middle\n\n${filler}## Bottom\n\n${filler}`;
+}
+
+test.describe('Table of Contents', () => {
+  test.beforeEach(async ({ page }) => {
+    await waitForPageReady(page);
+    await waitForGlobalFunction(page, 'toggleOutlinePanel');
+  });
+
+  test.describe('Inline TOC', () => {
+    test('[[toc]] marker renders a nested list of heading links', async ({ page }) => {
+      await setCodeMirrorContent(page, NESTED_DOC);
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const hrefs = await page.evaluate(getInlineTocHrefs);
+      expect(hrefs).toEqual(['#guide', '#install', '#requirements', '#usage', '#usage-1']);
+
+      // Requirements (h3) is nested under Install (h2)
+      const nested = page.locator('#wrapper nav.table-of-contents li li li a[href="#requirements"]');
+      await expect(nested).toHaveCount(1);
+    });
+
+    test('[[toc]] inside a paragraph is left as text', async ({ page }) => {
+      await setCodeMirrorContent(page, '# Title\n\nSee [[toc]] for details');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      await expect(page.locator('#wrapper nav.table-of-contents')).toHaveCount(0);
+      await expect(page.locator('#wrapper p')).toContainText('[[toc]]');
+    });
+
+    test('toc: true front matter inserts a TOC at the top', async ({ page }) => {
+      await setCodeMirrorContent(page, '---\ntoc: true\n---\n# One\n\n## Two');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const toc = page.locator('#wrapper nav.table-of-contents');
+      await expect(toc).toHaveCount(1);
+      const precedesHeading = await page.evaluate(() => {
+        const nav = document.querySelector('#wrapper nav.table-of-contents');
+        const h1 = document.querySelector('#wrapper h1');
+        return Boolean(nav && h1 && (nav.compareDocumentPosition(h1) & Node.DOCUMENT_POSITION_FOLLOWING));
+      });
+      expect(precedesHeading).toBe(true);
+    });
+
+    test('toc: true does not duplicate an explicit [[toc]] marker', async ({ page }) => {
+      await setCodeMirrorContent(page, '---\ntoc: true\n---\n# One\n\n[[toc]]\n\n## Two');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      await expect(page.locator('#wrapper nav.table-of-contents')).toHaveCount(1);
+    });
+
+    test('duplicate headings get unique IDs', async ({ page }) => {
+      await setCodeMirrorContent(page, '## Notes\n\n## Notes\n\n## Notes');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      const ids = await page.$$eval('#wrapper h2', els => els.map(el => el.id));
+      expect(ids).toEqual(['notes', 'notes-1', 'notes-2']);
+    });
+
+    test('first heading keeps the ID it had before duplicates were numbered', async ({ page }) => {
+      await setCodeMirrorContent(page, '*[API]: Application Programming Interface\n\n## The **API** Guide\n\n## The **API** Guide');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+
+      // Same ID as earlier versions generated, so shared anchor links still match
+      const ids = await page.$$eval('#wrapper h2', els => els.map(el => el.id));
+      expect(ids).toEqual(['the-strongapistrong-guide', 'the-strongapistrong-guide-1']);
+    });
+  });
+
+  test.describe('Outline sidebar', () => {
+    test('toggle button shows and hides the outline', async ({ page }) => {
+      const panel = page.locator('#outlinePanel');
+      await expect(panel).toBeHidden();
+
+      await page.click('#outlineToggle');
+      await expect(panel).toBeVisible();
+      await expect(page.locator('#outlineToggle')).toHaveAttribute('aria-expanded', 'true');
+
+      await page.click('#closeOutlineBtn');
+      await expect(panel).toBeHidden();
+    });
+
+    test('outline visibility persists across reloads', async ({ page }) => {
+      await page.click('#outlineToggle');
+      await page.reload();
+      await page.waitForSelector('.CodeMirror');
+      await expect(page.locator('#outlinePanel')).toBeVisible();
+    });
+
+    test('outline lists document headings', async ({ page }) => {
+      await setCodeMirrorContent(page, NESTED_DOC);
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+      await page.evaluate(() => globalThis.toggleOutlinePanel(true));
+
+      const targets = await page.$$eval('#outlineContent a', links => links.map(a => a.dataset.tocTarget));
+      expect(targets).toEqual(['guide', 'install', 'requirements', 'usage', 'usage-1']);
+    });
+
+    test('clicking an outline entry scrolls the preview and highlights it', async ({ page }) => {
+      await setCodeMirrorContent(page, buildLongDocument());
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+      await page.evaluate(() => globalThis.toggleOutlinePanel(true));
+
+      await page.click('#outlineContent a[data-toc-target="bottom"]');
+      await page.waitForTimeout(WAIT_TIMES.MEDIUM);
+
+      const scrollTop = await page.locator('#preview').evaluate(el => el.scrollTop);
+      expect(scrollTop).toBeGreaterThan(0);
+      expect(await page.evaluate(getActiveOutlineTarget)).toBe('bottom');
+    });
+
+    test('empty documents show a placeholder message', async ({ page }) => {
+      await setCodeMirrorContent(page, 'No headings here');
+      await renderMarkdownAndWait(page, WAIT_TIMES.LONG);
+      await page.evaluate(() => globalThis.toggleOutlinePanel(true));
+
+      await expect(page.locator('#outlineContent .outline-empty')).toBeVisible();
+    });
+  });
+});
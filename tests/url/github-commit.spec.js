@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const crypto = require('node:crypto');
+
+/**
+ * Commit to GitHub Tests
+ *
+ * Tests for committing a document loaded from a GitHub repository back to it:
+ * - Commits directly to the branch with the SHA of the loaded version
+ * - Creates a branch and pull request instead, if chosen
+ * - Refuses to overwrite changes made on GitHub, and offers to merge them
+ * - Asks for repository access when the token only grants the gist scope
+ * - Keeps the repository token for this tab only (sessionStorage, not localStorage)
+ *
+ * The GitHub API is mocked; no real requests are made.
+ */
+
+const RAW_URL = 'https://raw.githubusercontent.com/octo/docs/main/guide.md';
+const CONTENTS_API = 'https://api.github.com/repos/octo/docs/contents/guide.md';
+const ORIGINAL = '# Guide\n\nFirst paragraph.\n\nSecond paragraph.\n\nThird paragraph.';
+const CORS_HEADERS = { 'Access-Control-Allow-Origin': '*' };
+
+/**
+ * Git blob SHA-1 of text, as GitHub reports it
+ * @param {string} text
+ * @returns {string}
+ */
+function blobSha(text) {
+  return crypto.createHash('sha1').update(`blob ${Buffer.byteLength(text)}\0${text}`).digest('hex');
+}
+
+/**
+ * Mock the raw file and the GitHub API, serving whatever text is in remote.body
+ * @param {import('@playwright/test').Page} page
+ * @param {{body: string}} remote - Text of the file on GitHub
+ * @param {Array<{method: string, url: string, body: any}>} requests - Receives API write requests
+ */
+async function mockGitHub(page, remote, requests) {
+  await page.route(RAW_URL, route => route.fulfill({
+    status: 200,
+    contentType: 'text/plain; charset=utf-8',
+    headers: CORS_HEADERS,
+    body: ORIGINAL
+  }));
+
+  await page.route('https://api.github.com/**', route => {
+    const request = route.request();
+    const json = body => route.fulfill({ status: 200, contentType: 'application/json', headers: CORS_HEADERS, body: JSON.stringify(body) });
+
+    if (request.method() === 'GET' && request.url().startsWith(`${CONTENTS_API}?`)) {
+      return json({
+        type: 'file',
+        encoding: 'base64',
+        sha: blobSha(remote.body),
+        content: Buffer.from(remote.body).toString('base64'),
+        html_url: 'https://github.com/octo/docs/blob/main/guide.md'
+      });
+    }
+    if (request.method() === 'GET' && request.url().endsWith('/git/ref/heads/main')) {
+      return json({ object: { sha: 'base-commit-sha' } });
+    }
+
+    requests.push({ method: request.method(), url: request.url(), body: request.postDataJSON() });
+    if (request.method() === 'PUT') {
+      return json({ content: { sha: 'new-blob-sha' }, commit: { html_url: 'https://github.com/octo/docs/commit/abc123' } });
+    }
+    if (request.url().endsWith('/pulls')) {
+      return json({ html_url: 'https://github.com/octo/docs/pull/7' });
+    }
+    return json({});
+  });
+}
+
+function getEditorValue() {
+  return globalThis.state.cmEditor.getValue();
+}
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+/**
+ * Store a GitHub token with the given scopes where the app keeps it
+ * (repository tokens in sessionStorage, gist tokens in localStorage)
+ * @param {import('@playwright/test').Page} page
+ * @param {string} scope - Scopes as GitHub reports them
+ */
+async function setToken(page, scope) {
+  await page.evaluate(tokenScope => {
+    const token = JSON.stringify({
+      accessToken: 'valid-test-token',
+      expiresAt: Date.now() + 3600000,
+      scope: tokenScope
+    });
+    if (tokenScope.split(',').includes('repo')) {
+      sessionStorage.setItem('github-repo-token', token);
+    } else {
+      sessionStorage.removeItem('github-repo-token');
+      localStorage.setItem('github-gist-token', token);
+    }
+  }, scope);
+}
+
+/**
+ * Open "Commit to GitHub..." from the document selector
+ * @param {import('@playwright/test').Page} page
+ */
+async function openCommitModal(page) {
+  await page.selectOption('#documentSelector', '__commit_github__');
+  await expect(page.locator('#githubCommitModal')).toBeVisible();
+}
+
+test.describe('Commit to GitHub', () => {
+  /** @type {{body: string}} */
+  let remote;
+  /** @type {Array<{method: string, url: string, body: any}>} */
+  let requests;
+
+  test.beforeEach(async ({ page }) => {
+    remote = { body: ORIGINAL };
+    requests = [];
+    await mockGitHub(page, remote, requests);
+
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await setToken(page, 'gist,repo');
+    await page.goto(`http://localhost:8081/?url=${encodeURIComponent(RAW_URL)}`);
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+    await expect.poll(() => page.evaluate(getEditorValue)).toBe(ORIGINAL);
+    // Let the loaded source be recorded
+    await page.waitForTimeout(500);
+  });
+
+  test('should offer Commit to GitHub for documents from GitHub', async ({ page }) => {
+    await expect(page.locator('#documentSelector option[value="__commit_github__"]')).toHaveCount(1);
+
+    await openCommitModal(page);
+    await expect(page.locator('#githubCommitTarget')).toHaveText('octo/docs: guide.md');
+    await expect(page.locator('#githubCommitMessage')).toHaveValue('Update guide.md');
+    await expect(page.locator('#githubCommitBranchName')).toHaveText('main');
+  });
+
+  test('should commit directly to the branch', async ({ page }) => {
+    const edited = ORIGINAL.replace('Second', 'Edited second');
+    await page.evaluate(setEditorValue, edited);
+    await openCommitModal(page);
+    await page.fill('#githubCommitMessage', 'Fix the guide');
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#githubCommitStatus')).toContainText('Committed to GitHub');
+    expect(requests).toHaveLength(1);
+    const [put] = requests;
+    expect(put.method).toBe('PUT');
+    expect(put.url).toBe(CONTENTS_API);
+    expect(put.body.message).toBe('Fix the guide');
+    expect(put.body.branch).toBe('main');
+    expect(put.body.sha).toBe(blobSha(ORIGINAL));
+    expect(Buffer.from(put.body.content, 'base64').toString()).toBe(edited);
+  });
+
+  test('should create a branch and pull request', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL + '\n\nNew section.');
+    await openCommitModal(page);
+    await page.check('input[name="githubCommitMode"][value="pull-request"]');
+    await expect(page.locator('#githubCommitNewBranch')).toHaveValue('merview/update-guide');
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#githubCommitStatus')).toContainText('opened a pull request');
+    const [branch, put, pull] = requests;
+    expect(branch.body).toEqual({ ref: 'refs/heads/merview/update-guide', sha: 'base-commit-sha' });
+    expect(put.body.branch).toBe('merview/update-guide');
+    expect(pull.body).toMatchObject({ title: 'Update guide.md', head: 'merview/update-guide', base: 'main' });
+  });
+
+  test('should not overwrite changes made on GitHub', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL.replace('First', 'My first'));
+    remote.body = ORIGINAL.replace('Third', 'Their third');
+    await openCommitModal(page);
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#githubCommitStatus')).toContainText('changed on GitHub');
+    expect(requests).toHaveLength(0);
+
+    // Merging brings in their changes, ready to commit again
+    await page.click('#githubCommitMergeBtn');
+    await expect(page.locator('#sourceSyncModal')).toBeVisible();
+    await page.click('#applyMergeBtn');
+    const content = await page.evaluate(getEditorValue);
+    expect(content).toContain('My first paragraph.');
+    expect(content).toContain('Their third paragraph.');
+  });
+
+  test('should report when there is nothing to commit', async ({ page }) => {
+    await openCommitModal(page);
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#githubCommitStatus')).toContainText('No changes to commit');
+    expect(requests).toHaveLength(0);
+  });
+
+  test('should ask for repository access with a gist-only token', async ({ page }) => {
+    /** @type {any} */
+    let deviceCodeBody = null;
+    await page.route('**/device/code', route => {
+      deviceCodeBody = route.request().postDataJSON();
+      route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ error: 'test_stop' }) });
+    });
+    await setToken(page, 'gist');
+    await page.evaluate(setEditorValue, ORIGINAL + '\n\nMore.');
+    await openCommitModal(page);
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#gistModal')).toBeVisible();
+    expect(deviceCodeBody).toEqual({ scope: 'gist repo' });
+    expect(requests).toHaveLength(0);
+  });
+
+  test('should keep the repository token out of localStorage', async ({ page }) => {
+    await page.route('**/device/code', route => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({
+        device_code: 'test-device-code',
+        user_code: 'TEST-1234',
+        verification_uri: 'https://github.com/login/device',
+        expires_in: 900,
+        interval: 1
+      })
+    }));
+    await page.route('**/device/token', route => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ access_token: 'repo-access-token', token_type: 'bearer', scope: 'gist,repo' })
+    }));
+    await setToken(page, 'gist');
+    await page.evaluate(setEditorValue, ORIGINAL + '\n\nMore.');
+    await openCommitModal(page);
+    await page.click('#githubCommitSubmit');
+
+    await expect(page.locator('#githubCommitStatus')).toContainText('Committed to GitHub', { timeout: 15000 });
+    const stored = await page.evaluate(() => ({
+      local: localStorage.getItem('github-gist-token'),
+      session: sessionStorage.getItem('github-repo-token')
+    }));
+    expect(stored.local).not.toContain('repo-access-token');
+    expect(JSON.parse(stored.session).accessToken).toBe('repo-access-token');
+
+    // Disconnecting clears it
+    await page.evaluate(() => globalThis.disconnectGitHub());
+    expect(await page.evaluate(() => sessionStorage.getItem('github-repo-token'))).toBeNull();
+  });
+});
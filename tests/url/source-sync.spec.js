@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 Mick Darling
+
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Source Sync Tests
+ *
+ * Tests for checking a URL-loaded document against its source:
+ * - Unchanged source is reported without touching the document
+ * - Changed source is reloaded when the document wasn't edited
+ * - Changes on both sides are merged, with conflict markers where they overlap
+ * - Source URLs that fail the URL check are not fetched
+ */
+
+const SOURCE_URL = 'https://example.com/docs/notes.md';
+const ORIGINAL = '# Notes\n\nFirst paragraph.\n\nSecond paragraph.\n\nThird paragraph.';
+
+/**
+ * Serve the source URL with whatever text is in remote.body
+ * @param {import('@playwright/test').Page} page
+ * @param {{body: string}} remote
+ */
+async function mockSource(page, remote) {
+  await page.route(SOURCE_URL, route => route.fulfill({
+    status: 200,
+    contentType: 'text/markdown; charset=utf-8',
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: remote.body
+  }));
+}
+
+function getEditorValue() {
+  return globalThis.state.cmEditor.getValue();
+}
+
+function setEditorValue(content) {
+  globalThis.state.cmEditor.setValue(content);
+}
+
+/**
+ * Run "Check source for updates" from the document selector
+ * @param {import('@playwright/test').Page} page
+ */
+async function checkSource(page) {
+  await page.selectOption('#documentSelector', '__check_source__');
+  await page.waitForTimeout(500);
+}
+
+test.describe('Source Sync', () => {
+  /** @type {{body: string}} */
+  let remote;
+
+  test.beforeEach(async ({ page }) => {
+    remote = { body: ORIGINAL };
+    await mockSource(page, remote);
+
+    await page.goto('http://localhost:8081');
+    await page.evaluate(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.goto(`http://localhost:8081/?url=${encodeURIComponent(SOURCE_URL)}`);
+    await page.waitForSelector('.CodeMirror', { timeout: 10000 });
+    await expect.poll(() => page.evaluate(getEditorValue)).toBe(ORIGINAL);
+    // Let the loaded source be recorded
+    await page.waitForTimeout(500);
+  });
+
+  test('should record the source URL on the session', async ({ page }) => {
+    const sourceUrl = await page.evaluate(() => {
+      const index = JSON.parse(localStorage.getItem('merview-sessions-index'));
+      return index.sessions.find(s => s.id === index.activeSessionId).sourceUrl;
+    });
+    expect(sourceUrl).toBe(SOURCE_URL);
+    await expect(page.locator('#documentSelector option[value="__check_source__"]')).toHaveCount(1);
+  });
+
+  test('should report an unchanged source', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL + '\n\nMy addition.');
+    await checkSource(page);
+
+    await expect(page.locator('#status')).toContainText('Source has not changed');
+    expect(await page.evaluate(getEditorValue)).toBe(ORIGINAL + '\n\nMy addition.');
+  });
+
+  test('should reload a changed source when the document was not edited', async ({ page }) => {
+    remote.body = ORIGINAL.replace('Third', 'Updated third');
+    await checkSource(page);
+
+    expect(await page.evaluate(getEditorValue)).toBe(remote.body);
+    await expect(page.locator('#status')).toContainText('Reloaded from source');
+  });
+
+  test('should merge changes made on both sides', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL.replace('First', 'My first'));
+    remote.body = ORIGINAL.replace('Third', 'Updated third');
+    await checkSource(page);
+
+    expect(await page.isVisible('#sourceSyncModal')).toBe(true);
+    await expect(page.locator('#sourceSyncMessage')).toContainText('do not overlap');
+    await page.click('#applyMergeBtn');
+
+    const content = await page.evaluate(getEditorValue);
+    expect(content).toContain('My first paragraph.');
+    expect(content).toContain('Updated third paragraph.');
+    expect(await page.isVisible('#sourceSyncModal')).toBe(false);
+  });
+
+  test('should mark conflicting changes', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL.replace('Second', 'My second'));
+    remote.body = ORIGINAL.replace('Second', 'Their second');
+    await checkSource(page);
+
+    await expect(page.locator('#sourceSyncMessage')).toContainText('1 section was changed on both sides');
+    await page.click('#applyMergeBtn');
+
+    const content = await page.evaluate(getEditorValue);
+    expect(content).toContain('<<<<<<< Your version\nMy second paragraph.\n=======\nTheir second paragraph.\n>>>>>>> Source version');
+  });
+
+  test('Keep Mine should leave the document unchanged', async ({ page }) => {
+    const local = ORIGINAL.replace('Second', 'My second');
+    await page.evaluate(setEditorValue, local);
+    remote.body = ORIGINAL.replace('Second', 'Their second');
+    await checkSource(page);
+
+    await page.click('#keepLocalVersionBtn');
+    expect(await page.evaluate(getEditorValue)).toBe(local);
+
+    // The kept source is now the baseline, so checking again finds nothing new
+    await checkSource(page);
+    await expect(page.locator('#status')).toContainText('Source has not changed');
+  });
+
+  test('should not fetch a source URL that is not allowed', async ({ page }) => {
+    /** @type {string[]} */
+    const fetched = [];
+    await page.route('http://example.com/**', route => {
+      fetched.push(route.request().url());
+      return route.fulfill({ status: 200, body: 'fetched' });
+    });
+    await page.evaluate(() => { globalThis.state.loadedFromURL = 'http://example.com/docs/notes.md'; });
+    await checkSource(page);
+
+    await expect(page.locator('#status')).toContainText('URL not allowed');
+    expect(fetched).toHaveLength(0);
+    expect(await page.evaluate(getEditorValue)).toBe(ORIGINAL);
+  });
+
+  test('Use Source Version should replace the document', async ({ page }) => {
+    await page.evaluate(setEditorValue, ORIGINAL.replace('Second', 'My second'));
+    remote.body = ORIGINAL.replace('Second', 'Their second');
+    await checkSource(page);
+
+    await page.click('#useSourceVersionBtn');
+    expect(await page.evaluate(getEditorValue)).toBe(remote.body);
+  });
+});